@@ -4,6 +4,64 @@
  */
 const logger = require('../utils/logger');
 const db = require('../db');
+const { summarizeMessages } = require('../llm/resultSummary');
+
+// Averages a batch's sentiment (count, score, count, count) into a row's
+// score column, weighted by the messages each was averaged over
+const mergeSentiment = column => `CASE WHEN sentiment_count + ? > 0
+  THEN ((${column} * sentiment_count) + (? * ?)) / (sentiment_count + ?)
+  ELSE ${column} END`;
+
+// Adds a batch's tag counts (bound parameter) to a row's tag_counts, per tag
+const MERGE_TAG_COUNTS = `(
+  SELECT json_group_object(key, total) FROM (
+    SELECT key, SUM(value) AS total FROM (
+      SELECT key, value FROM json_each(tag_counts)
+      UNION ALL
+      SELECT key, value FROM json_each(?)
+    ) GROUP BY key
+  )
+)`;
+
+// Adds a batch's source contributions (bound parameter) to a row's
+// source_contributions, per source: counts are summed, sentiment is averaged
+// over the sentiment counts, the batch's weight wins and contributions are
+// recomputed from the merged counts (rows from before sentiment_count was
+// stored count every message)
+const MERGE_SOURCE_CONTRIBUTIONS = `(
+  SELECT json_group_array(json_object(
+    'source_id', source_id,
+    'weight', weight,
+    'sentiment', sentiment,
+    'sentiment_count', sentiment_count,
+    'message_count', message_count,
+    'contribution', contribution
+  )) FROM (
+    SELECT
+      source_id,
+      COALESCE(MAX(CASE WHEN incoming THEN weight END), MAX(weight)) AS weight,
+      CASE WHEN SUM(sentiment_count) > 0
+        THEN CAST(SUM(sentiment * sentiment_count) AS REAL) / SUM(sentiment_count)
+        ELSE 0 END AS sentiment,
+      SUM(sentiment_count) AS sentiment_count,
+      SUM(message_count) AS message_count,
+      CAST(SUM(message_count) AS REAL) / SUM(SUM(message_count)) OVER () AS contribution
+    FROM (
+      SELECT
+        json_extract(value, '$.source_id') AS source_id,
+        json_extract(value, '$.weight') AS weight,
+        json_extract(value, '$.sentiment') AS sentiment,
+        COALESCE(json_extract(value, '$.sentiment_count'), json_extract(value, '$.message_count')) AS sentiment_count,
+        json_extract(value, '$.message_count') AS message_count,
+        incoming
+      FROM (
+        SELECT value, 0 AS incoming FROM json_each(source_contributions)
+        UNION ALL
+        SELECT value, 1 AS incoming FROM json_each(?)
+      )
+    ) GROUP BY source_id
+  )
+)`;
 
 class AggregationEngine {
   constructor() {
@@ -39,8 +97,12 @@ class AggregationEngine {
       // Get time buckets from tracker configuration
       const timeBuckets = await this.getTrackerTimeBuckets(trackerId);
 
+      // Only aggregate target messages the LLM actually scored
+      const perMessage = llmResult.perMessage || {};
+      const scoredMessages = messages.filter(m => !m.isContext && perMessage[m.id]);
+
       // Group messages by source
-      const bySource = this.groupBySource(messages);
+      const bySource = this.groupBySource(scoredMessages);
 
       // Create source-level aggregates
       for (const [sourceId, sourceMessages] of Object.entries(bySource)) {
@@ -48,10 +110,11 @@ class AggregationEngine {
       }
 
       // Create tracker-level aggregates
-      await this.createTrackerAggregates(trackerId, messages, llmResult, timeBuckets);
+      await this.createTrackerAggregates(trackerId, scoredMessages, llmResult, timeBuckets);
 
       // Create user-level aggregates
-      await this.createUserAggregates(trackerId, llmResult.perUser);
+      const { perUser } = summarizeMessages(scoredMessages, perMessage);
+      await this.createUserAggregates(trackerId, perUser, scoredMessages);
 
       logger.info(`Aggregates created successfully for tracker ${trackerId}`);
 
@@ -78,56 +141,84 @@ class AggregationEngine {
   }
 
   /**
-   * Create source-level aggregates
+   * Group messages by time bucket, using each message's own timestamp
+   * Returns a Map keyed by bucket start (ISO string) so late-arriving
+   * messages land in the historical bucket they belong to
    */
-  async createSourceAggregates(sourceId, trackerId, messages, llmResult, timeBuckets) {
-    const now = new Date();
+  groupByTimeBucket(messages, bucket) {
+    const grouped = new Map();
+
+    for (const msg of messages) {
+      const { bucketStart, bucketEnd } = this.getTimeBucket(this.getMessageTime(msg), bucket);
+      const key = bucketStart.toISOString();
 
-    // Calculate per-source metrics (proportional to message count)
-    const sourceMessageCount = messages.length;
-    const totalMessageCount = llmResult.messageCount;
-    const proportion = sourceMessageCount / totalMessageCount;
+      if (!grouped.has(key)) {
+        grouped.set(key, { bucketStart, bucketEnd, messages: [] });
+      }
+      grouped.get(key).messages.push(msg);
+    }
+
+    return grouped;
+  }
 
-    const sourceSentiment = llmResult.sentimentScore * proportion;
-    const sourceAuthorCount = new Set(messages.map(m => m.author.id)).size;
+  /**
+   * Get event time for a message (falls back to now if missing/invalid)
+   */
+  getMessageTime(msg) {
+    const timestamp = new Date(msg.timestamp);
 
-    // Proportional tag counts
-    const sourceTagCounts = {};
-    for (const [tag, count] of Object.entries(llmResult.tagCounts)) {
-      sourceTagCounts[tag] = Math.round(count * proportion);
+    if (!msg.timestamp || isNaN(timestamp.getTime())) {
+      logger.warn(`Message ${msg.id} has no valid timestamp, bucketing by processing time`);
+      return new Date();
     }
 
-    // Create aggregates for each time bucket
+    return timestamp;
+  }
+
+  /**
+   * Create source-level aggregates
+   */
+  async createSourceAggregates(sourceId, trackerId, messages, llmResult, timeBuckets) {
+    // Create aggregates for each time bucket, grouped by message event time
     for (const bucket of timeBuckets) {
-      const { bucketStart, bucketEnd } = this.getTimeBucket(now, bucket);
+      const byBucket = this.groupByTimeBucket(messages, bucket);
 
-      await db.run(
-        `INSERT INTO source_aggregates (
-          source_id, tracker_id, bucket, bucket_start, bucket_end,
-          sentiment_score, message_count, author_count, tag_counts
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(source_id, bucket, bucket_start) DO UPDATE SET
-          sentiment_score = ((sentiment_score * message_count) + (? * ?)) / (message_count + ?),
-          message_count = message_count + ?,
-          author_count = MAX(author_count, ?),
-          tag_counts = json_patch(tag_counts, ?)`,
-        [
-          sourceId, trackerId, bucket,
-          bucketStart.toISOString(),
-          bucketEnd.toISOString(),
-          sourceSentiment,
-          sourceMessageCount,
-          sourceAuthorCount,
-          JSON.stringify(sourceTagCounts),
-          // Update params
-          sourceSentiment,
-          sourceMessageCount,
-          sourceMessageCount,
-          sourceMessageCount,
-          sourceAuthorCount,
-          JSON.stringify(sourceTagCounts)
-        ]
-      );
+      for (const { bucketStart, bucketEnd, messages: bucketMessages } of byBucket.values()) {
+        // Per-source metrics from the per-message scores in this bucket
+        const summary = summarizeMessages(bucketMessages, llmResult.perMessage);
+
+        await db.run(
+          `INSERT INTO source_aggregates (
+            source_id, tracker_id, bucket, bucket_start, bucket_end,
+            sentiment_score, sentiment_count, message_count, author_count, tag_counts
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(source_id, bucket, bucket_start) DO UPDATE SET
+            sentiment_score = ${mergeSentiment('sentiment_score')},
+            sentiment_count = sentiment_count + ?,
+            message_count = message_count + ?,
+            author_count = MAX(author_count, ?),
+            tag_counts = ${MERGE_TAG_COUNTS}`,
+          [
+            sourceId, trackerId, bucket,
+            bucketStart.toISOString(),
+            bucketEnd.toISOString(),
+            summary.sentimentScore,
+            summary.sentimentCount,
+            summary.messageCount,
+            summary.authorCount,
+            JSON.stringify(summary.tagCounts),
+            // Update params
+            summary.sentimentCount,
+            summary.sentimentScore,
+            summary.sentimentCount,
+            summary.sentimentCount,
+            summary.sentimentCount,
+            summary.messageCount,
+            summary.authorCount,
+            JSON.stringify(summary.tagCounts)
+          ]
+        );
+      }
     }
   }
 
@@ -135,144 +226,158 @@ class AggregationEngine {
    * Create tracker-level aggregates
    */
   async createTrackerAggregates(trackerId, messages, llmResult, timeBuckets) {
-    const now = new Date();
-
     // Get source weights
     const sourceWeights = await this.getSourceWeights(trackerId);
 
-    // Calculate weighted sentiment
-    const bySource = this.groupBySource(messages);
-    let weightedSentiment = 0;
-    let totalWeight = 0;
-
-    for (const [sourceId, sourceMessages] of Object.entries(bySource)) {
-      const weight = sourceWeights[sourceId] || 1.0;
-      const proportion = sourceMessages.length / messages.length;
-      weightedSentiment += llmResult.sentimentScore * proportion * weight;
-      totalWeight += weight * proportion;
-    }
-
-    const finalSentiment = totalWeight > 0 ? weightedSentiment / totalWeight : llmResult.sentimentScore;
-
-    // Build source contributions
-    const sourceContributions = [];
-    for (const [sourceId, sourceMessages] of Object.entries(bySource)) {
-      sourceContributions.push({
-        source_id: sourceId,
-        weight: sourceWeights[sourceId] || 1.0,
-        sentiment: llmResult.sentimentScore,
-        message_count: sourceMessages.length,
-        contribution: sourceMessages.length / messages.length
-      });
-    }
-
-    // Create aggregates for each time bucket
+    // Create aggregates for each time bucket, grouped by message event time
     for (const bucket of timeBuckets) {
-      const { bucketStart, bucketEnd } = this.getTimeBucket(now, bucket);
+      const byBucket = this.groupByTimeBucket(messages, bucket);
+
+      for (const { bucketStart, bucketEnd, messages: bucketMessages } of byBucket.values()) {
+        const summary = summarizeMessages(bucketMessages, llmResult.perMessage);
+
+        // Calculate weighted sentiment from real per-source sentiment
+        let weightedSentiment = 0;
+        let totalWeight = 0;
+        const sourceContributions = [];
+
+        for (const [sourceId, sourceMessages] of Object.entries(this.groupBySource(bucketMessages))) {
+          const weight = sourceWeights[sourceId] || 1.0;
+          const sourceSummary = summarizeMessages(sourceMessages, llmResult.perMessage);
+          const proportion = sourceSummary.messageCount / summary.messageCount;
+
+          // Sources whose messages were all excluded have no sentiment to weigh
+          if (sourceSummary.sentimentCount > 0) {
+            const sentimentShare = sourceSummary.sentimentCount / summary.sentimentCount;
+            weightedSentiment += sourceSummary.sentimentScore * sentimentShare * weight;
+            totalWeight += weight * sentimentShare;
+          }
+
+          sourceContributions.push({
+            source_id: sourceId,
+            weight: weight,
+            sentiment: sourceSummary.sentimentScore,
+            sentiment_count: sourceSummary.sentimentCount,
+            message_count: sourceSummary.messageCount,
+            contribution: proportion
+          });
+        }
 
-      await db.run(
-        `INSERT INTO tracker_aggregates (
-          tracker_id, bucket, bucket_start, bucket_end,
-          sentiment_score, message_count, author_count,
-          tag_counts, source_contributions
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON CONFLICT(tracker_id, bucket, bucket_start) DO UPDATE SET
-          sentiment_score = ((sentiment_score * message_count) + (? * ?)) / (message_count + ?),
-          message_count = message_count + ?,
-          author_count = MAX(author_count, ?),
-          tag_counts = json_patch(tag_counts, ?),
-          source_contributions = ?`,
-        [
-          trackerId, bucket,
-          bucketStart.toISOString(),
-          bucketEnd.toISOString(),
-          finalSentiment,
-          llmResult.messageCount,
-          llmResult.authorCount,
-          JSON.stringify(llmResult.tagCounts),
-          JSON.stringify(sourceContributions),
-          // Update params
-          finalSentiment,
-          llmResult.messageCount,
-          llmResult.messageCount,
-          llmResult.messageCount,
-          llmResult.authorCount,
-          JSON.stringify(llmResult.tagCounts),
-          JSON.stringify(sourceContributions)
-        ]
-      );
+        const finalSentiment = totalWeight > 0 ? weightedSentiment / totalWeight : summary.sentimentScore;
+
+        await db.run(
+          `INSERT INTO tracker_aggregates (
+            tracker_id, bucket, bucket_start, bucket_end,
+            sentiment_score, sentiment_count, message_count, author_count,
+            tag_counts, source_contributions
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(tracker_id, bucket, bucket_start) DO UPDATE SET
+            sentiment_score = ${mergeSentiment('sentiment_score')},
+            sentiment_count = sentiment_count + ?,
+            message_count = message_count + ?,
+            author_count = MAX(author_count, ?),
+            tag_counts = ${MERGE_TAG_COUNTS},
+            source_contributions = ${MERGE_SOURCE_CONTRIBUTIONS}`,
+          [
+            trackerId, bucket,
+            bucketStart.toISOString(),
+            bucketEnd.toISOString(),
+            finalSentiment,
+            summary.sentimentCount,
+            summary.messageCount,
+            summary.authorCount,
+            JSON.stringify(summary.tagCounts),
+            JSON.stringify(sourceContributions),
+            // Update params
+            summary.sentimentCount,
+            finalSentiment,
+            summary.sentimentCount,
+            summary.sentimentCount,
+            summary.sentimentCount,
+            summary.messageCount,
+            summary.authorCount,
+            JSON.stringify(summary.tagCounts),
+            JSON.stringify(sourceContributions)
+          ]
+        );
+      }
     }
   }
 
   /**
    * Create user-level aggregates
+   * Each user is merged with a single upsert, so concurrent batches of a
+   * tracker (tracker_concurrency > 1) can't overwrite each other's counts
    */
-  async createUserAggregates(trackerId, perUserResults) {
+  async createUserAggregates(trackerId, perUserResults, messages) {
+    const activity = this.getUserActivity(messages);
+
     for (const user of perUserResults) {
       const userId = user.user_id;
+      const now = new Date().toISOString();
+      const { first, last } = activity.get(userId) || { first: now, last: now };
 
       // Ensure user exists in users table first (to satisfy foreign key)
       await this.ensureUserExists(userId, user);
 
-      // Get existing aggregate or create new
-      const existing = await db.queryOne(
-        'SELECT * FROM user_aggregates WHERE user_id = ? AND tracker_id = ?',
-        [userId, trackerId]
+      await db.run(
+        `INSERT INTO user_aggregates (
+          user_id, tracker_id, total_messages, avg_sentiment, sentiment_count,
+          tag_counts, first_message_at, last_message_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, tracker_id) DO UPDATE SET
+          total_messages = total_messages + ?,
+          avg_sentiment = ROUND(${mergeSentiment('avg_sentiment')}),
+          sentiment_count = sentiment_count + ?,
+          tag_counts = ${MERGE_TAG_COUNTS},
+          first_message_at = MIN(first_message_at, ?),
+          last_message_at = MAX(last_message_at, ?),
+          updated_at = ?`,
+        [
+          userId,
+          trackerId,
+          user.message_count,
+          user.sentiment_avg,
+          user.sentiment_count,
+          JSON.stringify(user.tags),
+          first,
+          last,
+          // Update params
+          user.message_count,
+          user.sentiment_count,
+          user.sentiment_avg,
+          user.sentiment_count,
+          user.sentiment_count,
+          user.sentiment_count,
+          JSON.stringify(user.tags),
+          first,
+          last,
+          now
+        ]
       );
+    }
+  }
 
-      if (existing) {
-        // Update existing
-        const newTotalMessages = existing.total_messages + user.message_count;
-        const newAvgSentiment = Math.round(
-          ((existing.avg_sentiment * existing.total_messages) +
-           (user.sentiment_avg * user.message_count)) / newTotalMessages
-        );
-
-        // Merge tag counts
-        const existingTags = JSON.parse(existing.tag_counts);
-        const mergedTags = { ...existingTags };
-        for (const [tag, count] of Object.entries(user.tags)) {
-          mergedTags[tag] = (mergedTags[tag] || 0) + count;
-        }
+  /**
+   * Earliest and latest event time per author (platform:user_id)
+   */
+  getUserActivity(messages) {
+    const activity = new Map();
 
-        await db.run(
-          `UPDATE user_aggregates SET
-            total_messages = ?,
-            avg_sentiment = ?,
-            tag_counts = ?,
-            last_message_at = ?,
-            updated_at = ?
-          WHERE user_id = ? AND tracker_id = ?`,
-          [
-            newTotalMessages,
-            newAvgSentiment,
-            JSON.stringify(mergedTags),
-            new Date().toISOString(),
-            new Date().toISOString(),
-            userId,
-            trackerId
-          ]
-        );
+    for (const msg of messages) {
+      const userId = `${msg.platform}:${msg.author.id}`;
+      const time = this.getMessageTime(msg).toISOString();
+      const range = activity.get(userId);
 
+      if (!range) {
+        activity.set(userId, { first: time, last: time });
       } else {
-        // Insert new
-        await db.run(
-          `INSERT INTO user_aggregates (
-            user_id, tracker_id, total_messages, avg_sentiment,
-            tag_counts, first_message_at, last_message_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            userId,
-            trackerId,
-            user.message_count,
-            user.sentiment_avg,
-            JSON.stringify(user.tags),
-            new Date().toISOString(),
-            new Date().toISOString()
-          ]
-        );
+        if (time < range.first) range.first = time;
+        if (time > range.last) range.last = time;
       }
     }
+
+    return activity;
   }
 
   /**
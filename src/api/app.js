@@ -12,6 +12,7 @@ class ExpressApp {
     this.app = express();
     this.auth = null;
     this.batchProcessor = null;
+    this.connectorManager = null;
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -29,7 +30,11 @@ class ExpressApp {
    * Setup middleware
    */
   setupMiddleware() {
-    // Body parsing
+    // Body parsing (webhook deliveries and Slack events keep the raw body for signature checks)
+    this.app.use(['/api/ingest', '/api/slack'], express.json({
+      limit: '1mb',
+      verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
     this.app.use(express.json());
     this.app.use(express.urlencoded({ extended: true }));
 
@@ -74,8 +79,8 @@ class ExpressApp {
 
     // Apply auth middleware to all /api/* routes except /api/health
     this.app.use('/api/*', (req, res, next) => {
-      // Skip auth for health check only
-      if (req.path === '/health' || req.baseUrl === '/api/health') {
+      // Skip auth for health check, webhook deliveries (signed per source) and Slack events (signed by Slack)
+      if (req.path === '/health' || req.baseUrl === '/api/health' || req.originalUrl.startsWith('/api/ingest/') || req.originalUrl.startsWith('/api/slack/')) {
         return next();
       }
 
@@ -98,12 +103,16 @@ class ExpressApp {
     const dashboardRouter = require('./routes/dashboard');
     const usersRouter = require('./routes/users');
     const adminRouter = require('./routes/admin');
+    const ingestRouter = require('./routes/ingest');
+    const slackRouter = require('./routes/slack');
 
     this.app.use('/api/trackers', trackersRouter);
     this.app.use('/api/sources', sourcesRouter);
     this.app.use('/api/dashboard', dashboardRouter);
     this.app.use('/api/users', usersRouter);
     this.app.use('/api/admin', adminRouter);
+    this.app.use('/api/ingest', ingestRouter); // Signed per source instead of API keys
+    this.app.use('/api/slack', slackRouter); // Signed with the Slack app's signing secret
   }
 
   /**
@@ -128,6 +137,20 @@ class ExpressApp {
     return this.batchProcessor;
   }
 
+  /**
+   * Set connector manager instance
+   */
+  setConnectorManager(manager) {
+    this.connectorManager = manager;
+  }
+
+  /**
+   * Get connector manager instance
+   */
+  getConnectorManager() {
+    return this.connectorManager;
+  }
+
   /**
    * Setup error handling
    */
@@ -114,6 +114,7 @@ router.get('/stats', async (req, res) => {
       totalUsers,
       totalMessages,
       totalBatches,
+      pendingDeadLetters,
       dbSize
     ] = await Promise.all([
       db.queryOne('SELECT COUNT(*) as count FROM trackers'),
@@ -121,6 +122,7 @@ router.get('/stats', async (req, res) => {
       db.queryOne('SELECT COUNT(*) as count FROM users'),
       db.queryOne('SELECT SUM(message_count) as count FROM tracker_aggregates'),
       db.queryOne('SELECT COUNT(*) as count FROM llm_batch_log'),
+      db.queryOne('SELECT COUNT(*) as count FROM dead_letters WHERE redriven_at IS NULL'),
       db.queryOne("SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()")
     ]);
 
@@ -128,11 +130,16 @@ router.get('/stats', async (req, res) => {
     const expressApp = require('../app');
     const batchProcessor = expressApp.getBatchProcessor();
     let queueStats = null;
+    let cacheStats = null;
 
     if (batchProcessor) {
       queueStats = batchProcessor.getQueueStats();
+      cacheStats = await batchProcessor.resultCache.getStats();
     }
 
+    const budgetManager = require('../../llm/BudgetManager');
+    const budgets = await budgetManager.getAllStatuses();
+
     res.json({
       timestamp: new Date().toISOString(),
       database: {
@@ -141,10 +148,13 @@ router.get('/stats', async (req, res) => {
         users: totalUsers.count,
         total_messages_processed: totalMessages.count || 0,
         total_batches: totalBatches.count,
+        pending_dead_letters: pendingDeadLetters.count,
         size_bytes: dbSize.size,
         size_mb: (dbSize.size / 1024 / 1024).toFixed(2)
       },
       queue: queueStats,
+      budgets,
+      cache: cacheStats,
       uptime_seconds: process.uptime(),
       memory_usage: process.memoryUsage()
     });
@@ -164,10 +174,10 @@ router.post('/cleanup', async (req, res) => {
     const db = require('../../db');
     const { target } = req.body;
 
-    if (!target || !['debug_traces', 'old_batches', 'all'].includes(target)) {
+    if (!target || !['debug_traces', 'old_batches', 'messages', 'all'].includes(target)) {
       return res.status(400).json({
         error: 'BadRequest',
-        message: 'target must be one of: debug_traces, old_batches, all'
+        message: 'target must be one of: debug_traces, old_batches, messages, all'
       });
     }
 
@@ -211,6 +221,28 @@ router.post('/cleanup', async (req, res) => {
       };
     }
 
+    if (target === 'messages' || target === 'all') {
+      // Clean old raw messages (from TOML with fallback, 0 = keep forever)
+      const retentionDays = retention.messages_days ?? 30;
+      let deleted = 0;
+
+      if (retentionDays > 0) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+        const result = await db.run(
+          'DELETE FROM messages WHERE timestamp < ?',
+          [cutoffDate.toISOString()]
+        );
+        deleted = result.changes;
+      }
+
+      results.messages = {
+        deleted,
+        retention_days: retentionDays
+      };
+    }
+
     logger.info(`Cleanup completed: ${JSON.stringify(results)}`);
 
     res.json({
@@ -225,4 +257,387 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
+/**
+ * Sum cost rows into a single totals object
+ */
+function sumCosts(rows) {
+  const totals = {
+    cost_usd: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    batches: 0,
+    failed_batches: 0,
+    unpriced_batches: 0,
+    shadow_requests: 0,
+    shadow_cost_usd: 0
+  };
+
+  for (const row of rows) {
+    totals.cost_usd += row.cost_usd || 0;
+    totals.prompt_tokens += row.prompt_tokens || 0;
+    totals.completion_tokens += row.completion_tokens || 0;
+    totals.batches += row.batches;
+    totals.failed_batches += row.failed_batches;
+    totals.unpriced_batches += row.unpriced_batches;
+    totals.shadow_requests += row.shadow_requests;
+    totals.shadow_cost_usd += row.shadow_cost_usd || 0;
+  }
+
+  totals.cost_usd = Math.round(totals.cost_usd * 1000000) / 1000000;
+  totals.shadow_cost_usd = Math.round(totals.shadow_cost_usd * 1000000) / 1000000;
+  return totals;
+}
+
+/**
+ * Group cost rows by the given keys and sum each group
+ */
+function groupCosts(rows, keys) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const groupKey = keys.map(key => row[key]).join('\u0000');
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { key: Object.fromEntries(keys.map(key => [key, row[key]])), rows: [] });
+    }
+    groups.get(groupKey).rows.push(row);
+  }
+
+  return [...groups.values()]
+    .map(group => ({ ...group.key, ...sumCosts(group.rows) }))
+    .sort((a, b) => b.cost_usd - a.cost_usd);
+}
+
+/**
+ * GET /api/admin/costs
+ * LLM spend broken down by tracker, model and day (admin only)
+ * Counts the same spend as tracker budgets: failed batches (their tokens
+ * when the provider answered) and shadow model requests included.
+ */
+router.get('/costs', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'from and to must be valid ISO 8601 dates'
+      });
+    }
+
+    const params = [from.toISOString(), to.toISOString()];
+    let trackerFilter = '';
+
+    if (req.query.tracker_id) {
+      trackerFilter = 'AND tracker_id = ?';
+      params.push(req.query.tracker_id);
+    }
+
+    const rows = await db.query(
+      `SELECT date(spent_at) as day, tracker_id, provider, model,
+              SUM(cost_usd) as cost_usd,
+              SUM(prompt_tokens) as prompt_tokens,
+              SUM(completion_tokens) as completion_tokens,
+              SUM(CASE WHEN kind = 'batch' THEN 1 ELSE 0 END) as batches,
+              SUM(CASE WHEN kind = 'batch' AND success = 0 THEN 1 ELSE 0 END) as failed_batches,
+              SUM(CASE WHEN kind = 'batch' AND cost_usd IS NULL AND COALESCE(prompt_tokens, 0) + COALESCE(completion_tokens, 0) > 0 THEN 1 ELSE 0 END) as unpriced_batches,
+              SUM(CASE WHEN kind = 'shadow' THEN 1 ELSE 0 END) as shadow_requests,
+              SUM(CASE WHEN kind = 'shadow' THEN cost_usd END) as shadow_cost_usd
+       FROM (
+         SELECT 'batch' as kind, batch_timestamp as spent_at, tracker_id, provider, model, success,
+                cost_usd, prompt_tokens, completion_tokens
+         FROM llm_batch_log
+         UNION ALL
+         SELECT 'shadow', created_at, tracker_id, shadow_provider, shadow_model, success,
+                cost_usd, prompt_tokens, completion_tokens
+         FROM shadow_comparisons
+       )
+       WHERE datetime(spent_at) >= datetime(?)
+         AND datetime(spent_at) <= datetime(?)
+         ${trackerFilter}
+       GROUP BY day, tracker_id, provider, model
+       ORDER BY day ASC, tracker_id ASC`,
+      params
+    );
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      total: sumCosts(rows),
+      by_tracker: groupCosts(rows, ['tracker_id']),
+      by_model: groupCosts(rows, ['provider', 'model']),
+      by_day: groupCosts(rows, ['day']).sort((a, b) => a.day.localeCompare(b.day)),
+      breakdown: rows.map(row => ({
+        ...row,
+        cost_usd: row.cost_usd === null ? null : Math.round(row.cost_usd * 1000000) / 1000000,
+        shadow_cost_usd: row.shadow_cost_usd === null ? null : Math.round(row.shadow_cost_usd * 1000000) / 1000000
+      }))
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching costs: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/shadow
+ * Agreement between trackers' primary and shadow models (admin only)
+ */
+router.get('/shadow', async (req, res) => {
+  try {
+    const ShadowComparator = require('../../llm/ShadowComparator');
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'from and to must be valid ISO 8601 dates'
+      });
+    }
+
+    const filter = { from, to, trackerId: req.query.tracker_id || null };
+    const [comparisons, recent] = await Promise.all([
+      ShadowComparator.getAgreement(filter),
+      ShadowComparator.getRecent(filter)
+    ]);
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      comparisons,
+      recent: recent.map(row => ({ ...row, success: Boolean(row.success) }))
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching shadow comparisons: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/shadow/:id
+ * A shadow comparison with its per-message results (admin only)
+ */
+router.get('/shadow/:id', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const row = await db.queryOne('SELECT * FROM shadow_comparisons WHERE id = ?', [req.params.id]);
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Shadow comparison ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      ...row,
+      success: Boolean(row.success),
+      per_message: row.per_message ? JSON.parse(row.per_message) : []
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching shadow comparison: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * Format a dead letter row for API responses
+ */
+function formatDeadLetter(row, includeMessages = false) {
+  const deadLetter = {
+    id: row.id,
+    tracker_id: row.tracker_id,
+    batch_id: row.batch_id,
+    message_count: row.message_count,
+    source_ids: JSON.parse(row.source_ids),
+    error_message: row.error_message,
+    retry_count: row.retry_count,
+    failed_at: row.failed_at,
+    redriven_at: row.redriven_at
+  };
+
+  if (includeMessages) {
+    deadLetter.messages = JSON.parse(row.messages);
+  }
+
+  return deadLetter;
+}
+
+/**
+ * GET /api/admin/dead-letters
+ * List batches that failed after all retries (admin only)
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const { tracker_id, status = 'pending' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (!['pending', 'redriven', 'all'].includes(status)) {
+      return res.status(400).json({
+        error: 'BadRequest',
+        message: 'status must be one of: pending, redriven, all'
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (tracker_id) {
+      conditions.push('tracker_id = ?');
+      params.push(tracker_id);
+    }
+
+    if (status === 'pending') {
+      conditions.push('redriven_at IS NULL');
+    } else if (status === 'redriven') {
+      conditions.push('redriven_at IS NOT NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, total] = await Promise.all([
+      db.query(
+        `SELECT * FROM dead_letters ${where} ORDER BY failed_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      ),
+      db.queryOne(`SELECT COUNT(*) as count FROM dead_letters ${where}`, params)
+    ]);
+
+    res.json({
+      dead_letters: rows.map(row => formatDeadLetter(row)),
+      total: total.count,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching dead letters: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/dead-letters/:id
+ * Get a dead letter including its messages (admin only)
+ */
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const row = await db.queryOne('SELECT * FROM dead_letters WHERE id = ?', [req.params.id]);
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Dead letter ${req.params.id} not found`
+      });
+    }
+
+    res.json(formatDeadLetter(row, true));
+
+  } catch (error) {
+    logger.error(`Error fetching dead letter: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/dead-letters/:id/redrive
+ * Re-queue a dead letter's messages for LLM processing (admin only)
+ */
+router.post('/dead-letters/:id/redrive', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const expressApp = require('../app');
+    const batchProcessor = expressApp.getBatchProcessor();
+
+    if (!batchProcessor) {
+      return res.status(503).json({
+        error: 'ServiceUnavailable',
+        message: 'Batch processor is not running'
+      });
+    }
+
+    const row = await db.queryOne('SELECT * FROM dead_letters WHERE id = ?', [req.params.id]);
+
+    if (!row) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Dead letter ${req.params.id} not found`
+      });
+    }
+
+    // Claim the row before queueing so concurrent re-drives cannot both queue it
+    const redrivenAt = new Date().toISOString();
+    const claim = await db.run(
+      'UPDATE dead_letters SET redriven_at = ? WHERE id = ? AND redriven_at IS NULL',
+      [redrivenAt, row.id]
+    );
+
+    if (claim.changes === 0) {
+      const current = await db.queryOne('SELECT redriven_at FROM dead_letters WHERE id = ?', [row.id]);
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Dead letter ${row.id} was already re-driven at ${current?.redriven_at ?? row.redriven_at}`
+      });
+    }
+
+    const messages = JSON.parse(row.messages);
+    try {
+      await batchProcessor.queueMessages(messages);
+    } catch (error) {
+      // Release the claim so the dead letter can be re-driven again
+      await db.run('UPDATE dead_letters SET redriven_at = NULL WHERE id = ? AND redriven_at = ?', [row.id, redrivenAt]);
+      throw error;
+    }
+
+    logger.info(`Re-drove dead letter ${row.id} (${messages.length} messages) for tracker ${row.tracker_id}`);
+
+    res.json({
+      message: 'Dead letter re-queued for processing',
+      id: row.id,
+      tracker_id: row.tracker_id,
+      requeued: messages.length,
+      redriven_at: redrivenAt
+    });
+
+  } catch (error) {
+    logger.error(`Error re-driving dead letter: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/dead-letters/:id
+ * Discard a dead letter (admin only)
+ */
+router.delete('/dead-letters/:id', async (req, res) => {
+  try {
+    const db = require('../../db');
+    const result = await db.run('DELETE FROM dead_letters WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'NotFound',
+        message: `Dead letter ${req.params.id} not found`
+      });
+    }
+
+    res.json({
+      message: 'Dead letter deleted',
+      id: parseInt(req.params.id)
+    });
+
+  } catch (error) {
+    logger.error(`Error deleting dead letter: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
 module.exports = router;
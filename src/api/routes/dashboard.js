@@ -61,14 +61,18 @@ router.get('/', async (req, res) => {
     // Get recent batch logs (last 20 processed batches)
     const recentBatches = await db.query(
       `SELECT tracker_id, message_count, batch_timestamp,
-              processing_time_ms, success
+              processing_time_ms, success, provider, model, fallback_from, cache_hits
        FROM llm_batch_log
        ORDER BY batch_timestamp DESC
        LIMIT 20`
     );
 
+    // LLM budget status of trackers with [trackers.budget]
+    const budgetManager = require('../../llm/BudgetManager');
+    const budgets = await budgetManager.getAllStatuses();
+
     // All available platforms
-    const allPlatforms = ['telegram', 'discord', 'twitter'];
+    const { PLATFORMS: allPlatforms } = require('../../connectors/ConnectorManager');
 
     // Map existing sources by platform
     const sourcesByPlatform = {};
@@ -114,6 +118,7 @@ router.get('/', async (req, res) => {
         messages_today: totalMessagesToday
       },
       queue: queueStats,
+      budgets,
       sentiment: latestSentiment ? {
         score: latestSentiment.sentiment_score,
         message_count: latestSentiment.message_count,
@@ -127,7 +132,11 @@ router.get('/', async (req, res) => {
         message_count: batch.message_count,
         processed_at: batch.batch_timestamp,
         processing_time_ms: batch.processing_time_ms,
-        success: Boolean(batch.success)
+        success: Boolean(batch.success),
+        provider: batch.provider,
+        model: batch.model,
+        fallback_from: batch.fallback_from,
+        cache_hits: batch.cache_hits || 0
       }))
     });
 
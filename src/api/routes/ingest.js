@@ -0,0 +1,54 @@
+/**
+ * Webhook Ingest API Routes
+ * Deliveries are authenticated by the source's HMAC signature, not API keys
+ */
+const express = require('express');
+const router = express.Router();
+const logger = require('../../utils/logger');
+
+/**
+ * POST /api/ingest/:sourceId
+ * Push one message or { messages: [...] } to a webhook source
+ */
+router.post('/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const expressApp = require('../app');
+    const connector = expressApp.getConnectorManager()?.getConnector(sourceId);
+
+    if (!connector || connector.source.platform !== 'webhook') {
+      return res.status(404).json({ error: 'NotFound', message: 'Webhook source not found or not active' });
+    }
+
+    if (!req.rawBody) {
+      return res.status(415).json({ error: 'UnsupportedMediaType', message: 'Body must be JSON (Content-Type: application/json)' });
+    }
+
+    const signatureError = connector.checkSignature(req.rawBody, req.get('X-Salt-Timestamp'), req.get('X-Salt-Signature'));
+    if (signatureError) {
+      logger.warn(`Rejected webhook delivery for ${sourceId}: ${signatureError}`);
+      return res.status(401).json({ error: 'Unauthorized', message: signatureError });
+    }
+
+    let messages;
+    try {
+      messages = connector.parseDelivery(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'BadRequest', message: error.message });
+    }
+
+    const batchProcessor = expressApp.getBatchProcessor();
+    if (!batchProcessor) {
+      return res.status(503).json({ error: 'ServiceUnavailable', message: 'Batch processor is not running' });
+    }
+
+    const { status, result } = await connector.ingest(messages, batchProcessor, req.get('Idempotency-Key') || null);
+    res.status(status).json(result);
+
+  } catch (error) {
+    logger.error(`Error ingesting webhook delivery: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+module.exports = router;
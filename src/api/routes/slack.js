@@ -0,0 +1,81 @@
+/**
+ * Slack Events API Routes
+ * Requests are authenticated by Slack's signature, not API keys
+ */
+const express = require('express');
+const router = express.Router();
+const configLoader = require('../../config/loader');
+const SlackConnector = require('../../connectors/SlackConnector');
+const logger = require('../../utils/logger');
+
+/**
+ * POST /api/slack/events
+ * Events API request URL of the Slack app; events are passed to every
+ * active Slack source, which keep those of their channel, and acknowledged
+ * once their messages are in the durable queue
+ */
+router.post('/events', async (req, res) => {
+  try {
+    const expressApp = require('../app');
+    const connectors = expressApp.getConnectorManager()?.getConnectorsByPlatform('slack') || [];
+
+    if (connectors.length === 0) {
+      return res.status(404).json({ error: 'NotFound', message: 'No active Slack sources' });
+    }
+
+    if (!req.rawBody) {
+      return res.status(415).json({ error: 'UnsupportedMediaType', message: 'Body must be JSON (Content-Type: application/json)' });
+    }
+
+    const signatureError = SlackConnector.checkSignature(
+      configLoader.getConfig().env.slack.signingSecret,
+      req.rawBody,
+      req.get('X-Slack-Request-Timestamp'),
+      req.get('X-Slack-Signature')
+    );
+    if (signatureError) {
+      logger.warn(`Rejected Slack event: ${signatureError}`);
+      return res.status(401).json({ error: 'Unauthorized', message: signatureError });
+    }
+
+    const { type, challenge, event } = req.body || {};
+
+    // Sent once when the request URL is saved in the app settings
+    if (type === 'url_verification') {
+      return res.json({ challenge });
+    }
+
+    if (type !== 'event_callback' || !event) {
+      return res.status(400).json({ error: 'BadRequest', message: `Unsupported request type: ${type}` });
+    }
+
+    const batchProcessor = expressApp.getBatchProcessor();
+    if (!batchProcessor) {
+      return res.status(503).json({ error: 'ServiceUnavailable', message: 'Batch processor is not running' });
+    }
+
+    // Slack retries events that aren't acknowledged within 3 seconds
+    const results = await Promise.allSettled(connectors.map(connector => connector.handleEvent(event, batchProcessor)));
+    let failure = null;
+
+    for (const [index, result] of results.entries()) {
+      if (result.status === 'rejected') {
+        logger.error(`Error handling Slack event for ${connectors[index].source.id}: ${result.reason.message}`);
+        failure = result.reason;
+      }
+    }
+
+    if (failure) {
+      // Sources that did persist the message skip Slack's retry as a duplicate
+      return res.status(500).json({ error: 'InternalServerError', message: failure.message });
+    }
+
+    res.json({ ok: true });
+
+  } catch (error) {
+    logger.error(`Error handling Slack event: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -224,6 +224,87 @@ router.get('/:trackerId/timeseries', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/trackers/:trackerId/messages
+ * Get stored raw messages with their per-message LLM results
+ */
+router.get('/:trackerId/messages', async (req, res) => {
+  try {
+    const { trackerId } = req.params;
+    const { from, to, source_id, author, tag, limit, offset } = req.query;
+
+    let where = 'WHERE tracker_id = ?';
+    const params = [trackerId];
+
+    // Time range filters (message event time)
+    if (from) {
+      where += ' AND timestamp >= ?';
+      params.push(from);
+    }
+    if (to) {
+      where += ' AND timestamp <= ?';
+      params.push(to);
+    }
+
+    // Source filter
+    if (source_id) {
+      where += ' AND source_id = ?';
+      params.push(source_id);
+    }
+
+    // Author filter (platform:user_id or username)
+    if (author) {
+      where += ' AND (author_id = ? OR author_username = ?)';
+      params.push(author, author);
+    }
+
+    // Tag filter (messages with this tag)
+    if (tag) {
+      where += ' AND EXISTS (SELECT 1 FROM json_each(messages.tags) WHERE json_each.value = ?)';
+      params.push(tag);
+    }
+
+    // Pagination
+    const limitValue = Math.min(parseInt(limit) || 100, 1000);
+    const offsetValue = parseInt(offset) || 0;
+
+    const [messages, total] = await Promise.all([
+      db.query(
+        `SELECT * FROM messages ${where} ORDER BY timestamp DESC LIMIT ? OFFSET ?`,
+        [...params, limitValue, offsetValue]
+      ),
+      db.queryOne(`SELECT COUNT(*) as count FROM messages ${where}`, params)
+    ]);
+
+    res.json({
+      tracker_id: trackerId,
+      messages: messages.map(msg => ({
+        id: msg.message_id,
+        source_id: msg.source_id,
+        platform: msg.platform,
+        author: {
+          id: msg.author_id,
+          username: msg.author_username
+        },
+        text: msg.text,
+        timestamp: msg.timestamp,
+        metadata: JSON.parse(msg.metadata || '{}'),
+        sentiment: msg.sentiment_score,
+        tags: msg.tags ? JSON.parse(msg.tags) : null,
+        excluded_from_sentiment: msg.excluded_from_sentiment === null ? null : Boolean(msg.excluded_from_sentiment),
+        batch_id: msg.batch_id
+      })),
+      total: total.count,
+      limit: limitValue,
+      offset: offsetValue
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching tracker messages: ${error.message}`);
+    res.status(500).json({ error: 'InternalServerError', message: error.message });
+  }
+});
+
 /**
  * DELETE /api/trackers/:trackerId/statistics
  * Delete all statistics for a tracker (admin only)
@@ -168,7 +168,42 @@ time_buckets = ["1min", "5min", "1hour", "1day", "7day"]
 [llm]
 batch_size = 30
 batch_timeout_seconds = 60
-max_context_messages = 5
+max_context_messages = 5    # Preceding chat messages sent as context (see [llm.context] in docs)
+max_retries = 3             # Retries before a failed batch is dead-lettered
+retry_delay_seconds = 60    # Base retry delay, doubled on each attempt
+max_concurrency = 4         # Batches analyzed at the same time
+tracker_concurrency = 1     # Batches analyzed at the same time per tracker
+max_prompt_tokens = 8000    # Estimated prompt tokens per batch (batches are packed by tokens)
+max_output_tokens = 2000    # Completion limit per request
+default_provider = "openrouter"  # Built-in provider, configured via OPENROUTER_* in .env
+fallback_provider = "lexicon"    # Built-in offline analyzer, used when the provider fails
+
+# Additional LLM providers (select per tracker with provider = "<name>")
+# [llm.providers.local]
+# type = "ollama"                 # openrouter | openai | anthropic | ollama | lexicon
+# base_url = "http://localhost:11434"
+# model = "llama3.1:8b"
+#
+# [llm.providers.claude]
+# type = "anthropic"
+# model = "claude-3-5-haiku-latest"
+# api_key_env = "ANTHROPIC_API_KEY"
+
+# Model prices in USD per million tokens, used for cost accounting when the
+# provider doesn't report cost itself (OpenRouter does)
+# [llm.pricing."claude-3-5-haiku-latest"]
+# prompt_per_million = 0.80
+# completion_per_million = 4.00
+#
+# [llm.pricing."llama3.1:8b"]
+# prompt_per_million = 0
+# completion_per_million = 0
+
+# Reuse results for repeated message texts (raids, copypasta, bot spam)
+# [llm.cache]
+# enabled = true
+# ttl_hours = 72
+# near_duplicates = false    # Also match near-identical texts (MinHash)
 
 # ============================================================
 # TRACKERS - Define your monitoring targets here
@@ -203,8 +238,36 @@ enabled_tags = [
     "promotion", "shilling", "advertising"
 ]
 # excluded_from_sentiment inherits from [default_settings] above
+# provider = "local"   # LLM provider from [llm.providers] (default: [llm] default_provider)
+# model = "llama3.1:8b"  # Override the provider's model for this tracker
 time_buckets = ["1min", "5min", "1hour", "1day"]
 
+# Optional custom prompt for this tracker (see docs/CONFIGURATION.md)
+# [trackers.prompt]
+# version = "example-v1"
+# system = "You analyze sentiment in a crypto community chat."
+# template = """
+# Analyze these messages. Allowed tags: {{enabled_tags}}
+# Excluded from sentiment: {{excluded_tags}}
+# Context (do not score): {{context_messages}}
+# Score these: {{target_messages}}
+# """
+#
+# [trackers.prompt.glossary]
+# wagmi = "we're all gonna make it (optimistic)"
+
+# Optional LLM spend limits for this tracker (UTC day/month)
+# [trackers.budget]
+# daily_usd = 2.00
+# monthly_tokens = 50000000
+# on_exhausted = "offline"   # sample | downgrade | offline | pause
+
+# Optional shadow model: score a sample of batches with a candidate model
+# for comparison (GET /api/admin/shadow), without affecting results
+# [trackers.shadow]
+# provider = "local"
+# sample_rate = 0.1
+
 # ============================================================
 # SOURCES - Define platform connections here
 # ============================================================
@@ -244,6 +307,106 @@ time_buckets = ["1min", "5min", "1hour", "1day"]
 # server_id = "123456789012345678"
 # channel_id = "987654321098765432"
 
+# Example Slack source (needs SLACK_BOT_TOKEN and SLACK_SIGNING_SECRET;
+# point the Slack app's Events API request URL at /api/slack/events)
+# [[sources]]
+# id = "slack-example"
+# tracker_id = "example-tracker"
+# platform = "slack"
+# target = "workspace:MyCompany/channel:community"
+# weight = 0.8
+# paused = false
+#
+# [sources.config]
+# channel_id = "C0123456789"
+
+# Example Reddit source (subreddit posts and comments)
+# [[sources]]
+# id = "reddit-example"
+# tracker_id = "example-tracker"
+# platform = "reddit"
+# target = "r/example"           # Or "r/example/comments/<thread id>"
+# weight = 0.7
+# paused = false
+#
+# [sources.config]
+# poll_interval = 60
+
+# Example Mastodon source (hashtag, list or account; needs MASTODON_INSTANCE)
+# [[sources]]
+# id = "mastodon-example"
+# tracker_id = "example-tracker"
+# platform = "mastodon"
+# target = "#example"            # Or "list:<list id>", "@user" or "@user@instance"
+# weight = 0.6
+# paused = false
+#
+# [sources.config]
+# poll_interval = 60             # Polling and stream fallback
+
+# Example YouTube source (video comments; needs YOUTUBE_API_KEY)
+# [[sources]]
+# id = "youtube-example"
+# tracker_id = "example-tracker"
+# platform = "youtube"
+# target = "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
+# weight = 0.5
+# paused = false
+#
+# [sources.config]
+# poll_interval = 300
+
+# Example GitHub source (issues, comments and discussions)
+# [[sources]]
+# id = "github-example"
+# tracker_id = "example-tracker"
+# platform = "github"
+# target = "my-org/my-app"
+# weight = 0.6
+# paused = false
+#
+# [sources.config]
+# poll_interval = 300            # Discussions need GITHUB_TOKEN
+
+# Example RSS/Atom source (blog, forum or news feeds)
+# [[sources]]
+# id = "rss-example"
+# tracker_id = "example-tracker"
+# platform = "rss"
+# target = "https://blog.example.com/feed.xml"
+# weight = 0.5
+# paused = false
+#
+# [sources.config]
+# urls = ["https://forum.example.com/latest.rss"]  # More feeds for the same source
+# poll_interval = 300
+# max_age_hours = 72             # Entries older than this are skipped on first poll
+
+# Example webhook source (messages pushed to POST /api/ingest/webhook-example)
+# [[sources]]
+# id = "webhook-example"
+# tracker_id = "example-tracker"
+# platform = "webhook"
+# target = "support desk tickets"
+# weight = 0.5
+# paused = false
+#
+# [sources.config]
+# secret_env = "WEBHOOK_EXAMPLE_SECRET"  # .env variable holding the signing secret
+
+# Example file replay source (historical export, replayed once)
+# [[sources]]
+# id = "file-example"
+# tracker_id = "example-tracker"
+# platform = "file"
+# target = "./exports/result.json"   # Telegram Desktop export; also jsonl, csv, discord
+# weight = 0.5
+# paused = false
+#
+# [sources.config]
+# messages_per_second = 50           # 0 = unthrottled
+# # mapping = { id = "id", text = "text", author_id = "user_id", timestamp = "created_at" }  # JSONL/CSV
+
 # ============================================================
 # OPERATIONAL SETTINGS
 # ============================================================
@@ -262,6 +425,8 @@ retry_max_attempts = 5
 [retention]
 debug_traces_days = 30
 llm_batch_logs_days = 90
+messages_days = 30             # Raw messages kept for auditing (0 = infinite)
+webhook_deliveries_days = 7    # Webhook idempotency keys (0 = infinite)
 aggregates_retention_days = 0  # 0 = infinite
 
 # Per-bucket retention (in days, 0 = infinite)
@@ -8,6 +8,11 @@ const toml = require('@iarna/toml');
 require('dotenv').config();
 
 const logger = require('../utils/logger');
+const { validatePromptConfig } = require('../llm/promptTemplate');
+const budgetManager = require('../llm/BudgetManager');
+const ContextAssembler = require('../llm/ContextAssembler');
+const ResultCache = require('../llm/ResultCache');
+const ShadowComparator = require('../llm/ShadowComparator');
 
 class ConfigLoader {
   constructor() {
@@ -65,6 +70,25 @@ class ConfigLoader {
         accessSecret: process.env.TWITTER_ACCESS_SECRET,
         bearerToken: process.env.TWITTER_BEARER_TOKEN
       },
+      reddit: {
+        clientId: process.env.REDDIT_CLIENT_ID,
+        clientSecret: process.env.REDDIT_CLIENT_SECRET,
+        userAgent: process.env.REDDIT_USER_AGENT || 'salt-index/1.0'
+      },
+      slack: {
+        botToken: process.env.SLACK_BOT_TOKEN,
+        signingSecret: process.env.SLACK_SIGNING_SECRET
+      },
+      mastodon: {
+        instance: process.env.MASTODON_INSTANCE,
+        accessToken: process.env.MASTODON_ACCESS_TOKEN
+      },
+      youtube: {
+        apiKey: process.env.YOUTUBE_API_KEY
+      },
+      github: {
+        token: process.env.GITHUB_TOKEN
+      },
       database: {
         path: process.env.DATABASE_PATH || './data/salt_index.db'
       },
@@ -136,6 +160,38 @@ class ConfigLoader {
         }
         trackerIds.add(tracker.id);
 
+        // Validate prompt template
+        if (tracker.prompt !== undefined) {
+          const promptErrors = validatePromptConfig(tracker.prompt);
+          if (promptErrors.length > 0) {
+            throw new Error(`Invalid prompt for tracker ${tracker.id}: ${promptErrors.join('; ')}`);
+          }
+        }
+
+        // Validate budget
+        if (tracker.budget !== undefined) {
+          const budgetErrors = budgetManager.validateConfig(tracker.budget);
+          if (budgetErrors.length > 0) {
+            throw new Error(`Invalid budget for tracker ${tracker.id}: ${budgetErrors.join('; ')}`);
+          }
+        }
+
+        // Validate context window
+        if (tracker.context !== undefined) {
+          const contextErrors = ContextAssembler.validateConfig(tracker.context);
+          if (contextErrors.length > 0) {
+            throw new Error(`Invalid context for tracker ${tracker.id}: ${contextErrors.join('; ')}`);
+          }
+        }
+
+        // Validate shadow model
+        if (tracker.shadow !== undefined) {
+          const shadowErrors = ShadowComparator.validateConfig(tracker.shadow);
+          if (shadowErrors.length > 0) {
+            throw new Error(`Invalid shadow for tracker ${tracker.id}: ${shadowErrors.join('; ')}`);
+          }
+        }
+
         // Validate weights
         if (tracker.sources) {
           for (const source of tracker.sources) {
@@ -147,6 +203,56 @@ class ConfigLoader {
       }
     }
 
+    // Validate source platforms (previously a CHECK constraint on sources)
+    if (this.tomlConfig && this.tomlConfig.sources) {
+      const { PLATFORMS } = require('../connectors/ConnectorManager');
+      for (const source of this.tomlConfig.sources) {
+        if (!PLATFORMS.includes(source.platform)) {
+          throw new Error(`Invalid platform for source ${source.id}: ${source.platform} (expected one of: ${PLATFORMS.join(', ')})`);
+        }
+      }
+    }
+
+    // Validate worker pool limits
+    for (const key of ['max_concurrency', 'tracker_concurrency']) {
+      const value = this.tomlConfig?.llm?.[key];
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`Invalid [llm] ${key}: must be a positive integer`);
+      }
+    }
+
+    // Validate default context window
+    if (this.tomlConfig?.llm?.context !== undefined) {
+      const contextErrors = ContextAssembler.validateConfig(this.tomlConfig.llm.context);
+      if (contextErrors.length > 0) {
+        throw new Error(`Invalid [llm.context]: ${contextErrors.join('; ')}`);
+      }
+    }
+
+    // Validate result cache
+    if (this.tomlConfig?.llm?.cache !== undefined) {
+      const cacheErrors = ResultCache.validateConfig(this.tomlConfig.llm.cache);
+      if (cacheErrors.length > 0) {
+        throw new Error(`Invalid [llm.cache]: ${cacheErrors.join('; ')}`);
+      }
+    }
+
+    // Validate model pricing (USD per million tokens)
+    const pricing = this.tomlConfig?.llm?.pricing || {};
+    for (const [model, price] of Object.entries(pricing)) {
+      for (const key of ['prompt_per_million', 'completion_per_million']) {
+        if (typeof price[key] !== 'number' || price[key] < 0) {
+          throw new Error(`Invalid pricing for model ${model}: ${key} must be a non-negative number`);
+        }
+      }
+    }
+
+    // Validate LLM providers
+    if (this.tomlConfig) {
+      const ProviderManager = require('../llm/ProviderManager');
+      ProviderManager.validateConfig(this.getConfig());
+    }
+
     logger.info('Configuration validation passed');
   }
 }
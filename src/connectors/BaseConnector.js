@@ -4,6 +4,9 @@
  */
 const logger = require('../utils/logger');
 
+const MAX_SEEN_IDS = 10000; // Recent message IDs kept for deduplication
+const MAX_KNOWN_TEXTS = 1000; // Recent texts kept for reply context
+
 class BaseConnector {
   constructor(source, config) {
     this.source = source;
@@ -124,6 +127,31 @@ class BaseConnector {
   isDuplicate(messageId, seenMessages) {
     return seenMessages.has(messageId);
   }
+
+  /**
+   * Add a message ID to the connector's seenMessages set, dropping the
+   * oldest beyond MAX_SEEN_IDS
+   */
+  rememberSeen(id) {
+    this.seenMessages.add(id);
+
+    if (this.seenMessages.size > MAX_SEEN_IDS) {
+      this.seenMessages.delete(this.seenMessages.values().next().value);
+    }
+  }
+
+  /**
+   * Keep a message's text and author in the connector's knownTexts map for
+   * reply context, dropping the least recently added beyond MAX_KNOWN_TEXTS
+   */
+  rememberText(id, entry) {
+    this.knownTexts.delete(id);
+    this.knownTexts.set(id, entry);
+
+    if (this.knownTexts.size > MAX_KNOWN_TEXTS) {
+      this.knownTexts.delete(this.knownTexts.keys().next().value);
+    }
+  }
 }
 
 module.exports = BaseConnector;
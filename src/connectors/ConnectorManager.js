@@ -5,9 +5,32 @@
 const TelegramConnector = require('./TelegramConnector');
 const DiscordConnector = require('./DiscordConnector');
 const TwitterConnector = require('./TwitterConnector');
+const RedditConnector = require('./RedditConnector');
+const MastodonConnector = require('./MastodonConnector');
+const SlackConnector = require('./SlackConnector');
+const YouTubeConnector = require('./YouTubeConnector');
+const GitHubConnector = require('./GitHubConnector');
+const RssConnector = require('./RssConnector');
+const WebhookConnector = require('./WebhookConnector');
+const FileConnector = require('./FileConnector');
 const TelegramBotManager = require('./TelegramBotManager');
 const logger = require('../utils/logger');
 
+// Connector class per source platform
+const CONNECTORS = {
+  telegram: TelegramConnector,
+  discord: DiscordConnector,
+  twitter: TwitterConnector,
+  reddit: RedditConnector,
+  mastodon: MastodonConnector,
+  youtube: YouTubeConnector,
+  github: GitHubConnector,
+  slack: SlackConnector,
+  rss: RssConnector,
+  webhook: WebhookConnector,
+  file: FileConnector
+};
+
 class ConnectorManager {
   constructor(config) {
     this.config = config;
@@ -53,26 +76,14 @@ class ConnectorManager {
    */
   async createConnector(source) {
     try {
-      let connector;
-
-      switch (source.platform) {
-        case 'telegram':
-          connector = new TelegramConnector(source, this.config.env);
-          break;
-
-        case 'discord':
-          connector = new DiscordConnector(source, this.config.env);
-          break;
-
-        case 'twitter':
-          connector = new TwitterConnector(source, this.config.env);
-          break;
-
-        default:
-          logger.warn(`Unknown platform: ${source.platform} for source: ${source.id}`);
-          return;
+      const Connector = CONNECTORS[source.platform];
+      if (!Connector) {
+        logger.warn(`Unknown platform: ${source.platform} for source: ${source.id}`);
+        return;
       }
 
+      const connector = new Connector(source, this.config.env);
+
       // Connect
       await connector.connect();
 
@@ -104,6 +115,31 @@ class ConnectorManager {
     return allMessages;
   }
 
+  /**
+   * Put messages back at the front of their connectors' queues
+   * (when they could not be handed to the batch processor)
+   */
+  requeueMessages(messages) {
+    const bySource = new Map();
+    for (const msg of messages) {
+      if (!bySource.has(msg.sourceId)) {
+        bySource.set(msg.sourceId, []);
+      }
+      bySource.get(msg.sourceId).push(msg);
+    }
+
+    for (const [sourceId, sourceMessages] of bySource) {
+      const connector = this.connectors.get(sourceId);
+
+      if (!connector) {
+        logger.error(`Dropping ${sourceMessages.length} messages of removed source ${sourceId}`);
+        continue;
+      }
+
+      connector.messageQueue.unshift(...sourceMessages);
+    }
+  }
+
   /**
    * Get connector by source ID
    */
@@ -111,6 +147,13 @@ class ConnectorManager {
     return this.connectors.get(sourceId);
   }
 
+  /**
+   * Get the active connectors of a platform
+   */
+  getConnectorsByPlatform(platform) {
+    return [...this.connectors.values()].filter(connector => connector.source.platform === platform);
+  }
+
   /**
    * Disconnect all connectors
    */
@@ -133,4 +176,6 @@ class ConnectorManager {
   }
 }
 
+ConnectorManager.PLATFORMS = Object.keys(CONNECTORS);
+
 module.exports = ConnectorManager;
@@ -27,14 +27,7 @@ class DiscordConnector extends BaseConnector {
         throw new Error('Discord bot token not configured');
       }
 
-      // Create client with necessary intents
-      this.client = new Client({
-        intents: [
-          GatewayIntentBits.Guilds,
-          GatewayIntentBits.GuildMessages,
-          GatewayIntentBits.MessageContent
-        ]
-      });
+      this.client = this.createClient();
 
       // Setup event handlers
       this.setupEventHandlers();
@@ -51,6 +44,20 @@ class DiscordConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Create client with necessary intents
+   * Tests replace this to emit messages from a fake client.
+   */
+  createClient() {
+    return new Client({
+      intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.MessageContent
+      ]
+    });
+  }
+
   /**
    * Setup event handlers
    */
@@ -117,6 +124,17 @@ class DiscordConnector extends BaseConnector {
       }
       this.seenMessages.add(messageId);
 
+      // Replied-to message (content is only available if discord.js has it cached)
+      let replyTo = null;
+      if (message.reference?.messageId) {
+        const referenced = message.channel.messages?.cache?.get(message.reference.messageId);
+        replyTo = {
+          id: message.reference.messageId,
+          text: referenced?.content || null,
+          author: referenced ? { id: referenced.author.id, username: referenced.author.username } : null
+        };
+      }
+
       // Normalize message
       const normalizedMsg = this.normalizeMessage({
         id: messageId,
@@ -131,7 +149,9 @@ class DiscordConnector extends BaseConnector {
           channelId: message.channel.id,
           channelName: message.channel.name,
           serverId: message.guild ? message.guild.id : null,
-          serverName: message.guild ? message.guild.name : null
+          serverName: message.guild ? message.guild.name : null,
+          threadKey: message.channel.id,
+          replyTo
         }
       });
 
@@ -0,0 +1,351 @@
+/**
+ * File Connector
+ * Replays historical data from an export file (JSONL, CSV, Telegram Desktop
+ * or DiscordChatExporter JSON), keeping each message's original timestamp
+ */
+const fs = require('fs');
+const path = require('path');
+const BaseConnector = require('./BaseConnector');
+const { FORMATS, detectFormat, readRecords } = require('./fileFormats');
+const { parseTimestamp } = require('../utils/time');
+const logger = require('../utils/logger');
+
+const UNTHROTTLED_PER_TICK = 500; // Records read per tick without messages_per_second
+const DEFAULT_MAX_PENDING = 2000; // Replay pauses while this many messages wait for the LLM
+
+// Record field -> column (CSV) or dot path (JSONL) for JSONL/CSV files
+const DEFAULT_MAPPING = {
+  id: 'id',
+  text: 'text',
+  author_id: 'author_id',
+  author_username: 'author_username',
+  author_display_name: 'author_display_name',
+  timestamp: 'timestamp',
+  thread_id: 'thread_id',
+  reply_to_id: 'reply_to_id'
+};
+
+class FileConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.replayInterval = null;
+    this.records = null;
+    this.position = 0; // Records consumed
+    this.cursorPosition = 0; // Records consumed and durable, stored as the cursor
+    this.cursorId = null; // Last record in the cursor
+    this.unconfirmed = []; // { position, msg } of queued records not yet in the durable queue, in order
+    this.finished = false;
+    this.reading = false;
+    this.stats = { queued: 0, skipped: 0 };
+    this.knownTexts = new Map(); // record id -> { text, author }
+
+    // Target is the file path, relative to the working directory
+    this.filePath = path.resolve(source.target || '');
+    this.format = source.config?.format || null;
+    this.mapping = { ...DEFAULT_MAPPING, ...(source.config?.mapping || {}) };
+  }
+
+  /**
+   * Connect (open the file and start replaying from the cursor)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting file source: ${this.source.id} (${this.filePath})`);
+
+      await fs.promises.access(this.filePath, fs.constants.R_OK);
+
+      this.format = this.format || detectFormat(this.filePath);
+      if (!FORMATS.includes(this.format)) {
+        throw new Error(`Cannot tell the format of ${this.filePath}; set config.format to one of: ${FORMATS.join(', ')}`);
+      }
+
+      const messagesPerSecond = this.source.config?.messages_per_second || 0;
+      if (messagesPerSecond < 0) {
+        throw new Error(`Invalid messages_per_second: ${messagesPerSecond}. Must be 0 (unthrottled) or a positive number.`);
+      }
+
+      const delimiter = this.source.config?.delimiter || (path.extname(this.filePath).toLowerCase() === '.tsv' ? '\t' : ',');
+      this.records = readRecords(this.filePath, this.format, { delimiter });
+
+      // Resume after the records replayed before a restart
+      const cursor = await this.getCursor();
+      const resumeAt = cursor ? parseInt(cursor) : 0;
+      this.position = 0;
+      this.unconfirmed = [];
+
+      while (this.position < resumeAt) {
+        const { value, done } = await this.records.next();
+        if (done) break;
+        this.position++;
+        // Earlier messages are still needed as reply context
+        const record = this.mapRecord(value);
+        if (record.id !== null && record.text) {
+          this.rememberText(record.id, { text: record.text, author: { id: record.authorId, username: record.authorUsername } });
+        }
+      }
+
+      this.cursorPosition = this.position;
+
+      if (resumeAt > 0) {
+        logger.info(`Resuming file replay for ${this.source.id} at record ${this.position}`);
+      }
+
+      if (this.replayInterval) {
+        clearInterval(this.replayInterval);
+        this.replayInterval = null;
+      }
+
+      this.finished = false;
+      this.updateHealth('healthy');
+
+      // Initial read
+      await this.readNext();
+
+      // Keeps ticking after the last record until the cursor has caught up
+      this.replayInterval = setInterval(async () => {
+        try {
+          await this.readNext();
+        } catch (error) {
+          logger.error(`File replay error for ${this.source.id}: ${error.message}`);
+          this.updateHealth('degraded', error.message);
+        }
+      }, 1000);
+
+      logger.info(`File source connected: ${this.source.id} (${this.format}, ${messagesPerSecond ? `${messagesPerSecond} messages/s` : 'unthrottled'})`);
+
+    } catch (error) {
+      logger.error(`Failed to connect file source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the next records (one tick of the replay)
+   * Reads up to messages_per_second records, and nothing while the
+   * messages queued earlier haven't been processed yet. The cursor is
+   * advanced over the records that have reached the durable queue since.
+   */
+  async readNext() {
+    if (this.reading) {
+      return;
+    }
+
+    this.reading = true;
+    try {
+      await this.advanceCursor();
+
+      if (this.finished) {
+        if (this.unconfirmed.length === 0 && this.replayInterval) {
+          clearInterval(this.replayInterval);
+          this.replayInterval = null;
+        }
+        return;
+      }
+
+      const maxPending = this.source.config?.max_pending || DEFAULT_MAX_PENDING;
+      if (await this.pendingCount() >= maxPending) {
+        logger.debug(`File replay for ${this.source.id} waiting for queued messages to be processed`);
+        return;
+      }
+
+      const limit = this.source.config?.messages_per_second || UNTHROTTLED_PER_TICK;
+      let read = 0;
+
+      while (read < limit) {
+        const { value, done } = await this.records.next();
+        if (done) {
+          this.finished = true;
+          break;
+        }
+
+        read++;
+        this.position++;
+
+        await this.handleRecord(value);
+      }
+
+      if (this.finished) {
+        logger.info(`File replay complete for ${this.source.id}: ${this.position} records (${this.stats.queued} queued, ${this.stats.skipped} skipped this run)`);
+      }
+    } finally {
+      this.reading = false;
+    }
+  }
+
+  /**
+   * Store the records read so far as the cursor, up to the first queued
+   * message that isn't in the durable queue yet (it gets a queueId once
+   * the batch processor has persisted it), so a restart replays it
+   */
+  async advanceCursor() {
+    while (this.unconfirmed.length > 0 && this.unconfirmed[0].msg.queueId !== undefined) {
+      this.cursorId = this.unconfirmed.shift().msg.id;
+    }
+
+    const durable = this.unconfirmed.length > 0 ? this.unconfirmed[0].position - 1 : this.position;
+
+    if (durable > this.cursorPosition) {
+      this.cursorPosition = durable;
+      await this.updateCursor(durable, this.cursorId);
+    }
+  }
+
+  /**
+   * Messages of this source not processed yet (collected or still here)
+   */
+  async pendingCount() {
+    const db = require('../db');
+
+    const row = await db.queryOne(
+      'SELECT COUNT(*) AS count FROM message_queue WHERE source_id = ?',
+      [this.source.id]
+    );
+
+    return this.messageQueue.length + (row?.count || 0);
+  }
+
+  /**
+   * Map a raw record to message fields
+   * Chat exports yield records with the default field names already.
+   */
+  mapRecord(raw) {
+    const mapping = this.format === 'telegram' || this.format === 'discord' ? DEFAULT_MAPPING : this.mapping;
+    const field = name => {
+      const value = mapping[name] ? getPath(raw, mapping[name]) : undefined;
+      return value === undefined || value === null || value === '' ? null : value;
+    };
+
+    const text = field('text');
+
+    return {
+      id: field('id') !== null ? String(field('id')) : null,
+      text: text !== null ? String(text).trim() : '',
+      authorId: field('author_id') !== null ? String(field('author_id')) : null,
+      authorUsername: field('author_username'),
+      authorDisplayName: field('author_display_name'),
+      timestamp: parseTimestamp(field('timestamp')),
+      threadId: field('thread_id') !== null ? String(field('thread_id')) : null,
+      replyToId: field('reply_to_id') !== null ? String(field('reply_to_id')) : null
+    };
+  }
+
+  /**
+   * Message ID of a record ID (<source id>:<id>)
+   */
+  messageId(id) {
+    return `${this.source.id}:${id}`;
+  }
+
+  /**
+   * Queue a record; returns its ID, or null when it was skipped
+   */
+  async handleRecord(raw) {
+    try {
+      const record = this.mapRecord(raw || {});
+
+      // Historical data needs its own timestamp; records without one are skipped
+      if (record.id === null || !record.text || record.authorId === null || !record.timestamp) {
+        this.stats.skipped++;
+        logger.debug(`Skipping file record ${this.position} of ${this.source.id}: missing id, text, author or timestamp`);
+        return null;
+      }
+
+      if (this.isDuplicate(record.id, this.knownTexts)) {
+        this.stats.skipped++;
+        return null;
+      }
+
+      const author = {
+        id: record.authorId,
+        username: record.authorUsername ? String(record.authorUsername) : record.authorId
+      };
+      this.rememberText(record.id, { text: record.text, author });
+
+      // Replied-to message, with its text when it appeared earlier in the file
+      let replyTo = null;
+      if (record.replyToId) {
+        const parent = this.knownTexts.get(record.replyToId);
+        replyTo = {
+          id: this.messageId(record.replyToId),
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      // Qualified by source, since file IDs ("1", "2") clash across sources
+      const normalizedMsg = this.normalizeMessage({
+        id: this.messageId(record.id),
+        text: record.text,
+        author: {
+          ...author,
+          displayName: record.authorDisplayName ? String(record.authorDisplayName) : author.username
+        },
+        timestamp: record.timestamp,
+        metadata: {
+          file: path.basename(this.filePath),
+          format: this.format,
+          record: this.position,
+          messageId: record.id,
+          threadKey: record.threadId,
+          replyTo
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+      this.unconfirmed.push({ position: this.position, msg: normalizedMsg });
+      this.stats.queued++;
+
+      return record.id;
+
+    } catch (error) {
+      this.stats.skipped++;
+      logger.error(`Error handling file record ${this.position} of ${this.source.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (stop replaying; the cursor keeps the durable position)
+   */
+  async disconnect() {
+    try {
+      await this.advanceCursor();
+
+      if (this.replayInterval) {
+        clearInterval(this.replayInterval);
+        this.replayInterval = null;
+      }
+      if (this.records) {
+        await this.records.return();
+        this.records = null;
+      }
+      this.finished = true;
+      logger.info(`File source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting file source: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Value at a dot path ("author.id"); plain keys are tried first
+ */
+function getPath(object, fieldPath) {
+  if (!object || typeof object !== 'object') return undefined;
+  if (fieldPath in object) return object[fieldPath];
+
+  return fieldPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+module.exports = FileConnector;
@@ -0,0 +1,535 @@
+/**
+ * GitHub Connector
+ * Polls the issues, issue comments and discussions of repositories
+ */
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../utils/logger');
+
+const DEFAULT_RATE_LIMIT_DELAY = 60000; // When a 403/429 comes without reset information (ms)
+const MAX_TEXT_LENGTH = 2000;
+const PER_PAGE = 100;
+
+// Newest discussions with their latest comments and replies
+const DISCUSSIONS_QUERY = `
+query($owner: String!, $name: String!) {
+  repository(owner: $owner, name: $name) {
+    discussions(first: 20, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes {
+        id number title body createdAt url
+        author { __typename login ... on User { databaseId } }
+        comments(last: 50) {
+          nodes {
+            id body createdAt url
+            author { __typename login ... on User { databaseId } }
+            replies(last: 20) {
+              nodes {
+                id body createdAt url
+                author { __typename login ... on User { databaseId } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+class GitHubConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.pollInterval = null;
+    this.polling = false;
+    this.rateLimitedUntil = 0;
+    this.lastItemId = null; // Newest item seen, stored with the cursor
+    this.seenMessages = new Set();
+    this.knownTexts = new Map(); // thread key / node ID -> { id, text, author }
+
+    // Target is "owner/repo"; [sources.config] repos adds more repositories
+    this.repos = [...new Set([source.target, ...(source.config?.repos || [])])]
+      .map(repo => String(repo || '').trim().replace(/^https?:\/\/github\.com\//i, '').replace(/\/+$/, ''))
+      .filter(repo => /^[\w.-]+\/[\w.-]+$/.test(repo));
+
+    // Per repo: { created_at, ids } of the newest items seen, persisted as the cursor
+    this.cursors = {};
+  }
+
+  /**
+   * Create HTTP client
+   * Tests replace this to return a fake client.
+   */
+  createClient() {
+    const token = this.config.github?.token;
+
+    return axios.create({
+      baseURL: 'https://api.github.com',
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'salt-index/1.0',
+        Accept: 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    });
+  }
+
+  /**
+   * Connect to GitHub (start polling the repositories)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting GitHub source: ${this.source.id} (${this.repos.length} repo(s))`);
+
+      if (this.repos.length === 0) {
+        throw new Error('GitHub source needs "owner/repo" as target or in config.repos');
+      }
+
+      const pollIntervalSeconds = this.source.config?.poll_interval || 300;
+      if (pollIntervalSeconds <= 0) {
+        throw new Error(`Invalid poll_interval: ${pollIntervalSeconds}. Must be positive number of seconds.`);
+      }
+
+      if (!this.config.github?.token) {
+        logger.info(`No GitHub token, polling ${this.source.id} without discussions (60 requests/hour)`);
+      }
+
+      this.client = this.createClient();
+
+      const cursor = await this.getCursor();
+      if (cursor) {
+        this.restoreCursor(cursor);
+      }
+
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+      }
+
+      // Initial poll
+      await this.poll();
+
+      this.pollInterval = setInterval(async () => {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error(`GitHub polling error for ${this.source.id}: ${error.message}`);
+          this.updateHealth('degraded', error.message);
+        }
+      }, pollIntervalSeconds * 1000);
+
+      this.polling = true;
+      logger.info(`GitHub source connected: ${this.source.id} (interval: ${pollIntervalSeconds}s)`);
+
+    } catch (error) {
+      logger.error(`Failed to connect GitHub source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the per-repo cursors: { created_at, ids } per repo, or the bare
+   * creation time stored by earlier versions
+   */
+  restoreCursor(cursor) {
+    try {
+      const parsed = JSON.parse(cursor);
+
+      this.cursors = Object.fromEntries(Object.entries(parsed).map(([repo, value]) => [
+        repo,
+        typeof value === 'string' ? { created_at: value, ids: [] } : value
+      ]));
+    } catch (error) {
+      logger.warn(`Ignoring invalid cursor for GitHub source ${this.source.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a request, tracking rate limit headers
+   */
+  async request(config) {
+    let response;
+    try {
+      response = await this.client.request(config);
+    } catch (error) {
+      const status = error.response?.status;
+      const headers = error.response?.headers || {};
+
+      // Primary limit: 403/429 with no requests remaining; secondary limit: Retry-After
+      if ((status === 403 || status === 429) && (headers['x-ratelimit-remaining'] === '0' || headers['retry-after'])) {
+        const reset = parseInt(headers['x-ratelimit-reset']);
+        const retryAfter = parseInt(headers['retry-after']);
+        this.rateLimitedUntil = !Number.isNaN(retryAfter)
+          ? Date.now() + retryAfter * 1000
+          : (!Number.isNaN(reset) ? reset * 1000 : Date.now() + DEFAULT_RATE_LIMIT_DELAY);
+        error.rateLimited = true;
+      }
+      throw error;
+    }
+
+    // Stop before the limit instead of waiting for a 403
+    const remaining = parseInt(response.headers?.['x-ratelimit-remaining']);
+    const reset = parseInt(response.headers?.['x-ratelimit-reset']);
+    if (remaining === 0 && !Number.isNaN(reset)) {
+      this.rateLimitedUntil = reset * 1000;
+      logger.warn(`GitHub rate limit exhausted for ${this.source.id}, pausing until ${new Date(this.rateLimitedUntil).toISOString()}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Poll every repository of the source
+   * A failing repository doesn't stop the others; the source is degraded
+   * while any repository fails.
+   */
+  async poll() {
+    if (Date.now() < this.rateLimitedUntil) {
+      logger.debug(`GitHub source ${this.source.id} is rate limited, skipping poll`);
+      return;
+    }
+
+    const errors = [];
+    let changed = false;
+
+    for (const repo of this.repos) {
+      try {
+        changed = (await this.pollRepo(repo)) || changed;
+      } catch (error) {
+        if (error.rateLimited) {
+          logger.warn(`GitHub rate limit hit for ${this.source.id}, resuming at ${new Date(this.rateLimitedUntil).toISOString()}`);
+          errors.push('Rate limit reached');
+          break;
+        }
+
+        errors.push(`${repo}: ${error.message}`);
+        logger.warn(`Failed to poll GitHub repo ${repo} for ${this.source.id}: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      await this.updateCursor(JSON.stringify(this.cursors), this.lastItemId);
+    }
+
+    if (errors.length > 0) {
+      this.updateHealth('degraded', errors.join('; '));
+    } else if (this.health !== 'healthy') {
+      this.updateHealth('healthy');
+    }
+  }
+
+  /**
+   * Fetch a repository's new issues, comments and discussions and queue them
+   * Returns whether the repository's cursor moved.
+   */
+  async pollRepo(repo) {
+    const config = this.source.config || {};
+    const maxAgeHours = config.max_age_hours ?? 72;
+    const cursor = this.cursors[repo];
+    const cursorIds = new Set(cursor?.ids || []);
+    // Without a cursor (new repo), only recent items are queued
+    const since = cursor?.created_at
+      || new Date(maxAgeHours > 0 ? Date.now() - maxAgeHours * 3600000 : 0).toISOString();
+
+    const items = [];
+
+    if (config.include_issues !== false) {
+      const issues = await this.fetchNewest(`/repos/${repo}/issues`, { state: 'all', sort: 'created', direction: 'desc' }, since);
+      const comments = await this.fetchNewest(`/repos/${repo}/issues/comments`, { sort: 'created', direction: 'desc', since }, since);
+
+      for (const issue of issues) {
+        if (issue.pull_request && !config.include_pull_requests) continue;
+        items.push(this.issueItem(repo, issue));
+      }
+      for (const comment of comments) {
+        if (comment.html_url?.includes('/pull/') && !config.include_pull_requests) continue;
+        items.push(this.issueCommentItem(repo, comment));
+      }
+    }
+
+    // The GraphQL API (discussions) needs a token
+    if (config.include_discussions !== false && this.config.github?.token) {
+      items.push(...await this.fetchDiscussions(repo));
+    }
+
+    // Oldest first, so reply context is known before the replies
+    const fresh = items
+      // Items can share the cursor's second, only the ones seen there are skipped
+      .filter(item => Date.parse(item.createdAt) >= Date.parse(since))
+      .filter(item => !cursorIds.has(item.id))
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    for (const item of fresh) {
+      await this.handleItem(repo, item);
+    }
+
+    if (fresh.length === 0) {
+      return false;
+    }
+
+    const newest = fresh[fresh.length - 1];
+    const newestAt = Date.parse(newest.createdAt);
+    const ids = cursor && Date.parse(cursor.created_at) === newestAt ? cursorIds : new Set();
+    fresh
+      .filter(item => Date.parse(item.createdAt) === newestAt)
+      .forEach(item => ids.add(item.id));
+
+    this.cursors[repo] = { created_at: newest.createdAt, ids: [...ids] };
+    this.lastItemId = newest.id;
+    return true;
+  }
+
+  /**
+   * Pages of a REST listing (newest first) until items are older than `since`
+   */
+  async fetchNewest(path, params, since) {
+    const maxPages = this.source.config?.max_pages || 3;
+    const results = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const data = await this.request({ method: 'get', url: path, params: { ...params, per_page: PER_PAGE, page } });
+      const items = Array.isArray(data) ? data : [];
+      results.push(...items);
+
+      if (items.length < PER_PAGE || Date.parse(items[items.length - 1].created_at) < Date.parse(since)) {
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Discussions, discussion comments and replies (GraphQL)
+   */
+  async fetchDiscussions(repo) {
+    const [owner, name] = repo.split('/');
+    const data = await this.request({ method: 'post', url: '/graphql', data: { query: DISCUSSIONS_QUERY, variables: { owner, name } } });
+
+    if (data?.errors?.length) {
+      throw new Error(`GitHub GraphQL error: ${data.errors[0].message}`);
+    }
+
+    const items = [];
+    for (const discussion of data?.data?.repository?.discussions?.nodes || []) {
+      const threadKey = `${repo}#${discussion.number}`;
+      const root = {
+        id: discussion.id,
+        kind: 'discussion',
+        text: [discussion.title, discussion.body].filter(Boolean).join('\n\n'),
+        createdAt: discussion.createdAt,
+        author: graphqlAuthor(discussion.author),
+        url: discussion.url,
+        threadKey,
+        parentKey: null
+      };
+      items.push(root);
+      this.rememberText(discussion.id, this.contextEntry(root));
+
+      for (const comment of discussion.comments?.nodes || []) {
+        const item = { id: comment.id, kind: 'discussion_comment', text: comment.body, createdAt: comment.createdAt, author: graphqlAuthor(comment.author), url: comment.url, threadKey, parentKey: discussion.id };
+        items.push(item);
+        this.rememberText(comment.id, this.contextEntry(item));
+
+        for (const reply of comment.replies?.nodes || []) {
+          items.push({ id: reply.id, kind: 'discussion_comment', text: reply.body, createdAt: reply.createdAt, author: graphqlAuthor(reply.author), url: reply.url, threadKey, parentKey: comment.id });
+        }
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Item of an issue (or pull request)
+   */
+  issueItem(repo, issue) {
+    const item = {
+      id: issue.node_id,
+      kind: issue.pull_request ? 'pull_request' : 'issue',
+      text: [issue.title, issue.body].filter(Boolean).join('\n\n'),
+      createdAt: issue.created_at,
+      author: restAuthor(issue.user),
+      url: issue.html_url,
+      threadKey: `${repo}#${issue.number}`,
+      parentKey: null
+    };
+
+    this.rememberText(item.threadKey, this.contextEntry(item));
+    return item;
+  }
+
+  /**
+   * Item of an issue comment (its parent is the issue)
+   */
+  issueCommentItem(repo, comment) {
+    const number = (comment.issue_url || '').split('/').pop();
+
+    return {
+      id: comment.node_id,
+      kind: 'issue_comment',
+      text: comment.body,
+      createdAt: comment.created_at,
+      author: restAuthor(comment.user),
+      url: comment.html_url,
+      threadKey: `${repo}#${number}`,
+      parentKey: `${repo}#${number}`,
+      issueUrl: comment.issue_url
+    };
+  }
+
+  /**
+   * Reply context entry of an item
+   */
+  contextEntry(item) {
+    return {
+      id: item.id,
+      text: cleanText(item.text) || null,
+      author: item.author ? { id: item.author.id, username: item.author.username } : null
+    };
+  }
+
+  /**
+   * Parent of an issue comment, fetching the issue when it wasn't seen
+   */
+  async issueContext(item) {
+    const known = this.knownTexts.get(item.parentKey);
+    if (known || !item.issueUrl) {
+      return known || null;
+    }
+
+    try {
+      const issue = await this.request({ method: 'get', url: item.issueUrl });
+      const entry = this.contextEntry({ id: issue.node_id, text: [issue.title, issue.body].filter(Boolean).join('\n\n'), author: restAuthor(issue.user) });
+      this.rememberText(item.parentKey, entry);
+      return entry;
+    } catch (error) {
+      if (error.rateLimited) throw error;
+      logger.debug(`Failed to fetch GitHub issue ${item.issueUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Queue an issue, comment or discussion post
+   */
+  async handleItem(repo, item) {
+    try {
+      // Bots (CI, dependabot) and deleted accounts are skipped
+      if (!item.author || item.author.bot) {
+        return;
+      }
+
+      if (this.isDuplicate(item.id, this.seenMessages)) {
+        return;
+      }
+      this.rememberSeen(item.id);
+
+      const text = cleanText(item.text);
+      if (!text) {
+        return;
+      }
+
+      let replyTo = null;
+      if (item.parentKey) {
+        const parent = item.kind === 'issue_comment' ? await this.issueContext(item) : this.knownTexts.get(item.parentKey);
+        replyTo = {
+          id: parent?.id || item.parentKey,
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      const normalizedMsg = this.normalizeMessage({
+        id: item.id,
+        text,
+        author: {
+          id: item.author.id,
+          username: item.author.username,
+          displayName: item.author.username
+        },
+        timestamp: item.createdAt,
+        metadata: {
+          repo,
+          kind: item.kind,
+          url: item.url || null,
+          threadKey: item.threadKey,
+          replyTo
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      logger.debug(`GitHub ${item.kind} queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      if (error.rateLimited) throw error;
+      logger.error(`Error handling GitHub item ${item.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (stop polling)
+   */
+  async disconnect() {
+    try {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        this.polling = false;
+      }
+      logger.info(`GitHub source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting GitHub: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Author of a REST item; the numeric account ID survives renames
+ */
+function restAuthor(user) {
+  if (!user) return null;
+  return { id: String(user.id), username: user.login, bot: user.type === 'Bot' };
+}
+
+/**
+ * Author of a GraphQL item (databaseId is the REST account ID)
+ */
+function graphqlAuthor(author) {
+  if (!author) return null;
+  if (author.__typename !== 'User' || !author.databaseId) return { id: author.login, username: author.login, bot: true };
+  return { id: String(author.databaseId), username: author.login, bot: false };
+}
+
+/**
+ * Markdown body without issue template comments, capped for analysis
+ */
+function cleanText(text) {
+  return (text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .substring(0, MAX_TEXT_LENGTH)
+    .trim();
+}
+
+module.exports = GitHubConnector;
@@ -0,0 +1,483 @@
+/**
+ * Mastodon Connector
+ * Follows a hashtag timeline, a list or an account on a Mastodon instance,
+ * via the streaming API with polling as fallback
+ */
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const { htmlToText } = require('../utils/html');
+const logger = require('../utils/logger');
+
+const DEFAULT_RATE_LIMIT_DELAY = 300000; // When a 429 comes without reset information (ms)
+const STREAM_RETRY_INITIAL_DELAY = 60000; // First stream reconnect attempt after a drop (ms)
+const STREAM_RETRY_MAX_DELAY = 900000;
+const PAGE_SIZE = 40; // Statuses per timeline request (Mastodon's maximum)
+
+class MastodonConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.stream = null;
+    this.streamRetryDelay = STREAM_RETRY_INITIAL_DELAY;
+    this.reconnectTimeout = null;
+    this.pollInterval = null;
+    this.polling = false;
+    this.stopped = false;
+    this.rateLimitedUntil = 0;
+    this.sinceId = null; // Newest status ID seen
+    this.cursorDirty = false;
+    this.accountId = null;
+    this.seenMessages = new Set();
+    this.knownTexts = new Map(); // status ID -> { text, author, threadKey }
+
+    // Target format: "#hashtag", "list:<list id>" or "@user" / "@user@instance"
+    this.timeline = this.parseTarget(source.target);
+
+    const instance = source.config?.instance || config.mastodon?.instance || '';
+    this.instance = instance ? (/^https?:\/\//i.test(instance) ? instance : `https://${instance}`).replace(/\/+$/, '') : null;
+    this.instanceHost = this.instance ? new URL(this.instance).host : null;
+    this.accessToken = config.mastodon?.accessToken || null;
+  }
+
+  /**
+   * Parse the target string to extract the timeline to follow
+   */
+  parseTarget(target) {
+    const value = (target || '').trim();
+
+    if (value.startsWith('#')) return { type: 'hashtag', value: value.substring(1) };
+    if (value.startsWith('list:')) return { type: 'list', value: value.substring(5) };
+    if (value.startsWith('@')) return { type: 'account', value: value.substring(1) };
+
+    return { type: null, value: null };
+  }
+
+  /**
+   * Create HTTP client
+   * Tests replace this to return a fake client.
+   */
+  createClient() {
+    return axios.create({
+      baseURL: this.instance,
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'salt-index/1.0',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {})
+      }
+    });
+  }
+
+  /**
+   * Connect to Mastodon
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting Mastodon source: ${this.source.id} (${this.source.target})`);
+
+      if (!this.timeline.type || !this.timeline.value) {
+        throw new Error('Mastodon target must be "#hashtag", "list:<list id>" or "@user[@instance]"');
+      }
+      if (!this.instance) {
+        throw new Error('Mastodon instance not configured (MASTODON_INSTANCE or config.instance)');
+      }
+      if (this.timeline.type === 'list' && !this.accessToken) {
+        throw new Error('Mastodon lists need an access token (MASTODON_ACCESS_TOKEN)');
+      }
+
+      const pollIntervalSeconds = this.source.config?.poll_interval || 60;
+      if (pollIntervalSeconds <= 0) {
+        throw new Error(`Invalid poll_interval: ${pollIntervalSeconds}. Must be positive number of seconds.`);
+      }
+
+      this.client = this.createClient();
+      this.stopped = false;
+
+      if (this.timeline.type === 'account') {
+        await this.resolveAccount();
+      }
+
+      const cursor = await this.getCursor();
+      this.sinceId = cursor || null;
+
+      // Catch up on statuses posted while disconnected
+      await this.poll();
+
+      // There is no public stream for a single account
+      const mode = this.source.config?.mode || (this.accessToken && this.timeline.type !== 'account' ? 'stream' : 'poll');
+      if (mode !== 'stream' && mode !== 'poll') {
+        logger.warn(`Invalid mode '${mode}' for ${this.source.id}, defaulting to 'poll'`);
+      }
+
+      if (mode === 'stream' && this.timeline.type !== 'account') {
+        try {
+          await this.startStream();
+        } catch (error) {
+          logger.warn(`Mastodon stream unavailable for ${this.source.id} (${error.message}), polling instead`);
+          this.startPolling();
+          this.scheduleStreamReconnect();
+        }
+      } else {
+        this.startPolling();
+      }
+
+      this.updateHealth('healthy');
+      logger.info(`Mastodon source connected: ${this.source.id} (${this.instanceHost}, ${this.stream ? 'streaming' : `polling every ${pollIntervalSeconds}s`})`);
+
+    } catch (error) {
+      logger.error(`Failed to connect Mastodon source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the followed account's ID
+   */
+  async resolveAccount() {
+    const response = await this.client.get('/api/v1/accounts/lookup', { params: { acct: this.timeline.value } });
+
+    if (!response.data?.id) {
+      throw new Error(`Mastodon account not found: @${this.timeline.value}`);
+    }
+
+    this.accountId = response.data.id;
+    logger.debug(`Resolved Mastodon account @${this.timeline.value} to ${this.accountId}`);
+  }
+
+  /**
+   * REST path and params of the followed timeline
+   */
+  timelineRequest() {
+    switch (this.timeline.type) {
+      case 'hashtag':
+        return { path: `/api/v1/timelines/tag/${encodeURIComponent(this.timeline.value)}`, params: {} };
+      case 'list':
+        return { path: `/api/v1/timelines/list/${encodeURIComponent(this.timeline.value)}`, params: {} };
+      default:
+        return { path: `/api/v1/accounts/${this.accountId}/statuses`, params: { exclude_reblogs: true } };
+    }
+  }
+
+  /**
+   * Poll the timeline for statuses newer than the cursor
+   */
+  async poll() {
+    if (Date.now() < this.rateLimitedUntil) {
+      logger.debug(`Mastodon source ${this.source.id} is rate limited, skipping poll`);
+      return;
+    }
+
+    const { path, params } = this.timelineRequest();
+
+    try {
+      // min_id pages forward from the cursor; without one only the latest page is read
+      let minId = this.sinceId;
+
+      while (true) {
+        const response = await this.client.get(path, {
+          params: { ...params, limit: PAGE_SIZE, ...(minId ? { min_id: minId } : {}) }
+        });
+
+        // Newest first; handle oldest first so reply context is known
+        const statuses = Array.isArray(response.data) ? [...response.data].reverse() : [];
+        for (const status of statuses) {
+          await this.handleStatus(status);
+        }
+
+        await this.saveCursor();
+
+        const newest = statuses[statuses.length - 1]?.id;
+        if (!minId || statuses.length < PAGE_SIZE || !newest || newest === minId) {
+          break;
+        }
+        minId = newest;
+      }
+
+      if (this.health !== 'healthy' && this.polling) {
+        this.updateHealth('healthy');
+      }
+
+    } catch (error) {
+      if (error.response?.status === 429) {
+        // Mastodon sends the reset time as an ISO date
+        const reset = Date.parse(error.response.headers?.['x-ratelimit-reset']);
+        this.rateLimitedUntil = Number.isNaN(reset) ? Date.now() + DEFAULT_RATE_LIMIT_DELAY : reset;
+        logger.warn(`Mastodon rate limit hit for ${this.source.id}, resuming at ${new Date(this.rateLimitedUntil).toISOString()}`);
+        this.updateHealth('degraded', 'Rate limit reached');
+        // Don't throw - polling continues after the limit resets
+        return;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling (no-op while already polling)
+   */
+  startPolling() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    const pollIntervalSeconds = this.source.config?.poll_interval || 60;
+
+    this.pollInterval = setInterval(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        logger.error(`Mastodon polling error for ${this.source.id}: ${error.message}`);
+        this.updateHealth('degraded', error.message);
+      }
+    }, pollIntervalSeconds * 1000);
+
+    this.polling = true;
+  }
+
+  /**
+   * Stop polling (the stream took over)
+   */
+  stopPolling() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    this.polling = false;
+  }
+
+  /**
+   * Open the streaming API (server-sent events)
+   */
+  async startStream() {
+    const params = this.timeline.type === 'hashtag'
+      ? { stream: 'hashtag', tag: this.timeline.value }
+      : { stream: 'list', list: this.timeline.value };
+
+    const response = await this.client.get('/api/v1/streaming', { params, responseType: 'stream', timeout: 0 });
+    const stream = response.data;
+    let buffer = '';
+
+    stream.setEncoding?.('utf8');
+
+    stream.on('data', chunk => {
+      buffer += String(chunk).replace(/\r\n/g, '\n');
+
+      // Events are separated by a blank line; comment lines (":thump") keep the connection alive
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const event = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        this.handleStreamEvent(event).catch(error => {
+          logger.error(`Error handling Mastodon stream event for ${this.source.id}: ${error.message}`);
+        });
+      }
+    });
+
+    stream.on('error', error => this.handleStreamEnd(stream, error));
+    stream.on('end', () => this.handleStreamEnd(stream, null));
+
+    this.stream = stream;
+    this.streamRetryDelay = STREAM_RETRY_INITIAL_DELAY;
+    this.stopPolling();
+    logger.info(`Mastodon stream opened for ${this.source.id}`);
+  }
+
+  /**
+   * Handle one server-sent event
+   */
+  async handleStreamEvent(raw) {
+    let event = null;
+    const data = [];
+
+    for (const line of raw.split('\n')) {
+      if (line.startsWith('event:')) event = line.substring(6).trim();
+      else if (line.startsWith('data:')) data.push(line.substring(5).replace(/^ /, ''));
+    }
+
+    if (event !== 'update' || data.length === 0) {
+      return;
+    }
+
+    await this.handleStatus(JSON.parse(data.join('\n')));
+    await this.saveCursor();
+  }
+
+  /**
+   * Fall back to polling when the stream drops, and retry it later
+   */
+  handleStreamEnd(stream, error) {
+    if (this.stream !== stream) {
+      return;
+    }
+    this.stream = null;
+
+    if (this.stopped) {
+      return;
+    }
+
+    logger.warn(`Mastodon stream closed for ${this.source.id}${error ? `: ${error.message}` : ''}, polling until it reconnects`);
+    this.updateHealth('degraded', 'Stream disconnected, polling');
+    this.startPolling();
+    this.scheduleStreamReconnect();
+  }
+
+  /**
+   * Retry the stream with exponential backoff
+   */
+  scheduleStreamReconnect() {
+    if (this.reconnectTimeout || this.stopped) {
+      return;
+    }
+
+    const delay = this.streamRetryDelay;
+    this.streamRetryDelay = Math.min(delay * 2, STREAM_RETRY_MAX_DELAY);
+
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null;
+      try {
+        // Catch up on statuses missed between the last poll and the new stream
+        await this.poll();
+        await this.startStream();
+        this.updateHealth('healthy');
+      } catch (error) {
+        logger.warn(`Mastodon stream reconnect failed for ${this.source.id}: ${error.message}`);
+        this.scheduleStreamReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Handle a status
+   */
+  async handleStatus(status) {
+    try {
+      // Boosts repeat someone else's post
+      if (!status?.id || status.reblog || !status.account) {
+        return;
+      }
+
+      this.advanceSinceId(status.id);
+
+      if (this.isDuplicate(status.id, this.seenMessages)) {
+        return;
+      }
+      this.rememberSeen(status.id);
+
+      // Content warnings are part of what the author said
+      const text = [status.spoiler_text, htmlToText(status.content)].filter(Boolean).join('\n\n').trim();
+      if (!text) {
+        return;
+      }
+
+      // acct is "user" for the instance's own accounts and "user@domain" for remote ones
+      const acct = status.account.acct.includes('@') ? status.account.acct : `${status.account.acct}@${this.instanceHost}`;
+      const author = { id: acct, username: acct };
+
+      // Parent status, with its text when seen by this connector
+      let replyTo = null;
+      let threadKey = status.id;
+      if (status.in_reply_to_id) {
+        const parent = this.knownTexts.get(status.in_reply_to_id);
+        threadKey = parent?.threadKey || status.in_reply_to_id;
+        replyTo = {
+          id: status.in_reply_to_id,
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      this.rememberText(status.id, { text, author, threadKey });
+
+      const normalizedMsg = this.normalizeMessage({
+        id: status.id,
+        text,
+        author: {
+          ...author,
+          displayName: status.account.display_name || status.account.username
+        },
+        timestamp: status.created_at,
+        metadata: {
+          instance: this.instanceHost,
+          url: status.url || null,
+          language: status.language || null,
+          threadKey,
+          replyTo
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      logger.debug(`Mastodon status queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      logger.error(`Error handling Mastodon status ${status?.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move the cursor forward (status IDs are numeric strings)
+   */
+  advanceSinceId(id) {
+    const newer = !this.sinceId
+      || id.length > this.sinceId.length
+      || (id.length === this.sinceId.length && id > this.sinceId);
+
+    if (newer) {
+      this.sinceId = id;
+      this.cursorDirty = true;
+    }
+  }
+
+  /**
+   * Store the cursor when it moved
+   */
+  async saveCursor() {
+    if (this.cursorDirty) {
+      this.cursorDirty = false;
+      await this.updateCursor(this.sinceId, this.sinceId);
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect from Mastodon
+   */
+  async disconnect() {
+    try {
+      this.stopped = true;
+      this.stopPolling();
+
+      if (this.reconnectTimeout) {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+      }
+      if (this.stream) {
+        const stream = this.stream;
+        this.stream = null;
+        stream.destroy();
+      }
+
+      logger.info(`Mastodon source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting Mastodon: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MastodonConnector;
@@ -0,0 +1,417 @@
+/**
+ * Reddit Connector
+ * Polls a subreddit's new posts and comments, or a single comment thread
+ */
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../utils/logger');
+
+const PUBLIC_API = 'https://www.reddit.com';
+const OAUTH_API = 'https://oauth.reddit.com';
+const TOKEN_URL = 'https://www.reddit.com/api/v1/access_token';
+const DEFAULT_RATE_LIMIT_DELAY = 60000; // When a 429 comes without reset information (ms)
+const DEFAULT_MAX_PAGES = 10; // Listing pages per poll when catching up
+
+class RedditConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.rateLimitedUntil = 0;
+    this.pollInterval = null;
+    this.polling = false;
+    this.cursor = null; // created_utc (seconds) of the newest item seen
+    this.cursorNames = new Set(); // Items seen at the cursor's second (a later item can share it)
+    this.seenMessages = new Set();
+    this.knownTexts = new Map(); // fullname -> { text, author }
+
+    // Target format: "r/<subreddit>" or "r/<subreddit>/comments/<thread id>"
+    const { subreddit, threadId } = this.parseTarget(source.target);
+    this.subreddit = source.config?.subreddit || subreddit;
+    this.threadId = source.config?.thread_id || threadId;
+  }
+
+  /**
+   * Parse the target string to extract the subreddit and thread ID
+   */
+  parseTarget(target) {
+    const match = (target || '').match(/^(?:https?:\/\/(?:www\.|old\.)?reddit\.com)?\/?r\/(\w+)(?:\/comments\/(\w+))?/i);
+
+    if (!match) {
+      return { subreddit: null, threadId: null };
+    }
+
+    return { subreddit: match[1], threadId: match[2] || null };
+  }
+
+  /**
+   * Create HTTP client
+   * Tests replace this to return a fake client.
+   */
+  createClient() {
+    return axios.create({
+      timeout: 15000,
+      headers: { 'User-Agent': this.config.reddit?.userAgent || 'salt-index/1.0' }
+    });
+  }
+
+  /**
+   * Connect to Reddit
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting Reddit source: ${this.source.id} (${this.source.target})`);
+
+      if (!this.subreddit && !this.threadId) {
+        throw new Error('Reddit target must be "r/<subreddit>" or "r/<subreddit>/comments/<thread id>"');
+      }
+
+      const pollIntervalSeconds = this.source.config?.poll_interval || 60;
+      if (pollIntervalSeconds <= 0) {
+        throw new Error(`Invalid poll_interval: ${pollIntervalSeconds}. Must be positive number of seconds.`);
+      }
+      if (pollIntervalSeconds < 10) {
+        logger.warn(`Poll interval ${pollIntervalSeconds}s is very short and may hit rate limits`);
+      }
+
+      this.client = this.createClient();
+
+      // OAuth (app-only) when credentials are configured, else the public JSON API
+      if (this.config.reddit?.clientId && this.config.reddit?.clientSecret) {
+        await this.authenticate();
+      } else {
+        logger.info(`No Reddit API credentials, using the public JSON API for ${this.source.id} (lower rate limits)`);
+      }
+
+      const cursor = await this.getCursor();
+      if (cursor) {
+        this.restoreCursor(cursor);
+      }
+
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+      }
+
+      // Initial poll
+      await this.poll();
+
+      this.pollInterval = setInterval(async () => {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error(`Reddit polling error for ${this.source.id}: ${error.message}`);
+          this.updateHealth('degraded', error.message);
+        }
+      }, pollIntervalSeconds * 1000);
+
+      this.polling = true;
+      this.updateHealth('healthy');
+      logger.info(`Reddit source connected: ${this.source.id} (${this.threadId ? `thread ${this.threadId}` : `r/${this.subreddit}`}, interval: ${pollIntervalSeconds}s)`);
+
+    } catch (error) {
+      logger.error(`Failed to connect Reddit source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the cursor: { created_utc, names } JSON, or a bare created_utc
+   * stored by earlier versions
+   */
+  restoreCursor(cursor) {
+    try {
+      const parsed = JSON.parse(cursor);
+
+      if (typeof parsed === 'number') {
+        this.cursor = parsed;
+        this.cursorNames = new Set();
+      } else {
+        this.cursor = parsed.created_utc;
+        this.cursorNames = new Set(parsed.names);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring invalid cursor for Reddit source ${this.source.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an application-only OAuth token (client credentials grant)
+   */
+  async authenticate() {
+    const { clientId, clientSecret } = this.config.reddit;
+
+    const response = await this.client.post(TOKEN_URL, 'grant_type=client_credentials', {
+      auth: { username: clientId, password: clientSecret },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    if (!response.data?.access_token) {
+      throw new Error(`Reddit authentication failed: ${response.data?.error || 'no access token returned'}`);
+    }
+
+    this.accessToken = response.data.access_token;
+    // Refresh a minute before the token expires
+    this.tokenExpiresAt = Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+    logger.debug(`Reddit OAuth token obtained for ${this.source.id}`);
+  }
+
+  /**
+   * GET a Reddit API path, tracking rate limit headers
+   */
+  async request(path, params = {}) {
+    let url = `${PUBLIC_API}${path}`;
+    const headers = {};
+
+    if (this.accessToken) {
+      if (Date.now() >= this.tokenExpiresAt) {
+        await this.authenticate();
+      }
+      url = `${OAUTH_API}${path}`;
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    const response = await this.client.get(url, { params: { ...params, raw_json: 1 }, headers });
+
+    // Stop before the limit instead of waiting for a 429
+    const remaining = parseFloat(response.headers?.['x-ratelimit-remaining']);
+    const reset = parseFloat(response.headers?.['x-ratelimit-reset']);
+    if (!Number.isNaN(remaining) && remaining < 1 && !Number.isNaN(reset)) {
+      this.rateLimitedUntil = Date.now() + reset * 1000;
+      logger.warn(`Reddit rate limit exhausted for ${this.source.id}, pausing for ${Math.ceil(reset)}s`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Pages of a listing (newest first), following `after` until a page
+   * reaches an item the cursor already covers, at most max_pages requests
+   * Without a cursor (first poll), only the first page is read.
+   */
+  async fetchNewest(path, limit) {
+    const maxPages = this.source.config?.max_pages || DEFAULT_MAX_PAGES;
+    const items = [];
+    let after = null;
+
+    for (let page = 1; page <= maxPages; page++) {
+      const listing = await this.request(path, { limit, ...(after ? { after } : {}) });
+      const pageItems = this.listingItems(listing);
+      items.push(...pageItems);
+      after = listing?.data?.after || null;
+
+      const caughtUp = this.cursor === null ||
+        pageItems.some(item => item.created_utc < this.cursor || this.cursorNames.has(item.name));
+      if (caughtUp || !after || pageItems.length === 0) {
+        return items;
+      }
+    }
+
+    logger.warn(`Reddit source ${this.source.id} read ${maxPages} pages of ${path} without reaching its cursor, older items are skipped`);
+    return items;
+  }
+
+  /**
+   * Poll for new posts and comments
+   */
+  async poll() {
+    if (Date.now() < this.rateLimitedUntil) {
+      logger.debug(`Reddit source ${this.source.id} is rate limited, skipping poll`);
+      return;
+    }
+
+    const limit = Math.min(Math.max(this.source.config?.max_results || 100, 1), 100);
+
+    try {
+      const items = [];
+
+      if (this.threadId) {
+        // [post listing, comment tree]
+        const [post, comments] = await this.request(`/comments/${this.threadId}.json`, { sort: 'new', limit: 500 });
+        items.push(...this.listingItems(post), ...this.flattenComments(this.listingItems(comments)));
+      } else {
+        if (this.source.config?.include_posts !== false) {
+          items.push(...await this.fetchNewest(`/r/${this.subreddit}/new.json`, limit));
+        }
+        if (this.source.config?.include_comments !== false) {
+          items.push(...await this.fetchNewest(`/r/${this.subreddit}/comments.json`, limit));
+        }
+      }
+
+      // Oldest first, so reply context is known before the replies
+      const fresh = items
+        .filter(item => item && item.name && typeof item.created_utc === 'number')
+        // Items can share the cursor's second, only the ones seen there are skipped
+        .filter(item => this.cursor === null || item.created_utc >= this.cursor)
+        .filter(item => !this.cursorNames.has(item.name))
+        .sort((a, b) => a.created_utc - b.created_utc);
+
+      for (const item of fresh) {
+        await this.handleItem(item);
+      }
+
+      if (fresh.length > 0) {
+        const newest = fresh[fresh.length - 1];
+
+        if (newest.created_utc !== this.cursor) {
+          this.cursor = newest.created_utc;
+          this.cursorNames = new Set();
+        }
+        fresh
+          .filter(item => item.created_utc === this.cursor)
+          .forEach(item => this.cursorNames.add(item.name));
+
+        await this.updateCursor(JSON.stringify({ created_utc: this.cursor, names: [...this.cursorNames] }), newest.name);
+      }
+
+      if (this.health !== 'healthy' && this.polling) {
+        this.updateHealth('healthy');
+      }
+
+    } catch (error) {
+      if (error.response?.status === 429) {
+        const retryAfter = parseFloat(error.response.headers?.['retry-after'] ?? error.response.headers?.['x-ratelimit-reset']);
+        const delay = Number.isNaN(retryAfter) ? DEFAULT_RATE_LIMIT_DELAY : retryAfter * 1000;
+
+        this.rateLimitedUntil = Date.now() + delay;
+        logger.warn(`Reddit rate limit hit for ${this.source.id}, resuming in ${Math.ceil(delay / 1000)}s`);
+        this.updateHealth('degraded', 'Rate limit reached');
+        // Don't throw - polling continues after the limit resets
+        return;
+      }
+
+      // Expired or revoked token: get a new one on the next poll
+      if (error.response?.status === 401 && this.accessToken) {
+        this.tokenExpiresAt = 0;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Children data of a listing
+   */
+  listingItems(listing) {
+    return (listing?.data?.children || [])
+      .filter(child => child.kind === 't1' || child.kind === 't3')
+      .map(child => ({ ...child.data, kind: child.kind }));
+  }
+
+  /**
+   * Flatten a comment tree (thread mode)
+   */
+  flattenComments(comments) {
+    const flat = [];
+
+    for (const comment of comments) {
+      flat.push(comment);
+      if (comment.replies && typeof comment.replies === 'object') {
+        flat.push(...this.flattenComments(this.listingItems(comment.replies)));
+      }
+    }
+
+    return flat;
+  }
+
+  /**
+   * Handle a post (t3) or comment (t1)
+   */
+  async handleItem(item) {
+    try {
+      const isPost = item.kind === 't3';
+      const text = isPost
+        ? [item.title, item.selftext].filter(Boolean).join('\n\n').trim()
+        : (item.body || '').trim();
+
+      // Skip deleted/removed content and moderator bots
+      if (!text || ['[deleted]', '[removed]'].includes(text) || !item.author || item.author === '[deleted]' || item.author === 'AutoModerator') {
+        return;
+      }
+
+      if (this.isDuplicate(item.name, this.seenMessages)) {
+        return;
+      }
+      this.rememberSeen(item.name);
+
+      // Account ID (t2_<id>), falling back to the username for accounts without one
+      const authorId = item.author_fullname ? item.author_fullname.replace(/^t2_/, '') : item.author;
+
+      this.rememberText(item.name, { text, author: { id: authorId, username: item.author } });
+
+      // Parent post or comment, with its text when seen by this connector
+      let replyTo = null;
+      if (!isPost && item.parent_id) {
+        const parent = this.knownTexts.get(item.parent_id);
+        replyTo = {
+          id: item.parent_id,
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      const normalizedMsg = this.normalizeMessage({
+        id: item.name,
+        text,
+        author: {
+          id: authorId,
+          username: item.author,
+          displayName: item.author
+        },
+        timestamp: new Date(item.created_utc * 1000).toISOString(),
+        metadata: {
+          subreddit: item.subreddit,
+          kind: isPost ? 'post' : 'comment',
+          permalink: item.permalink ? `${PUBLIC_API}${item.permalink}` : null,
+          score: item.score ?? null,
+          threadKey: isPost ? item.name : item.link_id,
+          replyTo
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      logger.debug(`Reddit ${isPost ? 'post' : 'comment'} queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      logger.error(`Error handling Reddit item ${item.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect from Reddit
+   */
+  async disconnect() {
+    try {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        this.polling = false;
+      }
+      logger.info(`Reddit source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting Reddit: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RedditConnector;
@@ -0,0 +1,275 @@
+/**
+ * RSS Connector
+ * Polls RSS/Atom feeds (blogs, forums, news) for new entries
+ */
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const { parseFeed } = require('./feedParser');
+const logger = require('../utils/logger');
+
+const MAX_GUIDS_PER_FEED = 500; // Seen entry GUIDs kept per feed in the cursor
+const MAX_TEXT_LENGTH = 2000; // Title + summary characters sent for analysis
+const DEFAULT_RETRY_DELAY = 300000; // When a 429/503 comes without Retry-After (ms)
+
+class RssConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.pollInterval = null;
+    this.polling = false;
+    this.retryAt = {}; // Feed URL -> timestamp (ms) before which it isn't polled
+    this.lastGuid = null; // Newest queued entry, stored with the cursor
+
+    // Target is a feed URL; [sources.config] urls adds more feeds to the same source
+    this.urls = [...new Set([source.target, ...(source.config?.urls || [])])]
+      .filter(url => /^https?:\/\//i.test(url || ''));
+
+    // Per feed: { etag, lastModified, guids }, persisted as the source's cursor
+    this.feeds = {};
+  }
+
+  /**
+   * Create HTTP client
+   */
+  createClient() {
+    return axios.create({
+      timeout: 20000,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      headers: {
+        'User-Agent': 'salt-index/1.0 (feed reader)',
+        Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+      }
+    });
+  }
+
+  /**
+   * Connect (start polling the feeds)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting RSS source: ${this.source.id} (${this.urls.length} feed(s))`);
+
+      if (this.urls.length === 0) {
+        throw new Error('RSS source needs a feed URL as target or in config.urls');
+      }
+
+      const pollIntervalSeconds = this.source.config?.poll_interval || 300;
+      if (pollIntervalSeconds <= 0) {
+        throw new Error(`Invalid poll_interval: ${pollIntervalSeconds}. Must be positive number of seconds.`);
+      }
+      if (pollIntervalSeconds < 30) {
+        logger.warn(`Poll interval ${pollIntervalSeconds}s is very short for feeds`);
+      }
+
+      this.client = this.createClient();
+
+      // Restore seen GUIDs and validators from the cursor
+      const cursor = await this.getCursor();
+      if (cursor) {
+        try {
+          this.feeds = JSON.parse(cursor);
+        } catch (error) {
+          logger.warn(`Ignoring invalid cursor for RSS source ${this.source.id}: ${error.message}`);
+        }
+      }
+
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+      }
+
+      // Initial poll
+      await this.poll();
+
+      this.pollInterval = setInterval(async () => {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error(`RSS polling error for ${this.source.id}: ${error.message}`);
+          this.updateHealth('degraded', error.message);
+        }
+      }, pollIntervalSeconds * 1000);
+
+      this.polling = true;
+      logger.info(`RSS source connected: ${this.source.id} (interval: ${pollIntervalSeconds}s)`);
+
+    } catch (error) {
+      logger.error(`Failed to connect RSS source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Poll every feed of the source
+   * A failing feed doesn't stop the others; the source is degraded while
+   * any feed fails.
+   */
+  async poll() {
+    const errors = [];
+    let changed = false;
+
+    for (const url of this.urls) {
+      if (Date.now() < (this.retryAt[url] || 0)) {
+        logger.debug(`Feed ${url} is rate limited, skipping`);
+        continue;
+      }
+
+      try {
+        changed = (await this.pollFeed(url)) || changed;
+      } catch (error) {
+        errors.push(`${url}: ${error.message}`);
+        logger.warn(`Failed to poll feed ${url} for ${this.source.id}: ${error.message}`);
+      }
+    }
+
+    if (changed) {
+      await this.updateCursor(JSON.stringify(this.feeds), this.lastGuid);
+    }
+
+    if (errors.length > 0) {
+      this.updateHealth('degraded', errors.join('; '));
+    } else if (this.health !== 'healthy') {
+      this.updateHealth('healthy');
+    }
+  }
+
+  /**
+   * Fetch a feed (conditional GET) and queue its new entries
+   * Returns false when the feed wasn't modified (304).
+   */
+  async pollFeed(url) {
+    const state = this.feeds[url] || { etag: null, lastModified: null, guids: [] };
+    const headers = {};
+
+    if (state.etag) headers['If-None-Match'] = state.etag;
+    if (state.lastModified) headers['If-Modified-Since'] = state.lastModified;
+
+    let response;
+    try {
+      response = await this.client.get(url, {
+        headers,
+        validateStatus: status => status === 304 || (status >= 200 && status < 300)
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429 || status === 503) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after']);
+        this.retryAt[url] = Date.now() + (Number.isNaN(retryAfter) ? DEFAULT_RETRY_DELAY : retryAfter * 1000);
+      }
+      throw error;
+    }
+
+    if (response.status === 304) {
+      logger.debug(`Feed not modified: ${url}`);
+      return false;
+    }
+
+    const feed = parseFeed(String(response.data || ''));
+    const known = new Set(state.guids);
+    const maxAgeHours = this.source.config?.max_age_hours ?? 72;
+    const cutoff = maxAgeHours > 0 ? Date.now() - maxAgeHours * 3600000 : null;
+
+    // Oldest first (feeds list newest first; undated entries keep feed order)
+    const entries = feed.entries.filter(entry => entry.guid).reverse()
+      .sort((a, b) => (Date.parse(a.published) || 0) - (Date.parse(b.published) || 0));
+
+    for (const entry of entries) {
+      if (known.has(entry.guid)) continue;
+      known.add(entry.guid);
+
+      // Old entries (first poll of a feed with a long history) are only marked as seen
+      if (cutoff && entry.published && Date.parse(entry.published) < cutoff) continue;
+
+      await this.handleEntry(url, feed, entry);
+    }
+
+    // Entries still in the feed first, so GUIDs that dropped out are trimmed first
+    const current = feed.entries.map(entry => entry.guid).filter(Boolean);
+    this.feeds[url] = {
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null,
+      guids: [...new Set([...current, ...state.guids])].slice(0, MAX_GUIDS_PER_FEED)
+    };
+
+    return true;
+  }
+
+  /**
+   * Queue a feed entry
+   */
+  async handleEntry(url, feed, entry) {
+    try {
+      const text = [entry.title, entry.summary].filter(Boolean).join('\n\n').substring(0, MAX_TEXT_LENGTH).trim();
+      if (!text) {
+        return;
+      }
+
+      // Feed author (or the feed itself), scoped to the feed's host
+      const host = new URL(url).host;
+      const authorName = entry.author || feed.title || host;
+
+      const normalizedMsg = this.normalizeMessage({
+        id: entry.guid,
+        text,
+        author: {
+          id: `${host}/${authorName}`,
+          username: authorName,
+          displayName: authorName
+        },
+        timestamp: entry.published || new Date().toISOString(),
+        metadata: {
+          feedUrl: url,
+          feedTitle: feed.title,
+          link: entry.link,
+          threadKey: null,
+          replyTo: null
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+      this.lastGuid = entry.guid;
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      logger.debug(`RSS entry queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      logger.error(`Error handling RSS entry ${entry.guid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (stop polling)
+   */
+  async disconnect() {
+    try {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        this.polling = false;
+      }
+      logger.info(`RSS source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting RSS: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RssConnector;
@@ -0,0 +1,377 @@
+/**
+ * Slack Connector
+ * Monitors a Slack channel: messages and thread replies arrive as Events
+ * API callbacks on POST /api/slack/events, the Web API resolves users
+ */
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const { decodeEntities } = require('../utils/html');
+const logger = require('../utils/logger');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Max clock skew / replay window for signed events
+const USER_CACHE_TTL = 3600000; // Resolved user names are refreshed after an hour (ms)
+const MAX_CACHED_USERS = 5000;
+const DEFAULT_RETRY_DELAY = 60000; // When a 429 comes without Retry-After (ms)
+
+// Message subtypes written by people; joins, edits, deletions etc. are skipped
+const USER_SUBTYPES = [undefined, 'thread_broadcast', 'file_share'];
+
+class SlackConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.channelId = source.config?.channel_id || null;
+    this.channelName = null;
+    this.teamId = null;
+    this.lastTs = null; // Newest message timestamp, stored as the cursor
+    this.rateLimitedUntil = 0;
+    this.seenMessages = new Set();
+    this.users = new Map(); // user ID -> { username, displayName, fetchedAt }
+    this.knownTexts = new Map(); // message ts -> { text, author }
+  }
+
+  /**
+   * Create Web API client
+   * Tests replace this to return a fake client.
+   */
+  createClient() {
+    return axios.create({
+      baseURL: 'https://slack.com/api',
+      timeout: 15000,
+      headers: {
+        'User-Agent': 'salt-index/1.0',
+        Authorization: `Bearer ${this.config.slack.botToken}`
+      }
+    });
+  }
+
+  /**
+   * Connect to Slack (check the token and channel, catch up on missed messages)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting Slack source: ${this.source.id} (${this.source.target})`);
+
+      if (!this.config.slack?.botToken) {
+        throw new Error('Slack bot token not configured');
+      }
+      if (!this.config.slack.signingSecret) {
+        throw new Error('Slack signing secret not configured (needed to verify events)');
+      }
+      if (!this.channelId) {
+        throw new Error('Slack source needs config.channel_id');
+      }
+
+      this.client = this.createClient();
+
+      const auth = await this.callApi('auth.test');
+      this.teamId = auth.team_id;
+
+      const { channel } = await this.callApi('conversations.info', { channel: this.channelId });
+      this.channelName = channel.name;
+
+      // Events are only sent for channels the bot is in
+      if (!channel.is_member) {
+        logger.warn(`Slack bot is not a member of #${channel.name} for source ${this.source.id}`);
+        this.updateHealth('degraded', 'Bot is not a member of the channel');
+      } else {
+        this.updateHealth('healthy');
+      }
+
+      const cursor = await this.getCursor();
+      if (cursor) {
+        this.lastTs = cursor;
+        await this.catchUp();
+      }
+
+      logger.info(`Slack source connected: ${this.source.id} (#${this.channelName} in ${auth.team})`);
+
+    } catch (error) {
+      logger.error(`Failed to connect Slack source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Call a Web API method
+   * Slack answers errors with 200 and { ok: false }; 429s set a backoff.
+   */
+  async callApi(method, params = {}) {
+    if (Date.now() < this.rateLimitedUntil) {
+      throw new Error(`Slack rate limited until ${new Date(this.rateLimitedUntil).toISOString()}`);
+    }
+
+    let response;
+    try {
+      response = await this.client.get(`/${method}`, { params });
+    } catch (error) {
+      if (error.response?.status === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after']);
+        this.rateLimitedUntil = Date.now() + (Number.isNaN(retryAfter) ? DEFAULT_RETRY_DELAY : retryAfter * 1000);
+        logger.warn(`Slack rate limit hit for ${this.source.id} (${method})`);
+        this.updateHealth('degraded', 'Rate limit reached');
+      }
+      throw error;
+    }
+
+    if (!response.data?.ok) {
+      throw new Error(`Slack ${method} failed: ${response.data?.error || 'unknown_error'}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Queue channel messages posted since the cursor (while disconnected)
+   * Every page is read before any message is queued, so a failed catch-up
+   * doesn't move the cursor past messages it didn't get to.
+   * History only has top-level messages; missed thread replies are lost.
+   */
+  async catchUp() {
+    try {
+      const messages = [];
+      let cursor = null;
+
+      do {
+        const page = await this.callApi('conversations.history', {
+          channel: this.channelId,
+          oldest: this.lastTs,
+          limit: 200,
+          ...(cursor ? { cursor } : {})
+        });
+
+        messages.push(...(page.messages || []));
+        cursor = page.has_more ? page.response_metadata?.next_cursor : null;
+      } while (cursor);
+
+      // Newest first
+      for (const message of [...messages].reverse()) {
+        await this.handleMessage({ ...message, channel: this.channelId });
+      }
+
+      if (messages.length > 0) {
+        logger.info(`Caught up on ${messages.length} Slack message(s) for ${this.source.id}`);
+      }
+    } catch (error) {
+      logger.warn(`Slack catch-up failed for ${this.source.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check an Events API request's signature
+   * The signature is HMAC-SHA256 over "v0:<timestamp>:<raw body>" with the
+   * app's signing secret, shared by every Slack source. Returns null when
+   * valid, else the reason it was rejected.
+   */
+  static checkSignature(signingSecret, rawBody, timestamp, signature) {
+    if (!timestamp || !signature) {
+      return 'Missing X-Slack-Request-Timestamp or X-Slack-Signature header';
+    }
+
+    const sentAt = parseInt(timestamp);
+    if (Number.isNaN(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > SIGNATURE_TOLERANCE_SECONDS) {
+      return `Timestamp outside the ${SIGNATURE_TOLERANCE_SECONDS}s tolerance`;
+    }
+
+    const hmac = crypto.createHmac('sha256', signingSecret)
+      .update(`v0:${timestamp}:`)
+      .update(rawBody)
+      .digest('hex');
+    const expected = Buffer.from(`v0=${hmac}`);
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'Invalid signature';
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle an Events API event (events of other channels are ignored)
+   */
+  async handleEvent(event, batchProcessor) {
+    if (event?.type !== 'message' || event.channel !== this.channelId) {
+      return;
+    }
+
+    await this.handleMessage(event, batchProcessor);
+  }
+
+  /**
+   * Handle a channel message or thread reply
+   * With a batch processor (events), the message is written to its durable
+   * queue before this returns, and errors are thrown so the event isn't
+   * acknowledged and Slack retries it.
+   */
+  async handleMessage(message, batchProcessor = null) {
+    try {
+      // Skip bots and non-user messages
+      if (message.bot_id || !message.user || !USER_SUBTYPES.includes(message.subtype)) {
+        return;
+      }
+
+      // Check deduplication (ts is unique within a channel)
+      const messageId = message.ts;
+      if (this.isDuplicate(messageId, this.seenMessages)) {
+        return;
+      }
+
+      const text = await this.formatText(message.text || '');
+      if (!text) {
+        return;
+      }
+
+      const user = await this.resolveUser(message.user);
+      const author = { id: message.user, username: user.username };
+
+      // Thread replies reference the thread's parent message
+      const threadKey = message.thread_ts || messageId;
+      let replyTo = null;
+      if (message.thread_ts && message.thread_ts !== messageId) {
+        const parent = this.knownTexts.get(message.thread_ts);
+        replyTo = {
+          id: message.thread_ts,
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      this.rememberText(messageId, { text, author });
+
+      const normalizedMsg = this.normalizeMessage({
+        id: messageId,
+        text,
+        author: {
+          ...author,
+          displayName: user.displayName
+        },
+        timestamp: new Date(parseFloat(messageId) * 1000).toISOString(),
+        metadata: {
+          teamId: this.teamId,
+          channelId: this.channelId,
+          channelName: this.channelName,
+          threadKey,
+          replyTo
+        }
+      });
+
+      // Durable before Slack is answered, so an acknowledged event survives a restart
+      if (batchProcessor) {
+        await batchProcessor.persistMessages([normalizedMsg]);
+        if (normalizedMsg.queueId === undefined) {
+          throw new Error(`Failed to persist Slack message ${messageId}`);
+        }
+      }
+      this.rememberSeen(messageId);
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+
+      // Update cursor (ts values are fixed-width, so they compare as strings)
+      if (!this.lastTs || messageId > this.lastTs) {
+        this.lastTs = messageId;
+        await this.updateCursor(messageId, messageId);
+      }
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      // Events arriving means the bot was added to the channel
+      if (this.health === 'degraded' && Date.now() >= this.rateLimitedUntil) {
+        this.updateHealth('healthy');
+      }
+
+      logger.debug(`Slack message queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      if (batchProcessor) {
+        throw error;
+      }
+      logger.error(`Error handling Slack message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Plain text of a message's mrkdwn
+   * User mentions become @display name, channel links #name and links
+   * their label (or URL).
+   */
+  async formatText(text) {
+    const mentioned = [...new Set([...text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]))];
+    const names = new Map();
+    for (const userId of mentioned) {
+      names.set(userId, (await this.resolveUser(userId)).displayName);
+    }
+
+    const plain = text.replace(/<([^>]*)>/g, (match, inner) => {
+      const [target, label] = inner.split('|');
+
+      if (target.startsWith('@')) return `@${names.get(target.substring(1)) || label || target.substring(1)}`;
+      if (target.startsWith('#')) return `#${label || target.substring(1)}`;
+      if (target.startsWith('!subteam^')) return label || '@team';
+      if (target.startsWith('!')) return `@${target.substring(1)}`;
+      return label || target;
+    });
+
+    // Slack only escapes &, < and >
+    return decodeEntities(plain).trim();
+  }
+
+  /**
+   * Username and display name of a user (cached)
+   * Falls back to the user ID when users.info fails.
+   */
+  async resolveUser(userId) {
+    const cached = this.users.get(userId);
+    if (cached && Date.now() - cached.fetchedAt < USER_CACHE_TTL) {
+      return cached;
+    }
+
+    try {
+      const { user } = await this.callApi('users.info', { user: userId });
+      const resolved = {
+        username: user.name,
+        displayName: user.profile?.display_name || user.real_name || user.name,
+        fetchedAt: Date.now()
+      };
+
+      this.users.delete(userId);
+      this.users.set(userId, resolved);
+      if (this.users.size > MAX_CACHED_USERS) {
+        this.users.delete(this.users.keys().next().value);
+      }
+
+      return resolved;
+
+    } catch (error) {
+      logger.warn(`Failed to resolve Slack user ${userId} for ${this.source.id}: ${error.message}`);
+      // A stale name beats the raw ID
+      return cached || { username: userId, displayName: userId, fetchedAt: 0 };
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (events for this source are ignored from now on)
+   */
+  async disconnect() {
+    logger.info(`Slack source disconnected: ${this.source.id}`);
+  }
+}
+
+module.exports = SlackConnector;
@@ -61,7 +61,7 @@ class TelegramBotManager {
 		this.botToken = botToken;
 
 		// Create bot instance with polling enabled.
-		this.bot = new TelegramBot(botToken, {
+		this.bot = this.createBot(botToken, {
 			polling: true,
 			request: {
 				agentOptions: {
@@ -81,6 +81,17 @@ class TelegramBotManager {
 		logger.info('TelegramBotManager initialized and polling started');
 	}
 
+	/**
+	 * Create the bot client.
+	 * Tests replace this to emit messages from a fake bot.
+	 * @param {string} botToken - The Telegram bot API token.
+	 * @param {Object} options - node-telegram-bot-api options.
+	 * @returns {TelegramBot}
+	 */
+	createBot(botToken, options) {
+		return new TelegramBot(botToken, options);
+	}
+
 	/**
 	 * Set up event listeners for incoming messages.
 	 * @private
@@ -122,6 +122,16 @@ class TelegramConnector extends BaseConnector {
 				displayName = 'Unknown';
 			}
 
+			// Replied-to message (in forum topics, replies to the topic's service message are just topic posts)
+			const reply = msg.reply_to_message;
+			const replyTo = reply && reply.message_id !== msg.message_thread_id ? {
+				id: `${msg.chat.id}:${reply.message_id}`,
+				text: reply.text || reply.caption || null,
+				author: reply.from
+					? { id: reply.from.id.toString(), username: reply.from.username || reply.from.first_name || `user_${reply.from.id}` }
+					: null
+			} : null;
+
 			// Normalize message
 			const normalizedMsg = this.normalizeMessage({
 				id: messageId,
@@ -138,7 +148,9 @@ class TelegramConnector extends BaseConnector {
 					messageId: msg.message_id,
 					topicId: msg.message_thread_id || null,
 					forwardFrom: msg.forward_from ? msg.forward_from.username : null,
-					senderType: msg.from ? 'user' : 'channel'
+					senderType: msg.from ? 'user' : 'channel',
+					threadKey: `${msg.chat.id}:${msg.message_thread_id || 0}`,
+					replyTo
 				}
 			});
 
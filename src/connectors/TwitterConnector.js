@@ -35,8 +35,7 @@ class TwitterConnector extends BaseConnector {
         throw new Error('Twitter bearer token is empty');
       }
 
-      // Create Twitter client (read-only with bearer token)
-      this.client = new TwitterApi(bearerToken);
+      this.client = this.createClient(bearerToken);
 
       // Note: Cannot verify credentials with bearer token (app-only auth has no user context)
       // Connection will be validated when first API call is made
@@ -74,6 +73,14 @@ class TwitterConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Create Twitter client (read-only with bearer token)
+   * Tests replace this to return a fake client.
+   */
+  createClient(bearerToken) {
+    return new TwitterApi(bearerToken);
+  }
+
   /**
    * Start stream-based monitoring (real-time)
    */
@@ -114,9 +121,9 @@ class TwitterConnector extends BaseConnector {
 
       // Start streaming with proper field parameters (comma-separated strings, not arrays)
       this.stream = await this.client.v2.searchStream({
-        'tweet.fields': 'created_at,author_id,text',
+        'tweet.fields': 'created_at,author_id,text,conversation_id,referenced_tweets',
         'user.fields': 'username,name',
-        expansions: 'author_id'
+        expansions: 'author_id,referenced_tweets.id,referenced_tweets.id.author_id'
       });
 
       // Handle incoming tweets
@@ -216,9 +223,9 @@ class TwitterConnector extends BaseConnector {
       // Build options object (twitter-api-v2 format)
       const options = {
         max_results: maxResults,
-        'tweet.fields': 'created_at,author_id,text',
+        'tweet.fields': 'created_at,author_id,text,conversation_id,referenced_tweets',
         'user.fields': 'username,name',
-        expansions: 'author_id'
+        expansions: 'author_id,referenced_tweets.id,referenced_tweets.id.author_id'
       };
 
       // Add since_id if we have a cursor
@@ -240,6 +247,7 @@ class TwitterConnector extends BaseConnector {
       // tweets.includes.users contains user objects
       const tweetData = tweets.data?.data || [];
       const users = tweets.includes?.users || [];
+      const referencedTweets = tweets.includes?.tweets || [];
 
       // Validate arrays
       if (!Array.isArray(tweetData)) {
@@ -272,7 +280,7 @@ class TwitterConnector extends BaseConnector {
         const user = userMap[tweet.author_id];
         if (user) {
           try {
-            await this.handleTweet({ data: tweet, includes: { users: [user] } });
+            await this.handleTweet({ data: tweet, includes: { users: Array.isArray(users) ? users : [user], tweets: referencedTweets } });
           } catch (handleError) {
             logger.error(`Error handling tweet ${tweet.id}: ${handleError.message}`);
             // Continue processing other tweets
@@ -360,6 +368,21 @@ class TwitterConnector extends BaseConnector {
         name: 'Unknown'
       };
 
+      // Replied-to (or quoted) tweet, with its text when included in the expansions
+      const reference = Array.isArray(tweet.referenced_tweets)
+        ? tweet.referenced_tweets.find(ref => ref.type === 'replied_to') || tweet.referenced_tweets.find(ref => ref.type === 'quoted')
+        : null;
+      let replyTo = null;
+      if (reference) {
+        const referencedTweet = (tweetData.includes?.tweets || []).find(t => t && t.id === reference.id);
+        const referencedAuthor = referencedTweet && users.find(u => u && u.id === referencedTweet.author_id);
+        replyTo = {
+          id: reference.id,
+          text: referencedTweet?.text || null,
+          author: referencedAuthor ? { id: String(referencedAuthor.id), username: referencedAuthor.username } : null
+        };
+      }
+
       // Normalize message
       const normalizedMsg = this.normalizeMessage({
         id: tweetId,
@@ -373,7 +396,9 @@ class TwitterConnector extends BaseConnector {
         metadata: {
           tweetId: tweetId,
           authorId: author.id,
-          authorUsername: author.username
+          authorUsername: author.username,
+          threadKey: tweet.conversation_id || null,
+          replyTo
         }
       });
 
@@ -0,0 +1,299 @@
+/**
+ * Webhook Connector
+ * Receives messages pushed to POST /api/ingest/:sourceId by systems that
+ * can't be polled (support desks, app reviews, chat exports)
+ */
+const crypto = require('crypto');
+const BaseConnector = require('./BaseConnector');
+const { parseTimestamp } = require('../utils/time');
+const logger = require('../utils/logger');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Max clock skew / replay window for signed deliveries
+const MAX_MESSAGES_PER_DELIVERY = 500;
+
+class WebhookConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.secret = null;
+    this.seenMessages = new Set();
+  }
+
+  /**
+   * Connect (resolve the signing secret; deliveries arrive through the API)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting webhook source: ${this.source.id}`);
+
+      const { secret_env: secretEnv, secret } = this.source.config || {};
+      this.secret = secretEnv ? process.env[secretEnv] : secret;
+
+      if (!this.secret) {
+        throw new Error(secretEnv
+          ? `Webhook signing secret not set: ${secretEnv} is empty`
+          : 'Webhook source needs a signing secret (config.secret_env or config.secret)');
+      }
+
+      this.updateHealth('healthy');
+      logger.info(`Webhook source ready: ${this.source.id} (POST /api/ingest/${this.source.id})`);
+
+    } catch (error) {
+      logger.error(`Failed to connect webhook source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a delivery's signature
+   * The signature is HMAC-SHA256 over "<timestamp>.<raw body>" with the
+   * source's secret, sent as "sha256=<hex>". Returns null when valid, else
+   * the reason it was rejected.
+   */
+  checkSignature(rawBody, timestamp, signature) {
+    if (!timestamp || !signature) {
+      return 'Missing X-Salt-Timestamp or X-Salt-Signature header';
+    }
+
+    const sentAt = parseInt(timestamp);
+    if (Number.isNaN(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > SIGNATURE_TOLERANCE_SECONDS) {
+      return `Timestamp outside the ${SIGNATURE_TOLERANCE_SECONDS}s tolerance`;
+    }
+
+    const expected = Buffer.from(`sha256=${this.sign(rawBody, timestamp)}`);
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'Invalid signature';
+    }
+
+    return null;
+  }
+
+  /**
+   * HMAC-SHA256 (hex) of a delivery
+   */
+  sign(rawBody, timestamp) {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  /**
+   * Messages of a delivery body: a single message or { messages: [...] }
+   * Throws when the body has neither shape.
+   */
+  parseDelivery(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Body must be a message object or { "messages": [...] }');
+    }
+
+    const messages = body.messages !== undefined ? body.messages : [body];
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error('messages must be a non-empty array');
+    }
+    if (messages.length > MAX_MESSAGES_PER_DELIVERY) {
+      throw new Error(`Too many messages: ${messages.length} (max ${MAX_MESSAGES_PER_DELIVERY} per delivery)`);
+    }
+
+    return messages;
+  }
+
+  /**
+   * Ingest a delivery
+   * Accepted messages are written to the batch processor's durable queue
+   * before the delivery is acknowledged. With an idempotency key, a
+   * repeated delivery returns the first delivery's result without queueing
+   * anything. Messages are also deduplicated by ID, so retries without a
+   * key aren't double-counted. Returns { status, result }.
+   */
+  async ingest(messages, batchProcessor, idempotencyKey = null) {
+    const db = require('../db');
+
+    if (idempotencyKey) {
+      // Claim the key before queueing so concurrent retries can't both pass
+      const { changes } = await db.run(
+        'INSERT OR IGNORE INTO webhook_deliveries (source_id, idempotency_key) VALUES (?, ?)',
+        [this.source.id, idempotencyKey]
+      );
+
+      if (changes === 0) {
+        const delivery = await db.queryOne(
+          'SELECT response FROM webhook_deliveries WHERE source_id = ? AND idempotency_key = ?',
+          [this.source.id, idempotencyKey]
+        );
+
+        // Still being processed by the first delivery
+        if (!delivery.response) {
+          return { status: 409, result: { error: 'Conflict', message: 'A delivery with this idempotency key is in progress' } };
+        }
+
+        logger.debug(`Webhook delivery replayed: ${this.source.id} (${idempotencyKey})`);
+        return { status: 200, result: { ...JSON.parse(delivery.response), replayed: true } };
+      }
+    }
+
+    try {
+      return await this.queueDelivery(messages, batchProcessor, idempotencyKey);
+    } catch (error) {
+      // Release the key so the sender's retry is processed
+      if (idempotencyKey) {
+        await db.run(
+          'DELETE FROM webhook_deliveries WHERE source_id = ? AND idempotency_key = ? AND response IS NULL',
+          [this.source.id, idempotencyKey]
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate, deduplicate, persist and queue the messages of a delivery
+   * Throws when some messages couldn't be persisted; the ones that were
+   * are queued, so the sender's retry counts them as duplicates.
+   */
+  async queueDelivery(messages, batchProcessor, idempotencyKey) {
+    const db = require('../db');
+    const result = { received: messages.length, accepted: 0, duplicates: 0, rejected: [] };
+    const accepted = new Map(); // id -> normalized message
+    let latest = null;
+
+    for (const [index, raw] of messages.entries()) {
+      const error = this.validateMessage(raw);
+      if (error) {
+        result.rejected.push({ index, id: raw?.id ?? null, error });
+        continue;
+      }
+
+      // Qualified by source, since senders pick IDs that can clash across sources
+      const id = this.messageId(raw.id);
+      if (accepted.has(id) || this.isDuplicate(id, this.seenMessages) || await this.isStored(id)) {
+        result.duplicates++;
+        continue;
+      }
+
+      accepted.set(id, this.toMessage(id, raw));
+    }
+
+    // Durable before the 202, so an accepted delivery survives a restart
+    await batchProcessor.persistMessages([...accepted.values()]);
+
+    for (const normalizedMsg of accepted.values()) {
+      if (normalizedMsg.queueId === undefined) continue;
+
+      this.rememberSeen(normalizedMsg.id);
+      this.messageQueue.push(normalizedMsg);
+      result.accepted++;
+
+      if (!latest || normalizedMsg.timestamp > latest) {
+        latest = normalizedMsg.timestamp;
+      }
+    }
+
+    if (result.accepted < accepted.size) {
+      throw new Error(`Failed to persist ${accepted.size - result.accepted} of ${accepted.size} messages`);
+    }
+
+    if (latest) {
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [latest, this.source.id]
+      );
+    }
+
+    if (idempotencyKey) {
+      await db.run(
+        'UPDATE webhook_deliveries SET response = ? WHERE source_id = ? AND idempotency_key = ?',
+        [JSON.stringify(result), this.source.id, idempotencyKey]
+      );
+    }
+
+    logger.debug(`Webhook delivery for ${this.source.id}: ${result.accepted} accepted, ${result.duplicates} duplicates, ${result.rejected.length} rejected`);
+    return { status: 202, result };
+  }
+
+  /**
+   * Validate a pushed message; returns an error message or null
+   */
+  validateMessage(raw) {
+    if (!raw || typeof raw !== 'object') return 'Message must be an object';
+    if ((typeof raw.id !== 'string' && typeof raw.id !== 'number') || raw.id === '') return 'id is required';
+    if (typeof raw.text !== 'string' || !raw.text.trim()) return 'text is required';
+    if (!raw.author || (typeof raw.author.id !== 'string' && typeof raw.author.id !== 'number') || raw.author.id === '') return 'author.id is required';
+    if (raw.timestamp !== undefined && parseTimestamp(raw.timestamp) === null) return 'timestamp must be ISO 8601 or Unix time';
+    if (raw.metadata !== undefined && (typeof raw.metadata !== 'object' || Array.isArray(raw.metadata))) return 'metadata must be an object';
+    return null;
+  }
+
+  /**
+   * Message ID of a pushed ID (<source id>:<id>)
+   */
+  messageId(id) {
+    return `${this.source.id}:${id}`;
+  }
+
+  /**
+   * Map a pushed message to the normalized format
+   */
+  toMessage(id, raw) {
+    const author = raw.author;
+    const replyTo = raw.reply_to;
+
+    return this.normalizeMessage({
+      id,
+      text: raw.text.trim(),
+      author: {
+        id: String(author.id),
+        username: author.username || String(author.id),
+        displayName: author.display_name || author.username || String(author.id)
+      },
+      timestamp: raw.timestamp !== undefined ? parseTimestamp(raw.timestamp) : new Date().toISOString(),
+      metadata: {
+        ...(raw.metadata || {}),
+        messageId: String(raw.id),
+        threadKey: raw.thread_id != null ? String(raw.thread_id) : null,
+        replyTo: replyTo?.id != null
+          ? { id: this.messageId(replyTo.id), text: replyTo.text || null, author: replyTo.author || null }
+          : null
+      }
+    });
+  }
+
+  /**
+   * Whether a message ID is already stored or waiting in the durable queue
+   * (covers retries after a restart, when seenMessages is empty)
+   */
+  async isStored(id) {
+    const db = require('../db');
+
+    const row = await db.queryOne(
+      `SELECT 1 FROM messages WHERE source_id = ? AND message_id = ?
+       UNION ALL
+       SELECT 1 FROM message_queue WHERE source_id = ? AND json_extract(payload, '$.id') = ?
+       LIMIT 1`,
+      [this.source.id, id, this.source.id, id]
+    );
+
+    return Boolean(row);
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (deliveries for this source are refused from now on)
+   */
+  async disconnect() {
+    logger.info(`Webhook source disconnected: ${this.source.id}`);
+  }
+}
+
+module.exports = WebhookConnector;
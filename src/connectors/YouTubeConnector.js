@@ -0,0 +1,414 @@
+/**
+ * YouTube Connector
+ * Polls the comment threads (comments and replies) of videos through the
+ * YouTube Data API
+ */
+const axios = require('axios');
+const BaseConnector = require('./BaseConnector');
+const logger = require('../utils/logger');
+
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+const QUOTA_RETRY_DELAY = 3600000; // After quotaExceeded (the daily quota resets at midnight PT) (ms)
+const MAX_TEXT_LENGTH = 2000;
+const MAX_REPLY_COUNTS = 5000; // Threads whose reply count is remembered
+
+class YouTubeConnector extends BaseConnector {
+  constructor(source, config) {
+    super(source, config);
+    this.client = null;
+    this.pollInterval = null;
+    this.polling = false;
+    this.rateLimitedUntil = 0;
+    this.lastCommentId = null; // Newest comment seen, stored with the cursor
+    this.seenMessages = new Set();
+    this.knownTexts = new Map(); // comment ID -> { text, author }
+    this.replyCounts = new Map(); // thread ID -> replies seen, to fetch replies only when there are new ones
+
+    // Target is a video ID or URL; [sources.config] video_ids adds more videos
+    this.videoIds = [...new Set([source.target, ...(source.config?.video_ids || [])].map(parseVideoId))]
+      .filter(Boolean);
+
+    // Per video: { published_at, ids } of the newest comments seen, persisted as the cursor
+    this.videos = {};
+  }
+
+  /**
+   * Create HTTP client
+   * Tests replace this to return a fake client.
+   */
+  createClient() {
+    return axios.create({
+      baseURL: API_URL,
+      timeout: 15000,
+      headers: { 'User-Agent': 'salt-index/1.0' }
+    });
+  }
+
+  /**
+   * Connect to YouTube (start polling the videos)
+   */
+  async connect() {
+    try {
+      logger.info(`Connecting YouTube source: ${this.source.id} (${this.videoIds.length} video(s))`);
+
+      if (!this.config.youtube?.apiKey) {
+        throw new Error('YouTube API key not configured');
+      }
+      if (this.videoIds.length === 0) {
+        throw new Error('YouTube source needs a video ID or URL as target or in config.video_ids');
+      }
+
+      const pollIntervalSeconds = this.source.config?.poll_interval || 300;
+      if (pollIntervalSeconds <= 0) {
+        throw new Error(`Invalid poll_interval: ${pollIntervalSeconds}. Must be positive number of seconds.`);
+      }
+      if (pollIntervalSeconds < 60) {
+        logger.warn(`Poll interval ${pollIntervalSeconds}s is very short for the YouTube API's daily quota`);
+      }
+
+      this.client = this.createClient();
+
+      const cursor = await this.getCursor();
+      if (cursor) {
+        this.restoreCursor(cursor);
+      }
+
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+      }
+
+      // Initial poll
+      await this.poll();
+
+      this.pollInterval = setInterval(async () => {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.error(`YouTube polling error for ${this.source.id}: ${error.message}`);
+          this.updateHealth('degraded', error.message);
+        }
+      }, pollIntervalSeconds * 1000);
+
+      this.polling = true;
+      logger.info(`YouTube source connected: ${this.source.id} (interval: ${pollIntervalSeconds}s)`);
+
+    } catch (error) {
+      logger.error(`Failed to connect YouTube source ${this.source.id}: ${error.message}`);
+      this.updateHealth('failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the per-video cursors: { published_at, ids } per video, or the
+   * bare publish time stored by earlier versions
+   */
+  restoreCursor(cursor) {
+    try {
+      const parsed = JSON.parse(cursor);
+
+      this.videos = Object.fromEntries(Object.entries(parsed).map(([videoId, value]) => [
+        videoId,
+        typeof value === 'string' ? { published_at: value, ids: [] } : value
+      ]));
+    } catch (error) {
+      logger.warn(`Ignoring invalid cursor for YouTube source ${this.source.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remember a thread's reply count, dropping the least recently polled
+   * threads beyond MAX_REPLY_COUNTS
+   */
+  rememberReplyCount(threadId, count) {
+    this.replyCounts.delete(threadId);
+    this.replyCounts.set(threadId, count);
+
+    if (this.replyCounts.size > MAX_REPLY_COUNTS) {
+      this.replyCounts.delete(this.replyCounts.keys().next().value);
+    }
+  }
+
+  /**
+   * GET a Data API resource
+   */
+  async request(resource, params) {
+    const response = await this.client.get(`/${resource}`, {
+      params: { ...params, key: this.config.youtube.apiKey }
+    });
+    return response.data;
+  }
+
+  /**
+   * Poll every video of the source
+   * A failing video (comments disabled, deleted) doesn't stop the others;
+   * the source is degraded while any video fails.
+   */
+  async poll() {
+    if (Date.now() < this.rateLimitedUntil) {
+      logger.debug(`YouTube source ${this.source.id} is over its quota, skipping poll`);
+      return;
+    }
+
+    const errors = [];
+    let changed = false;
+
+    for (const videoId of this.videoIds) {
+      try {
+        changed = (await this.pollVideo(videoId)) || changed;
+      } catch (error) {
+        const reason = error.response?.data?.error?.errors?.[0]?.reason;
+
+        if (reason === 'quotaExceeded' || reason === 'rateLimitExceeded') {
+          this.rateLimitedUntil = Date.now() + QUOTA_RETRY_DELAY;
+          logger.warn(`YouTube quota exceeded for ${this.source.id}, pausing polls for an hour`);
+          errors.push('Quota exceeded');
+          break;
+        }
+
+        errors.push(`${videoId}: ${reason || error.message}`);
+        logger.warn(`Failed to poll YouTube video ${videoId} for ${this.source.id}: ${reason || error.message}`);
+      }
+    }
+
+    if (changed) {
+      await this.updateCursor(JSON.stringify(this.videos), this.lastCommentId);
+    }
+
+    if (errors.length > 0) {
+      this.updateHealth('degraded', errors.join('; '));
+    } else if (this.health !== 'healthy') {
+      this.updateHealth('healthy');
+    }
+  }
+
+  /**
+   * Fetch a video's newest comment threads and queue new comments and replies
+   * Replies are only seen on the fetched threads (the newest max_pages * 100).
+   * Returns whether the video's cursor moved.
+   */
+  async pollVideo(videoId) {
+    const cursor = this.videos[videoId];
+    const cursorIds = new Set(cursor?.ids || []);
+    const since = cursor ? Date.parse(cursor.published_at) : null;
+    const maxAgeHours = this.source.config?.max_age_hours ?? 72;
+    // Without a cursor (new video), only recent comments are queued
+    const lowerBound = since ?? (maxAgeHours > 0 ? Date.now() - maxAgeHours * 3600000 : 0);
+    const maxPages = this.source.config?.max_pages || 1;
+
+    const threads = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const data = await this.request('commentThreads', {
+        part: 'snippet,replies',
+        videoId,
+        order: 'time',
+        maxResults: 100,
+        textFormat: 'plainText',
+        ...(pageToken ? { pageToken } : {})
+      });
+
+      const items = data.items || [];
+      threads.push(...items);
+      pageToken = data.nextPageToken;
+      pages++;
+
+      // Newest first: stop once a page reaches comments older than the cursor
+      const oldest = items[items.length - 1];
+      if (!oldest || Date.parse(oldest.snippet.topLevelComment.snippet.publishedAt) < lowerBound) {
+        break;
+      }
+    } while (pageToken && pages < maxPages);
+
+    const comments = [];
+    for (const thread of threads) {
+      const topLevel = thread.snippet.topLevelComment;
+      comments.push({ comment: topLevel, threadId: thread.id, parentId: null });
+
+      // Threads include a few replies; the rest are fetched when the count grew
+      const replyCount = thread.snippet.totalReplyCount || 0;
+      let replies = thread.replies?.comments || [];
+      if (replyCount > replies.length && replyCount > (this.replyCounts.get(thread.id) || 0)) {
+        replies = await this.fetchReplies(topLevel.id);
+      }
+      this.rememberReplyCount(thread.id, replyCount);
+
+      comments.push(...replies.map(reply => ({ comment: reply, threadId: thread.id, parentId: topLevel.id })));
+    }
+
+    // Oldest first, so reply context is known before the replies
+    const fresh = comments
+      // Comments can share the cursor's second, only the ones seen there are skipped
+      .filter(({ comment }) => Date.parse(comment.snippet.publishedAt) >= lowerBound)
+      .filter(({ comment }) => !cursorIds.has(comment.id))
+      .sort((a, b) => Date.parse(a.comment.snippet.publishedAt) - Date.parse(b.comment.snippet.publishedAt));
+
+    for (const item of fresh) {
+      await this.handleComment(videoId, item);
+    }
+
+    // Context for replies to comments from earlier polls
+    for (const { comment, parentId } of comments) {
+      if (!parentId && !this.knownTexts.has(comment.id)) {
+        this.rememberText(comment.id, this.commentEntry(comment));
+      }
+    }
+
+    if (fresh.length === 0) {
+      return false;
+    }
+
+    const newest = fresh[fresh.length - 1].comment;
+    const newestAt = Date.parse(newest.snippet.publishedAt);
+    const ids = since === newestAt ? cursorIds : new Set();
+    fresh
+      .filter(({ comment }) => Date.parse(comment.snippet.publishedAt) === newestAt)
+      .forEach(({ comment }) => ids.add(comment.id));
+
+    this.videos[videoId] = { published_at: newest.snippet.publishedAt, ids: [...ids] };
+    this.lastCommentId = newest.id;
+    return true;
+  }
+
+  /**
+   * All replies of a top-level comment
+   */
+  async fetchReplies(parentId) {
+    const replies = [];
+    let pageToken;
+
+    do {
+      const data = await this.request('comments', {
+        part: 'snippet',
+        parentId,
+        maxResults: 100,
+        textFormat: 'plainText',
+        ...(pageToken ? { pageToken } : {})
+      });
+      replies.push(...(data.items || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return replies;
+  }
+
+  /**
+   * Text and author of a comment
+   */
+  commentEntry(comment) {
+    const { snippet } = comment;
+
+    return {
+      text: (snippet.textOriginal || snippet.textDisplay || '').substring(0, MAX_TEXT_LENGTH).trim(),
+      author: snippet.authorChannelId?.value
+        ? { id: snippet.authorChannelId.value, username: snippet.authorDisplayName }
+        : null
+    };
+  }
+
+  /**
+   * Queue a comment or reply
+   */
+  async handleComment(videoId, { comment, threadId, parentId }) {
+    try {
+      if (this.isDuplicate(comment.id, this.seenMessages)) {
+        return;
+      }
+      this.rememberSeen(comment.id);
+
+      const { text, author } = this.commentEntry(comment);
+      // Comments without a channel (deleted accounts) can't be attributed
+      if (!text || !author) {
+        return;
+      }
+
+      if (!parentId) {
+        this.rememberText(comment.id, { text, author });
+      }
+
+      // Replies reference the thread's top-level comment
+      let replyTo = null;
+      if (parentId) {
+        const parent = this.knownTexts.get(parentId);
+        replyTo = {
+          id: parentId,
+          text: parent?.text || null,
+          author: parent?.author || null
+        };
+      }
+
+      const normalizedMsg = this.normalizeMessage({
+        id: comment.id,
+        text,
+        author: {
+          ...author,
+          displayName: author.username
+        },
+        timestamp: comment.snippet.publishedAt,
+        metadata: {
+          videoId,
+          url: `https://www.youtube.com/watch?v=${videoId}&lc=${comment.id}`,
+          likeCount: comment.snippet.likeCount ?? null,
+          threadKey: threadId,
+          replyTo
+        }
+      });
+
+      // Add to queue for LLM processing
+      this.messageQueue.push(normalizedMsg);
+
+      // Update source last_message_at
+      const db = require('../db');
+      await db.run(
+        'UPDATE sources SET last_message_at = ? WHERE id = ?',
+        [normalizedMsg.timestamp, this.source.id]
+      );
+
+      logger.debug(`YouTube comment queued: ${this.source.id} - "${text.substring(0, 50)}..."`);
+
+    } catch (error) {
+      logger.error(`Error handling YouTube comment ${comment.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get queued messages
+   */
+  async getMessages() {
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    return messages;
+  }
+
+  /**
+   * Disconnect (stop polling)
+   */
+  async disconnect() {
+    try {
+      if (this.pollInterval) {
+        clearInterval(this.pollInterval);
+        this.pollInterval = null;
+        this.polling = false;
+      }
+      logger.info(`YouTube source disconnected: ${this.source.id}`);
+    } catch (error) {
+      logger.error(`Error disconnecting YouTube: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Video ID of a video URL (watch, youtu.be, shorts) or a bare ID
+ */
+function parseVideoId(value) {
+  const text = String(value || '').trim();
+  if (/^[\w-]{11}$/.test(text)) return text;
+
+  const match = text.match(/(?:[?&]v=|youtu\.be\/|\/shorts\/|\/embed\/)([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+module.exports = YouTubeConnector;
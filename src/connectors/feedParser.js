@@ -0,0 +1,133 @@
+/**
+ * Feed Parser
+ * Minimal RSS 2.0 / RSS 1.0 (RDF) / Atom parser for the RSS connector.
+ * Feeds are small and well-formed enough in practice that element
+ * matching is sufficient; entries keep plain text only (HTML stripped).
+ */
+const { decodeEntities, htmlToText } = require('../utils/html');
+
+/**
+ * Text content of an element body: CDATA unwrapped, entities decoded
+ */
+function textContent(raw) {
+  if (raw === null || raw === undefined) return null;
+
+  const text = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+  return decodeEntities(text.replace(/<[^>]*>/g, '')).trim();
+}
+
+/**
+ * Escape a tag name (with namespace prefix) for a regular expression
+ */
+function tagPattern(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Raw inner XML of the first matching element, or null
+ */
+function element(xml, name) {
+  const match = xml.match(new RegExp(`<${tagPattern(name)}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tagPattern(name)}>)`, 'i'));
+  return match ? (match[1] ?? '') : null;
+}
+
+/**
+ * Raw inner XML of all matching elements
+ */
+function elements(xml, name) {
+  const pattern = new RegExp(`<${tagPattern(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagPattern(name)}>`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Attribute of the first matching element (optionally filtered by another attribute)
+ */
+function attribute(xml, name, attr, filter = null) {
+  const pattern = new RegExp(`<${tagPattern(name)}\\s([^>]*?)/?>`, 'gi');
+
+  for (const [, attrs] of xml.matchAll(pattern)) {
+    const values = Object.fromEntries(
+      [...attrs.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)].map(m => [m[1].toLowerCase(), decodeEntities(m[3] ?? m[4])])
+    );
+    if (filter && !filter(values)) continue;
+    if (values[attr] !== undefined) return values[attr];
+  }
+
+  return null;
+}
+
+/**
+ * First non-empty text among several element names
+ */
+function firstText(xml, names) {
+  for (const name of names) {
+    const text = textContent(element(xml, name));
+    if (text) return text;
+  }
+  return null;
+}
+
+/**
+ * Parse a date string, null when missing or invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse an RSS or Atom document
+ *
+ * Returns { title, link, entries } with entries as
+ * { guid, title, summary, link, author, published }; summary is plain text.
+ */
+function parseFeed(xml) {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+
+  if (isAtom) {
+    // Feed-level metadata comes before the first entry
+    const head = xml.split(/<entry[\s>]/i)[0];
+    const feedAuthor = textContent(element(element(head, 'author') || '', 'name'));
+
+    return {
+      title: textContent(element(head, 'title')),
+      link: attribute(head, 'link', 'href', attrs => !attrs.rel || attrs.rel === 'alternate'),
+      entries: elements(xml, 'entry').map(entry => {
+        const link = attribute(entry, 'link', 'href', attrs => !attrs.rel || attrs.rel === 'alternate');
+        const summary = element(entry, 'summary') ?? element(entry, 'content');
+
+        return {
+          guid: textContent(element(entry, 'id')) || link,
+          title: textContent(element(entry, 'title')),
+          summary: htmlToText(textContent(summary)),
+          link,
+          author: textContent(element(element(entry, 'author') || '', 'name')) || feedAuthor,
+          published: parseDate(textContent(element(entry, 'published')) || textContent(element(entry, 'updated')))
+        };
+      })
+    };
+  }
+
+  const channel = element(xml, 'channel') || xml;
+  const head = channel.split(/<item[\s>]/i)[0];
+
+  return {
+    title: textContent(element(head, 'title')),
+    link: textContent(element(head, 'link')),
+    entries: elements(xml, 'item').map(item => {
+      const link = textContent(element(item, 'link'));
+
+      return {
+        guid: textContent(element(item, 'guid')) || link,
+        title: textContent(element(item, 'title')),
+        summary: htmlToText(textContent(element(item, 'description') ?? element(item, 'content:encoded'))),
+        link,
+        author: firstText(item, ['dc:creator', 'author']),
+        published: parseDate(firstText(item, ['pubDate', 'dc:date']))
+      };
+    })
+  };
+}
+
+module.exports = { parseFeed };
@@ -0,0 +1,190 @@
+/**
+ * File Formats
+ * Record readers for the file replay connector. Each reader is an async
+ * generator of records in file order: raw objects for JSONL/CSV (mapped by
+ * the source's column mapping) and already-mapped records for chat exports.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+const FORMATS = ['jsonl', 'csv', 'telegram', 'discord'];
+
+/**
+ * Guess the format from the file extension (and the start of JSON exports)
+ */
+function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  if (ext === '.csv' || ext === '.tsv') return 'csv';
+
+  if (ext === '.json') {
+    // DiscordChatExporter dumps start with the guild; Telegram Desktop exports don't have one
+    const fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(4096);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+
+    return /"guild"\s*:/.test(head.toString('utf8', 0, bytes)) ? 'discord' : 'telegram';
+  }
+
+  return null;
+}
+
+/**
+ * JSON Lines: one object per line (invalid lines are skipped)
+ */
+async function* readJsonl(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Skipping invalid JSON on line ${lineNumber} of ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * CSV with a header row (RFC 4180 quoting, fields may span lines)
+ */
+async function* readCsv(filePath, { delimiter = ',' } = {}) {
+  let headers = null;
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let pendingQuote = false; // Quote inside a quoted field: escaped quote or closing quote
+  let carriageReturn = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    const values = row;
+    row = [];
+
+    if (values.length === 1 && values[0] === '') return null; // Blank line
+    if (!headers) {
+      headers = values.map(h => h.trim().replace(/^\uFEFF/, ''));
+      return null;
+    }
+    return Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']));
+  };
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    for (const char of chunk) {
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+
+      if (quoted) {
+        if (char === '"') pendingQuote = true;
+        else field += char;
+        continue;
+      }
+
+      if (carriageReturn) {
+        carriageReturn = false;
+        if (char === '\n') continue;
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        carriageReturn = char === '\r';
+        const record = endRow();
+        if (record) yield record;
+      } else {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    const record = endRow();
+    if (record) yield record;
+  }
+}
+
+/**
+ * Plain text of a Telegram export text field (string or array of entities)
+ */
+function telegramText(text) {
+  if (Array.isArray(text)) {
+    return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return text || '';
+}
+
+/**
+ * Telegram Desktop JSON export (result.json of a single chat)
+ */
+async function* readTelegramExport(filePath) {
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+  for (const message of data.messages || []) {
+    if (message.type !== 'message') continue;
+
+    yield {
+      id: message.id,
+      text: telegramText(message.text),
+      author_id: String(message.from_id || '').replace(/^user/, ''),
+      author_username: message.from,
+      // `date` is local time without an offset; date_unixtime is exact
+      timestamp: message.date_unixtime ? Number(message.date_unixtime) : message.date,
+      thread_id: `${data.id}:${message.message_thread_id || 0}`,
+      reply_to_id: message.reply_to_message_id ?? null
+    };
+  }
+}
+
+/**
+ * DiscordChatExporter JSON export (one channel)
+ */
+async function* readDiscordExport(filePath) {
+  const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+  for (const message of data.messages || []) {
+    if (!['Default', 'Reply'].includes(message.type) || message.author?.isBot) continue;
+
+    yield {
+      id: message.id,
+      text: message.content,
+      author_id: message.author?.id,
+      author_username: message.author?.name,
+      author_display_name: message.author?.nickname,
+      timestamp: message.timestamp,
+      thread_id: data.channel?.id ?? null,
+      reply_to_id: message.reference?.messageId ?? null
+    };
+  }
+}
+
+/**
+ * Records of a file in the given format
+ */
+function readRecords(filePath, format, options = {}) {
+  switch (format) {
+    case 'jsonl': return readJsonl(filePath);
+    case 'csv': return readCsv(filePath, options);
+    case 'telegram': return readTelegramExport(filePath);
+    case 'discord': return readDiscordExport(filePath);
+    default: throw new Error(`Unknown file format: ${format} (expected one of: ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = { FORMATS, detectFormat, readRecords };
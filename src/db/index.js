@@ -63,6 +63,10 @@ class DatabaseManager {
     // Execute schema
     await this.exec(schema);
 
+    // Upgrade tables created by older versions
+    const { runMigrations } = require('./migrations');
+    await runMigrations(this);
+
     logger.info('Database schema applied');
   }
 
@@ -92,15 +96,19 @@ class DatabaseManager {
    * Close database connection
    */
   close() {
-    if (this.db) {
+    return new Promise((resolve) => {
+      if (!this.db) return resolve();
+
       this.db.close((err) => {
         if (err) {
           logger.error(`Error closing database: ${err.message}`);
         } else {
           logger.info('Database connection closed');
+          this.db = null;
         }
+        resolve();
       });
-    }
+    });
   }
 
   /**
@@ -0,0 +1,193 @@
+/**
+ * Database Migrations
+ * schema.sql always describes the current schema and is applied with
+ * CREATE ... IF NOT EXISTS, so it cannot change tables that already exist.
+ * Migrations bring databases created by older versions up to date.
+ */
+const logger = require('../utils/logger');
+
+const migrations = [
+  {
+    version: 2,
+    description: 'Sentiment counts on aggregates (messages not excluded from sentiment)',
+    async up(db) {
+      // Existing rows averaged over all of their messages
+      for (const [table, countColumn] of [
+        ['source_aggregates', 'message_count'],
+        ['tracker_aggregates', 'message_count'],
+        ['user_aggregates', 'total_messages']
+      ]) {
+        const columns = await db.query(`PRAGMA table_info(${table})`);
+        if (columns.some(c => c.name === 'sentiment_count')) continue;
+
+        await addColumnIfMissing(db, table, 'sentiment_count', 'INTEGER NOT NULL DEFAULT 0');
+        await db.run(`UPDATE ${table} SET sentiment_count = ${countColumn}`);
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Per-tracker LLM provider and model',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'llm_provider', 'TEXT');
+      await addColumnIfMissing(db, 'trackers', 'llm_model', 'TEXT');
+      await addColumnIfMissing(db, 'llm_batch_log', 'provider', 'TEXT');
+      await addColumnIfMissing(db, 'llm_batch_log', 'model', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    description: 'Fallback LLM provider',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'llm_fallback_provider', 'TEXT');
+      await addColumnIfMissing(db, 'llm_batch_log', 'fallback_from', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    description: 'LLM response validation results',
+    async up(db) {
+      await addColumnIfMissing(db, 'llm_batch_log', 'validation_errors', 'TEXT');
+      await addColumnIfMissing(db, 'llm_batch_log', 'repaired', 'BOOLEAN NOT NULL DEFAULT 0');
+    }
+  },
+  {
+    version: 6,
+    description: 'Per-tracker prompt templates',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'prompt_config', 'TEXT');
+      await addColumnIfMissing(db, 'llm_batch_log', 'prompt_version', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    description: 'Prompt/completion tokens and cost source',
+    async up(db) {
+      await addColumnIfMissing(db, 'llm_batch_log', 'prompt_tokens', 'INTEGER');
+      await addColumnIfMissing(db, 'llm_batch_log', 'completion_tokens', 'INTEGER');
+      await addColumnIfMissing(db, 'llm_batch_log', 'cost_source', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    description: 'Per-tracker LLM budget config',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'budget_config', 'TEXT');
+    }
+  },
+  {
+    version: 9,
+    description: 'Per-tracker context window config',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'context_config', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    description: 'Estimated batch tokens',
+    async up(db) {
+      await addColumnIfMissing(db, 'llm_batch_log', 'estimated_prompt_tokens', 'INTEGER');
+      await addColumnIfMissing(db, 'llm_batch_log', 'estimated_completion_tokens', 'INTEGER');
+    }
+  },
+  {
+    version: 11,
+    description: 'Result cache hits',
+    async up(db) {
+      await addColumnIfMissing(db, 'llm_batch_log', 'cache_hits', 'INTEGER');
+      await addColumnIfMissing(db, 'llm_batch_log', 'tokens_saved', 'INTEGER');
+    }
+  },
+  {
+    version: 12,
+    description: 'Tracker shadow model config',
+    async up(db) {
+      await addColumnIfMissing(db, 'trackers', 'shadow_config', 'TEXT');
+    }
+  },
+  {
+    version: 13,
+    description: 'Drop sources.platform CHECK (platforms are validated against the connectors)',
+    async up(db) {
+      await rebuildTable(db, 'sources', sql => sql.replace(/\s*CHECK\(platform IN \([^)]*\)\)/, ''));
+    }
+  }
+];
+
+/**
+ * Add a column to an existing table unless it is already there
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.query(`PRAGMA table_info(${table})`);
+
+  if (columns.some(c => c.name === column)) {
+    return;
+  }
+
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  logger.info(`Added column ${table}.${column}`);
+}
+
+/**
+ * Recreate a table with a modified CREATE TABLE statement
+ * SQLite cannot drop constraints in place. Rows, indexes and triggers are
+ * kept; foreign keys are off during the copy so dropping the old table
+ * doesn't cascade to referencing tables. Skipped when `transform` leaves
+ * the statement unchanged.
+ */
+async function rebuildTable(db, table, transform) {
+  const current = await db.queryOne(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  const sql = transform(current.sql);
+
+  if (sql === current.sql) {
+    return;
+  }
+
+  const dependents = await db.query(
+    `SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL`,
+    [table]
+  );
+  const tempTable = `${table}_rebuild`;
+
+  await db.exec('PRAGMA foreign_keys = OFF');
+  try {
+    await db.exec('BEGIN');
+    await db.exec(sql.replace(/^CREATE TABLE (IF NOT EXISTS )?\w+/, `CREATE TABLE ${tempTable}`));
+    await db.exec(`INSERT INTO ${tempTable} SELECT * FROM ${table}`);
+    await db.exec(`DROP TABLE ${table}`);
+    await db.exec(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+    for (const dependent of dependents) {
+      await db.exec(dependent.sql);
+    }
+    await db.exec('COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    throw error;
+  } finally {
+    await db.exec('PRAGMA foreign_keys = ON');
+  }
+
+  logger.info(`Rebuilt table ${table}`);
+}
+
+/**
+ * Apply all migrations that have not been recorded in schema_migrations
+ */
+async function runMigrations(db) {
+  const applied = await db.query('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+
+    await migration.up(db);
+    await db.run(
+      'INSERT INTO schema_migrations (version, description) VALUES (?, ?)',
+      [migration.version, migration.description]
+    );
+
+    logger.info(`Applied migration ${migration.version}: ${migration.description}`);
+  }
+}
+
+module.exports = { runMigrations, addColumnIfMissing, rebuildTable };
@@ -23,6 +23,13 @@ CREATE TABLE IF NOT EXISTS trackers (
     enabled_tags TEXT NOT NULL, -- JSON array
     excluded_from_sentiment TEXT NOT NULL, -- JSON array
     time_buckets TEXT NOT NULL, -- JSON array
+    llm_provider TEXT, -- NULL = [llm] default_provider
+    llm_model TEXT, -- NULL = provider's default model
+    llm_fallback_provider TEXT, -- NULL = [llm] fallback_provider
+    prompt_config TEXT, -- JSON [trackers.prompt] (NULL = default prompt)
+    budget_config TEXT, -- JSON [trackers.budget] (NULL = no spend limits)
+    context_config TEXT, -- JSON [trackers.context] (NULL = [llm.context] defaults)
+    shadow_config TEXT, -- JSON [trackers.shadow] (NULL = no shadow model)
     created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
@@ -31,7 +38,7 @@ CREATE TABLE IF NOT EXISTS trackers (
 CREATE TABLE IF NOT EXISTS sources (
     id TEXT PRIMARY KEY,
     tracker_id TEXT NOT NULL,
-    platform TEXT NOT NULL CHECK(platform IN ('telegram', 'discord', 'twitter')),
+    platform TEXT NOT NULL, -- Connector platform (see ConnectorManager)
     target TEXT NOT NULL,
     config TEXT NOT NULL, -- JSON object
     weight REAL NOT NULL DEFAULT 1.0 CHECK(weight >= 0 AND weight <= 1.0),
@@ -72,6 +79,7 @@ CREATE TABLE IF NOT EXISTS source_aggregates (
     bucket_start DATETIME NOT NULL,
     bucket_end DATETIME NOT NULL,
     sentiment_score REAL NOT NULL,
+    sentiment_count INTEGER NOT NULL DEFAULT 0, -- Messages counted in sentiment_score (not excluded)
     message_count INTEGER NOT NULL,
     author_count INTEGER NOT NULL,
     tag_counts TEXT NOT NULL, -- JSON object
@@ -89,6 +97,7 @@ CREATE TABLE IF NOT EXISTS tracker_aggregates (
     bucket_start DATETIME NOT NULL,
     bucket_end DATETIME NOT NULL,
     sentiment_score REAL NOT NULL,
+    sentiment_count INTEGER NOT NULL DEFAULT 0, -- Messages counted in sentiment_score (not excluded)
     message_count INTEGER NOT NULL,
     author_count INTEGER NOT NULL,
     tag_counts TEXT NOT NULL, -- JSON object
@@ -105,6 +114,7 @@ CREATE TABLE IF NOT EXISTS user_aggregates (
     tracker_id TEXT NOT NULL,
     total_messages INTEGER NOT NULL DEFAULT 0,
     avg_sentiment REAL NOT NULL DEFAULT 0.0,
+    sentiment_count INTEGER NOT NULL DEFAULT 0, -- Messages counted in avg_sentiment (not excluded)
     sentiment_stddev REAL NOT NULL DEFAULT 0.0,
     tag_counts TEXT NOT NULL DEFAULT '{}',
     first_message_at DATETIME NOT NULL,
@@ -116,10 +126,48 @@ CREATE TABLE IF NOT EXISTS user_aggregates (
     UNIQUE(user_id, tracker_id)
 );
 
+-- ============================================================
+-- MESSAGE TABLES
+-- ============================================================
+
+-- Raw messages with per-message LLM results (rolling, see retention.messages_days)
+CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    message_id TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    tracker_id TEXT NOT NULL,
+    platform TEXT NOT NULL,
+    author_id TEXT NOT NULL, -- Format: 'platform:user_id'
+    author_username TEXT,
+    text TEXT NOT NULL,
+    timestamp DATETIME NOT NULL,
+    metadata TEXT, -- JSON object
+    sentiment_score REAL,
+    tags TEXT, -- JSON array
+    excluded_from_sentiment BOOLEAN,
+    batch_id INTEGER,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    FOREIGN KEY (tracker_id) REFERENCES trackers(id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES llm_batch_log(id) ON DELETE SET NULL,
+    UNIQUE(source_id, message_id)
+);
+
 -- ============================================================
 -- OPERATIONAL TABLES
 -- ============================================================
 
+-- Durable ingestion queue (rows are deleted once a batch is aggregated)
+CREATE TABLE IF NOT EXISTS message_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracker_id TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    payload TEXT NOT NULL, -- JSON normalized message
+    enqueued_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tracker_id) REFERENCES trackers(id) ON DELETE CASCADE,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE
+);
+
 -- Cursors for resumption
 CREATE TABLE IF NOT EXISTS cursors (
     source_id TEXT PRIMARY KEY,
@@ -158,12 +206,99 @@ CREATE TABLE IF NOT EXISTS llm_batch_log (
     tag_counts TEXT,
     processing_time_ms INTEGER,
     tokens_used INTEGER,
-    cost_usd REAL,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    estimated_prompt_tokens INTEGER, -- Estimate used for batch sizing (first request)
+    estimated_completion_tokens INTEGER,
+    cost_usd REAL, -- NULL = model has no configured pricing
+    cost_source TEXT, -- 'provider' (reported by API), 'pricing' ([llm.pricing]) or 'cache' (no request made)
     error_message TEXT,
     retry_count INTEGER NOT NULL DEFAULT 0,
+    provider TEXT, -- LLM provider name from config
+    model TEXT,
+    fallback_from TEXT, -- provider that failed when a fallback produced the result
+    validation_errors TEXT, -- JSON array of response validation errors
+    repaired BOOLEAN NOT NULL DEFAULT 0, -- result came from the repair request
+    prompt_version TEXT, -- configured prompt version or hash of the prompt
+    cache_hits INTEGER, -- messages scored from the result cache
+    tokens_saved INTEGER, -- estimated tokens not sent because of cache hits
     FOREIGN KEY (tracker_id) REFERENCES trackers(id) ON DELETE CASCADE
 );
 
+-- Per-message results reused for repeated texts
+CREATE TABLE IF NOT EXISTS llm_result_cache (
+    cache_key TEXT PRIMARY KEY, -- hash of scope and normalized text
+    scope TEXT NOT NULL, -- hash of provider, model, prompt version and enabled tags
+    model TEXT NOT NULL,
+    prompt_version TEXT,
+    sentiment_score INTEGER NOT NULL,
+    tags TEXT NOT NULL, -- JSON array
+    signature TEXT, -- JSON MinHash signature (near-duplicate matching only)
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL,
+    last_hit_at DATETIME
+);
+
+-- LSH bands of result cache signatures, for near-duplicate candidates
+CREATE TABLE IF NOT EXISTS llm_result_cache_bands (
+    band_key TEXT NOT NULL,
+    cache_key TEXT NOT NULL,
+    FOREIGN KEY (cache_key) REFERENCES llm_result_cache(cache_key) ON DELETE CASCADE
+);
+
+-- Dead letters (batches that failed after all retries)
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracker_id TEXT NOT NULL, -- No foreign key: batches of unknown trackers are dead-lettered too
+    batch_id INTEGER, -- llm_batch_log.id of the failed batch
+    message_count INTEGER NOT NULL,
+    source_ids TEXT NOT NULL, -- JSON array
+    messages TEXT NOT NULL, -- JSON array of normalized messages
+    error_message TEXT,
+    retry_count INTEGER NOT NULL,
+    failed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    redriven_at DATETIME,
+    FOREIGN KEY (batch_id) REFERENCES llm_batch_log(id) ON DELETE SET NULL
+);
+
+-- Shadow model results next to the primary result of the same batch
+CREATE TABLE IF NOT EXISTS shadow_comparisons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tracker_id TEXT NOT NULL,
+    batch_id INTEGER, -- llm_batch_log.id of the primary batch
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    message_count INTEGER NOT NULL,
+    primary_provider TEXT NOT NULL,
+    primary_model TEXT NOT NULL,
+    primary_sentiment REAL,
+    shadow_provider TEXT NOT NULL,
+    shadow_model TEXT NOT NULL,
+    shadow_sentiment REAL,
+    success BOOLEAN NOT NULL,
+    error_message TEXT,
+    compared_count INTEGER, -- messages scored by both models
+    mean_abs_diff REAL, -- mean absolute per-message sentiment difference
+    polarity_agreement REAL, -- share of messages with the same direction (positive/neutral/negative)
+    tag_agreement REAL, -- mean Jaccard similarity of per-message tags
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    cost_usd REAL, -- shadow request cost (NULL = unpriced)
+    processing_time_ms INTEGER,
+    per_message TEXT, -- JSON [{ id, primary: { sentiment, tags }, shadow: { sentiment, tags } }]
+    FOREIGN KEY (tracker_id) REFERENCES trackers(id) ON DELETE CASCADE,
+    FOREIGN KEY (batch_id) REFERENCES llm_batch_log(id) ON DELETE CASCADE
+);
+
+-- Webhook deliveries by idempotency key (replays return the stored response)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    source_id TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    received_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    response TEXT, -- JSON ingest result (NULL while the delivery is processed)
+    PRIMARY KEY (source_id, idempotency_key),
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE
+);
+
 -- Schema migrations tracking
 CREATE TABLE IF NOT EXISTS schema_migrations (
     version INTEGER PRIMARY KEY,
@@ -196,14 +331,38 @@ CREATE INDEX IF NOT EXISTS idx_user_agg_tracker ON user_aggregates(tracker_id);
 CREATE INDEX IF NOT EXISTS idx_user_agg_messages ON user_aggregates(total_messages DESC);
 CREATE INDEX IF NOT EXISTS idx_user_agg_sentiment ON user_aggregates(avg_sentiment DESC);
 
+-- Message queue
+CREATE INDEX IF NOT EXISTS idx_message_queue_tracker ON message_queue(tracker_id, id);
+
 -- Debug traces
 CREATE INDEX IF NOT EXISTS idx_debug_traces_timestamp ON debug_traces(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_debug_traces_level ON debug_traces(level);
 
+-- Messages
+CREATE INDEX IF NOT EXISTS idx_messages_tracker_timestamp ON messages(tracker_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_author ON messages(author_id);
+CREATE INDEX IF NOT EXISTS idx_messages_batch ON messages(batch_id);
+CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at);
+
 -- LLM batch log
 CREATE INDEX IF NOT EXISTS idx_llm_batch_tracker ON llm_batch_log(tracker_id);
 CREATE INDEX IF NOT EXISTS idx_llm_batch_timestamp ON llm_batch_log(batch_timestamp DESC);
 
+-- Dead letters
+CREATE INDEX IF NOT EXISTS idx_dead_letters_tracker ON dead_letters(tracker_id, failed_at DESC);
+
+-- Shadow comparisons
+CREATE INDEX IF NOT EXISTS idx_shadow_comparisons_tracker ON shadow_comparisons(tracker_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_shadow_comparisons_batch ON shadow_comparisons(batch_id);
+
+-- Result cache indexes
+CREATE INDEX IF NOT EXISTS idx_result_cache_created ON llm_result_cache(created_at);
+CREATE INDEX IF NOT EXISTS idx_result_cache_bands_band ON llm_result_cache_bands(band_key);
+CREATE INDEX IF NOT EXISTS idx_result_cache_bands_cache ON llm_result_cache_bands(cache_key);
+
+-- Webhook deliveries
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at);
+
 -- ============================================================
 -- TRIGGERS
 -- ============================================================
@@ -0,0 +1,95 @@
+/**
+ * Evaluator
+ * Runs a labelled dataset through an LLM client in batches and computes
+ * accuracy metrics, token usage and cost for the run
+ */
+const logger = require('../utils/logger');
+const { computeMetrics } = require('./metrics');
+
+class Evaluator {
+  constructor({ batchSize = 20, tags, prompt = {}, pricing = {} } = {}) {
+    this.batchSize = batchSize;
+    this.tags = tags;
+    this.prompt = prompt;
+    this.pricing = pricing; // [llm.pricing], for providers that don't report cost
+  }
+
+  /**
+   * Evaluate one client against the dataset
+   * Failed batches are recorded and leave their examples unscored.
+   */
+  async run(client, examples) {
+    const perMessage = {};
+    const usage = {
+      batches: 0,
+      failed_batches: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      cost_usd: 0,
+      unpriced_batches: 0,
+      processing_time_ms: 0
+    };
+    const errors = [];
+
+    logger.info(`Evaluating ${client.name} (${client.model}) on ${examples.length} examples`);
+
+    for (let i = 0; i < examples.length; i += this.batchSize) {
+      const batch = examples.slice(i, i + this.batchSize);
+      const messages = [
+        ...batch.flatMap(example => example.context),
+        ...batch.map(example => example.message)
+      ];
+
+      usage.batches++;
+
+      try {
+        const result = await client.analyzeBatch(messages, this.tags, [], { prompt: this.prompt });
+
+        Object.assign(perMessage, result.perMessage);
+        usage.prompt_tokens += result.promptTokens || 0;
+        usage.completion_tokens += result.completionTokens || 0;
+        usage.processing_time_ms += result.processingTime || 0;
+
+        const cost = this.calculateCost(result);
+        if (cost === null) {
+          usage.unpriced_batches++;
+        } else {
+          usage.cost_usd += cost;
+        }
+      } catch (error) {
+        usage.failed_batches++;
+        errors.push(`batch ${usage.batches}: ${error.message}`);
+        logger.warn(`Evaluation batch ${usage.batches} failed for ${client.name}: ${error.message}`);
+      }
+    }
+
+    return {
+      provider: client.name,
+      model: client.model,
+      metrics: computeMetrics(examples, perMessage, this.tags),
+      usage,
+      errors
+    };
+  }
+
+  /**
+   * Batch cost: provider-reported, else from [llm.pricing], else null
+   */
+  calculateCost(result) {
+    if (typeof result.reportedCostUsd === 'number') {
+      return result.reportedCostUsd;
+    }
+
+    const price = this.pricing[result.model];
+    if (!price) {
+      return null;
+    }
+
+    return (
+      (result.promptTokens || 0) * (price.prompt_per_million || 0) +
+      (result.completionTokens || 0) * (price.completion_per_million || 0)
+    ) / 1000000;
+  }
+}
+
+module.exports = Evaluator;
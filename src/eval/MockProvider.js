@@ -0,0 +1,160 @@
+/**
+ * Mock Provider
+ * Local OpenAI-compatible /chat/completions server for evaluation runs
+ * and end-to-end tests without an API key (CI). Target messages are parsed
+ * from the rendered prompt and scored with the lexicon analyzer, so the
+ * full client path (request, JSON parsing, response validation) is
+ * exercised. Tests can script responses with enqueue().
+ */
+const http = require('http');
+const LexiconAnalyzer = require('../llm/LexiconAnalyzer');
+const { estimateTokens } = require('../llm/tokenEstimator');
+const logger = require('../utils/logger');
+
+// "1. [id: 42] [telegram:123 (alice)]: text" lines of the target messages
+const TARGET_PATTERN = /^\d+\. \[id: (.+?)\] \[(\w+:[^\s\]]+) \(.*?\)\]: (?:\((?:reply to [^)]*)\) )?(.*)$/;
+const ENABLED_TAGS_PATTERN = /^ENABLED TAGS[^\n]*\n(.*)$/m;
+
+class MockProvider {
+  constructor({ model = 'mock-lexicon' } = {}) {
+    this.model = model;
+    this.analyzer = new LexiconAnalyzer();
+    this.server = null;
+    this.requests = 0;
+    this.received = []; // Request bodies, oldest first
+    this.script = []; // Scripted responses, used before lexicon scoring
+  }
+
+  /**
+   * Script the next responses, one per request
+   *
+   * A response is { status, headers, body } (sent as is), { content, usage }
+   * (a chat completion with that assistant content; objects are sent as
+   * JSON) or a function of the request body returning either. Requests
+   * beyond the script, or functions returning nothing, are scored with the
+   * lexicon analyzer.
+   */
+  enqueue(...responses) {
+    this.script.push(...responses);
+  }
+
+  /**
+   * Start listening on a free local port; resolves with the base URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        const url = `http://127.0.0.1:${this.server.address().port}/v1`;
+        logger.info(`Mock provider listening on ${url}`);
+        resolve(url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handle a request
+   */
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        return this.send(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+      }
+
+      try {
+        const request = JSON.parse(body);
+        this.requests++;
+        this.received.push(request);
+
+        const scripted = this.script.shift();
+        const response = typeof scripted === 'function' ? scripted(request) : scripted;
+
+        if (response && response.content !== undefined) {
+          this.send(res, 200, this.completion(request, response.content, response.usage));
+        } else if (response) {
+          this.send(res, response.status || 200, response.body ?? {}, response.headers);
+        } else {
+          this.send(res, 200, this.complete(request));
+        }
+      } catch (error) {
+        this.send(res, 400, { error: { message: error.message } });
+      }
+    });
+  }
+
+  /**
+   * Build a chat completion for a request body
+   */
+  complete(request) {
+    // The batch prompt is the first user message (later ones are repair requests)
+    const prompt = request.messages.find(m => m.role === 'user')?.content || '';
+    const enabledTags = (prompt.match(ENABLED_TAGS_PATTERN)?.[1] || '')
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean);
+
+    const messages = [];
+    for (const line of prompt.split('\n')) {
+      const match = line.match(TARGET_PATTERN);
+      if (!match) continue;
+
+      const [, id, userId, text] = match;
+      messages.push({
+        id,
+        user_id: userId,
+        sentiment: this.analyzer.scoreText(text),
+        tags: this.analyzer.matchTags(text, enabledTags)
+      });
+    }
+
+    return this.completion(request, { messages });
+  }
+
+  /**
+   * Wrap assistant content in a chat completion
+   * Usage is estimated from the request unless given.
+   */
+  completion(request, content, usage = null) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    const promptTokens = request.messages.reduce((sum, m) => sum + estimateTokens(m.content || ''), 0);
+    const completionTokens = estimateTokens(text);
+
+    return {
+      id: `mock-${this.requests}`,
+      object: 'chat.completion',
+      model: request.model || this.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      usage: usage || {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        cost: 0
+      }
+    };
+  }
+
+  /**
+   * Send a JSON response
+   */
+  send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,148 @@
+/**
+ * Evaluation CLI
+ * Runs a labelled dataset through one or more providers and writes a
+ * comparison report (Markdown and JSON)
+ *
+ * Usage: npm run eval -- [options]
+ *   --dataset <path>          JSONL dataset (default: eval/datasets/sample.jsonl)
+ *   --provider <name[:model]> Provider from config.toml, repeatable (default: [llm] default_provider)
+ *   --mock                    Add the local mock provider (no API key or config needed)
+ *   --tags <a,b,...>          Enabled tags (default: tags used in the dataset)
+ *   --batch-size <n>          Messages per request (default: 20)
+ *   --out <path>              Report path without extension (default: eval/reports/eval-<timestamp>)
+ *   --max-mae <n>             Exit with code 1 when any run's sentiment MAE is higher
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const ProviderManager = require('../llm/ProviderManager');
+const Evaluator = require('./Evaluator');
+const MockProvider = require('./MockProvider');
+const { loadDataset, getDatasetTags } = require('./dataset');
+const { renderReport } = require('./report');
+
+const DEFAULT_DATASET = path.join('eval', 'datasets', 'sample.jsonl');
+const REPORTS_DIR = path.join('eval', 'reports');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = { dataset: DEFAULT_DATASET, providers: [], mock: false, tags: null, batchSize: 20, out: null, maxMae: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--dataset': args.dataset = value(); break;
+      case '--provider': args.providers.push(value()); break;
+      case '--mock': args.mock = true; break;
+      case '--tags': args.tags = value().split(',').map(tag => tag.trim()).filter(Boolean); break;
+      case '--batch-size': args.batchSize = parseInt(value()); break;
+      case '--out': args.out = value(); break;
+      case '--max-mae': args.maxMae = parseFloat(value()); break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(args.batchSize) || args.batchSize < 1) {
+    throw new Error('--batch-size must be a positive integer');
+  }
+  if (args.maxMae !== null && Number.isNaN(args.maxMae)) {
+    throw new Error('--max-mae must be a number');
+  }
+
+  return args;
+}
+
+/**
+ * Load config.toml/.env only when a configured provider is evaluated
+ */
+function loadConfig(args) {
+  if (args.mock && args.providers.length === 0) {
+    return { env: {}, toml: {} };
+  }
+
+  const configLoader = require('../config/loader');
+  const config = configLoader.load();
+  configLoader.validate();
+  return config;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const examples = loadDataset(args.dataset);
+  const tags = args.tags || getDatasetTags(examples);
+  const config = loadConfig(args);
+  let mockProvider = null;
+
+  try {
+    const specs = args.providers.length > 0 || args.mock ? [...args.providers] : [null];
+
+    if (args.mock) {
+      mockProvider = new MockProvider();
+      const baseUrl = await mockProvider.start();
+
+      config.toml.llm = config.toml.llm || {};
+      config.toml.llm.providers = {
+        ...(config.toml.llm.providers || {}),
+        mock: { type: 'openai', base_url: baseUrl, model: mockProvider.model, response_format: 'none' }
+      };
+      specs.push('mock');
+    }
+
+    const providerManager = new ProviderManager(config);
+    const evaluator = new Evaluator({ batchSize: args.batchSize, tags, pricing: config.toml.llm?.pricing || {} });
+    const runs = [];
+
+    for (const spec of specs) {
+      // "name:model", where the model itself may contain colons (llama3.1:8b)
+      const separator = spec ? spec.indexOf(':') : -1;
+      const client = separator === -1
+        ? providerManager.getClient(spec)
+        : providerManager.getClient(spec.substring(0, separator), spec.substring(separator + 1));
+
+      runs.push(await evaluator.run(client, examples));
+    }
+
+    const report = {
+      created_at: new Date().toISOString(),
+      dataset: args.dataset,
+      examples: examples.length,
+      tags,
+      batch_size: args.batchSize,
+      runs
+    };
+
+    const out = args.out || path.join(REPORTS_DIR, `eval-${report.created_at.replace(/[:.]/g, '-')}`);
+    const markdown = renderReport(report);
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2));
+    fs.writeFileSync(`${out}.md`, markdown);
+
+    process.stdout.write(`${markdown}\n`);
+    logger.info(`Evaluation report written to ${out}.md and ${out}.json`);
+
+    if (args.maxMae !== null) {
+      const failing = runs.filter(run => run.metrics.sentiment.mae === null || run.metrics.sentiment.mae > args.maxMae);
+      if (failing.length > 0) {
+        logger.error(`Sentiment MAE above ${args.maxMae} for: ${failing.map(run => `${run.provider} (${run.model})`).join(', ')}`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    if (mockProvider) {
+      await mockProvider.stop();
+    }
+  }
+}
+
+main().catch(error => {
+  logger.error(`Evaluation failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+/**
+ * Evaluation Dataset
+ * Loads labelled JSONL datasets, one example per line:
+ *
+ *   {"id": "1", "text": "...", "expected": {"sentiment": 60, "tags": ["hype"]}}
+ *
+ * Optional fields: platform (default "telegram"), author { id, username }
+ * and context (earlier messages shown to the model but not scored).
+ */
+const fs = require('fs');
+
+/**
+ * Load and validate a dataset file
+ */
+function loadDataset(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const examples = [];
+  const ids = new Set();
+
+  lines.forEach((line, idx) => {
+    if (line.trim() === '' || line.trim().startsWith('//')) return;
+
+    const lineNumber = idx + 1;
+    let entry;
+
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${lineNumber}: invalid JSON (${error.message})`);
+    }
+
+    const errors = validateEntry(entry);
+    if (errors.length > 0) {
+      throw new Error(`${filePath}:${lineNumber}: ${errors.join('; ')}`);
+    }
+
+    const id = String(entry.id);
+    if (ids.has(id)) {
+      throw new Error(`${filePath}:${lineNumber}: duplicate id ${id}`);
+    }
+    ids.add(id);
+
+    const platform = entry.platform || 'telegram';
+    const timestamp = new Date(Date.UTC(2026, 0, 1, 0, 0, examples.length)).toISOString();
+
+    examples.push({
+      message: {
+        id,
+        platform,
+        sourceId: 'eval',
+        trackerId: 'eval',
+        author: {
+          id: String(entry.author?.id ?? `user${examples.length + 1}`),
+          username: entry.author?.username || `user${examples.length + 1}`
+        },
+        text: entry.text,
+        timestamp,
+        metadata: {}
+      },
+      context: (entry.context || []).map((text, contextIdx) => ({
+        id: `${id}-context-${contextIdx + 1}`,
+        platform,
+        sourceId: 'eval',
+        author: { id: 'context', username: 'context' },
+        text,
+        timestamp,
+        isContext: true
+      })),
+      expected: {
+        sentiment: entry.expected.sentiment,
+        tags: entry.expected.tags || []
+      }
+    });
+  });
+
+  if (examples.length === 0) {
+    throw new Error(`${filePath}: dataset is empty`);
+  }
+
+  return examples;
+}
+
+/**
+ * Validate a dataset entry, returns a list of errors
+ */
+function validateEntry(entry) {
+  const errors = [];
+
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    return ['entry must be an object'];
+  }
+  if (entry.id === undefined || entry.id === null || entry.id === '') {
+    errors.push('id is required');
+  }
+  if (typeof entry.text !== 'string' || entry.text.trim() === '') {
+    errors.push('text must be a non-empty string');
+  }
+  if (entry.context !== undefined && (!Array.isArray(entry.context) || !entry.context.every(text => typeof text === 'string'))) {
+    errors.push('context must be an array of strings');
+  }
+
+  const expected = entry.expected;
+  if (typeof expected !== 'object' || expected === null) {
+    errors.push('expected is required');
+  } else {
+    if (!Number.isInteger(expected.sentiment) || expected.sentiment < -100 || expected.sentiment > 100) {
+      errors.push('expected.sentiment must be an integer from -100 to 100');
+    }
+    if (expected.tags !== undefined && (!Array.isArray(expected.tags) || !expected.tags.every(tag => typeof tag === 'string'))) {
+      errors.push('expected.tags must be an array of strings');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Tags used in a dataset's labels, sorted
+ */
+function getDatasetTags(examples) {
+  return [...new Set(examples.flatMap(example => example.expected.tags))].sort();
+}
+
+module.exports = {
+  loadDataset,
+  getDatasetTags
+};
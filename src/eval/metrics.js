@@ -0,0 +1,93 @@
+/**
+ * Evaluation Metrics
+ * Compares per-message results against labelled examples
+ */
+const { polarity } = require('../llm/resultSummary');
+
+/**
+ * Precision, recall and F1 from match counts (null when undefined)
+ */
+function precisionRecall({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+
+  return { precision, recall, f1 };
+}
+
+/**
+ * Compute metrics for a run
+ *
+ * `examples` are dataset examples ({ message, expected }), `perMessage`
+ * maps message id -> { userId, sentiment, tags } as returned by
+ * analyzeBatch. Unscored examples only count against coverage.
+ */
+function computeMetrics(examples, perMessage, tags) {
+  const tagCounts = Object.fromEntries(tags.map(tag => [tag, { tp: 0, fp: 0, fn: 0 }]));
+  let scored = 0;
+  let absoluteError = 0;
+  let squaredError = 0;
+  let polarityMatches = 0;
+  let userIdMatches = 0;
+
+  for (const { message, expected } of examples) {
+    const result = perMessage[message.id];
+    if (!result) continue;
+
+    scored++;
+
+    const error = result.sentiment - expected.sentiment;
+    absoluteError += Math.abs(error);
+    squaredError += error * error;
+
+    if (polarity(result.sentiment) === polarity(expected.sentiment)) {
+      polarityMatches++;
+    }
+
+    if (result.userId === `${message.platform}:${message.author.id}`) {
+      userIdMatches++;
+    }
+
+    for (const tag of tags) {
+      const predicted = result.tags.includes(tag);
+      const labelled = expected.tags.includes(tag);
+
+      if (predicted && labelled) tagCounts[tag].tp++;
+      else if (predicted) tagCounts[tag].fp++;
+      else if (labelled) tagCounts[tag].fn++;
+    }
+  }
+
+  const perTag = {};
+  const total = { tp: 0, fp: 0, fn: 0 };
+
+  for (const [tag, counts] of Object.entries(tagCounts)) {
+    perTag[tag] = { ...counts, support: counts.tp + counts.fn, ...precisionRecall(counts) };
+    total.tp += counts.tp;
+    total.fp += counts.fp;
+    total.fn += counts.fn;
+  }
+
+  return {
+    examples: examples.length,
+    scored,
+    coverage: examples.length > 0 ? scored / examples.length : 0,
+    sentiment: {
+      mae: scored > 0 ? absoluteError / scored : null,
+      rmse: scored > 0 ? Math.sqrt(squaredError / scored) : null,
+      polarity_accuracy: scored > 0 ? polarityMatches / scored : null
+    },
+    tags: {
+      micro: { ...total, ...precisionRecall(total) },
+      per_tag: perTag
+    },
+    user_id_fidelity: scored > 0 ? userIdMatches / scored : null
+  };
+}
+
+module.exports = {
+  computeMetrics,
+  precisionRecall
+};
@@ -0,0 +1,106 @@
+/**
+ * Evaluation Report
+ * Renders evaluation runs as a Markdown comparison report
+ */
+
+/**
+ * Format a ratio as a percentage, "-" when undefined
+ */
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a number with fixed decimals, "-" when undefined
+ */
+function fixed(value, digits = 1) {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+/**
+ * Render a Markdown table
+ */
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render the comparison report
+ *
+ * `report` is { created_at, dataset, examples, tags, batch_size, runs }
+ * with runs as returned by Evaluator.run()
+ */
+function renderReport(report) {
+  const lines = [
+    '# Sentiment Evaluation Report',
+    '',
+    `- Dataset: \`${report.dataset}\` (${report.examples} examples)`,
+    `- Tags: ${report.tags.length > 0 ? report.tags.join(', ') : '(none)'}`,
+    `- Batch size: ${report.batch_size}`,
+    `- Created: ${report.created_at}`,
+    '',
+    '## Summary',
+    '',
+    table(
+      ['Provider', 'Model', 'Coverage', 'MAE', 'RMSE', 'Polarity', 'Tag P', 'Tag R', 'Tag F1', 'user_id', 'Tokens', 'Cost (USD)', 'Failed batches'],
+      report.runs.map(run => {
+        const { metrics, usage } = run;
+        const micro = metrics.tags.micro;
+
+        return [
+          run.provider,
+          run.model,
+          percent(metrics.coverage),
+          fixed(metrics.sentiment.mae),
+          fixed(metrics.sentiment.rmse),
+          percent(metrics.sentiment.polarity_accuracy),
+          percent(micro.precision),
+          percent(micro.recall),
+          percent(micro.f1),
+          percent(metrics.user_id_fidelity),
+          String(usage.prompt_tokens + usage.completion_tokens),
+          usage.unpriced_batches > 0 ? 'unpriced' : usage.cost_usd.toFixed(4),
+          `${usage.failed_batches}/${usage.batches}`
+        ];
+      })
+    ),
+    ''
+  ];
+
+  const ranked = report.runs.filter(run => run.metrics.sentiment.mae !== null);
+  if (ranked.length > 1) {
+    const best = ranked.reduce((a, b) => (b.metrics.sentiment.mae < a.metrics.sentiment.mae ? b : a));
+    lines.push(`Lowest sentiment MAE: **${best.provider} (${best.model})**`, '');
+  }
+
+  for (const run of report.runs) {
+    lines.push(`## ${run.provider} (${run.model})`, '');
+
+    const tagRows = Object.entries(run.metrics.tags.per_tag).map(([tag, m]) => [
+      tag,
+      String(m.support),
+      String(m.tp),
+      String(m.fp),
+      String(m.fn),
+      percent(m.precision),
+      percent(m.recall),
+      percent(m.f1)
+    ]);
+
+    if (tagRows.length > 0) {
+      lines.push(table(['Tag', 'Support', 'TP', 'FP', 'FN', 'Precision', 'Recall', 'F1'], tagRows), '');
+    }
+
+    if (run.errors.length > 0) {
+      lines.push('Errors:', '', ...run.errors.map(error => `- ${error}`), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { renderReport };
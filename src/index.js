@@ -25,92 +25,89 @@ class SaltIndex {
    * Initialize the application
    */
   async initialize() {
-    try {
-      logger.info('=' .repeat(60));
-      logger.info('SALT INDEX - Starting up...');
-      logger.info('=' .repeat(60));
-
-      // Step 1: Generate config if first launch
-      await this.checkFirstLaunch();
-
-      // Step 2: Load configuration
-      this.config = configLoader.load();
-
-      // Step 3: Validate configuration
-      configLoader.validate();
-
-      // Step 4: Initialize database
-      await database.initialize(this.config.env.database.path);
-
-      // Step 4.5: Initialize database from config (populate trackers & sources)
-      const initializeFromConfig = require('./utils/initializeFromConfig');
-      await initializeFromConfig();
-
-      // Step 5: Initialize Express app with configuration (including auth)
-      expressApp.init(this.config);
-
-      // Step 6: Start API server
-      const port = this.config.env.port;
-      this.server = await expressApp.start(port);
-
-      // Step 7: Initialize connectors (if sources are configured)
-      const hasActiveSources = this.config.toml &&
-                               this.config.toml.sources &&
-                               this.config.toml.sources.filter(s => !s.paused).length > 0;
-
-      if (hasActiveSources) {
-        this.connectorManager = new ConnectorManager(this.config);
-        await this.connectorManager.initialize();
-
-        // Step 8: Start batch processor
-        this.batchProcessor = new BatchProcessor(this.config);
-        this.batchProcessor.start();
-
-        // Step 9: Start message collection loop
-        this.startMessageCollection();
-      } else {
-        logger.warn('');
-        logger.warn('⚠️  ' + '='.repeat(58));
-        logger.warn('⚠️  WARNING: NO ACTIVE SOURCES CONFIGURED');
-        logger.warn('⚠️  ' + '='.repeat(58));
-        logger.warn('⚠️  Salt Index is running but NOT monitoring any sources.');
-        logger.warn('⚠️  The API is available but no data will be collected.');
-        logger.warn('⚠️  ');
-        logger.warn('⚠️  To start monitoring:');
-        logger.warn('⚠️  1. Edit config/config.toml');
-        logger.warn('⚠️  2. Uncomment and configure a [[sources]] section');
-        logger.warn('⚠️  3. Restart the service or call POST /api/admin/reload-config');
-        logger.warn('⚠️  ' + '='.repeat(58));
-        logger.warn('');
-      }
+    logger.info('=' .repeat(60));
+    logger.info('SALT INDEX - Starting up...');
+    logger.info('=' .repeat(60));
 
-      // Step 10: Start cleanup manager
-      this.cleanupManager = new CleanupManager(this.config);
-      this.cleanupManager.start();
+    // Step 1: Generate config if first launch
+    await this.checkFirstLaunch();
 
-      logger.info('=' .repeat(60));
-      logger.info('✅ Salt Index is running!');
-      logger.info('=' .repeat(60));
+    // Step 2: Load configuration
+    this.config = configLoader.load();
 
-      // Repeat warning after startup banner if no sources
-      if (!hasActiveSources) {
-        logger.warn('');
-        logger.warn('⚠️  REMINDER: Configure sources in config.toml to start monitoring');
-        logger.warn('');
-      }
+    // Step 3: Validate configuration
+    configLoader.validate();
 
-      // Setup graceful shutdown
-      this.setupGracefulShutdown();
+    // Step 4: Initialize database
+    await database.initialize(this.config.env.database.path);
 
-      // Make processor available to API routes via app context
-      if (this.batchProcessor) {
-        expressApp.setBatchProcessor(this.batchProcessor);
-      }
+    // Step 4.5: Initialize database from config (populate trackers & sources)
+    const initializeFromConfig = require('./utils/initializeFromConfig');
+    await initializeFromConfig();
 
-    } catch (error) {
-      logger.error(`Failed to initialize Salt Index: ${error.message}`);
-      logger.error(error.stack);
-      process.exit(1);
+    // Step 5: Initialize Express app with configuration (including auth)
+    expressApp.init(this.config);
+
+    // Step 6: Start API server
+    const port = this.config.env.port;
+    this.server = await expressApp.start(port);
+
+    // Step 7: Initialize connectors (if sources are configured)
+    const hasActiveSources = this.config.toml &&
+                             this.config.toml.sources &&
+                             this.config.toml.sources.filter(s => !s.paused).length > 0;
+
+    if (hasActiveSources) {
+      this.connectorManager = new ConnectorManager(this.config);
+      await this.connectorManager.initialize();
+    }
+
+    // Step 8: Start batch processor (replaying messages left in the durable queue,
+    // even when every source is paused)
+    this.batchProcessor = new BatchProcessor(this.config);
+    await this.batchProcessor.restoreQueue();
+    this.batchProcessor.start();
+
+    if (hasActiveSources) {
+      // Step 9: Start message collection loop
+      this.startMessageCollection();
+    } else {
+      logger.warn('');
+      logger.warn('⚠️  ' + '='.repeat(58));
+      logger.warn('⚠️  WARNING: NO ACTIVE SOURCES CONFIGURED');
+      logger.warn('⚠️  ' + '='.repeat(58));
+      logger.warn('⚠️  Salt Index is running but NOT monitoring any sources.');
+      logger.warn('⚠️  The API is available but no data will be collected.');
+      logger.warn('⚠️  ');
+      logger.warn('⚠️  To start monitoring:');
+      logger.warn('⚠️  1. Edit config/config.toml');
+      logger.warn('⚠️  2. Uncomment and configure a [[sources]] section');
+      logger.warn('⚠️  3. Restart the service or call POST /api/admin/reload-config');
+      logger.warn('⚠️  ' + '='.repeat(58));
+      logger.warn('');
+    }
+
+    // Step 10: Start cleanup manager
+    this.cleanupManager = new CleanupManager(this.config);
+    this.cleanupManager.start();
+
+    logger.info('=' .repeat(60));
+    logger.info('✅ Salt Index is running!');
+    logger.info('=' .repeat(60));
+
+    // Repeat warning after startup banner if no sources
+    if (!hasActiveSources) {
+      logger.warn('');
+      logger.warn('⚠️  REMINDER: Configure sources in config.toml to start monitoring');
+      logger.warn('');
+    }
+
+    // Make processor and connectors available to API routes via app context
+    if (this.batchProcessor) {
+      expressApp.setBatchProcessor(this.batchProcessor);
+    }
+    if (this.connectorManager) {
+      expressApp.setConnectorManager(this.connectorManager);
     }
   }
 
@@ -139,22 +136,92 @@ class SaltIndex {
     logger.info('Starting message collection loop...');
 
     // Collect messages every 5 seconds
-    this.processingInterval = setInterval(async () => {
-      try {
-        if (this.connectorManager && this.batchProcessor) {
-          const messages = await this.connectorManager.getAllMessages();
+    this.processingInterval = setInterval(() => this.collectMessages(), 5000);
+
+    logger.info('Message collection loop started');
+  }
+
+  /**
+   * Move messages received by the connectors into the batch processor queue
+   */
+  async collectMessages() {
+    let messages = [];
+
+    try {
+      if (this.connectorManager && this.batchProcessor) {
+        messages = await this.connectorManager.getAllMessages();
 
-          if (messages.length > 0) {
-            logger.debug(`Collected ${messages.length} messages from connectors`);
-            this.batchProcessor.queueMessages(messages);
-          }
+        if (messages.length > 0) {
+          logger.debug(`Collected ${messages.length} messages from connectors`);
+          await this.batchProcessor.queueMessages(messages);
         }
-      } catch (error) {
-        logger.error(`Error in message collection loop: ${error.message}`);
       }
-    }, 5000);
+    } catch (error) {
+      logger.error(`Error in message collection loop: ${error.message}`);
 
-    logger.info('Message collection loop started');
+      // Hand the drained messages back so the next collection picks them up
+      if (messages.length > 0) {
+        this.connectorManager.requeueMessages(messages);
+      }
+    }
+  }
+
+  /**
+   * Stop the application
+   * Finishes queued batches, then releases the server, timers, connectors
+   * and database so the process can exit (or another instance can start)
+   */
+  async stop() {
+    // Step 1: Stop accepting new messages
+    logger.info('Stopping message collection...');
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+    }
+
+    // Step 2: Close HTTP server (stop accepting new requests)
+    logger.info('Closing HTTP server...');
+    if (this.server) {
+      await new Promise((resolve) => {
+        this.server.close(() => {
+          logger.info('HTTP server closed');
+          resolve();
+        });
+      });
+      this.server = null;
+    }
+
+    // Step 3: Process any remaining messages in queue
+    if (this.batchProcessor) {
+      const queueStats = this.batchProcessor.getQueueStats();
+      if (queueStats.total_queued > 0) {
+        logger.info(`Processing ${queueStats.total_queued} remaining messages in queue...`);
+        await this.batchProcessor.processBatches();
+      }
+
+      // Wait for batches already being analyzed
+      await this.batchProcessor.drain();
+
+      // Stop batch processor
+      logger.info('Stopping batch processor...');
+      this.batchProcessor.stop();
+    }
+
+    // Step 4: Stop cleanup manager
+    logger.info('Stopping cleanup manager...');
+    if (this.cleanupManager) {
+      this.cleanupManager.stop();
+    }
+
+    // Step 5: Disconnect connectors
+    logger.info('Disconnecting connectors...');
+    if (this.connectorManager) {
+      await this.connectorManager.disconnectAll();
+    }
+
+    // Step 6: Close database
+    logger.info('Closing database...');
+    await database.close();
   }
 
   /**
@@ -179,51 +246,7 @@ class SaltIndex {
       }, 30000); // 30 second timeout
 
       try {
-        // Step 1: Stop accepting new messages
-        logger.info('Stopping message collection...');
-        if (this.processingInterval) {
-          clearInterval(this.processingInterval);
-        }
-
-        // Step 2: Close HTTP server (stop accepting new requests)
-        logger.info('Closing HTTP server...');
-        if (this.server) {
-          await new Promise((resolve) => {
-            this.server.close(() => {
-              logger.info('HTTP server closed');
-              resolve();
-            });
-          });
-        }
-
-        // Step 3: Process any remaining messages in queue
-        if (this.batchProcessor) {
-          const queueStats = this.batchProcessor.getQueueStats();
-          if (queueStats.total_queued > 0) {
-            logger.info(`Processing ${queueStats.total_queued} remaining messages in queue...`);
-            await this.batchProcessor.processBatches();
-          }
-
-          // Stop batch processor
-          logger.info('Stopping batch processor...');
-          this.batchProcessor.stop();
-        }
-
-        // Step 4: Stop cleanup manager
-        logger.info('Stopping cleanup manager...');
-        if (this.cleanupManager) {
-          this.cleanupManager.stop();
-        }
-
-        // Step 5: Disconnect connectors
-        logger.info('Disconnecting connectors...');
-        if (this.connectorManager) {
-          await this.connectorManager.disconnectAll();
-        }
-
-        // Step 6: Close database
-        logger.info('Closing database...');
-        database.close();
+        await this.stop();
 
         clearTimeout(forceExitTimeout);
         logger.info('✅ Graceful shutdown complete');
@@ -258,12 +281,22 @@ class SaltIndex {
    * Start the application
    */
   async start() {
-    await this.initialize();
+    try {
+      await this.initialize();
+
+      // Setup graceful shutdown
+      this.setupGracefulShutdown();
+    } catch (error) {
+      logger.error(`Failed to initialize Salt Index: ${error.message}`);
+      logger.error(error.stack);
+      process.exit(1);
+    }
   }
 }
 
-// Start application
-const saltIndex = new SaltIndex();
-saltIndex.start();
+// Start application when run directly (tests boot their own instance)
+if (require.main === module) {
+  new SaltIndex().start();
+}
 
-module.exports = saltIndex;
+module.exports = SaltIndex;
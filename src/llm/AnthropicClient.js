@@ -0,0 +1,57 @@
+/**
+ * Anthropic Client
+ * Anthropic Messages API (/v1/messages)
+ */
+const BaseLLMClient = require('./BaseLLMClient');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicClient extends BaseLLMClient {
+  constructor(config) {
+    super({ baseUrl: 'https://api.anthropic.com/v1', ...config });
+    this.displayName = 'Anthropic';
+  }
+
+  /**
+   * Send a Messages API request
+   * The Messages API has no JSON mode, so unless response_format is "none"
+   * the reply is prefilled with "{" to force a bare JSON object
+   */
+  async complete(systemPrompt, conversation) {
+    const prefill = this.responseFormat === 'none' ? '' : '{';
+    const messages = prefill ? [...conversation, { role: 'assistant', content: prefill }] : conversation;
+
+    const response = await this.axiosInstance.post(
+      `${this.baseUrl}/messages`,
+      {
+        model: this.model,
+        system: systemPrompt,
+        messages,
+        temperature: 0.3,
+        max_tokens: this.maxOutputTokens
+      },
+      {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const content = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage || {};
+
+    // Some models repeat the prefilled brace; only prepend it when missing
+    return {
+      content: prefill && !content.trimStart().startsWith('{') ? prefill + content : content,
+      promptTokens: usage.input_tokens || 0,
+      completionTokens: usage.output_tokens || 0
+    };
+  }
+}
+
+module.exports = AnthropicClient;
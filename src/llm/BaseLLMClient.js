@@ -0,0 +1,280 @@
+/**
+ * Base LLM Client
+ * Shared prompt building and response parsing for all LLM providers.
+ * Providers implement complete() for their own API.
+ */
+const axios = require('axios');
+const https = require('https');
+const logger = require('../utils/logger');
+const { summarizeMessages } = require('./resultSummary');
+const { parseAndValidate } = require('./responseSchema');
+const promptTemplate = require('./promptTemplate');
+const { estimateTokens } = require('./tokenEstimator');
+
+class BaseLLMClient {
+  constructor(config) {
+    this.name = config.name;
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl;
+    this.model = config.model;
+    this.responseFormat = config.responseFormat || 'json_object'; // json_schema | json_object | none
+    this.maxOutputTokens = config.maxOutputTokens || 2000; // Completion limit per request
+    this.outputTokensPerMessage = config.outputTokensPerMessage || 40; // Expected response size per message
+    this.displayName = 'LLM';
+
+    // Create axios instance with IPv4 configuration
+    this.axiosInstance = axios.create({
+      httpsAgent: new https.Agent({
+        family: 4, // Force IPv4
+        keepAlive: true
+      }),
+      timeout: config.timeout || 60000
+    });
+  }
+
+  /**
+   * Send a chat request to the provider
+   * `conversation` is a list of { role: 'user' | 'assistant', content }.
+   * Must resolve to { content, promptTokens, completionTokens, costUsd }
+   * where costUsd is the provider-reported cost, or null if not reported
+   */
+  async complete(systemPrompt, conversation) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * Analyze a batch of messages
+   * Invalid responses get one repair request before the batch fails.
+   * `options.prompt` is the tracker's prompt config ([trackers.prompt]).
+   */
+  async analyzeBatch(messages, enabledTags, excludedFromSentiment, options = {}) {
+    try {
+      const startTime = Date.now();
+
+      // Build prompt
+      const prompt = this.buildPrompt(messages, enabledTags, excludedFromSentiment, options.prompt);
+      const conversation = [{ role: 'user', content: prompt.user }];
+
+      // Call provider
+      const response = await this.complete(prompt.system, conversation);
+      const usage = { promptTokens: 0, completionTokens: 0, costUsd: 0 };
+      this.addUsage(usage, response);
+
+      // Validate response against the schema and the batch
+      let validation = parseAndValidate(response.content, messages);
+      const validationErrors = [...validation.errors];
+      let repaired = false;
+
+      if (validation.errors.length > 0) {
+        logger.warn(`LLM response failed validation (${validation.errors.length} errors), requesting repair: ${validation.errors.slice(0, 3).join('; ')}`);
+
+        let repairResponse;
+        try {
+          repairResponse = await this.complete(prompt.system, [
+            ...conversation,
+            { role: 'assistant', content: response.content },
+            { role: 'user', content: this.buildRepairPrompt(validation.errors, messages) }
+          ]);
+        } catch (error) {
+          // The first request was still paid for
+          error.usage = this.usageSummary(usage);
+          throw error;
+        }
+        this.addUsage(usage, repairResponse);
+
+        const repairValidation = parseAndValidate(repairResponse.content, messages);
+        validationErrors.push(...repairValidation.errors.map(error => `repair: ${error}`));
+
+        // Keep whichever attempt scored more messages
+        if (repairValidation.entries.length >= validation.entries.length) {
+          validation = repairValidation;
+          repaired = repairValidation.errors.length === 0;
+        }
+      }
+
+      if (validation.entries.length === 0) {
+        const error = new Error(`LLM response failed validation: ${validationErrors.slice(0, 3).join('; ')}`);
+        error.validationErrors = validationErrors;
+        // The requests were still paid for
+        error.usage = this.usageSummary(usage);
+        throw error;
+      }
+
+      const processingTime = Date.now() - startTime;
+
+      const result = this.buildResult(validation.entries, messages, enabledTags, excludedFromSentiment);
+
+      // Add metadata
+      result.processingTime = processingTime;
+      result.promptTokens = usage.promptTokens;
+      result.completionTokens = usage.completionTokens;
+      result.tokensUsed = usage.promptTokens + usage.completionTokens;
+      result.reportedCostUsd = usage.costUsd;
+      result.provider = this.name;
+      result.model = this.model;
+      result.promptVersion = promptTemplate.getPromptVersion(options.prompt);
+      result.estimatedPromptTokens = estimateTokens(prompt.system) + estimateTokens(prompt.user);
+      result.estimatedCompletionTokens = messages.filter(m => !m.isContext).length * this.outputTokensPerMessage;
+      result.validationErrors = validationErrors;
+      result.repaired = repaired;
+
+      logger.info(`LLM batch processed by ${this.name} (${this.model}): ${messages.length} messages in ${processingTime}ms`);
+
+      return result;
+
+    } catch (error) {
+      // Handle axios errors with better messaging
+      let errorMsg = error.message || 'Unknown error';
+
+      if (error.response) {
+        // HTTP error response from the provider
+        const status = error.response.status;
+        const data = error.response.data;
+        errorMsg = `HTTP ${status}: ${data?.error?.message || JSON.stringify(data)}`;
+
+        logger.error(`${this.displayName} API error: ${errorMsg}`);
+        logger.error(`Response status: ${status}`);
+        logger.error(`Response data: ${JSON.stringify(data)}`);
+      } else if (error.request) {
+        // Request made but no response
+        errorMsg = `No response from ${this.displayName} API - network error`;
+        logger.error(`${this.displayName} API error: ${errorMsg}`);
+        logger.error(`No response received from ${this.displayName}`);
+      } else if (error.validationErrors) {
+        // Response arrived but could not be validated, even after repair
+        logger.error(`${this.displayName} response rejected: ${errorMsg}`);
+      } else {
+        // Something else went wrong
+        logger.error(`${this.displayName} API error: ${errorMsg}`);
+      }
+
+      // Throw a new error with better message
+      const wrapped = new Error(errorMsg);
+      wrapped.validationErrors = error.validationErrors;
+      wrapped.usage = error.usage;
+      wrapped.status = error.response?.status;
+      wrapped.retryAfterMs = this.parseRetryAfter(error.response?.headers?.['retry-after']);
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into ms, or null
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Accumulate token usage across requests (initial + repair)
+   * Reported cost stays null unless every request reported one
+   */
+  addUsage(usage, response) {
+    usage.promptTokens += response.promptTokens || 0;
+    usage.completionTokens += response.completionTokens || 0;
+    usage.costUsd = usage.costUsd !== null && typeof response.costUsd === 'number'
+      ? usage.costUsd + response.costUsd
+      : null;
+  }
+
+  /**
+   * Usage attached to errors of requests that were paid for
+   */
+  usageSummary(usage) {
+    return {
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      reportedCostUsd: usage.costUsd,
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  /**
+   * Build system and user prompt for LLM
+   */
+  buildPrompt(messages, enabledTags, excludedFromSentiment, prompt) {
+    return promptTemplate.buildPrompt(messages, enabledTags, excludedFromSentiment, prompt);
+  }
+
+  /**
+   * Build the repair request sent after a response fails validation
+   */
+  buildRepairPrompt(errors, messages) {
+    const targetCount = messages.filter(m => !m.isContext).length;
+
+    return `Your previous response did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only, with exactly one entry per TARGET message (${targetCount} entries). Use the EXACT id and user_id from each message header, an integer sentiment from -100 to +100 and a tags array.`;
+  }
+
+  /**
+   * Build the normalized result from validated response entries
+   */
+  buildResult(entries, messages, enabledTags, excludedFromSentiment = []) {
+    const targetMessages = messages.filter(m => !m.isContext);
+    const perMessage = {};
+    const unauthorizedTags = new Set();
+
+    for (const { target, entry } of entries) {
+      if (entry.user_id !== `${target.platform}:${target.author.id}`) {
+        logger.warn(`LLM attributed message ${target.id} to ${entry.user_id}, expected ${target.platform}:${target.author.id}`);
+      }
+
+      // Clamp sentiment to valid range (-100 to +100) and round to nearest whole number
+      let sentiment = entry.sentiment;
+      if (sentiment < -100) {
+        logger.warn(`LLM returned sentiment ${sentiment} for message ${target.id}, clamping to -100`);
+        sentiment = -100;
+      } else if (sentiment > 100) {
+        logger.warn(`LLM returned sentiment ${sentiment} for message ${target.id}, clamping to +100`);
+        sentiment = 100;
+      }
+      sentiment = Math.round(sentiment);
+
+      // Filter out unauthorized tags
+      const tags = [];
+      for (const tag of entry.tags) {
+        if (enabledTags.includes(tag)) {
+          if (!tags.includes(tag)) tags.push(tag);
+        } else {
+          unauthorizedTags.add(tag);
+        }
+      }
+
+      perMessage[target.id] = {
+        userId: entry.user_id,
+        sentiment,
+        tags,
+        excluded: tags.some(tag => excludedFromSentiment.includes(tag))
+      };
+    }
+
+    if (unauthorizedTags.size > 0) {
+      logger.warn(`LLM returned unauthorized tags (filtered out): ${[...unauthorizedTags].join(', ')}`);
+    }
+
+    const scoredCount = Object.keys(perMessage).length;
+    if (scoredCount < targetMessages.length) {
+      logger.warn(`LLM scored ${scoredCount} of ${targetMessages.length} target messages, unscored messages are skipped`);
+    }
+
+    return {
+      ...summarizeMessages(targetMessages, perMessage),
+      perMessage
+    };
+  }
+}
+
+module.exports = BaseLLMClient;
@@ -2,22 +2,41 @@
  * Batch Processor
  * Batches messages and sends to LLM for processing
  */
-const OpenRouterClient = require('./OpenRouterClient');
+const ProviderManager = require('./ProviderManager');
+const budgetManager = require('./BudgetManager');
+const ContextAssembler = require('./ContextAssembler');
+const WorkerPool = require('./WorkerPool');
+const ResultCache = require('./ResultCache');
+const ShadowComparator = require('./ShadowComparator');
+const { isBatchFull, packBatches, combineChunkScores } = require('./batchPacker');
+const { summarizeMessages } = require('./resultSummary');
+const { buildPrompt } = require('./promptTemplate');
+const { estimateTokens } = require('./tokenEstimator');
 const logger = require('../utils/logger');
 const db = require('../db');
 
 class BatchProcessor {
   constructor(config) {
     this.config = config;
-    this.llmClient = new OpenRouterClient(config.env.openrouter);
+    this.providerManager = new ProviderManager(config);
+    this.contextAssembler = new ContextAssembler(config);
+    this.resultCache = new ResultCache(config);
     this.batchSize = config.env.batch.size;
     this.batchTimeout = config.env.batch.timeout * 1000; // Convert to ms
     this.messageQueue = [];
     this.processing = false;
     this.processingInterval = null;
     this.queuedAt = {}; // Track when messages were first queued per tracker
-    this.maxRetries = 3; // Maximum retry attempts for failed batches
-    this.retryDelay = 60000; // Wait 60 seconds before retrying (ms)
+    this.maxRetries = config.toml?.llm?.max_retries ?? 3; // Maximum retry attempts for failed batches
+    this.retryDelay = (config.toml?.llm?.retry_delay_seconds ?? 60) * 1000; // Base retry delay, doubled per attempt (ms)
+    this.retryQueue = []; // Failed batches waiting for their next attempt
+    this.pricing = config.toml?.llm?.pricing || {}; // Per-model prices (USD per million tokens)
+    this.unpricedModels = new Set(); // Models already warned about missing pricing
+    this.shadowComparator = new ShadowComparator(this.providerManager, result => this.calculateCost(result));
+    this.workerPool = new WorkerPool({
+      maxConcurrency: config.toml?.llm?.max_concurrency ?? 4, // Batches analyzed at the same time
+      perTrackerConcurrency: config.toml?.llm?.tracker_concurrency ?? 1 // Per tracker (1 keeps batches in order)
+    });
   }
 
   /**
@@ -45,12 +64,23 @@ class BatchProcessor {
     logger.info('Batch processor stopped');
   }
 
+  /**
+   * Wait for batches already handed to the worker pool to finish
+   */
+  async drain() {
+    await this.workerPool.drain();
+  }
+
   /**
    * Add messages to queue
+   * Messages are persisted to the message_queue table before being queued
+   * in memory, and only removed (acked) once their batch is aggregated
    */
-  queueMessages(messages) {
+  async queueMessages(messages) {
     const now = Date.now();
 
+    await this.persistMessages(messages);
+
     // Track first queued time per tracker
     for (const msg of messages) {
       if (!this.queuedAt[msg.trackerId]) {
@@ -63,58 +93,135 @@ class BatchProcessor {
     logger.debug(`Queued ${messages.length} messages. Total in queue: ${this.messageQueue.length}`);
   }
 
+  /**
+   * Persist messages to the durable queue (messages already in it are skipped)
+   */
+  async persistMessages(messages) {
+    for (const msg of messages) {
+      if (msg.queueId !== undefined) continue;
+
+      try {
+        const { lastID } = await db.run(
+          'INSERT INTO message_queue (tracker_id, source_id, payload) VALUES (?, ?, ?)',
+          [msg.trackerId, msg.sourceId, JSON.stringify(msg)]
+        );
+        msg.queueId = lastID;
+      } catch (error) {
+        // Keep the message in memory even if it can't be persisted
+        logger.error(`Failed to persist queued message ${msg.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Restore unacknowledged messages from the durable queue (on startup)
+   */
+  async restoreQueue() {
+    const rows = await db.query('SELECT id, payload FROM message_queue ORDER BY id ASC');
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const messages = [];
+
+    for (const row of rows) {
+      try {
+        const msg = JSON.parse(row.payload);
+        msg.queueId = row.id;
+        messages.push(msg);
+
+        if (!this.queuedAt[msg.trackerId]) {
+          this.queuedAt[msg.trackerId] = now;
+        }
+      } catch (error) {
+        logger.error(`Dropping unreadable queued message ${row.id}: ${error.message}`);
+        await db.run('DELETE FROM message_queue WHERE id = ?', [row.id]);
+      }
+    }
+
+    this.messageQueue.push(...messages);
+    logger.info(`Restored ${messages.length} unprocessed messages from durable queue`);
+
+    return messages.length;
+  }
+
+  /**
+   * Acknowledge messages (remove from the durable queue)
+   */
+  async ackMessages(messages) {
+    const queueIds = messages.map(m => m.queueId).filter(id => id !== undefined);
+
+    // Delete in chunks to stay under SQLite's bound parameter limit
+    for (let i = 0; i < queueIds.length; i += 500) {
+      const chunk = queueIds.slice(i, i + 500);
+      await db.run(
+        `DELETE FROM message_queue WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+    }
+  }
+
   /**
    * Process batches
+   * Ready batches are handed to the worker pool, this returns without
+   * waiting for their LLM calls to finish
    */
   async processBatches() {
     if (this.processing) {
       return;
     }
 
-    if (this.messageQueue.length === 0) {
+    if (this.messageQueue.length === 0 && this.retryQueue.length === 0) {
       return;
     }
 
     this.processing = true;
 
     try {
+      // Retry failed batches whose backoff has elapsed
+      this.processRetries();
+
       const now = Date.now();
 
       // Group messages by tracker
       const byTracker = this.groupByTracker(this.messageQueue);
+      const dispatched = new Set();
 
       for (const [trackerId, messages] of Object.entries(byTracker)) {
+        const tracker = await this.getTrackerConfig(trackerId);
         const queuedTime = this.queuedAt[trackerId];
         const timeWaiting = now - queuedTime;
-        const hasEnoughMessages = messages.length >= this.batchSize;
+        const hasEnoughMessages = isBatchFull(messages, this.getBatchLimits(tracker));
         const hasTimedOut = timeWaiting >= this.batchTimeout;
 
         // Process if we have enough messages OR timeout has passed
         if (hasEnoughMessages || hasTimedOut) {
+          // Paused trackers keep their messages (and batch timer) until budget is available
+          const budget = await this.checkBudget(trackerId);
+          if (budget.action === 'pause') {
+            continue;
+          }
+
           if (hasTimedOut && !hasEnoughMessages) {
             logger.info(`Batch timeout reached for tracker ${trackerId} (${messages.length} messages, waited ${Math.round(timeWaiting / 1000)}s)`);
           }
 
-          // Process in batches of batchSize
-          while (messages.length > 0) {
-            const batch = messages.splice(0, this.batchSize);
-            await this.processBatch(trackerId, batch);
+          // Dispatch in batches packed by estimated tokens for the provider that will be used
+          for (const batch of packBatches(messages, this.getBatchLimits(tracker, budget.provider))) {
+            this.submitBatch(trackerId, batch);
           }
+          messages.forEach(msg => dispatched.add(msg));
 
           // Reset timer for this tracker
           delete this.queuedAt[trackerId];
         }
       }
 
-      // Remove processed messages from queue
-      const processedTrackerIds = Object.keys(byTracker).filter(
-        trackerId => !this.queuedAt[trackerId]
-      );
-
-      if (processedTrackerIds.length > 0) {
-        this.messageQueue = this.messageQueue.filter(
-          msg => !processedTrackerIds.includes(msg.trackerId)
-        );
+      // Remove dispatched messages from queue
+      if (dispatched.size > 0) {
+        this.messageQueue = this.messageQueue.filter(msg => !dispatched.has(msg));
       }
 
     } catch (error) {
@@ -124,6 +231,103 @@ class BatchProcessor {
     }
   }
 
+  /**
+   * Hand a batch to the worker pool
+   * The budget is checked again when a worker picks the batch up, since
+   * spend may have grown while it was waiting
+   */
+  submitBatch(trackerId, messages, attempt = null) {
+    this.workerPool.submit(trackerId, async () => {
+      const budget = await this.checkBudget(trackerId);
+
+      if (budget.action === 'pause') {
+        this.requeueBatch(trackerId, messages, attempt);
+        return;
+      }
+
+      // Retries are not sampled again, they already passed sampling
+      const analyzed = budget.action === 'sample' && !attempt
+        ? await this.sampleBatch(trackerId, messages, budget.sampleRate)
+        : messages;
+
+      if (analyzed.length > 0) {
+        await this.processBatch(trackerId, analyzed, attempt, budget);
+      }
+    }).catch(error => {
+      logger.error(`Error processing batch for tracker ${trackerId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Hand a processed batch to the worker pool for its shadow model
+   * Shadow jobs queue separately, so they never hold up the tracker's batches
+   */
+  submitShadowBatch(tracker, messages, result, batchId) {
+    this.workerPool.submit(`${tracker.id}:shadow`, () => (
+      this.shadowComparator.run(tracker, messages, result, batchId)
+    )).catch(error => {
+      logger.error(`Error running shadow batch for tracker ${tracker.id}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Batch size limits for a tracker: the provider's token limits, with the
+   * prompt instructions and the context budget reserved
+   */
+  getBatchLimits(tracker, providerName = null) {
+    if (!tracker) {
+      return { batchSize: this.batchSize, ...this.providerManager.getBatchLimits(providerName), reservedTokens: 0 };
+    }
+
+    const instructions = buildPrompt([], tracker.enabledTags, tracker.excludedFromSentiment, tracker.prompt);
+    const context = this.contextAssembler.getSettings(tracker);
+
+    return {
+      batchSize: this.batchSize,
+      ...this.providerManager.getBatchLimits(providerName || tracker.provider),
+      reservedTokens: estimateTokens(instructions.system) + estimateTokens(instructions.user) +
+        (context.enabled ? context.max_tokens : 0)
+    };
+  }
+
+  /**
+   * Put a batch that could not start back in line
+   */
+  requeueBatch(trackerId, messages, attempt) {
+    if (attempt) {
+      this.retryQueue.push(attempt);
+      return;
+    }
+
+    this.messageQueue.push(...messages);
+    if (!this.queuedAt[trackerId]) {
+      this.queuedAt[trackerId] = Date.now();
+    }
+  }
+
+  /**
+   * Dispatch failed batches that are due for a retry
+   */
+  processRetries() {
+    const now = Date.now();
+    const due = this.retryQueue.filter(retry => retry.nextAttemptAt <= now);
+
+    if (due.length === 0) {
+      return;
+    }
+
+    this.retryQueue = this.retryQueue.filter(retry => retry.nextAttemptAt > now);
+
+    for (const retry of due) {
+      if (retry.batchId) {
+        logger.info(`Retrying batch ${retry.batchId} for tracker ${retry.trackerId} (attempt ${retry.retryCount} of ${this.maxRetries})`);
+      } else {
+        logger.info(`Resuming rate-limited batch for tracker ${retry.trackerId} (${retry.messages.length} messages)`);
+      }
+      this.submitBatch(retry.trackerId, retry.messages, retry);
+    }
+  }
+
   /**
    * Group messages by tracker
    */
@@ -140,10 +344,42 @@ class BatchProcessor {
     return grouped;
   }
 
+  /**
+   * Check a tracker's LLM budget ({ action: null } when within budget)
+   */
+  async checkBudget(trackerId) {
+    const tracker = await this.getTrackerConfig(trackerId);
+
+    if (!tracker || !tracker.budget) {
+      return { action: null };
+    }
+
+    return budgetManager.check(tracker);
+  }
+
+  /**
+   * Keep a random sample of a batch for analysis
+   * Skipped messages are stored unscored and dropped from the durable queue
+   */
+  async sampleBatch(trackerId, messages, sampleRate) {
+    const sampled = messages.filter(() => Math.random() < sampleRate);
+    const skipped = messages.filter(msg => !sampled.includes(msg));
+
+    if (skipped.length > 0) {
+      await this.storeMessages(skipped, null, null);
+      await this.ackMessages(skipped);
+      logger.info(`Budget sampling for tracker ${trackerId}: analyzing ${sampled.length} of ${messages.length} messages`);
+    }
+
+    return sampled;
+  }
+
   /**
    * Process a single batch
+   * `attempt` is set when retrying a previously failed batch ({ batchId, retryCount }).
+   * `budget` is the tracker's budget check; downgrade/offline route to another provider.
    */
-  async processBatch(trackerId, messages) {
+  async processBatch(trackerId, messages, attempt = null, budget = null) {
     try {
       logger.info(`Processing batch for tracker ${trackerId}: ${messages.length} messages`);
       messages.forEach((msg, i) => {
@@ -151,37 +387,293 @@ class BatchProcessor {
       });
 
       // Get tracker config
-      const tracker = await this.getTrackerConfig(trackerId);
+      let tracker = await this.getTrackerConfig(trackerId);
       if (!tracker) {
-        logger.error(`Tracker not found: ${trackerId}`);
+        // Nothing can score these messages, retrying won't help
+        await this.deadLetter(trackerId, messages, `Tracker not found: ${trackerId}`, 0, null);
         return;
       }
 
-      // Call LLM
-      const result = await this.llmClient.analyzeBatch(
-        messages,
-        tracker.enabledTags,
-        tracker.excludedFromSentiment
-      );
+      // Over budget: use the cheaper provider/model instead
+      tracker = this.applyBudget(tracker, budget);
+
+      // Call the tracker's LLM provider (or its fallback)
+      const result = await this.analyze(tracker, messages);
+
+      await this.recordResult(tracker, messages, result, attempt, budget);
 
+    } catch (error) {
+      if (error.rateLimited) {
+        logger.warn(`Deferred batch for tracker ${trackerId}: ${error.message}`);
+      } else {
+        logger.error(`Failed to process batch for tracker ${trackerId}: ${error.message}`);
+      }
+
+      try {
+        await this.handleFailedBatch(trackerId, messages, error, attempt);
+      } catch (handleError) {
+        logger.error(`Failed to handle failed batch for tracker ${trackerId}: ${handleError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tracker config with a downgrade/offline budget's provider and model
+   * A downgrade without a provider keeps the tracker's provider (or the
+   * default provider) and only changes the model.
+   */
+  applyBudget(tracker, budget) {
+    if (!budget || (!budget.provider && !budget.model)) {
+      return tracker;
+    }
+
+    return {
+      ...tracker,
+      provider: budget.provider || tracker.provider || this.providerManager.defaultProvider,
+      model: budget.model
+    };
+  }
+
+  /**
+   * Log, store and aggregate an analyzed batch
+   * Only analysis failures are retried: once recording starts, a retry could
+   * log the batch twice, overwrite its stored scores or aggregate it twice.
+   * A batch that fails before it is aggregated is dead-lettered instead.
+   */
+  async recordResult(tracker, messages, result, attempt, budget) {
+    const trackerId = tracker.id;
+    let batchId = null;
+    let aggregated = false;
+
+    try {
       // Log to database
-      await this.logBatch(trackerId, messages, result, true);
+      batchId = await this.logBatch(trackerId, messages, result, true, null, attempt);
+
+      // Persist raw messages with their per-message results
+      await this.storeMessages(messages, result, batchId);
 
       // Send to aggregation engine
       const aggregationEngine = require('../aggregation/AggregationEngine');
       await aggregationEngine.processLLMResult(trackerId, messages, result);
+      aggregated = true;
+
+      // Aggregated - safe to drop from the durable queue
+      await this.ackMessages(messages);
 
       // Upsert users
       await this.upsertUsers(messages, result.perUser);
 
+      // Score a sample of batches with the tracker's shadow model for comparison
+      if (this.shadowComparator.shouldRun(tracker, result, budget)) {
+        this.submitShadowBatch(tracker, [...result.contextMessages, ...messages], result, batchId);
+      }
+
       logger.info(`Batch processed successfully for tracker ${trackerId}`);
 
     } catch (error) {
-      logger.error(`Failed to process batch for tracker ${trackerId}: ${error.message}`);
+      logger.error(`Failed to record batch ${batchId} for tracker ${trackerId}: ${error.message}`);
+
+      try {
+        if (aggregated) {
+          // Replaying it from the durable queue would count it twice
+          await this.ackMessages(messages);
+        } else {
+          await this.deadLetter(trackerId, messages, `Failed to record results: ${error.message}`, attempt ? attempt.retryCount : 0, batchId);
+        }
+      } catch (handleError) {
+        logger.error(`Failed to handle unrecorded batch for tracker ${trackerId}: ${handleError.message}`);
+      }
+    }
+  }
+
+  /**
+   * Analyze messages with the tracker's provider, falling back to the
+   * configured fallback provider when the primary one fails
+   * Context messages (replies, preceding history) are added for analysis only.
+   * Messages with a cached result for the same text are not sent again.
+   */
+  async analyze(tracker, targetMessages) {
+    const llmClient = this.providerManager.getClient(tracker.provider, tracker.model);
+    const options = { prompt: tracker.prompt };
+    const cached = await this.resultCache.lookup(llmClient, tracker, targetMessages);
+    const assembled = await this.contextAssembler.assemble(tracker, targetMessages);
+
+    const contextMessages = assembled.filter(m => m.isContext);
+
+    if (cached.misses.length === 0) {
+      return { ...this.resultCache.applyHits(llmClient, tracker, targetMessages, cached, null), contextMessages };
+    }
+
+    // Only messages without a cached result are sent
+    const misses = new Set(cached.misses);
+    const messages = assembled.filter(m => m.isContext || misses.has(m));
+
+    // Rate-limited providers are waited out rather than degraded to the fallback
+    const rateLimitDelay = this.providerManager.getRateLimitDelay(llmClient.name);
+    if (rateLimitDelay > 0) {
+      throw this.rateLimitError(llmClient.name, rateLimitDelay);
+    }
+
+    let result;
+
+    try {
+      result = await this.analyzeWith(llmClient, tracker, messages, options);
+      await this.resultCache.store(llmClient, cached, result);
+    } catch (error) {
+      if (error.status === 429) {
+        const delay = this.providerManager.setRateLimited(llmClient.name, error.retryAfterMs);
+        throw this.rateLimitError(llmClient.name, delay);
+      }
+
+      const fallbackClient = this.providerManager.getFallbackClient(tracker.fallbackProvider);
+
+      if (!fallbackClient || fallbackClient === llmClient) {
+        throw error;
+      }
+
+      logger.warn(`Provider ${llmClient.name} failed for tracker ${tracker.id} (${error.message}), falling back to ${fallbackClient.name}`);
 
-      // Log failed batch
-      await this.logBatch(trackerId, messages, null, false, error.message);
+      try {
+        result = await this.analyzeWith(fallbackClient, tracker, messages, options);
+      } catch (fallbackError) {
+        fallbackError.failedUsage = [...failedUsage(error), ...failedUsage(fallbackError)];
+        throw fallbackError;
+      }
+      result.fallbackFrom = llmClient.name;
+      result.failedUsage = failedUsage(error);
     }
+
+    return { ...this.resultCache.applyHits(llmClient, tracker, targetMessages, cached, result), contextMessages };
+  }
+
+  /**
+   * Send a batch to a provider client
+   * A message split into chunks by the batch packer is in a batch of its
+   * own; each chunk is sent with the batch's context and the chunk scores
+   * are combined into the message's score.
+   */
+  async analyzeWith(client, tracker, messages, options) {
+    const target = messages.find(m => !m.isContext);
+
+    if (!target?.chunks) {
+      return client.analyzeBatch(messages, tracker.enabledTags, tracker.excludedFromSentiment, options);
+    }
+
+    const context = messages.filter(m => m.isContext);
+    const results = [];
+
+    for (const text of target.chunks) {
+      try {
+        results.push(await client.analyzeBatch([...context, { ...target, text }], tracker.enabledTags, tracker.excludedFromSentiment, options));
+      } catch (error) {
+        // Chunks already analyzed were paid for too
+        error.failedUsage = [...results.map(chunkUsage), ...failedUsage(error)];
+        throw error;
+      }
+    }
+
+    const score = combineChunkScores(results.map(result => result.perMessage[target.id]), target.chunks, tracker.excludedFromSentiment);
+    const perMessage = score ? { [target.id]: score } : {};
+    const sum = key => results.reduce((total, result) => total + (result[key] || 0), 0);
+
+    logger.info(`Message ${target.id} for tracker ${tracker.id} analyzed in ${results.length} chunks`);
+
+    return {
+      ...summarizeMessages([target], perMessage),
+      perMessage,
+      processingTime: sum('processingTime'),
+      promptTokens: sum('promptTokens'),
+      completionTokens: sum('completionTokens'),
+      tokensUsed: sum('tokensUsed'),
+      reportedCostUsd: results.every(result => typeof result.reportedCostUsd === 'number') ? sum('reportedCostUsd') : null,
+      provider: results[0].provider,
+      model: results[0].model,
+      promptVersion: results[0].promptVersion,
+      estimatedPromptTokens: sum('estimatedPromptTokens'),
+      estimatedCompletionTokens: sum('estimatedCompletionTokens'),
+      validationErrors: results.flatMap(result => result.validationErrors || []),
+      repaired: results.some(result => result.repaired),
+      chunks: results.length
+    };
+  }
+
+  /**
+   * Error for a batch that has to wait for a rate-limited provider
+   */
+  rateLimitError(providerName, delay) {
+    const error = new Error(`Provider ${providerName} is rate limited, retrying in ${Math.ceil(delay / 1000)}s`);
+    error.rateLimited = true;
+    error.retryAfterMs = delay;
+    return error;
+  }
+
+  /**
+   * Handle a failed batch: schedule a retry with exponential backoff,
+   * or move it to the dead-letter table once retries are exhausted
+   * Rate-limited batches are deferred without using up a retry.
+   */
+  async handleFailedBatch(trackerId, messages, error, attempt) {
+    const retryCount = attempt ? attempt.retryCount : 0;
+
+    if (error.rateLimited) {
+      this.retryQueue.push({
+        trackerId,
+        messages,
+        batchId: attempt ? attempt.batchId : null,
+        retryCount,
+        nextAttemptAt: Date.now() + error.retryAfterMs
+      });
+      return;
+    }
+
+    // Log failed batch (messages are kept unscored for auditing)
+    const batchId = await this.logBatch(trackerId, messages, null, false, error.message, attempt, error.validationErrors, failedUsage(error));
+    await this.storeMessages(messages, null, batchId);
+
+    if (retryCount < this.maxRetries) {
+      const delay = this.retryDelay * Math.pow(2, retryCount);
+
+      this.retryQueue.push({
+        trackerId,
+        messages,
+        batchId,
+        retryCount: retryCount + 1,
+        nextAttemptAt: Date.now() + delay
+      });
+
+      logger.warn(`Batch ${batchId} for tracker ${trackerId} will be retried in ${Math.round(delay / 1000)}s (retry ${retryCount + 1} of ${this.maxRetries})`);
+      return;
+    }
+
+    await this.deadLetter(trackerId, messages, error.message, retryCount, batchId);
+  }
+
+  /**
+   * Move a permanently failed batch to the dead-letter table
+   */
+  async deadLetter(trackerId, messages, errorMessage, retryCount, batchId) {
+    const sourceIds = [...new Set(messages.map(m => m.sourceId))];
+    const payload = messages.map(({ queueId, ...msg }) => msg);
+
+    const { lastID } = await db.run(
+      `INSERT INTO dead_letters (
+        tracker_id, batch_id, message_count, source_ids, messages, error_message, retry_count
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        trackerId,
+        batchId,
+        messages.length,
+        JSON.stringify(sourceIds),
+        JSON.stringify(payload),
+        errorMessage,
+        retryCount
+      ]
+    );
+
+    // Dead-lettered messages no longer belong in the durable queue
+    await this.ackMessages(messages);
+
+    logger.error(`Batch ${batchId} for tracker ${trackerId} failed after ${retryCount} retries, moved to dead letters (id ${lastID})`);
   }
 
   /**
@@ -198,46 +690,172 @@ class BatchProcessor {
     return {
       id: row.id,
       enabledTags: JSON.parse(row.enabled_tags),
-      excludedFromSentiment: JSON.parse(row.excluded_from_sentiment)
+      excludedFromSentiment: JSON.parse(row.excluded_from_sentiment),
+      provider: row.llm_provider,
+      model: row.llm_model,
+      fallbackProvider: row.llm_fallback_provider,
+      prompt: row.prompt_config ? JSON.parse(row.prompt_config) : {},
+      budget: row.budget_config ? JSON.parse(row.budget_config) : null,
+      context: row.context_config ? JSON.parse(row.context_config) : null,
+      shadow: row.shadow_config ? JSON.parse(row.shadow_config) : null
     };
   }
 
   /**
    * Log batch to database
+   * Retries update the original batch row; returns the batch log row id.
+   * Tokens and cost include the batch's failed requests (`failedUsage`,
+   * earlier attempts), since those were paid for too.
    */
-  async logBatch(trackerId, messages, result, success, errorMessage = null) {
+  async logBatch(trackerId, messages, result, success, errorMessage = null, attempt = null, validationErrors = null, failedUsage = []) {
     const sourceIds = [...new Set(messages.map(m => m.sourceId))];
+    const errors = result ? result.validationErrors : validationErrors;
+    const cost = result ? this.calculateCost(result) : { costUsd: null, costSource: null };
+    const failed = this.sumUsage([...failedUsage, ...(result?.failedUsage || [])]);
+    const previous = attempt && attempt.batchId
+      ? await db.queryOne('SELECT prompt_tokens, completion_tokens, tokens_used, cost_usd FROM llm_batch_log WHERE id = ?', [attempt.batchId])
+      : null;
+
+    const fields = {
+      success: success ? 1 : 0,
+      sentiment_score: result ? result.sentimentScore : null,
+      author_count: result ? result.authorCount : null,
+      tag_counts: result ? JSON.stringify(result.tagCounts) : null,
+      processing_time_ms: result ? result.processingTime : null,
+      tokens_used: sumKnown(previous?.tokens_used, result?.tokensUsed, failed?.tokensUsed),
+      prompt_tokens: sumKnown(previous?.prompt_tokens, result?.promptTokens, failed?.promptTokens),
+      completion_tokens: sumKnown(previous?.completion_tokens, result?.completionTokens, failed?.completionTokens),
+      estimated_prompt_tokens: result?.estimatedPromptTokens ?? null,
+      estimated_completion_tokens: result?.estimatedCompletionTokens ?? null,
+      cache_hits: result?.cacheHits ?? null,
+      tokens_saved: result?.tokensSaved ?? null,
+      cost_usd: sumKnown(previous?.cost_usd, cost.costUsd, failed?.costUsd),
+      cost_source: cost.costSource || failed?.costSource || null,
+      error_message: errorMessage,
+      retry_count: attempt ? attempt.retryCount : 0,
+      provider: result ? result.provider : (failed?.provider || null),
+      model: result ? result.model : (failed?.model || null),
+      fallback_from: result?.fallbackFrom || null,
+      validation_errors: errors && errors.length > 0 ? JSON.stringify(errors) : null,
+      repaired: result?.repaired ? 1 : 0,
+      prompt_version: result?.promptVersion || null
+    };
+    const columns = Object.keys(fields);
 
-    await db.run(
-      `INSERT INTO llm_batch_log (
-        tracker_id, message_count, source_ids, success,
-        sentiment_score, author_count, tag_counts,
-        processing_time_ms, tokens_used, cost_usd,
-        error_message, retry_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        trackerId,
-        messages.length,
-        JSON.stringify(sourceIds),
-        success ? 1 : 0,
-        result ? result.sentimentScore : null,
-        result ? result.authorCount : null,
-        result ? JSON.stringify(result.tagCounts) : null,
-        result ? result.processingTime : null,
-        result ? result.tokensUsed : null,
-        result ? this.calculateCost(result.tokensUsed) : null,
-        errorMessage,
-        0
-      ]
+    if (attempt && attempt.batchId) {
+      await db.run(
+        `UPDATE llm_batch_log SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(fields), attempt.batchId]
+      );
+
+      return attempt.batchId;
+    }
+
+    const { lastID } = await db.run(
+      `INSERT INTO llm_batch_log (tracker_id, message_count, source_ids, ${columns.join(', ')})
+       VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})`,
+      [trackerId, messages.length, JSON.stringify(sourceIds), ...Object.values(fields)]
     );
+
+    return lastID;
+  }
+
+  /**
+   * Store raw messages with their per-message LLM results
+   */
+  async storeMessages(messages, result, batchId) {
+    const perMessage = result?.perMessage || {};
+
+    for (const msg of messages) {
+      if (msg.isContext) continue;
+
+      const score = perMessage[msg.id];
+
+      await db.run(
+        `INSERT INTO messages (
+          message_id, source_id, tracker_id, platform, author_id, author_username,
+          text, timestamp, metadata, sentiment_score, tags, excluded_from_sentiment, batch_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(source_id, message_id) DO UPDATE SET
+          sentiment_score = excluded.sentiment_score,
+          tags = excluded.tags,
+          excluded_from_sentiment = excluded.excluded_from_sentiment,
+          batch_id = excluded.batch_id`,
+        [
+          String(msg.id),
+          msg.sourceId,
+          msg.trackerId,
+          msg.platform,
+          `${msg.platform}:${msg.author.id}`,
+          msg.author.username,
+          msg.originalText ?? msg.text,
+          msg.timestamp,
+          JSON.stringify(msg.metadata || {}),
+          score ? score.sentiment : null,
+          score ? JSON.stringify(score.tags) : null,
+          score ? (score.excluded ? 1 : 0) : null,
+          batchId
+        ]
+      );
+    }
   }
 
   /**
-   * Calculate cost (rough estimate)
+   * Calculate batch cost
+   * Uses the provider-reported cost when available (OpenRouter), otherwise
+   * [llm.pricing."<model>"]. Unpriced models are logged with a NULL cost;
+   * batches served entirely from the result cache cost nothing.
    */
-  calculateCost(tokens) {
-    // Rough estimate: $0.002 per 1K tokens
-    return (tokens / 1000) * 0.002;
+  calculateCost(result) {
+    if (result.fromCache) {
+      return { costUsd: 0, costSource: 'cache' };
+    }
+
+    if (typeof result.reportedCostUsd === 'number') {
+      return { costUsd: result.reportedCostUsd, costSource: 'provider' };
+    }
+
+    const price = this.pricing[result.model];
+    if (price) {
+      const costUsd = (
+        (result.promptTokens || 0) * (price.prompt_per_million || 0) +
+        (result.completionTokens || 0) * (price.completion_per_million || 0)
+      ) / 1000000;
+
+      return { costUsd, costSource: 'pricing' };
+    }
+
+    if (!this.unpricedModels.has(result.model)) {
+      this.unpricedModels.add(result.model);
+      logger.warn(`No pricing configured for model ${result.model}, batch costs will be recorded as unknown. Add [llm.pricing."${result.model}"] to config.toml`);
+    }
+
+    return { costUsd: null, costSource: null };
+  }
+
+  /**
+   * Tokens and cost of failed provider requests, or null if there were none
+   */
+  sumUsage(usages) {
+    if (usages.length === 0) {
+      return null;
+    }
+
+    const spend = { promptTokens: 0, completionTokens: 0, tokensUsed: 0, costUsd: null, costSource: null };
+
+    for (const usage of usages) {
+      const cost = this.calculateCost(usage);
+
+      spend.promptTokens += usage.promptTokens || 0;
+      spend.completionTokens += usage.completionTokens || 0;
+      spend.tokensUsed += (usage.promptTokens || 0) + (usage.completionTokens || 0);
+      spend.costUsd = sumKnown(spend.costUsd, cost.costUsd);
+      spend.costSource = spend.costSource || cost.costSource;
+      spend.provider = usage.provider;
+      spend.model = usage.model;
+    }
+
+    return spend;
   }
 
   /**
@@ -280,11 +898,42 @@ class BatchProcessor {
 
     return {
       total_queued: this.messageQueue.length,
-      processing: this.processing,
+      pending_retries: this.retryQueue.length,
+      processing: this.processing || !this.workerPool.isIdle(),
       by_tracker: trackerStats,
-      estimated_batches: Math.ceil(this.messageQueue.length / this.batchSize)
+      estimated_batches: Math.ceil(this.messageQueue.length / this.batchSize),
+      pool: this.workerPool.getStats(),
+      rate_limited_providers: this.providerManager.getRateLimits()
     };
   }
 }
 
+/**
+ * Usage of an analyzed chunk, for when a later chunk fails
+ */
+function chunkUsage(result) {
+  return {
+    promptTokens: result.promptTokens,
+    completionTokens: result.completionTokens,
+    reportedCostUsd: result.reportedCostUsd,
+    provider: result.provider,
+    model: result.model
+  };
+}
+
+/**
+ * Usage of the failed provider requests behind an error
+ */
+function failedUsage(error) {
+  return error.failedUsage || (error.usage ? [error.usage] : []);
+}
+
+/**
+ * Sum of the known (non-null) values, or null if none is known
+ */
+function sumKnown(...values) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) : null;
+}
+
 module.exports = BatchProcessor;
@@ -0,0 +1,177 @@
+/**
+ * Budget Manager
+ * Enforces per-tracker daily/monthly LLM spend limits ([trackers.budget])
+ * and decides how a tracker degrades once a limit is reached
+ */
+const db = require('../db');
+const logger = require('../utils/logger');
+
+const LIMITS = ['daily_usd', 'monthly_usd', 'daily_tokens', 'monthly_tokens'];
+const ACTIONS = ['sample', 'downgrade', 'offline', 'pause'];
+const DEFAULT_ACTION = 'offline';
+const DEFAULT_SAMPLE_RATE = 0.1;
+
+class BudgetManager {
+  constructor() {
+    this.exhausted = new Map(); // trackerId -> exceeded limits and action, to log state changes once
+  }
+
+  /**
+   * Validate a tracker's budget config, returns a list of errors
+   */
+  validateConfig(budget) {
+    const errors = [];
+
+    if (typeof budget !== 'object' || budget === null || Array.isArray(budget)) {
+      return ['budget must be a table'];
+    }
+
+    for (const key of LIMITS) {
+      if (budget[key] !== undefined && (typeof budget[key] !== 'number' || budget[key] < 0)) {
+        errors.push(`budget.${key} must be a non-negative number`);
+      }
+    }
+    if (!LIMITS.some(key => budget[key] !== undefined)) {
+      errors.push(`budget needs at least one limit (${LIMITS.join(', ')})`);
+    }
+
+    if (budget.on_exhausted !== undefined && !ACTIONS.includes(budget.on_exhausted)) {
+      errors.push(`budget.on_exhausted must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (budget.sample_rate !== undefined &&
+        (typeof budget.sample_rate !== 'number' || budget.sample_rate <= 0 || budget.sample_rate > 1)) {
+      errors.push('budget.sample_rate must be a number between 0 (exclusive) and 1');
+    }
+    if (budget.on_exhausted === 'downgrade' && !budget.downgrade_provider && !budget.downgrade_model) {
+      errors.push('budget.on_exhausted = "downgrade" requires downgrade_provider or downgrade_model');
+    }
+
+    const knownKeys = [...LIMITS, 'on_exhausted', 'sample_rate', 'downgrade_provider', 'downgrade_model'];
+    const unknownKeys = Object.keys(budget).filter(key => !knownKeys.includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`budget has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Spend of a tracker for the current UTC day and month, including its
+   * shadow model requests
+   * Unpriced batches (NULL cost) only count towards token limits
+   */
+  async getUsage(trackerId) {
+    const row = await db.queryOne(
+      `SELECT
+        COALESCE(SUM(CASE WHEN datetime(spent_at) >= datetime('now', 'start of day') THEN cost_usd END), 0) as daily_usd,
+        COALESCE(SUM(CASE WHEN datetime(spent_at) >= datetime('now', 'start of day') THEN tokens END), 0) as daily_tokens,
+        COALESCE(SUM(cost_usd), 0) as monthly_usd,
+        COALESCE(SUM(tokens), 0) as monthly_tokens
+       FROM (
+         SELECT batch_timestamp as spent_at, cost_usd, tokens_used as tokens
+         FROM llm_batch_log WHERE tracker_id = ?
+         UNION ALL
+         SELECT created_at, cost_usd, prompt_tokens + completion_tokens
+         FROM shadow_comparisons WHERE tracker_id = ?
+       )
+       WHERE datetime(spent_at) >= datetime('now', 'start of month')`,
+      [trackerId, trackerId]
+    );
+
+    return {
+      daily_usd: row.daily_usd,
+      daily_tokens: row.daily_tokens,
+      monthly_usd: row.monthly_usd,
+      monthly_tokens: row.monthly_tokens
+    };
+  }
+
+  /**
+   * Budget status of a tracker, or null if it has no budget
+   */
+  async getStatus(trackerId, budget) {
+    if (!budget) return null;
+
+    const usage = await this.getUsage(trackerId);
+    const limits = {};
+    const exceeded = [];
+
+    for (const key of LIMITS) {
+      if (budget[key] === undefined) continue;
+
+      limits[key] = budget[key];
+      if (usage[key] >= budget[key]) {
+        exceeded.push(key);
+      }
+    }
+
+    const action = budget.on_exhausted || DEFAULT_ACTION;
+
+    return {
+      limits,
+      usage,
+      exhausted: exceeded.length > 0,
+      exceeded,
+      on_exhausted: action,
+      action: exceeded.length > 0 ? action : null
+    };
+  }
+
+  /**
+   * Check a tracker's budget before processing
+   * Returns how the tracker's batches should be handled:
+   * { action: null } within budget, otherwise { action, sampleRate, provider, model }
+   * A null downgrade provider means the tracker's own (or the default) provider.
+   */
+  async check(tracker) {
+    const status = await this.getStatus(tracker.id, tracker.budget);
+
+    if (!status || !status.exhausted) {
+      if (this.exhausted.has(tracker.id)) {
+        this.exhausted.delete(tracker.id);
+        logger.info(`LLM budget for tracker ${tracker.id} available again, resuming normal analysis`);
+      }
+      return { action: null };
+    }
+
+    const exceededKey = `${status.exceeded.join(',')}:${status.action}`;
+    if (this.exhausted.get(tracker.id) !== exceededKey) {
+      this.exhausted.set(tracker.id, exceededKey);
+      logger.warn(`LLM budget exhausted for tracker ${tracker.id} (${status.exceeded.map(key => `${key}: ${status.usage[key]} of ${status.limits[key]}`).join(', ')}), on_exhausted = ${status.action}`);
+    }
+
+    switch (status.action) {
+      case 'sample':
+        return { action: 'sample', sampleRate: tracker.budget.sample_rate ?? DEFAULT_SAMPLE_RATE };
+
+      case 'downgrade':
+        return {
+          action: 'downgrade',
+          provider: tracker.budget.downgrade_provider || tracker.provider,
+          model: tracker.budget.downgrade_model || null
+        };
+
+      case 'offline':
+        return { action: 'offline', provider: 'lexicon', model: null };
+
+      default:
+        return { action: 'pause' };
+    }
+  }
+
+  /**
+   * Budget status of every tracker with a budget, keyed by tracker id
+   */
+  async getAllStatuses() {
+    const rows = await db.query('SELECT id, budget_config FROM trackers WHERE budget_config IS NOT NULL');
+    const statuses = {};
+
+    for (const row of rows) {
+      statuses[row.id] = await this.getStatus(row.id, JSON.parse(row.budget_config));
+    }
+
+    return statuses;
+  }
+}
+
+module.exports = new BudgetManager();
@@ -0,0 +1,308 @@
+/**
+ * Context Assembler
+ * Attaches context messages to a batch before analysis: the messages each
+ * target replies to, and the messages preceding the batch in the same
+ * chat/topic/conversation. Context is shown to the LLM but never scored.
+ */
+const db = require('../db');
+const logger = require('../utils/logger');
+const { estimateMessageTokens } = require('./tokenEstimator');
+
+const DEFAULTS = {
+  enabled: true,
+  history_messages: 5,
+  include_replies: true,
+  max_tokens: 1000
+};
+
+const MAX_CONTEXT_CHARS = 500; // Longer context messages are truncated
+const MAX_THREADS = 1000; // Per tracker, least recently active threads are evicted
+const MAX_RECENT_MESSAGES = 5000; // Per tracker, for reply lookups without a DB query
+
+class ContextAssembler {
+  constructor(config) {
+    const llm = config.toml?.llm || {};
+
+    // [llm] max_context_messages predates [llm.context] and still sets the history default
+    this.defaults = {
+      ...DEFAULTS,
+      ...(llm.max_context_messages !== undefined ? { history_messages: llm.max_context_messages } : {}),
+      ...(llm.context || {})
+    };
+    this.threads = new Map(); // trackerId -> Map(threadKey -> recent messages, oldest first)
+    this.recent = new Map(); // trackerId -> Map(sourceId|messageId -> message)
+  }
+
+  /**
+   * Validate a context config ([llm.context] or [trackers.context]), returns a list of errors
+   */
+  static validateConfig(context) {
+    const errors = [];
+
+    if (typeof context !== 'object' || context === null || Array.isArray(context)) {
+      return ['context must be a table'];
+    }
+
+    for (const key of ['enabled', 'include_replies']) {
+      if (context[key] !== undefined && typeof context[key] !== 'boolean') {
+        errors.push(`context.${key} must be true or false`);
+      }
+    }
+    for (const key of ['history_messages', 'max_tokens']) {
+      if (context[key] !== undefined && (!Number.isInteger(context[key]) || context[key] < 0)) {
+        errors.push(`context.${key} must be a non-negative integer`);
+      }
+    }
+
+    const unknownKeys = Object.keys(context).filter(key => !Object.keys(DEFAULTS).includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`context has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Effective settings for a tracker ([trackers.context] over [llm.context])
+   */
+  getSettings(tracker) {
+    return { ...this.defaults, ...(tracker.context || {}) };
+  }
+
+  /**
+   * Return the batch with context messages prepended
+   * Replied-to messages take priority over history; context is added
+   * newest first until the tracker's max_tokens budget is used up
+   */
+  async assemble(tracker, messages) {
+    const settings = this.getSettings(tracker);
+    const targets = messages.filter(m => !m.isContext);
+
+    if (!settings.enabled || settings.max_tokens === 0) {
+      this.remember(tracker.id, targets, settings);
+      return messages;
+    }
+
+    const candidates = [];
+
+    if (settings.include_replies) {
+      candidates.push(...await this.findReplies(tracker.id, targets));
+    }
+    if (settings.history_messages > 0) {
+      candidates.push(...await this.findHistory(tracker.id, targets, settings.history_messages));
+    }
+
+    const seen = new Set(targets.map(m => `${m.sourceId}|${m.id}`));
+    const context = [];
+    let tokens = 0;
+
+    for (const msg of candidates) {
+      const key = `${msg.sourceId}|${msg.id}`;
+      if (seen.has(key)) continue;
+
+      const cost = estimateMessageTokens(msg);
+      if (tokens + cost > settings.max_tokens) continue;
+
+      seen.add(key);
+      context.push(msg);
+      tokens += cost;
+    }
+
+    this.remember(tracker.id, targets, settings);
+
+    if (context.length === 0) {
+      return messages;
+    }
+
+    context.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    logger.debug(`Attached ${context.length} context messages (~${tokens} tokens) to batch for tracker ${tracker.id}`);
+
+    return [...context, ...messages];
+  }
+
+  /**
+   * Messages replied to by the batch that are not part of the batch
+   */
+  async findReplies(trackerId, targets) {
+    const replies = [];
+
+    for (const msg of targets) {
+      const replyTo = msg.metadata?.replyTo;
+      if (!replyTo || !replyTo.id) continue;
+
+      const found = await this.findMessage(trackerId, msg, replyTo);
+      if (found) {
+        replies.push(found);
+      }
+    }
+
+    return replies;
+  }
+
+  /**
+   * Find a replied-to message: embedded in the reply, recently seen, or stored
+   */
+  async findMessage(trackerId, msg, replyTo) {
+    if (replyTo.text) {
+      return this.toContext({
+        id: replyTo.id,
+        platform: msg.platform,
+        sourceId: msg.sourceId,
+        author: replyTo.author || { id: 'unknown', username: 'unknown' },
+        text: replyTo.text,
+        timestamp: ''
+      });
+    }
+
+    const recent = this.recent.get(trackerId)?.get(`${msg.sourceId}|${replyTo.id}`);
+    if (recent) {
+      return recent;
+    }
+
+    const row = await db.queryOne(
+      `SELECT message_id, source_id, platform, author_id, author_username, text, timestamp
+       FROM messages
+       WHERE source_id = ? AND message_id = ?`,
+      [msg.sourceId, String(replyTo.id)]
+    );
+
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * The messages preceding the batch in each of its threads, newest first
+   */
+  async findHistory(trackerId, targets, limit) {
+    const earliest = new Map(); // sourceId|threadKey -> earliest target
+
+    for (const msg of targets) {
+      if (!msg.metadata?.threadKey) continue;
+
+      const key = `${msg.sourceId}|${msg.metadata.threadKey}`;
+      if (!earliest.has(key) || msg.timestamp < earliest.get(key).timestamp) {
+        earliest.set(key, msg);
+      }
+    }
+
+    const history = [];
+
+    for (const [key, first] of earliest) {
+      const thread = await this.getThread(trackerId, key, first, limit);
+      const preceding = thread.filter(m => m.timestamp < first.timestamp).slice(-limit);
+      history.push(...preceding.reverse());
+    }
+
+    // Interleave threads newest first so the token budget is shared fairly
+    return history.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+  }
+
+  /**
+   * Recent messages of a thread, loading them from the messages table when
+   * the thread hasn't been seen since startup
+   */
+  async getThread(trackerId, key, first, limit) {
+    const threads = this.getTrackerMap(this.threads, trackerId);
+
+    if (!threads.has(key)) {
+      const rows = await db.query(
+        `SELECT message_id, source_id, platform, author_id, author_username, text, timestamp
+         FROM messages
+         WHERE tracker_id = ? AND source_id = ? AND json_extract(metadata, '$.threadKey') = ?
+           AND timestamp < ?
+         ORDER BY timestamp DESC
+         LIMIT ?`,
+        [trackerId, first.sourceId, first.metadata.threadKey, first.timestamp, limit]
+      );
+
+      threads.set(key, rows.reverse().map(row => this.fromRow(row)));
+    }
+
+    return threads.get(key);
+  }
+
+  /**
+   * Record a batch's messages as history for later batches
+   */
+  remember(trackerId, targets, settings) {
+    const threads = this.getTrackerMap(this.threads, trackerId);
+    const recent = this.getTrackerMap(this.recent, trackerId);
+    const keep = Math.max(settings.history_messages, DEFAULTS.history_messages);
+
+    for (const msg of targets) {
+      const context = this.toContext(msg);
+      const recentKey = `${msg.sourceId}|${msg.id}`;
+
+      recent.delete(recentKey);
+      recent.set(recentKey, context);
+
+      if (!msg.metadata?.threadKey) continue;
+
+      // Re-insert to mark the thread as most recently active
+      const key = `${msg.sourceId}|${msg.metadata.threadKey}`;
+      const thread = (threads.get(key) || []).filter(m => String(m.id) !== String(msg.id));
+      threads.delete(key);
+
+      thread.push(context);
+      thread.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      threads.set(key, thread.slice(-keep));
+    }
+
+    this.evict(threads, MAX_THREADS);
+    this.evict(recent, MAX_RECENT_MESSAGES);
+  }
+
+  /**
+   * Get (or create) a tracker's entry in a per-tracker map
+   */
+  getTrackerMap(map, trackerId) {
+    if (!map.has(trackerId)) {
+      map.set(trackerId, new Map());
+    }
+    return map.get(trackerId);
+  }
+
+  /**
+   * Drop the oldest entries of a map beyond its size limit
+   */
+  evict(map, limit) {
+    while (map.size > limit) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  /**
+   * Copy the fields a context message needs (never queue ids or results)
+   */
+  toContext(msg) {
+    const text = msg.text || '';
+
+    return {
+      id: msg.id,
+      platform: msg.platform,
+      sourceId: msg.sourceId,
+      author: { id: msg.author.id, username: msg.author.username },
+      text: text.length > MAX_CONTEXT_CHARS ? `${text.substring(0, MAX_CONTEXT_CHARS)}...` : text,
+      timestamp: msg.timestamp,
+      isContext: true
+    };
+  }
+
+  /**
+   * Build a context message from a messages table row
+   */
+  fromRow(row) {
+    return this.toContext({
+      id: row.message_id,
+      platform: row.platform,
+      sourceId: row.source_id,
+      author: {
+        id: row.author_id.substring(row.author_id.indexOf(':') + 1),
+        username: row.author_username
+      },
+      text: row.text,
+      timestamp: row.timestamp
+    });
+  }
+}
+
+module.exports = ContextAssembler;
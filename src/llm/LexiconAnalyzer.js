@@ -0,0 +1,174 @@
+/**
+ * Lexicon Analyzer
+ * Offline, deterministic rule-based sentiment analysis (VADER style).
+ * Used as a provider for low-value trackers or as fallback when the
+ * LLM provider is unavailable.
+ */
+const logger = require('../utils/logger');
+const { summarizeMessages } = require('./resultSummary');
+const { WORDS, PHRASES, EMOJI, EMOTICONS, BOOSTERS, NEGATIONS, TAG_RULES } = require('./lexicon');
+
+// VADER constants
+const CAPS_INCREMENT = 0.733;
+const NEGATION_SCALAR = -0.74;
+const EXCLAMATION_INCREMENT = 0.292;
+const QUESTION_INCREMENT = 0.18;
+const NORMALIZATION_ALPHA = 15;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+class LexiconAnalyzer {
+  constructor(config = {}) {
+    this.name = config.name || 'lexicon';
+    this.model = config.model || 'lexicon-v1';
+    this.offline = true; // Scores are cheap and approximate, never cached
+  }
+
+  /**
+   * Analyze a batch of messages
+   * Returns the same result shape as the LLM clients
+   */
+  async analyzeBatch(messages, enabledTags, excludedFromSentiment = []) {
+    const startTime = Date.now();
+    const targetMessages = messages.filter(m => !m.isContext);
+    const perMessage = {};
+
+    for (const msg of targetMessages) {
+      const text = msg.text || '';
+      const tags = this.matchTags(text, enabledTags);
+
+      perMessage[msg.id] = {
+        userId: `${msg.platform}:${msg.author.id}`,
+        sentiment: this.scoreText(text),
+        tags,
+        excluded: tags.some(tag => excludedFromSentiment.includes(tag))
+      };
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    logger.info(`Lexicon batch processed: ${targetMessages.length} messages in ${processingTime}ms`);
+
+    return {
+      ...summarizeMessages(targetMessages, perMessage),
+      perMessage,
+      processingTime,
+      tokensUsed: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      reportedCostUsd: 0,
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  /**
+   * Score a single text from -100 to +100
+   */
+  scoreText(text) {
+    let remaining = text.replace(/\uFE0F/g, '');
+    const valences = [];
+
+    // Multi-word phrases first, so their words are not scored twice
+    for (const [phrase, valence] of Object.entries(PHRASES)) {
+      const pattern = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
+      remaining = remaining.replace(pattern, () => {
+        valences.push(valence);
+        return ' ';
+      });
+    }
+
+    // Emoji
+    remaining = remaining.replace(EMOJI_PATTERN, (emoji) => {
+      if (EMOJI[emoji] !== undefined) {
+        valences.push(EMOJI[emoji]);
+      }
+      return ' ';
+    });
+
+    const rawTokens = remaining.split(/\s+/).filter(Boolean);
+    const words = [];
+
+    for (const raw of rawTokens) {
+      // ASCII emoticons are matched before punctuation is stripped
+      if (EMOTICONS[raw] !== undefined) {
+        valences.push(EMOTICONS[raw]);
+        continue;
+      }
+
+      const word = raw.replace(/^[^\w']+|[^\w']+$/g, '');
+      if (word) words.push(word);
+    }
+
+    // Emphasis by capitals only counts when the whole message isn't shouting
+    const capsWords = words.filter(w => /[A-Z]/.test(w) && w === w.toUpperCase());
+    const capsDiffer = capsWords.length > 0 && capsWords.length < words.length;
+
+    const lower = words.map(w => w.toLowerCase());
+    const butIndex = lower.indexOf('but');
+
+    words.forEach((word, i) => {
+      let valence = WORDS[lower[i]];
+      if (valence === undefined || valence === 0) return;
+
+      const sign = valence > 0 ? 1 : -1;
+
+      if (capsDiffer && word.length > 1 && word === word.toUpperCase()) {
+        valence += sign * CAPS_INCREMENT;
+      }
+
+      // Boosters and negations in the three preceding words
+      let negated = false;
+      for (let j = 1; j <= 3 && i - j >= 0; j++) {
+        const previous = lower[i - j];
+        const booster = BOOSTERS[previous];
+
+        if (booster !== undefined) {
+          const damping = j === 1 ? 1 : j === 2 ? 0.95 : 0.9;
+          valence += sign * booster * damping;
+        }
+        if (NEGATIONS.has(previous)) {
+          negated = true;
+        }
+      }
+
+      if (negated) {
+        valence *= NEGATION_SCALAR;
+      }
+
+      // "but" shifts weight to the clause after it
+      if (butIndex !== -1) {
+        valence *= i < butIndex ? 0.5 : 1.5;
+      }
+
+      valences.push(valence);
+    });
+
+    let sum = valences.reduce((total, v) => total + v, 0);
+    if (sum === 0) return 0;
+
+    // Punctuation emphasis
+    const exclamations = Math.min((text.match(/!/g) || []).length, 4);
+    const questions = (text.match(/\?/g) || []).length;
+    let emphasis = exclamations * EXCLAMATION_INCREMENT;
+    if (questions > 1) {
+      emphasis += Math.min(questions, 3) * QUESTION_INCREMENT;
+    }
+    sum += sum > 0 ? emphasis : -emphasis;
+
+    const compound = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+    return Math.max(-100, Math.min(100, Math.round(compound * 100)));
+  }
+
+  /**
+   * Apply rule-based tags, limited to the tracker's enabled tags
+   */
+  matchTags(text, enabledTags) {
+    return enabledTags.filter(tag => {
+      const rules = TAG_RULES[tag];
+      return rules && rules.some(rule => rule.test(text));
+    });
+  }
+}
+
+module.exports = LexiconAnalyzer;
@@ -0,0 +1,52 @@
+/**
+ * Ollama Client
+ * Local models served by Ollama (/api/chat)
+ */
+const BaseLLMClient = require('./BaseLLMClient');
+const { RESPONSE_SCHEMA } = require('./responseSchema');
+
+class OllamaClient extends BaseLLMClient {
+  constructor(config) {
+    super({ baseUrl: 'http://localhost:11434', timeout: 300000, ...config });
+    this.displayName = 'Ollama';
+  }
+
+  /**
+   * Send a chat request (no streaming)
+   * `format` takes "json" or, on Ollama 0.5+, a JSON schema
+   */
+  async complete(systemPrompt, conversation) {
+    const formats = { json_schema: RESPONSE_SCHEMA, json_object: 'json' };
+
+    const response = await this.axiosInstance.post(
+      `${this.baseUrl}/api/chat`,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          ...conversation
+        ],
+        stream: false,
+        format: formats[this.responseFormat],
+        options: {
+          temperature: 0.3,
+          num_predict: this.maxOutputTokens
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+
+    return {
+      content: response.data.message?.content || '',
+      promptTokens: response.data.prompt_eval_count || 0,
+      completionTokens: response.data.eval_count || 0
+    };
+  }
+}
+
+module.exports = OllamaClient;
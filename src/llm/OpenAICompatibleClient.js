@@ -0,0 +1,89 @@
+/**
+ * OpenAI-Compatible Client
+ * Any server exposing /chat/completions (OpenAI, Together, vLLM, llama.cpp server, ...)
+ */
+const BaseLLMClient = require('./BaseLLMClient');
+const { RESPONSE_SCHEMA } = require('./responseSchema');
+
+class OpenAICompatibleClient extends BaseLLMClient {
+  constructor(config) {
+    super(config);
+    this.displayName = 'OpenAI-compatible';
+  }
+
+  /**
+   * Request headers (API key is optional for local servers)
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Provider-specific request body fields
+   */
+  getExtraBody() {
+    return {};
+  }
+
+  /**
+   * response_format request field for the configured JSON mode
+   */
+  getResponseFormat() {
+    switch (this.responseFormat) {
+      case 'json_schema':
+        return {
+          type: 'json_schema',
+          json_schema: { name: 'sentiment_batch', strict: true, schema: RESPONSE_SCHEMA }
+        };
+
+      case 'json_object':
+        return { type: 'json_object' };
+
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Send a chat completion request
+   */
+  async complete(systemPrompt, conversation) {
+    const response = await this.axiosInstance.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          ...conversation
+        ],
+        temperature: 0.3,
+        max_tokens: this.maxOutputTokens,
+        response_format: this.getResponseFormat(),
+        ...this.getExtraBody()
+      },
+      {
+        headers: this.getHeaders()
+      }
+    );
+
+    const usage = response.data.usage || {};
+
+    return {
+      content: response.data.choices[0].message.content,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      costUsd: typeof usage.cost === 'number' ? usage.cost : null
+    };
+  }
+}
+
+module.exports = OpenAICompatibleClient;
@@ -0,0 +1,243 @@
+/**
+ * Provider Manager
+ * Resolves the LLM client for a tracker from [llm.providers] in config.toml
+ */
+const OpenRouterClient = require('./OpenRouterClient');
+const OpenAICompatibleClient = require('./OpenAICompatibleClient');
+const AnthropicClient = require('./AnthropicClient');
+const OllamaClient = require('./OllamaClient');
+const LexiconAnalyzer = require('./LexiconAnalyzer');
+const logger = require('../utils/logger');
+
+const PROVIDER_TYPES = ['openrouter', 'openai', 'anthropic', 'ollama', 'lexicon'];
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+const DEFAULT_RATE_LIMIT_DELAY = 60000; // When a 429 comes without Retry-After (ms)
+const BATCH_LIMIT_DEFAULTS = {
+  max_prompt_tokens: 8000, // Estimated prompt size per batch (instructions, context and messages)
+  max_output_tokens: 2000, // Completion limit per request
+  output_tokens_per_message: 40 // Expected response size per message
+};
+
+class ProviderManager {
+  constructor(config) {
+    this.config = config;
+    this.providers = ProviderManager.getProviderDefinitions(config);
+    this.defaultProvider = config.toml?.llm?.default_provider || 'openrouter';
+    this.defaultFallbackProvider = config.toml?.llm?.fallback_provider || null;
+    this.clients = new Map(); // "provider:model" -> client
+    this.rateLimitedUntil = new Map(); // provider name -> timestamp (ms)
+  }
+
+  /**
+   * Provider definitions from config, plus the built-in "openrouter"
+   * provider configured through OPENROUTER_* environment variables and
+   * the built-in offline "lexicon" analyzer
+   */
+  static getProviderDefinitions(config) {
+    const configured = config.toml?.llm?.providers || {};
+
+    return {
+      lexicon: { type: 'lexicon', model: 'lexicon-v1' },
+      ...configured,
+      openrouter: {
+        type: 'openrouter',
+        base_url: config.env?.openrouter?.baseUrl,
+        model: config.env?.openrouter?.model,
+        api_key: config.env?.openrouter?.apiKey,
+        ...(configured.openrouter || {})
+      }
+    };
+  }
+
+  /**
+   * Validate provider definitions and tracker provider references
+   */
+  static validateConfig(config) {
+    const providers = ProviderManager.getProviderDefinitions(config);
+
+    for (const [name, provider] of Object.entries(providers)) {
+      if (!PROVIDER_TYPES.includes(provider.type)) {
+        throw new Error(`Invalid type for LLM provider ${name}: ${provider.type} (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+      }
+      if (!provider.model) {
+        throw new Error(`LLM provider ${name} has no model configured`);
+      }
+      if (provider.response_format && !RESPONSE_FORMATS.includes(provider.response_format)) {
+        throw new Error(`Invalid response_format for LLM provider ${name}: ${provider.response_format} (expected one of: ${RESPONSE_FORMATS.join(', ')})`);
+      }
+      if (provider.type === 'openai' && !provider.base_url) {
+        throw new Error(`LLM provider ${name} of type openai requires base_url`);
+      }
+      for (const key of Object.keys(BATCH_LIMIT_DEFAULTS)) {
+        if (provider[key] !== undefined && (!Number.isInteger(provider[key]) || provider[key] < 1)) {
+          throw new Error(`Invalid ${key} for LLM provider ${name}: must be a positive integer`);
+        }
+      }
+    }
+
+    for (const key of Object.keys(BATCH_LIMIT_DEFAULTS)) {
+      const value = config.toml?.llm?.[key];
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`Invalid [llm] ${key}: must be a positive integer`);
+      }
+    }
+
+    for (const key of ['default_provider', 'fallback_provider']) {
+      const name = config.toml?.llm?.[key];
+      if (name && !providers[name]) {
+        throw new Error(`Unknown LLM ${key}: ${name}`);
+      }
+    }
+
+    for (const tracker of config.toml?.trackers || []) {
+      if (tracker.provider && !providers[tracker.provider]) {
+        throw new Error(`Unknown LLM provider for tracker ${tracker.id}: ${tracker.provider}`);
+      }
+      if (tracker.fallback_provider && !providers[tracker.fallback_provider]) {
+        throw new Error(`Unknown LLM fallback_provider for tracker ${tracker.id}: ${tracker.fallback_provider}`);
+      }
+      if (tracker.budget?.downgrade_provider && !providers[tracker.budget.downgrade_provider]) {
+        throw new Error(`Unknown LLM budget.downgrade_provider for tracker ${tracker.id}: ${tracker.budget.downgrade_provider}`);
+      }
+      if (tracker.shadow?.provider && !providers[tracker.shadow.provider]) {
+        throw new Error(`Unknown LLM shadow.provider for tracker ${tracker.id}: ${tracker.shadow.provider}`);
+      }
+    }
+  }
+
+  /**
+   * Get the client for a provider name and optional model override
+   */
+  getClient(providerName, model) {
+    const name = providerName || this.defaultProvider;
+    const provider = this.providers[name];
+
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const resolvedModel = model || provider.model;
+    const key = `${name}:${resolvedModel}`;
+
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient(name, provider, resolvedModel));
+      logger.info(`LLM client created: ${name} (${provider.type}, ${resolvedModel})`);
+    }
+
+    return this.clients.get(key);
+  }
+
+  /**
+   * Get the fallback client for a tracker, or null if none is configured
+   */
+  getFallbackClient(fallbackProviderName) {
+    const name = fallbackProviderName || this.defaultFallbackProvider;
+    return name ? this.getClient(name) : null;
+  }
+
+  /**
+   * Token limits used to size batches for a provider
+   * [llm.providers.<name>] settings override the [llm] defaults
+   */
+  getBatchLimits(providerName) {
+    const provider = this.providers[providerName || this.defaultProvider] || {};
+    const llm = this.config.toml?.llm || {};
+    const setting = key => provider[key] ?? llm[key] ?? BATCH_LIMIT_DEFAULTS[key];
+
+    return {
+      maxPromptTokens: setting('max_prompt_tokens'),
+      maxOutputTokens: setting('max_output_tokens'),
+      outputTokensPerMessage: setting('output_tokens_per_message')
+    };
+  }
+
+  /**
+   * Block a provider after a 429 response until Retry-After has passed
+   * Returns the delay in ms
+   */
+  setRateLimited(name, retryAfterMs) {
+    const delay = retryAfterMs > 0 ? retryAfterMs : DEFAULT_RATE_LIMIT_DELAY;
+    const until = Date.now() + delay;
+
+    if (until > (this.rateLimitedUntil.get(name) || 0)) {
+      this.rateLimitedUntil.set(name, until);
+      logger.warn(`LLM provider ${name} is rate limited, pausing its batches for ${Math.ceil(delay / 1000)}s`);
+    }
+
+    return this.getRateLimitDelay(name);
+  }
+
+  /**
+   * Remaining rate-limit delay of a provider in ms (0 if not rate limited)
+   */
+  getRateLimitDelay(name) {
+    const until = this.rateLimitedUntil.get(name);
+
+    if (!until || until <= Date.now()) {
+      this.rateLimitedUntil.delete(name);
+      return 0;
+    }
+
+    return until - Date.now();
+  }
+
+  /**
+   * Currently rate-limited providers: name -> ISO time they are available again
+   */
+  getRateLimits() {
+    const limits = {};
+
+    for (const name of [...this.rateLimitedUntil.keys()]) {
+      if (this.getRateLimitDelay(name) > 0) {
+        limits[name] = new Date(this.rateLimitedUntil.get(name)).toISOString();
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Create a client for a provider definition
+   */
+  createClient(name, provider, model) {
+    const clientConfig = {
+      name,
+      model,
+      apiKey: provider.api_key_env ? process.env[provider.api_key_env] : provider.api_key,
+      ...this.getBatchLimits(name)
+    };
+
+    // Only override client defaults that are actually configured
+    if (provider.base_url) {
+      clientConfig.baseUrl = provider.base_url.replace(/\/+$/, '');
+    }
+    if (provider.timeout_seconds) {
+      clientConfig.timeout = provider.timeout_seconds * 1000;
+    }
+    if (provider.response_format) {
+      clientConfig.responseFormat = provider.response_format;
+    }
+
+    switch (provider.type) {
+      case 'openrouter':
+        return new OpenRouterClient(clientConfig);
+
+      case 'openai':
+        return new OpenAICompatibleClient(clientConfig);
+
+      case 'anthropic':
+        return new AnthropicClient(clientConfig);
+
+      case 'ollama':
+        return new OllamaClient(clientConfig);
+
+      case 'lexicon':
+        return new LexiconAnalyzer(clientConfig);
+
+      default:
+        throw new Error(`Unknown LLM provider type: ${provider.type}`);
+    }
+  }
+}
+
+module.exports = ProviderManager;
@@ -0,0 +1,388 @@
+/**
+ * Result Cache
+ * Reuses per-message scores for repeated texts (raids, copypasta, bot spam).
+ * Entries are keyed by normalised text within a scope of provider, model,
+ * prompt version and enabled tags. Near-duplicates can optionally be matched
+ * with MinHash signatures and LSH banding.
+ */
+const crypto = require('crypto');
+const db = require('../db');
+const logger = require('../utils/logger');
+const { summarizeMessages } = require('./resultSummary');
+const { getPromptVersion } = require('./promptTemplate');
+const { estimateMessageTokens } = require('./tokenEstimator');
+
+const DEFAULTS = {
+  enabled: true,
+  ttl_hours: 72,
+  min_length: 20, // Shorter texts ("lol", "gm") depend on context too much to reuse
+  near_duplicates: false,
+  similarity: 0.9 // Estimated Jaccard similarity for a near-duplicate match
+};
+
+// MinHash: 64 hashes in 16 bands of 4 rows, over 5-character shingles
+const NUM_HASHES = 64;
+const BAND_ROWS = 4;
+const SHINGLE_SIZE = 5;
+
+/**
+ * 32-bit FNV-1a hash, the seed selects the hash function
+ */
+function fnv1a(text, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Fixed seeds so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => fnv1a(`minhash-${i}`));
+
+/**
+ * Normalise text so trivial variations share a cache entry
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/@\w+/g, '@user')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * MinHash signature of a normalised text
+ */
+function minHash(text) {
+  const shingles = new Set();
+  for (let i = 0; i <= Math.max(0, text.length - SHINGLE_SIZE); i++) {
+    shingles.add(text.substring(i, i + SHINGLE_SIZE));
+  }
+
+  return SEEDS.map(seed => {
+    let min = 0xffffffff;
+    for (const shingle of shingles) {
+      const hash = fnv1a(shingle, seed);
+      if (hash < min) min = hash;
+    }
+    return min;
+  });
+}
+
+/**
+ * Share of equal positions in two signatures (estimated Jaccard similarity)
+ */
+function similarity(a, b) {
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class ResultCache {
+  constructor(config) {
+    this.settings = { ...DEFAULTS, ...(config.toml?.llm?.cache || {}) };
+  }
+
+  /**
+   * Validate [llm.cache], returns a list of errors
+   */
+  static validateConfig(cache) {
+    const errors = [];
+
+    if (typeof cache !== 'object' || cache === null || Array.isArray(cache)) {
+      return ['cache must be a table'];
+    }
+
+    for (const key of ['enabled', 'near_duplicates']) {
+      if (cache[key] !== undefined && typeof cache[key] !== 'boolean') {
+        errors.push(`cache.${key} must be true or false`);
+      }
+    }
+    for (const key of ['ttl_hours', 'min_length']) {
+      if (cache[key] !== undefined && (typeof cache[key] !== 'number' || cache[key] < 0)) {
+        errors.push(`cache.${key} must be a non-negative number`);
+      }
+    }
+    if (cache.similarity !== undefined &&
+        (typeof cache.similarity !== 'number' || cache.similarity <= 0 || cache.similarity > 1)) {
+      errors.push('cache.similarity must be a number between 0 (exclusive) and 1');
+    }
+
+    const unknownKeys = Object.keys(cache).filter(key => !Object.keys(DEFAULTS).includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`cache has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Cache scope: results are only reused for the same provider, model,
+   * prompt version and tag set
+   */
+  getScope(client, tracker) {
+    return sha256(JSON.stringify([
+      client.name,
+      client.model,
+      getPromptVersion(tracker.prompt),
+      [...tracker.enabledTags].sort()
+    ]));
+  }
+
+  /**
+   * LSH band keys of a signature
+   */
+  getBandKeys(scope, signature) {
+    const keys = [];
+    for (let i = 0; i < signature.length; i += BAND_ROWS) {
+      keys.push(sha256(`${scope}:${i}:${signature.slice(i, i + BAND_ROWS).join('.')}`));
+    }
+    return keys;
+  }
+
+  /**
+   * Split a batch into cached and uncached messages
+   * Repeated texts within the batch are only sent once. Returns
+   * { hits, misses, duplicates, entries, scope, tokensSaved } where misses
+   * are the messages that still need analysis.
+   */
+  async lookup(client, tracker, messages) {
+    const lookup = {
+      hits: new Map(), // message id -> cached { sentiment, tags }
+      misses: [],
+      duplicates: new Map(), // message id sent for analysis -> messages with the same text
+      entries: new Map(), // message id sent for analysis -> { cacheKey, signature }
+      scope: null,
+      tokensSaved: 0
+    };
+
+    if (!this.settings.enabled || client.offline) {
+      lookup.misses = messages;
+      return lookup;
+    }
+
+    lookup.scope = this.getScope(client, tracker);
+    const firstByKey = new Map();
+
+    for (const msg of messages) {
+      const text = normalizeText(msg.text);
+
+      if (text.length < this.settings.min_length) {
+        lookup.misses.push(msg);
+        continue;
+      }
+
+      const cacheKey = sha256(`${lookup.scope}:${text}`);
+
+      // Same text earlier in this batch
+      if (firstByKey.has(cacheKey)) {
+        lookup.duplicates.get(firstByKey.get(cacheKey).id).push(msg);
+        lookup.tokensSaved += this.estimateSavedTokens(client, msg);
+        continue;
+      }
+
+      const signature = this.settings.near_duplicates ? minHash(text) : null;
+      const cached = await this.find(lookup.scope, cacheKey, signature);
+
+      if (cached) {
+        lookup.hits.set(msg.id, cached);
+        lookup.tokensSaved += this.estimateSavedTokens(client, msg);
+        continue;
+      }
+
+      firstByKey.set(cacheKey, msg);
+      lookup.duplicates.set(msg.id, []);
+      lookup.entries.set(msg.id, { cacheKey, signature });
+      lookup.misses.push(msg);
+    }
+
+    return lookup;
+  }
+
+  /**
+   * Find a cached result by exact key, then by near-duplicate signature
+   */
+  async find(scope, cacheKey, signature) {
+    const cutoff = this.getCutoff();
+
+    let row = await db.queryOne(
+      'SELECT cache_key, sentiment_score, tags FROM llm_result_cache WHERE cache_key = ? AND created_at >= ?',
+      [cacheKey, cutoff]
+    );
+
+    if (!row && signature) {
+      const bandKeys = this.getBandKeys(scope, signature);
+      const candidates = await db.query(
+        `SELECT c.cache_key, c.sentiment_score, c.tags, c.signature
+         FROM llm_result_cache c
+         JOIN (SELECT DISTINCT cache_key FROM llm_result_cache_bands
+               WHERE band_key IN (${bandKeys.map(() => '?').join(', ')})) b ON b.cache_key = c.cache_key
+         WHERE c.created_at >= ?`,
+        [...bandKeys, cutoff]
+      );
+
+      let best = 0;
+      for (const candidate of candidates) {
+        const score = similarity(signature, JSON.parse(candidate.signature));
+        if (score >= this.settings.similarity && score > best) {
+          best = score;
+          row = candidate;
+        }
+      }
+    }
+
+    if (!row) {
+      return null;
+    }
+
+    await db.run(
+      'UPDATE llm_result_cache SET hits = hits + 1, last_hit_at = ? WHERE cache_key = ?',
+      [new Date().toISOString(), row.cache_key]
+    );
+
+    return { sentiment: row.sentiment_score, tags: JSON.parse(row.tags) };
+  }
+
+  /**
+   * Store the results of analyzed messages
+   * Only results from the client the lookup was made for are stored
+   * (not fallback results).
+   */
+  async store(client, lookup, result) {
+    if (!lookup.scope || !result || result.provider !== client.name || result.model !== client.model) {
+      return;
+    }
+
+    for (const [messageId, { cacheKey, signature }] of lookup.entries) {
+      const score = result.perMessage[messageId];
+      if (!score) continue;
+
+      await db.run(
+        `INSERT OR REPLACE INTO llm_result_cache (
+          cache_key, scope, model, prompt_version, sentiment_score, tags, signature, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          cacheKey,
+          lookup.scope,
+          result.model,
+          result.promptVersion,
+          score.sentiment,
+          JSON.stringify(score.tags),
+          signature ? JSON.stringify(signature) : null,
+          new Date().toISOString()
+        ]
+      );
+
+      if (signature) {
+        await db.run('DELETE FROM llm_result_cache_bands WHERE cache_key = ?', [cacheKey]);
+        for (const bandKey of this.getBandKeys(lookup.scope, signature)) {
+          await db.run(
+            'INSERT INTO llm_result_cache_bands (band_key, cache_key) VALUES (?, ?)',
+            [bandKey, cacheKey]
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Complete a batch result with cached and duplicate scores
+   * `result` is null when every message was served from the cache.
+   */
+  applyHits(client, tracker, messages, lookup, result) {
+    const cacheHits = messages.length - lookup.misses.length;
+
+    if (cacheHits === 0) {
+      return result;
+    }
+
+    const perMessage = { ...(result?.perMessage || {}) };
+    const score = (msg, cached) => ({
+      userId: `${msg.platform}:${msg.author.id}`,
+      sentiment: cached.sentiment,
+      tags: cached.tags,
+      excluded: cached.tags.some(tag => tracker.excludedFromSentiment.includes(tag))
+    });
+
+    for (const msg of messages) {
+      if (lookup.hits.has(msg.id)) {
+        perMessage[msg.id] = score(msg, lookup.hits.get(msg.id));
+      }
+    }
+    for (const [messageId, duplicates] of lookup.duplicates) {
+      if (!perMessage[messageId]) continue;
+      for (const msg of duplicates) {
+        perMessage[msg.id] = score(msg, perMessage[messageId]);
+      }
+    }
+
+    const merged = result || {
+      processingTime: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      tokensUsed: 0,
+      fromCache: true,
+      provider: client.name,
+      model: client.model,
+      promptVersion: getPromptVersion(tracker.prompt),
+      validationErrors: [],
+      repaired: false
+    };
+
+    logger.info(`Result cache: ${cacheHits} of ${messages.length} messages reused for tracker ${tracker.id} (~${lookup.tokensSaved} tokens saved)`);
+
+    return Object.assign(merged, summarizeMessages(messages, perMessage), {
+      perMessage,
+      cacheHits,
+      tokensSaved: lookup.tokensSaved
+    });
+  }
+
+  /**
+   * Estimated prompt and completion tokens a message would have used
+   */
+  estimateSavedTokens(client, msg) {
+    return estimateMessageTokens(msg) + (client.outputTokensPerMessage || 0);
+  }
+
+  /**
+   * Oldest creation time of a usable entry
+   */
+  getCutoff() {
+    return new Date(Date.now() - this.settings.ttl_hours * 3600000).toISOString();
+  }
+
+  /**
+   * Cache size and hit rate over the last 24 hours
+   */
+  async getStats() {
+    const [entries, usage] = await Promise.all([
+      db.queryOne('SELECT COUNT(*) as count FROM llm_result_cache WHERE created_at >= ?', [this.getCutoff()]),
+      db.queryOne(
+        `SELECT SUM(message_count) as messages, SUM(cache_hits) as hits, SUM(tokens_saved) as tokens_saved
+         FROM llm_batch_log
+         WHERE success = 1 AND datetime(batch_timestamp) >= datetime('now', '-1 day')`
+      )
+    ]);
+
+    return {
+      enabled: this.settings.enabled,
+      near_duplicates: this.settings.near_duplicates,
+      entries: entries.count,
+      hits_24h: usage.hits || 0,
+      hit_rate_24h: usage.messages ? (usage.hits || 0) / usage.messages : 0,
+      tokens_saved_24h: usage.tokens_saved || 0
+    };
+  }
+}
+
+module.exports = ResultCache;
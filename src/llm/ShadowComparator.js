@@ -0,0 +1,250 @@
+/**
+ * Shadow Comparator
+ * Scores a sample of a tracker's batches with a candidate provider/model
+ * ([trackers.shadow]) next to the primary one. Shadow results are only
+ * stored in shadow_comparisons for agreement statistics; they never reach
+ * messages, aggregates or users.
+ */
+const db = require('../db');
+const logger = require('../utils/logger');
+const { polarity } = require('./resultSummary');
+
+const DEFAULT_SAMPLE_RATE = 0.1;
+
+class ShadowComparator {
+  constructor(providerManager, calculateCost) {
+    this.providerManager = providerManager;
+    this.calculateCost = calculateCost; // result -> { costUsd, costSource }
+  }
+
+  /**
+   * Validate a tracker's shadow config, returns a list of errors
+   */
+  static validateConfig(shadow) {
+    const errors = [];
+
+    if (typeof shadow !== 'object' || shadow === null || Array.isArray(shadow)) {
+      return ['shadow must be a table'];
+    }
+
+    if (!shadow.provider && !shadow.model) {
+      errors.push('shadow needs a provider and/or model to compare against');
+    }
+    for (const key of ['provider', 'model']) {
+      if (shadow[key] !== undefined && (typeof shadow[key] !== 'string' || shadow[key].trim() === '')) {
+        errors.push(`shadow.${key} must be a non-empty string`);
+      }
+    }
+    if (shadow.sample_rate !== undefined &&
+        (typeof shadow.sample_rate !== 'number' || shadow.sample_rate <= 0 || shadow.sample_rate > 1)) {
+      errors.push('shadow.sample_rate must be a number between 0 (exclusive) and 1');
+    }
+
+    const unknownKeys = Object.keys(shadow).filter(key => !['provider', 'model', 'sample_rate'].includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`shadow has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a processed batch should also be scored by the shadow model
+   * Batches degraded by a budget or answered by the fallback provider are
+   * not comparable (and over-budget trackers shouldn't spend more). Split
+   * messages (result.chunks) are too long to send in one shadow request.
+   */
+  shouldRun(tracker, result, budget) {
+    if (!tracker.shadow || result.fallbackFrom || result.chunks || budget?.action) {
+      return false;
+    }
+
+    return Math.random() < (tracker.shadow.sample_rate ?? DEFAULT_SAMPLE_RATE);
+  }
+
+  /**
+   * Score a batch with the shadow model and store the comparison
+   * `messages` are the batch's context and target messages as sent to the
+   * primary model.
+   */
+  async run(tracker, messages, primary, batchId) {
+    const client = this.providerManager.getClient(tracker.shadow.provider || tracker.provider, tracker.shadow.model);
+
+    if (client.name === primary.provider && client.model === primary.model) {
+      logger.warn(`Shadow model for tracker ${tracker.id} is the same as its primary model (${client.name}, ${client.model}), skipping`);
+      return;
+    }
+    if (this.providerManager.getRateLimitDelay(client.name) > 0) {
+      logger.debug(`Shadow provider ${client.name} is rate limited, skipping shadow batch for tracker ${tracker.id}`);
+      return;
+    }
+
+    const targets = messages.filter(m => !m.isContext);
+    const row = {
+      tracker_id: tracker.id,
+      batch_id: batchId,
+      message_count: targets.length,
+      primary_provider: primary.provider,
+      primary_model: primary.model,
+      primary_sentiment: primary.sentimentScore,
+      shadow_provider: client.name,
+      shadow_model: client.model
+    };
+
+    try {
+      const shadow = await client.analyzeBatch(messages, tracker.enabledTags, tracker.excludedFromSentiment, { prompt: tracker.prompt });
+      const comparison = this.compare(targets, primary.perMessage, shadow.perMessage);
+
+      Object.assign(row, comparison.summary, {
+        success: 1,
+        shadow_sentiment: shadow.sentimentScore,
+        prompt_tokens: shadow.promptTokens,
+        completion_tokens: shadow.completionTokens,
+        cost_usd: this.calculateCost(shadow).costUsd,
+        processing_time_ms: shadow.processingTime,
+        per_message: JSON.stringify(comparison.perMessage)
+      });
+
+      logger.info(`Shadow batch for tracker ${tracker.id}: ${client.name} (${client.model}) vs ${primary.provider} (${primary.model}), ` +
+        `mean abs diff ${row.mean_abs_diff === null ? '-' : row.mean_abs_diff.toFixed(1)} over ${row.compared_count} messages`);
+    } catch (error) {
+      if (error.status === 429) {
+        this.providerManager.setRateLimited(client.name, error.retryAfterMs);
+      }
+
+      Object.assign(row, { success: 0, error_message: error.message }, this.failedSpend(error));
+      logger.warn(`Shadow batch failed for tracker ${tracker.id} (${client.name}, ${client.model}): ${error.message}`);
+    }
+
+    const columns = Object.keys(row);
+    await db.run(
+      `INSERT INTO shadow_comparisons (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+  }
+
+  /**
+   * Tokens and cost of a failed shadow request (it was still paid for)
+   */
+  failedSpend(error) {
+    const usages = error.failedUsage || (error.usage ? [error.usage] : []);
+    if (usages.length === 0) {
+      return {};
+    }
+
+    const spend = { prompt_tokens: 0, completion_tokens: 0, cost_usd: null };
+    for (const usage of usages) {
+      const { costUsd } = this.calculateCost(usage);
+
+      spend.prompt_tokens += usage.promptTokens || 0;
+      spend.completion_tokens += usage.completionTokens || 0;
+      spend.cost_usd = costUsd === null || costUsd === undefined ? spend.cost_usd : (spend.cost_usd || 0) + costUsd;
+    }
+
+    return spend;
+  }
+
+  /**
+   * Compare per-message results of the messages both models scored
+   */
+  compare(targets, primary, shadow) {
+    const perMessage = [];
+    let absoluteDiff = 0;
+    let polarityMatches = 0;
+    let tagAgreement = 0;
+
+    for (const msg of targets) {
+      const a = primary[msg.id];
+      const b = shadow[msg.id];
+      if (!a || !b) continue;
+
+      const union = new Set([...a.tags, ...b.tags]);
+      const shared = a.tags.filter(tag => b.tags.includes(tag)).length;
+
+      absoluteDiff += Math.abs(a.sentiment - b.sentiment);
+      polarityMatches += polarity(a.sentiment) === polarity(b.sentiment) ? 1 : 0;
+      tagAgreement += union.size > 0 ? shared / union.size : 1; // Both untagged counts as agreement
+
+      perMessage.push({
+        id: msg.id,
+        primary: { sentiment: a.sentiment, tags: a.tags },
+        shadow: { sentiment: b.sentiment, tags: b.tags }
+      });
+    }
+
+    const count = perMessage.length;
+
+    return {
+      summary: {
+        compared_count: count,
+        mean_abs_diff: count > 0 ? absoluteDiff / count : null,
+        polarity_agreement: count > 0 ? polarityMatches / count : null,
+        tag_agreement: count > 0 ? tagAgreement / count : null
+      },
+      perMessage
+    };
+  }
+
+  /**
+   * Agreement statistics per tracker and primary/shadow model pair
+   */
+  static async getAgreement({ from, to, trackerId = null }) {
+    const params = [from.toISOString(), to.toISOString()];
+    let trackerFilter = '';
+
+    if (trackerId) {
+      trackerFilter = 'AND tracker_id = ?';
+      params.push(trackerId);
+    }
+
+    const rows = await db.query(
+      `SELECT tracker_id, primary_provider, primary_model, shadow_provider, shadow_model,
+              COUNT(*) as batches,
+              SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failed_batches,
+              COALESCE(SUM(compared_count), 0) as messages_compared,
+              SUM(mean_abs_diff * compared_count) / SUM(compared_count) as mean_abs_diff,
+              SUM(polarity_agreement * compared_count) / SUM(compared_count) as polarity_agreement,
+              SUM(tag_agreement * compared_count) / SUM(compared_count) as tag_agreement,
+              AVG(ABS(shadow_sentiment - primary_sentiment)) as mean_batch_sentiment_diff,
+              SUM(cost_usd) as shadow_cost_usd,
+              COALESCE(SUM(prompt_tokens + completion_tokens), 0) as shadow_tokens,
+              MAX(created_at) as last_compared_at
+       FROM shadow_comparisons
+       WHERE datetime(created_at) >= datetime(?) AND datetime(created_at) <= datetime(?)
+         ${trackerFilter}
+       GROUP BY tracker_id, primary_provider, primary_model, shadow_provider, shadow_model
+       ORDER BY tracker_id ASC, last_compared_at DESC`,
+      params
+    );
+
+    return rows;
+  }
+
+  /**
+   * Most recent comparisons, without per-message results
+   */
+  static async getRecent({ from, to, trackerId = null, limit = 20 }) {
+    const params = [from.toISOString(), to.toISOString()];
+    let trackerFilter = '';
+
+    if (trackerId) {
+      trackerFilter = 'AND tracker_id = ?';
+      params.push(trackerId);
+    }
+
+    return db.query(
+      `SELECT id, tracker_id, batch_id, created_at, message_count, compared_count,
+              primary_provider, primary_model, primary_sentiment,
+              shadow_provider, shadow_model, shadow_sentiment,
+              mean_abs_diff, polarity_agreement, tag_agreement, cost_usd, success, error_message
+       FROM shadow_comparisons
+       WHERE datetime(created_at) >= datetime(?) AND datetime(created_at) <= datetime(?)
+         ${trackerFilter}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+  }
+}
+
+module.exports = ShadowComparator;
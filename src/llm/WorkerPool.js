@@ -0,0 +1,154 @@
+/**
+ * Worker Pool
+ * Runs batch jobs concurrently with a global limit and a per-tracker limit.
+ * Trackers take turns (round-robin), so a busy tracker's backlog cannot
+ * starve quieter trackers of workers.
+ */
+const logger = require('../utils/logger');
+
+class WorkerPool {
+  constructor({ maxConcurrency = 4, perTrackerConcurrency = 1 } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.perTrackerConcurrency = perTrackerConcurrency;
+    this.pending = new Map(); // trackerId -> jobs waiting for a worker, in order
+    this.active = new Map(); // trackerId -> running job count
+    this.activeCount = 0;
+    this.lastTrackerId = null; // Round-robin position
+    this.idleWaiters = [];
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Queue a job for a tracker; resolves with the job's result once it has run
+   */
+  submit(trackerId, job) {
+    return new Promise((resolve, reject) => {
+      if (!this.pending.has(trackerId)) {
+        this.pending.set(trackerId, []);
+      }
+      this.pending.get(trackerId).push({ job, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Start waiting jobs while workers are free
+   */
+  schedule() {
+    while (this.activeCount < this.maxConcurrency) {
+      const trackerId = this.nextTracker();
+      if (trackerId === null) break;
+
+      const queue = this.pending.get(trackerId);
+      const task = queue.shift();
+      if (queue.length === 0) {
+        this.pending.delete(trackerId);
+      }
+
+      this.run(trackerId, task);
+    }
+  }
+
+  /**
+   * Next tracker with a waiting job and a free per-tracker slot, after the
+   * tracker that was served last
+   */
+  nextTracker() {
+    const trackerIds = [...this.pending.keys()].sort();
+    const eligible = trackerIds.filter(id => (this.active.get(id) || 0) < this.perTrackerConcurrency);
+
+    if (eligible.length === 0) {
+      return null;
+    }
+
+    const next = eligible.find(id => this.lastTrackerId === null || id > this.lastTrackerId) || eligible[0];
+    this.lastTrackerId = next;
+    return next;
+  }
+
+  /**
+   * Run a job in a worker slot
+   */
+  async run(trackerId, { job, resolve, reject }) {
+    this.activeCount++;
+    this.active.set(trackerId, (this.active.get(trackerId) || 0) + 1);
+
+    try {
+      resolve(await job());
+      this.completed++;
+    } catch (error) {
+      logger.error(`Worker job for tracker ${trackerId} failed: ${error.message}`);
+      this.failed++;
+      reject(error);
+    } finally {
+      this.activeCount--;
+      const remaining = this.active.get(trackerId) - 1;
+      if (remaining > 0) {
+        this.active.set(trackerId, remaining);
+      } else {
+        this.active.delete(trackerId);
+      }
+
+      this.schedule();
+
+      if (this.isIdle()) {
+        this.idleWaiters.splice(0).forEach(waiter => waiter());
+      }
+    }
+  }
+
+  /**
+   * Whether no job is running or waiting
+   */
+  isIdle() {
+    return this.activeCount === 0 && this.pending.size === 0;
+  }
+
+  /**
+   * Wait until all submitted jobs have finished
+   */
+  drain() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Number of waiting jobs, optionally for one tracker
+   */
+  getPendingCount(trackerId) {
+    if (trackerId !== undefined) {
+      return this.pending.get(trackerId)?.length || 0;
+    }
+    return [...this.pending.values()].reduce((sum, queue) => sum + queue.length, 0);
+  }
+
+  /**
+   * Pool utilisation
+   */
+  getStats() {
+    const byTracker = {};
+
+    for (const trackerId of new Set([...this.active.keys(), ...this.pending.keys()])) {
+      byTracker[trackerId] = {
+        active: this.active.get(trackerId) || 0,
+        pending: this.getPendingCount(trackerId)
+      };
+    }
+
+    return {
+      max_concurrency: this.maxConcurrency,
+      per_tracker_concurrency: this.perTrackerConcurrency,
+      active: this.activeCount,
+      pending: this.getPendingCount(),
+      utilization: this.activeCount / this.maxConcurrency,
+      completed: this.completed,
+      failed: this.failed,
+      by_tracker: byTracker
+    };
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,174 @@
+/**
+ * Batch Packer
+ * Packs queued messages into batches by estimated prompt and completion
+ * tokens, with batch_size as an upper bound on the message count
+ */
+const { CHARS_PER_TOKEN, estimateMessageTokens } = require('./tokenEstimator');
+
+const TRUNCATION_MARKER = ' [...truncated]';
+const MIN_MESSAGE_TOKENS = 100; // Room kept for messages when instructions and context use up the prompt budget
+const MAX_CHUNKS = 8; // A message longer than this many chunks is truncated
+
+// Preferred places to split a long text, best first (sentence ends are equally good)
+const BREAKS = [['\n\n'], ['\n'], ['. ', '! ', '? '], [' ']];
+
+/**
+ * Room per batch for target messages
+ *
+ * `limits` is { batchSize, maxPromptTokens, maxOutputTokens, outputTokensPerMessage, reservedTokens }
+ * where reservedTokens covers the instructions and the context budget.
+ */
+function getCapacity(limits) {
+  return {
+    promptTokens: Math.max(limits.maxPromptTokens - limits.reservedTokens, MIN_MESSAGE_TOKENS),
+    messages: Math.max(1, Math.min(limits.batchSize, Math.floor(limits.maxOutputTokens / limits.outputTokensPerMessage)))
+  };
+}
+
+/**
+ * Whether queued messages already fill a batch
+ */
+function isBatchFull(messages, limits) {
+  const capacity = getCapacity(limits);
+
+  if (messages.length >= capacity.messages) {
+    return true;
+  }
+
+  const tokens = messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+  return tokens >= capacity.promptTokens;
+}
+
+/**
+ * Split a message that would not fit in a batch on its own into chunks
+ * that do. The chunks are analyzed one by one and their scores combined
+ * (combineChunkScores); only text beyond MAX_CHUNKS chunks is cut off.
+ * The message text itself is left whole, so it is still stored in full.
+ */
+function fitMessage(msg, promptTokens) {
+  if (estimateMessageTokens(msg) <= promptTokens) {
+    return msg;
+  }
+
+  const maxChars = Math.max(1, (promptTokens - estimateMessageTokens({ text: '' })) * CHARS_PER_TOKEN - TRUNCATION_MARKER.length);
+  const chunks = splitText(msg.text, maxChars);
+
+  if (chunks.length > MAX_CHUNKS) {
+    chunks.length = MAX_CHUNKS;
+    chunks[MAX_CHUNKS - 1] += TRUNCATION_MARKER;
+  }
+
+  return { ...msg, chunks };
+}
+
+/**
+ * Split a text into chunks of at most maxChars, at paragraph, line,
+ * sentence or word breaks where there is one in the second half of a chunk
+ */
+function splitText(text, maxChars) {
+  const chunks = [];
+  let rest = text.trim();
+
+  while (rest.length > maxChars) {
+    const window = rest.substring(0, maxChars);
+    let cut = maxChars;
+
+    for (const separators of BREAKS) {
+      const index = Math.max(...separators.map(separator => {
+        const at = window.lastIndexOf(separator);
+        return at === -1 ? -1 : at + separator.length;
+      }));
+
+      if (index >= maxChars / 2) {
+        cut = index;
+        break;
+      }
+    }
+
+    chunks.push(rest.substring(0, cut).trim());
+    rest = rest.substring(cut).trim();
+  }
+
+  if (rest) {
+    chunks.push(rest);
+  }
+
+  return chunks;
+}
+
+/**
+ * Combine the scores of a split message's chunks into one score
+ * Sentiment is the chunks' average weighted by their length, tags are
+ * merged. Returns null if no chunk was scored.
+ */
+function combineChunkScores(scores, chunks, excludedFromSentiment = []) {
+  const scored = scores
+    .map((score, i) => ({ score, length: chunks[i].length }))
+    .filter(({ score }) => score);
+
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const totalLength = scored.reduce((sum, { length }) => sum + length, 0);
+  const sentiment = scored.reduce((sum, { score, length }) => sum + score.sentiment * length, 0) / totalLength;
+  const tags = [...new Set(scored.flatMap(({ score }) => score.tags))];
+
+  return {
+    userId: scored[0].score.userId,
+    sentiment: Math.round(sentiment),
+    tags,
+    excluded: tags.some(tag => excludedFromSentiment.includes(tag))
+  };
+}
+
+/**
+ * Split messages into batches that fit the prompt and completion limits
+ * Messages too long to share a batch end up in one of their own, split
+ * into chunks if they don't fit even alone.
+ */
+function packBatches(messages, limits) {
+  const capacity = getCapacity(limits);
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+
+  for (const original of messages) {
+    const msg = fitMessage(original, capacity.promptTokens);
+
+    if (msg.chunks) {
+      if (batch.length > 0) {
+        batches.push(batch);
+        batch = [];
+        tokens = 0;
+      }
+      batches.push([msg]);
+      continue;
+    }
+
+    const cost = estimateMessageTokens(msg);
+
+    if (batch.length > 0 && (tokens + cost > capacity.promptTokens || batch.length >= capacity.messages)) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
+    }
+
+    batch.push(msg);
+    tokens += cost;
+  }
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+module.exports = {
+  getCapacity,
+  isBatchFull,
+  packBatches,
+  splitText,
+  combineChunkScores
+};
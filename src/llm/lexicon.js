@@ -0,0 +1,147 @@
+/**
+ * Sentiment Lexicon
+ * Valences follow the VADER scale (-4 very negative to +4 very positive)
+ * with additions for crypto slang, emoji and chat emoticons
+ */
+
+// Single words (lowercase)
+const WORDS = {
+  // General positive
+  good: 1.9, great: 3.1, awesome: 3.1, amazing: 2.8, excellent: 3.2, fantastic: 2.6,
+  nice: 1.8, love: 3.2, loved: 2.9, loving: 2.9, like: 1.5, liked: 1.8, best: 3.2,
+  better: 1.9, happy: 2.7, glad: 2.0, excited: 2.3, exciting: 2.2, win: 2.8, winning: 2.4,
+  won: 2.7, success: 2.7, successful: 2.8, strong: 2.3, solid: 1.7, cool: 1.3,
+  beautiful: 2.9, brilliant: 2.8, perfect: 2.7, wonderful: 2.7, impressive: 2.3,
+  thanks: 1.9, thank: 1.5, grateful: 2.0, appreciate: 1.7, support: 1.7, helpful: 1.8,
+  hope: 1.9, hopeful: 2.1, optimistic: 2.0, confident: 2.2, safe: 1.9, secure: 1.4,
+  fun: 2.3, funny: 1.9, lol: 1.8, lmao: 2.0, haha: 1.7, yay: 2.4, wow: 2.3,
+  agree: 1.5, agreed: 1.1, bullish: 2.5, undervalued: 1.4, recover: 1.6, recovery: 1.5,
+  growth: 1.9, growing: 1.4, rally: 1.8, rallying: 1.9, breakout: 1.8, gains: 2.0,
+  gain: 1.9, profit: 2.0, profits: 2.0, profitable: 2.1,
+
+  // General negative
+  bad: -2.5, terrible: -2.1, awful: -2.0, horrible: -2.5, worst: -3.1, worse: -2.1,
+  hate: -2.7, hated: -3.2, sad: -2.1, angry: -2.3, mad: -2.2, furious: -2.7,
+  annoying: -1.7, annoyed: -1.6, frustrated: -2.4, frustrating: -1.9, disappointed: -1.9,
+  disappointing: -2.2, afraid: -2.2, scared: -2.2, fear: -2.2, worried: -1.2, worry: -1.9,
+  nervous: -1.1, panic: -2.3, panicking: -2.4, anxious: -1.0, terrified: -3.0,
+  fail: -2.5, failed: -2.3, failure: -2.3, lose: -1.9, losing: -1.6, lost: -1.3,
+  loss: -1.3, losses: -1.7, weak: -1.9, broken: -2.0, dead: -3.3, die: -2.9, dying: -2.9,
+  stupid: -2.4, idiot: -2.3, idiots: -2.6, dumb: -2.3, trash: -1.9, garbage: -2.1,
+  useless: -1.8, wrong: -2.1, problem: -1.7, problems: -1.7, issue: -0.9, risk: -1.1,
+  risky: -1.4, warning: -1.4, danger: -2.4, dangerous: -2.1, ugh: -1.8, wtf: -2.8,
+  sucks: -1.5, suck: -1.9, crap: -1.6, shit: -2.6, bearish: -2.3, crash: -2.8,
+  crashed: -3.0, crashing: -2.9, collapse: -2.6, collapsed: -2.8, bleeding: -2.0,
+  plunge: -2.2, plunging: -2.3, sell: -0.6, selling: -0.8, selloff: -2.0, overvalued: -1.4,
+
+  // Crypto and trading slang
+  moon: 2.5, mooning: 2.8, moonshot: 2.4, lambo: 2.0, hodl: 1.5, hodling: 1.5,
+  wagmi: 2.5, gmi: 2.2, ngmi: -2.5, lfg: 2.6, gm: 1.0, ath: 2.2, pump: 1.5,
+  pumping: 2.0, pumped: 1.8, dump: -2.2, dumping: -2.5, dumped: -2.3, rekt: -3.0,
+  rug: -3.0, rugged: -3.4, rugpull: -3.4, scam: -3.0, scammer: -3.2, scammers: -3.2,
+  scammy: -2.6, ponzi: -3.0, fud: -1.8, shill: -1.2, shilling: -1.2, bagholder: -1.8,
+  bagholders: -1.8, capitulation: -2.5, dip: -0.8, btfd: 1.2, fomo: 0.5, degen: 0.3,
+  liquidated: -3.0, liquidation: -2.4, hack: -2.5, hacked: -3.0, exploit: -2.5,
+  exploited: -2.8, drained: -2.8, insolvent: -3.0, depeg: -2.6, depegged: -2.8,
+  bullrun: 2.4, gem: 1.8, based: 1.5, cope: -1.2, copium: -1.3, rip: -1.5, jeet: -1.5,
+  jeets: -1.5, paperhands: -1.5, diamondhands: 2.0, wen: 0
+};
+
+// Multi-word phrases (matched before tokenization)
+const PHRASES = {
+  'to the moon': 3.0,
+  'rug pull': -3.4,
+  'exit scam': -3.5,
+  'going to zero': -3.0,
+  'dead coin': -3.0,
+  'buy the dip': 1.5,
+  'few understand': 1.5,
+  'diamond hands': 2.0,
+  'paper hands': -1.5,
+  'send it': 1.8,
+  'let\'s go': 2.0,
+  'lets go': 2.0,
+  'not gonna make it': -2.5,
+  'we are so back': 2.8,
+  'it\'s over': -2.5,
+  'its over': -2.5
+};
+
+// Emoji (variation selectors are stripped before lookup)
+const EMOJI = {
+  '🚀': 2.5, '🌕': 2.0, '🌙': 1.5, '💎': 1.8, '🙌': 1.8, '🔥': 2.0, '💯': 2.0,
+  '😂': 1.5, '🤣': 1.5, '😍': 3.0, '🥰': 3.0, '❤': 2.8, '💚': 2.5, '👍': 1.8,
+  '👏': 2.0, '🙏': 1.5, '💰': 1.8, '🤑': 1.8, '🎉': 2.5, '🥳': 2.6, '😊': 2.2,
+  '😀': 2.0, '😃': 2.2, '😁': 2.2, '🙂': 1.2, '😎': 1.8, '📈': 2.0, '🐂': 1.5,
+  '👎': -1.8, '😭': -2.0, '😢': -2.0, '😞': -2.0, '😔': -1.8, '😡': -3.0, '🤬': -3.2,
+  '😠': -2.6, '💀': -1.0, '📉': -2.0, '🐻': -1.5, '🤡': -2.0, '💩': -2.5, '😱': -2.2,
+  '😨': -2.2, '😰': -2.0, '😒': -1.5, '🙄': -1.4, '🩸': -2.0, '⚠': -1.0, '🚨': -1.0,
+  '🤮': -2.8, '😐': 0, '🤔': 0
+};
+
+// ASCII emoticons
+const EMOTICONS = {
+  ':)': 2.0, ':-)': 2.0, ':D': 2.3, ':-D': 2.3, ';)': 1.5, '<3': 2.5, 'xD': 1.5,
+  ':(': -2.0, ':-(': -2.0, ':\'(': -2.2, ':/': -1.0, ':-/': -1.0, '>:(': -2.5
+};
+
+// Intensity modifiers applied to the next sentiment-bearing word
+const BOOSTERS = {
+  very: 0.293, extremely: 0.293, absolutely: 0.293, super: 0.293, so: 0.293,
+  really: 0.293, totally: 0.293, incredibly: 0.293, insanely: 0.293, hugely: 0.293,
+  fucking: 0.293, damn: 0.293, most: 0.293, completely: 0.293, highly: 0.293,
+  kinda: -0.293, slightly: -0.293, somewhat: -0.293, barely: -0.293,
+  marginally: -0.293, little: -0.293, hardly: -0.293
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'cannot',
+  'cant', 'can\'t', 'dont', 'don\'t', 'doesnt', 'doesn\'t', 'didnt', 'didn\'t',
+  'isnt', 'isn\'t', 'arent', 'aren\'t', 'wasnt', 'wasn\'t', 'werent', 'weren\'t',
+  'wont', 'won\'t', 'wouldnt', 'wouldn\'t', 'shouldnt', 'shouldn\'t', 'couldnt',
+  'couldn\'t', 'aint', 'ain\'t', 'without'
+]);
+
+// Rule-based tags; only tags enabled for the tracker are applied
+const TAG_RULES = {
+  hype: [/\b(moon(ing|shot)?|lfg|\d{2,4}x|lambo|send it|parabolic|wagmi)\b/i, /🚀|🌕/u],
+  FUD: [/\b(rug(ged|pull)?|rug pull|ponzi|going to zero|dead coin|exit scam|insolvent|depeg(ged)?)\b/i],
+  fear: [/\b(scared|afraid|fear(ful)?|terrified|worried)\b/i, /😱|😨|😰/u],
+  anxiety: [/\b(anxious|anxiety|nervous|stressed|worried)\b/i],
+  panic: [/\b(panic(king)?|sell everything|get out now|capitulat\w*)\b/i],
+  optimism: [/\b(bullish|optimistic|undervalued|will recover|long term|wagmi|we are so back)\b/i],
+  hope: [/\b(hope(fully|ful)?|fingers crossed)\b/i, /🙏/u],
+  excitement: [/\b(lfg|let'?s go|hyped|excited|exciting)\b/i, /🎉|🥳|🔥/u],
+  happiness: [/\b(happy|glad|yay)\b/i, /😊|😀|😃|😁/u],
+  sadness: [/\b(sad|depressed|heartbroken)\b/i, /😭|😢|😞|😔/u],
+  anger: [/\b(angry|furious|pissed|wtf|hate)\b/i, /😡|🤬|😠/u],
+  frustration: [/\b(frustrat\w*|annoy\w*|ugh|fed up)\b/i],
+  disappointment: [/\b(disappoint\w*|let down)\b/i],
+  gratitude: [/\b(thanks|thank you|thx|grateful|appreciate\w*)\b/i],
+  praise: [/\b(great job|well done|amazing work|kudos)\b/i, /👏/u],
+  hostility: [/\b(idiots?|stupid|moron|loser|shut up)\b/i],
+  toxic: [/\b(idiots?|moron|retard\w*|kys|stfu)\b/i],
+  question: [/\?\s*$/, /^\s*(who|what|when|wen|where|why|how|is|are|does|do|can|should)\b[^.!]*\?/i],
+  agreement: [/\b(agree(d)?|exactly|this is the way|\+1)\b/i],
+  disagreement: [/\b(disagree|not true|that's wrong|nope)\b/i],
+  warning: [/\b(warning|careful|beware|watch out|heads up)\b/i, /⚠|🚨/u],
+  speculation: [/\b(might|could|probably|maybe|predict\w*|i think|speculat\w*)\b/i],
+  rumor: [/\b(rumou?rs?|allegedly|heard that|unconfirmed|leaked)\b/i],
+  urgency: [/\b(asap|hurry|last chance|urgent|don'?t miss|before it'?s too late)\b/i],
+  spam: [/https?:\/\/\S+[\s\S]*https?:\/\/\S+/i, /\b(dm me|join now|free (crypto|tokens?|airdrop)|giveaway|promo code)\b/i],
+  scam: [/\b(double your|guaranteed (returns?|profits?)|send \d+[\s\S]*get \d+ back)\b/i],
+  phishing: [/\b(seed phrase|recovery phrase|private key|connect (your )?wallet|validate (your )?wallet|claim your (airdrop|reward)s?)\b/i],
+  shilling: [/\b(next \d+x|presale|whitelist spots?|hidden gem|buy now)\b/i],
+  promotion: [/\b(check out|follow us|join (our|my))\b/i],
+  sarcasm: [/\b(yeah right|sure buddy)\b/i, /(^|\s)\/s\b/]
+};
+
+module.exports = {
+  WORDS,
+  PHRASES,
+  EMOJI,
+  EMOTICONS,
+  BOOSTERS,
+  NEGATIONS,
+  TAG_RULES
+};
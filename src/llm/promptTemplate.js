@@ -0,0 +1,196 @@
+/**
+ * Prompt Templates
+ * Renders per-tracker prompt templates ([trackers.prompt] in config.toml)
+ * and derives the prompt version recorded in the batch log
+ */
+const crypto = require('crypto');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a sentiment analysis expert. Analyze messages and return structured JSON output with a sentiment score and tags for each message.';
+
+const DEFAULT_TEMPLATE = `Analyze the following messages for sentiment and tags.
+
+ENABLED TAGS (YOU MUST ONLY USE THESE EXACT TAGS - DO NOT USE ANY OTHER TAGS):
+{{enabled_tags}}
+
+SENTIMENT SCALE: -100 (very negative) to +100 (very positive), 0 is neutral
+
+TAGS TO EXCLUDE FROM SENTIMENT: {{excluded_tags}}
+
+CONTEXT MESSAGES (for understanding only, DO NOT analyze these):
+{{context_messages}}
+
+TARGET MESSAGES (analyze these only):
+{{target_messages}}`;
+
+const PLACEHOLDERS = ['enabled_tags', 'excluded_tags', 'context_messages', 'target_messages', 'target_count', 'glossary'];
+const REQUIRED_PLACEHOLDERS = ['target_messages'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Validate a tracker's prompt config, returns a list of errors
+ */
+function validatePromptConfig(prompt) {
+  const errors = [];
+
+  if (typeof prompt !== 'object' || prompt === null || Array.isArray(prompt)) {
+    return ['prompt must be a table'];
+  }
+
+  for (const key of ['version', 'system', 'template']) {
+    if (prompt[key] !== undefined && (typeof prompt[key] !== 'string' || prompt[key].trim() === '')) {
+      errors.push(`prompt.${key} must be a non-empty string`);
+    }
+  }
+
+  if (prompt.glossary !== undefined) {
+    const glossary = prompt.glossary;
+    const validTable = typeof glossary === 'object' && glossary !== null && !Array.isArray(glossary) &&
+      Object.values(glossary).every(value => typeof value === 'string');
+
+    if (typeof glossary !== 'string' && !validTable) {
+      errors.push('prompt.glossary must be a string or a table of term = "meaning"');
+    }
+  }
+
+  if (typeof prompt.template === 'string') {
+    const used = [...prompt.template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+    for (const name of used) {
+      if (!PLACEHOLDERS.includes(name)) {
+        errors.push(`prompt.template uses unknown placeholder {{${name}}} (available: ${PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')})`);
+      }
+    }
+    for (const name of REQUIRED_PLACEHOLDERS) {
+      if (!used.includes(name)) {
+        errors.push(`prompt.template must include {{${name}}}`);
+      }
+    }
+  }
+
+  const unknownKeys = Object.keys(prompt).filter(key => !['version', 'system', 'template', 'glossary'].includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`prompt has unknown keys: ${unknownKeys.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Render glossary entries as "- term: meaning" lines
+ */
+function renderGlossary(glossary) {
+  if (!glossary) return '';
+  if (typeof glossary === 'string') return glossary.trim();
+
+  return Object.entries(glossary)
+    .map(([term, meaning]) => `- ${term}: ${meaning}`)
+    .join('\n');
+}
+
+/**
+ * Format messages as numbered lines; targets carry their id
+ * `labels` maps message ids to their line label, to point replies at them
+ */
+function formatMessages(messages, includeId, labels) {
+  return messages.map((msg, idx) => {
+    const userId = `${msg.platform}:${msg.author.id}`;
+    const id = includeId ? `[id: ${msg.id}] ` : '';
+    const replyTo = msg.metadata?.replyTo?.id;
+    const reply = replyTo !== undefined && labels.has(String(replyTo)) ? `(reply to ${labels.get(String(replyTo))}) ` : '';
+    return `${idx + 1}. ${id}[${userId} (${msg.author.username})]: ${reply}${msg.text}`;
+  }).join('\n');
+}
+
+/**
+ * Output format instructions, always appended so responses stay parseable
+ */
+function buildOutputInstructions(targetCount) {
+  return `Return a JSON object with this EXACT structure:
+{
+  "messages": [
+    {
+      "id": "<the exact id from the message header>",
+      "user_id": "<the exact platform:id from the message header>",
+      "sentiment": <sentiment of this message, -100 to +100>,
+      "tags": [<tag>, ...]
+    }
+  ]
+}
+
+CRITICAL RULES:
+- Only analyze TARGET messages (ignore CONTEXT messages)
+- Return exactly one entry per TARGET message (${targetCount} entries), using the EXACT id from its header
+- ONLY use tags from the ENABLED TAGS list above - DO NOT make up new tags or use synonyms
+- If you want to use a tag that is not in the ENABLED TAGS list, DO NOT include it
+- Use an empty tags array if no enabled tag applies
+- Score every message's sentiment, including messages with tags in "TAGS TO EXCLUDE FROM SENTIMENT" (they are excluded from averages automatically)
+- For user_id, use the EXACT user_id from the message header (format: "platform:id")`;
+}
+
+/**
+ * Build the system and user prompt for a batch
+ */
+function buildPrompt(messages, enabledTags, excludedFromSentiment, prompt = {}) {
+  const targetMessages = messages.filter(m => !m.isContext);
+  const contextMessages = messages.filter(m => m.isContext);
+  const template = prompt.template || DEFAULT_TEMPLATE;
+  const glossary = renderGlossary(prompt.glossary);
+
+  const labels = new Map([
+    ...contextMessages.map((msg, idx) => [String(msg.id), `context message ${idx + 1}`]),
+    ...targetMessages.map((msg, idx) => [String(msg.id), `target message ${idx + 1}`])
+  ]);
+
+  const values = {
+    enabled_tags: enabledTags.join(', '),
+    excluded_tags: excludedFromSentiment.join(', '),
+    context_messages: contextMessages.length > 0 ? formatMessages(contextMessages, false, labels) : '(none)',
+    target_messages: formatMessages(targetMessages, true, labels),
+    target_count: String(targetMessages.length),
+    glossary
+  };
+
+  let user = template.replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+  ));
+
+  // Templates that don't place the glossary themselves get it appended
+  if (glossary && !/\{\{\s*glossary\s*\}\}/.test(template)) {
+    user += `\n\nGLOSSARY (domain terms used in these messages):\n${glossary}`;
+  }
+
+  user += `\n\n${buildOutputInstructions(targetMessages.length)}`;
+
+  return {
+    system: prompt.system || DEFAULT_SYSTEM_PROMPT,
+    user
+  };
+}
+
+/**
+ * Prompt version: the configured version, or a hash of the effective prompt
+ */
+function getPromptVersion(prompt = {}) {
+  if (prompt.version) {
+    return prompt.version;
+  }
+
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({
+      system: prompt.system || DEFAULT_SYSTEM_PROMPT,
+      template: prompt.template || DEFAULT_TEMPLATE,
+      glossary: prompt.glossary || null
+    }))
+    .digest('hex');
+
+  return `sha256:${hash.substring(0, 12)}`;
+}
+
+module.exports = {
+  DEFAULT_SYSTEM_PROMPT,
+  DEFAULT_TEMPLATE,
+  PLACEHOLDERS,
+  validatePromptConfig,
+  buildPrompt,
+  getPromptVersion
+};
@@ -0,0 +1,153 @@
+/**
+ * LLM Response Schema
+ * JSON schema for batch analysis responses, plus extraction and
+ * field-level validation against the batch that was sent
+ */
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    messages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          user_id: { type: 'string' },
+          sentiment: { type: 'integer', description: '-100 (very negative) to +100 (very positive)' },
+          tags: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['id', 'user_id', 'sentiment', 'tags'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['messages'],
+  additionalProperties: false
+};
+
+/**
+ * Extract the JSON object from a model response
+ * Handles markdown code fences and text before/after the object
+ */
+function extractJson(content) {
+  const fenced = content.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+  if (fenced) {
+    return fenced[1];
+  }
+
+  const start = content.indexOf('{');
+  if (start === -1) {
+    return content;
+  }
+
+  // Match braces, ignoring braces inside JSON strings
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return content.substring(start, i + 1);
+      }
+    }
+  }
+
+  return content.substring(start);
+}
+
+/**
+ * Parse and validate a model response against the batch
+ *
+ * Returns { entries, errors }: entries are the valid per-message results,
+ * errors describe everything that did not match the schema or the batch.
+ * Out-of-range sentiment is clamped later and unknown tags are filtered
+ * later, so neither counts as a validation error.
+ */
+function parseAndValidate(content, messages) {
+  const errors = [];
+  let parsed;
+
+  try {
+    parsed = JSON.parse(extractJson(content || ''));
+  } catch (error) {
+    return { entries: [], errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.messages)) {
+    return { entries: [], errors: ['Response must be an object with a "messages" array'] };
+  }
+
+  const targetMessages = messages.filter(m => !m.isContext);
+  const targetsById = new Map(targetMessages.map(msg => [String(msg.id), msg]));
+  const batchUserIds = new Set(messages.map(msg => `${msg.platform}:${msg.author.id}`));
+  const seen = new Set();
+  const entries = [];
+
+  parsed.messages.forEach((entry, index) => {
+    const label = `messages[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const id = entry.id === undefined || entry.id === null ? null : String(entry.id);
+    if (id === null) {
+      errors.push(`${label} is missing "id"`);
+      return;
+    }
+    if (!targetsById.has(id)) {
+      errors.push(`${label} has unknown id "${id}" (not a TARGET message)`);
+      return;
+    }
+    if (seen.has(id)) {
+      errors.push(`${label} duplicates id "${id}"`);
+      return;
+    }
+
+    if (typeof entry.user_id !== 'string' || !batchUserIds.has(entry.user_id)) {
+      errors.push(`${label} (id "${id}") has user_id "${entry.user_id}" which is not in this batch`);
+      return;
+    }
+
+    if (typeof entry.sentiment !== 'number' || !Number.isFinite(entry.sentiment)) {
+      errors.push(`${label} (id "${id}") sentiment must be a number`);
+      return;
+    }
+
+    if (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string')) {
+      errors.push(`${label} (id "${id}") tags must be an array of strings`);
+      return;
+    }
+
+    seen.add(id);
+    entries.push({ target: targetsById.get(id), entry });
+  });
+
+  const missing = targetMessages.filter(msg => !seen.has(String(msg.id)));
+  if (missing.length > 0) {
+    errors.push(`Expected ${targetMessages.length} entries, missing ids: ${missing.map(msg => msg.id).join(', ')}`);
+  }
+
+  return { entries, errors };
+}
+
+module.exports = {
+  RESPONSE_SCHEMA,
+  extractJson,
+  parseAndValidate
+};
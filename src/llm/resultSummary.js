@@ -0,0 +1,81 @@
+/**
+ * Result Summary
+ * Derives batch, per-user and tag summaries from per-message LLM scores
+ */
+
+/**
+ * Summarize scored messages
+ *
+ * `perMessage` maps message id -> { sentiment, tags, excluded }. Messages
+ * without an entry are skipped. Sentiment averages ignore messages flagged
+ * as excluded from sentiment (spam, bots, ...), but those messages still
+ * count towards volume and tags. `sentimentCount` is the number of messages
+ * averaged; with none, the score is 0 and should not be weighted in.
+ */
+function summarizeMessages(messages, perMessage) {
+  let sentimentTotal = 0;
+  let sentimentCount = 0;
+  let messageCount = 0;
+  const tagCounts = {};
+  const users = new Map();
+
+  for (const msg of messages) {
+    const score = perMessage[msg.id];
+    if (!score) continue;
+
+    messageCount++;
+
+    const userId = `${msg.platform}:${msg.author.id}`;
+    if (!users.has(userId)) {
+      users.set(userId, {
+        user_id: userId,
+        username: msg.author.username,
+        display_name: msg.author.displayName,
+        message_count: 0,
+        sentimentTotal: 0,
+        sentimentCount: 0,
+        tags: {}
+      });
+    }
+    const user = users.get(userId);
+    user.message_count++;
+
+    for (const tag of score.tags) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      user.tags[tag] = (user.tags[tag] || 0) + 1;
+    }
+
+    if (!score.excluded) {
+      sentimentTotal += score.sentiment;
+      sentimentCount++;
+      user.sentimentTotal += score.sentiment;
+      user.sentimentCount++;
+    }
+  }
+
+  const perUser = [...users.values()].map(({ sentimentTotal: total, sentimentCount: count, ...user }) => ({
+    ...user,
+    sentiment_avg: count > 0 ? Math.round(total / count) : 0,
+    sentiment_count: count
+  }));
+
+  return {
+    sentimentScore: sentimentCount > 0 ? Math.round(sentimentTotal / sentimentCount) : 0,
+    sentimentCount,
+    messageCount,
+    authorCount: perUser.length,
+    tagCounts,
+    perUser
+  };
+}
+
+/**
+ * Sentiment direction of a score; scores within ±10 count as neutral
+ */
+function polarity(score) {
+  if (score > 10) return 1;
+  if (score < -10) return -1;
+  return 0;
+}
+
+module.exports = { summarizeMessages, polarity };
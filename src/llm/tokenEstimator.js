@@ -0,0 +1,31 @@
+/**
+ * Token Estimator
+ * Rough token counts for prompt budgeting, without a model-specific tokenizer
+ */
+
+// ~4 characters per token for English text across common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// Numbering, id and author header of a message line in the prompt
+const MESSAGE_OVERHEAD_TOKENS = 12;
+
+/**
+ * Estimate the tokens of a text
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens a message takes in the prompt
+ */
+function estimateMessageTokens(msg) {
+  return estimateTokens(msg.text) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  estimateMessageTokens
+};
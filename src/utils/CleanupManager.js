@@ -9,6 +9,7 @@ class CleanupManager {
   constructor(config) {
     this.config = config;
     this.cleanupInterval = null;
+    this.initialCleanupTimeout = null;
   }
 
   /**
@@ -23,7 +24,7 @@ class CleanupManager {
     }, 3600000); // 1 hour
 
     // Run initial cleanup after 5 minutes
-    setTimeout(() => this.runCleanup(), 300000);
+    this.initialCleanupTimeout = setTimeout(() => this.runCleanup(), 300000);
 
     logger.info('Cleanup manager started');
   }
@@ -36,6 +37,10 @@ class CleanupManager {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    if (this.initialCleanupTimeout) {
+      clearTimeout(this.initialCleanupTimeout);
+      this.initialCleanupTimeout = null;
+    }
     logger.info('Cleanup manager stopped');
   }
 
@@ -48,7 +53,10 @@ class CleanupManager {
 
       await this.cleanupDebugTraces();
       await this.cleanupOldBatches();
+      await this.cleanupOldMessages();
       await this.cleanupOldAggregates();
+      await this.cleanupResultCache();
+      await this.cleanupWebhookDeliveries();
 
       logger.info('Scheduled cleanup completed');
 
@@ -97,6 +105,32 @@ class CleanupManager {
     }
   }
 
+  /**
+   * Clean up old raw messages
+   * Retention counts from when a message was stored, not its event time,
+   * so replayed and backfilled history is kept as long as live messages.
+   */
+  async cleanupOldMessages() {
+    // Read from TOML config with fallback (0 = keep forever)
+    const retentionDays = this.config.toml?.retention?.messages_days ?? 30;
+    if (retentionDays === 0) {
+      return;
+    }
+
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+    const result = await db.run(
+      // created_at is SQLite's "YYYY-MM-DD HH:MM:SS", not ISO 8601
+      'DELETE FROM messages WHERE created_at < datetime(?)',
+      [cutoffDate.toISOString()]
+    );
+
+    if (result.changes > 0) {
+      logger.info(`Cleaned up ${result.changes} old messages (older than ${retentionDays} days)`);
+    }
+  }
+
   /**
    * Clean up old time bucket aggregates
    */
@@ -141,6 +175,49 @@ class CleanupManager {
     }
   }
 
+  /**
+   * Clean up expired result cache entries
+   */
+  async cleanupResultCache() {
+    const ttlHours = this.config.toml?.llm?.cache?.ttl_hours ?? 72;
+    const cutoffDate = new Date(Date.now() - ttlHours * 3600000);
+
+    // Bands are removed with their entries (ON DELETE CASCADE)
+    const result = await db.run(
+      'DELETE FROM llm_result_cache WHERE created_at < ?',
+      [cutoffDate.toISOString()]
+    );
+
+    if (result.changes > 0) {
+      logger.info(`Cleaned up ${result.changes} expired result cache entries (older than ${ttlHours} hours)`);
+    }
+  }
+
+  /**
+   * Clean up old webhook idempotency keys
+   * A retry of a delivery older than this is ingested again, but its
+   * messages are still deduplicated by ID.
+   */
+  async cleanupWebhookDeliveries() {
+    // Read from TOML config with fallback (0 = keep forever)
+    const retentionDays = this.config.toml?.retention?.webhook_deliveries_days ?? 7;
+    if (retentionDays === 0) {
+      return;
+    }
+
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+    const result = await db.run(
+      'DELETE FROM webhook_deliveries WHERE received_at < ?',
+      [cutoffDate.toISOString()]
+    );
+
+    if (result.changes > 0) {
+      logger.info(`Cleaned up ${result.changes} webhook deliveries (older than ${retentionDays} days)`);
+    }
+  }
+
   /**
    * Optimize database (vacuum)
    */
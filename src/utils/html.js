@@ -0,0 +1,43 @@
+/**
+ * HTML Helpers
+ * Plain text from the HTML found in feed summaries and fediverse posts
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode XML/HTML character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      // Out-of-range and surrogate code points are left as written
+      if (Number.isNaN(point) || point > 0x10ffff || (point >= 0xd800 && point <= 0xdfff)) return entity;
+      return String.fromCodePoint(point);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Strip HTML markup and collapse whitespace
+ * Paragraphs and line breaks become newlines; inline tags are dropped
+ * without a space, so "<a><span>#</span>salt</a>" stays "#salt".
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  return decodeEntities(
+    html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, '\n')
+      .replace(/<\/?(a|span|b|strong|i|em|u|code|small|sup|sub)(\s[^>]*)?>/gi, '')
+      .replace(/<[^>]*>/g, ' ')
+  )
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+module.exports = { decodeEntities, htmlToText };
@@ -26,8 +26,10 @@ async function initializeFromConfig() {
       const result = await db.run(
         `INSERT OR IGNORE INTO trackers (
           id, name, description, enabled,
-          enabled_tags, excluded_from_sentiment, time_buckets
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          enabled_tags, excluded_from_sentiment, time_buckets,
+          llm_provider, llm_model, llm_fallback_provider, prompt_config, budget_config, context_config,
+          shadow_config
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           tracker.id,
           tracker.name,
@@ -35,7 +37,14 @@ async function initializeFromConfig() {
           tracker.enabled ? 1 : 0,
           JSON.stringify(tracker.enabled_tags),
           JSON.stringify(tracker.excluded_from_sentiment || defaultExcludedFromSentiment),
-          JSON.stringify(tracker.time_buckets)
+          JSON.stringify(tracker.time_buckets),
+          tracker.provider || null,
+          tracker.model || null,
+          tracker.fallback_provider || null,
+          tracker.prompt ? JSON.stringify(tracker.prompt) : null,
+          tracker.budget ? JSON.stringify(tracker.budget) : null,
+          tracker.context ? JSON.stringify(tracker.context) : null,
+          tracker.shadow ? JSON.stringify(tracker.shadow) : null
         ]
       );
 
@@ -46,7 +55,10 @@ async function initializeFromConfig() {
         await db.run(
           `UPDATE trackers SET
             name = ?, description = ?, enabled = ?,
-            enabled_tags = ?, excluded_from_sentiment = ?, time_buckets = ?, updated_at = CURRENT_TIMESTAMP
+            enabled_tags = ?, excluded_from_sentiment = ?, time_buckets = ?,
+            llm_provider = ?, llm_model = ?, llm_fallback_provider = ?, prompt_config = ?,
+            budget_config = ?, context_config = ?, shadow_config = ?,
+            updated_at = CURRENT_TIMESTAMP
           WHERE id = ?`,
           [
             tracker.name,
@@ -55,6 +67,13 @@ async function initializeFromConfig() {
             JSON.stringify(tracker.enabled_tags),
             JSON.stringify(tracker.excluded_from_sentiment || defaultExcludedFromSentiment),
             JSON.stringify(tracker.time_buckets),
+            tracker.provider || null,
+            tracker.model || null,
+            tracker.fallback_provider || null,
+            tracker.prompt ? JSON.stringify(tracker.prompt) : null,
+            tracker.budget ? JSON.stringify(tracker.budget) : null,
+            tracker.context ? JSON.stringify(tracker.context) : null,
+            tracker.shadow ? JSON.stringify(tracker.shadow) : null,
             tracker.id
           ]
         );
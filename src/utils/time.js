@@ -0,0 +1,22 @@
+/**
+ * Time Helpers
+ * Timestamps pushed to webhooks or found in export files
+ */
+
+/**
+ * Parse an ISO 8601 date or Unix time (seconds or milliseconds, number or
+ * numeric string) into an ISO string, or null when it isn't one
+ */
+function parseTimestamp(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') return null;
+
+  const numeric = typeof value === 'number' || /^\d+(\.\d+)?$/.test(value.trim());
+  const number = Number(value);
+  const date = numeric ? new Date(number < 1e12 ? number * 1000 : number) : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  parseTimestamp
+};
@@ -0,0 +1,165 @@
+/**
+ * File connector end-to-end test
+ * Exports are replayed at their original timestamps, scored by the mock
+ * LLM server, and a throttled replay resumes from its cursor
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+const FileConnector = require('../../src/connectors/FileConnector');
+
+const CSV = [
+  'msg_id,body,user_id,user,sent_at',
+  '1,"Great launch, love it",u1,alice,2026-10-01T10:00:00Z',
+  '2,Worried about the unlock,u2,bob,1759313100',
+  '3,No timestamp here,u3,carol,'
+].join('\n');
+
+const TELEGRAM_EXPORT = {
+  name: 'Salt Chat',
+  id: 777,
+  messages: [1, 2, 3, 4, 5].map(n => ({
+    id: n,
+    type: 'message',
+    date_unixtime: String(1759400000 + n * 60),
+    from: `user${n}`,
+    from_id: `user${n}`,
+    text: `Message number ${n}`,
+    reply_to_message_id: n > 1 ? n - 1 : undefined
+  }))
+};
+
+describe('file connector', () => {
+  let ctx;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-exports-'));
+    fs.writeFileSync(path.join(dir, 'archive.csv'), CSV);
+    fs.writeFileSync(path.join(dir, 'result.json'), JSON.stringify(TELEGRAM_EXPORT));
+
+    ctx = await startTestApp({
+      toml: `
+[[trackers]]
+id = "history"
+name = "History"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "archive"
+tracker_id = "history"
+platform = "file"
+target = "${path.join(dir, 'archive.csv')}"
+
+[sources.config]
+mapping = { id = "msg_id", text = "body", author_id = "user_id", author_username = "user", timestamp = "sent_at" }
+
+# Replayed by hand in the resume test
+[[sources]]
+id = "tg-history"
+tracker_id = "history"
+platform = "file"
+target = "${path.join(dir, 'result.json')}"
+paused = true
+
+[sources.config]
+messages_per_second = 2
+`
+    });
+  });
+
+  after(async () => {
+    await ctx.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replays CSV rows with their original timestamps', async () => {
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/history/messages?source_id=archive');
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+
+    // Row 3 has no timestamp
+    assert.deepEqual(Object.keys(byId).sort(), ['archive:1', 'archive:2']);
+    assert.equal(byId['archive:1'].text, 'Great launch, love it');
+    assert.equal(byId['archive:1'].author.id, 'file:u1');
+    assert.equal(byId['archive:1'].metadata.messageId, '1');
+    assert.equal(byId['archive:1'].timestamp, '2026-10-01T10:00:00.000Z');
+    assert.equal(byId['archive:2'].timestamp, new Date(1759313100 * 1000).toISOString());
+
+    // The cursor follows on the next tick, once the rows are in the durable queue
+    await ctx.app.connectorManager.getConnector('archive').readNext();
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['archive']);
+    assert.equal(cursor.cursor_value, '3');
+  });
+
+  it('throttles a replay and resumes it from the cursor', async () => {
+    const source = ctx.app.config.toml.sources.find(s => s.id === 'tg-history');
+
+    const { batchProcessor } = ctx.app;
+
+    const first = new FileConnector(source, ctx.app.config.env);
+    await first.connect();
+
+    // One tick: messages_per_second records
+    const firstBatch = await first.getMessages();
+    assert.deepEqual(firstBatch.map(msg => msg.id), ['tg-history:1', 'tg-history:2']);
+    assert.equal(firstBatch[1].metadata.replyTo.id, 'tg-history:1');
+    assert.equal(firstBatch[1].metadata.replyTo.text, 'Message number 1');
+
+    await batchProcessor.persistMessages(firstBatch);
+    await first.disconnect();
+
+    const second = new FileConnector(source, ctx.app.config.env);
+    await second.connect();
+
+    const secondBatch = await second.getMessages();
+    await batchProcessor.persistMessages(secondBatch);
+    await second.disconnect();
+
+    assert.deepEqual(secondBatch.map(msg => msg.id), ['tg-history:3', 'tg-history:4']);
+    assert.equal(secondBatch[0].timestamp, new Date((1759400000 + 180) * 1000).toISOString());
+    // Reply context from records replayed before the restart
+    assert.equal(secondBatch[0].metadata.replyTo.text, 'Message number 2');
+
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['tg-history']);
+    assert.equal(cursor.cursor_value, '4');
+    assert.equal(cursor.last_message_id, 'tg-history:4');
+  });
+
+  it('replays records whose messages never reached the durable queue', async () => {
+    const source = ctx.app.config.toml.sources.find(s => s.id === 'tg-history');
+
+    // Read but lost before it was collected (e.g. a crash)
+    const lost = new FileConnector(source, ctx.app.config.env);
+    await lost.connect();
+    await lost.disconnect();
+    assert.deepEqual((await lost.getMessages()).map(msg => msg.id), ['tg-history:5']);
+
+    const next = new FileConnector(source, ctx.app.config.env);
+    await next.connect();
+    await next.disconnect();
+    assert.deepEqual((await next.getMessages()).map(msg => msg.id), ['tg-history:5']);
+
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['tg-history']);
+    assert.equal(cursor.cursor_value, '4');
+  });
+
+  it('keeps records with the same ID from two files apart', async () => {
+    // The resume tests left tg-history records in the durable queue only
+    await ctx.app.batchProcessor.restoreQueue();
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/history/messages');
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+
+    assert.equal(byId['archive:1'].text, 'Great launch, love it');
+    assert.equal(byId['tg-history:1'].text, 'Message number 1');
+    assert.notEqual(byId['tg-history:1'].sentiment, null);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * GitHub connector end-to-end test
+ * Issues, issue comments and discussions are polled from the fake GitHub
+ * client, scored by the mock LLM server and stored under github:<account id> users
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+
+const CONFIG = `
+[[trackers]]
+id = "product"
+name = "Product Feedback"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "gh-salt"
+tracker_id = "product"
+platform = "github"
+target = "salt/app"
+
+[sources.config]
+repos = ["https://github.com/salt/sdk"]
+poll_interval = 3600
+`;
+
+const alice = { id: 101, login: 'alice', type: 'User' };
+const bob = { id: 102, login: 'bob', type: 'User' };
+const ci = { id: 900, login: 'ci-bot[bot]', type: 'Bot' };
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+describe('github connector', () => {
+  let ctx;
+  let github;
+  let connector;
+  let olderIssue;
+
+  const storedMessages = async () => {
+    const { body } = await ctx.get('/api/trackers/product/messages');
+    return Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+  };
+
+  before(async () => {
+    const seed = ({ github: { client } }) => {
+      olderIssue = client.addIssue({ repo: 'salt/app', number: 1, title: 'Login broken', body: 'Since the update', user: bob, createdAt: new Date(Date.now() - 30 * 86400000) });
+      client.addIssue({ repo: 'salt/app', number: 7, title: 'Export is slow', body: '<!-- Describe the bug -->\nExports take minutes', user: alice, createdAt: minutesAgo(30) });
+      client.addIssue({ repo: 'salt/app', number: 8, title: 'Bump deps', user: alice, createdAt: minutesAgo(25), pullRequest: true });
+      client.addComment({ repo: 'salt/app', number: 7, body: 'Same here, very frustrating', user: bob, createdAt: minutesAgo(20) });
+      client.addComment({ repo: 'salt/app', number: 7, body: 'Build passed', user: ci, createdAt: minutesAgo(19) });
+      client.addDiscussion({
+        repo: 'salt/sdk',
+        number: 3,
+        title: 'Roadmap ideas',
+        body: 'What should we build next?',
+        user: alice,
+        createdAt: minutesAgo(15),
+        comments: [{ body: 'Love the plugin idea', user: bob, createdAt: minutesAgo(10), replies: [{ body: 'Me too', user: alice, createdAt: minutesAgo(5) }] }]
+      });
+    };
+
+    ctx = await startTestApp({ toml: CONFIG, env: { GITHUB_TOKEN: 'github-test-token' }, beforeStart: seed });
+    github = ctx.platforms.github.client;
+    connector = ctx.app.connectorManager.getConnector('gh-salt');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('polls issues, comments and discussions of every repo', async () => {
+    await ctx.processQueue();
+
+    const stored = await storedMessages();
+    const byText = Object.fromEntries(Object.values(stored).map(msg => [msg.text, msg]));
+
+    // The month-old issue is older than max_age_hours; pull requests and bots are skipped
+    assert.deepEqual(Object.keys(byText).sort(), [
+      'Export is slow\n\nExports take minutes',
+      'Love the plugin idea',
+      'Me too',
+      'Roadmap ideas\n\nWhat should we build next?',
+      'Same here, very frustrating'
+    ]);
+
+    const comment = byText['Same here, very frustrating'];
+    assert.equal(comment.author.id, 'github:102');
+    assert.equal(comment.metadata.threadKey, 'salt/app#7');
+    assert.equal(comment.metadata.replyTo.text, 'Export is slow\n\nExports take minutes');
+
+    const reply = byText['Me too'];
+    assert.equal(reply.author.id, 'github:101');
+    assert.equal(reply.metadata.repo, 'salt/sdk');
+    assert.equal(reply.metadata.replyTo.text, 'Love the plugin idea');
+
+    const { body: user } = await ctx.get('/api/users/github:101');
+    assert.equal(user.username, 'alice');
+  });
+
+  it('fetches the issue of comments on older issues for context', async () => {
+    github.addComment({ repo: 'salt/app', number: 1, body: 'Still broken for me', user: alice });
+    await connector.poll();
+
+    const [message] = await connector.getMessages();
+    assert.equal(message.text, 'Still broken for me');
+    assert.equal(message.metadata.replyTo.id, olderIssue.node_id);
+    assert.equal(message.metadata.replyTo.text, 'Login broken\n\nSince the update');
+
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['gh-salt']);
+    assert.equal(cursor.last_message_id, message.id);
+    assert.ok(JSON.parse(cursor.cursor_value)['salt/sdk']);
+  });
+
+  it('picks up items sharing the cursor second without repeating seen ones', async () => {
+    const { cursor_value: cursor } = await ctx.db.queryOne('SELECT cursor_value FROM cursors WHERE source_id = ?', ['gh-salt']);
+    const { created_at: createdAt, ids } = JSON.parse(cursor)['salt/app'];
+    assert.equal(ids.length, 1);
+
+    // After a restart only the stored cursor is left
+    connector.seenMessages.clear();
+    connector.restoreCursor(cursor);
+    const comment = github.addComment({ repo: 'salt/app', number: 7, body: 'Same second as the last one', user: bob, createdAt: new Date(createdAt) });
+    await connector.poll();
+
+    assert.deepEqual(connector.messageQueue.map(msg => msg.id), [comment.node_id]);
+    await ctx.processQueue();
+  });
+
+  it('backs off when rate limited', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 600;
+    github.fail(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+    await connector.poll();
+
+    assert.equal(connector.rateLimitedUntil, reset * 1000);
+    assert.equal(await ctx.sourceHealth('gh-salt', 'degraded'), 'degraded');
+
+    const requests = github.requests.length;
+    await connector.poll();
+    assert.equal(github.requests.length, requests);
+  });
+});
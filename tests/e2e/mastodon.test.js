@@ -0,0 +1,154 @@
+/**
+ * Mastodon connector end-to-end test
+ * A hashtag is followed over the fake streaming API and an account by
+ * polling; statuses are stored as plain text under acct@instance users
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+
+const CONFIG = `
+[[trackers]]
+id = "fedi-tag"
+name = "Fediverse Hashtag"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[trackers]]
+id = "fedi-account"
+name = "Fediverse Account"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "md-tag"
+tracker_id = "fedi-tag"
+platform = "mastodon"
+target = "#salt"
+
+[sources.config]
+poll_interval = 3600
+
+[[sources]]
+id = "md-alice"
+tracker_id = "fedi-account"
+platform = "mastodon"
+target = "@alice"
+
+[sources.config]
+poll_interval = 3600
+`;
+
+const alice = { id: 'a1', acct: 'alice', display_name: 'Alice' };
+const bob = { id: 'a2', acct: 'bob@other.social', display_name: 'Bob' };
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+/**
+ * Wait for stream events to be handled
+ */
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('mastodon connector', () => {
+  let ctx;
+  let mastodon;
+  let tagConnector;
+  let accountConnector;
+  let launch;
+
+  before(async () => {
+    // Statuses that exist before startup are picked up by the initial poll
+    const seed = ({ mastodon: { client } }) => {
+      launch = client.post({ content: '<p>Mainnet launch today! <a href="https://fedi.test/tags/salt" class="mention hashtag">#<span>salt</span></a></p>', account: alice, tags: ['salt'], createdAt: minutesAgo(5) });
+      client.post({ content: '<p>Coffee first</p>', account: alice, createdAt: minutesAgo(4) });
+    };
+
+    ctx = await startTestApp({
+      toml: CONFIG,
+      env: { MASTODON_INSTANCE: 'mastodon.test', MASTODON_ACCESS_TOKEN: 'mastodon-test-token' },
+      beforeStart: seed
+    });
+    mastodon = ctx.platforms.mastodon.client;
+    tagConnector = ctx.app.connectorManager.getConnector('md-tag');
+    accountConnector = ctx.app.connectorManager.getConnector('md-alice');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('streams hashtags and polls accounts', () => {
+    assert.ok(tagConnector.stream);
+    assert.equal(tagConnector.polling, false);
+    assert.equal(accountConnector.stream, null);
+    assert.equal(accountConnector.polling, true);
+    assert.equal(accountConnector.accountId, 'a1');
+  });
+
+  it('stores plain text under acct@instance users', async () => {
+    await ctx.processQueue();
+
+    const { body: tag } = await ctx.get('/api/trackers/fedi-tag/messages');
+    assert.deepEqual(tag.messages.map(msg => msg.id), [launch.id]);
+    assert.equal(tag.messages[0].text, 'Mainnet launch today! #salt');
+    assert.equal(tag.messages[0].author.id, 'mastodon:alice@mastodon.test');
+
+    const { body: account } = await ctx.get('/api/trackers/fedi-account/messages');
+    assert.equal(account.messages.length, 2);
+
+    const { status, body: user } = await ctx.get('/api/users/mastodon:alice@mastodon.test');
+    assert.equal(status, 200);
+    assert.equal(user.username, 'alice@mastodon.test');
+  });
+
+  it('queues streamed replies with their context', async () => {
+    const reply = mastodon.post({ content: '<p>Worried about the unlock <br>next week</p>', account: bob, tags: ['salt'], inReplyTo: launch.id });
+    await tick();
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/fedi-tag/messages');
+    const stored = body.messages.find(msg => msg.id === reply.id);
+
+    assert.equal(stored.text, 'Worried about the unlock\nnext week');
+    // Remote accounts keep their own instance
+    assert.equal(stored.author.id, 'mastodon:bob@other.social');
+    assert.equal(stored.metadata.threadKey, launch.id);
+    assert.equal(stored.metadata.replyTo.text, 'Mainnet launch today! #salt');
+
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['md-tag']);
+    assert.equal(cursor.cursor_value, reply.id);
+  });
+
+  it('falls back to polling when the stream drops', async () => {
+    mastodon.streamingAvailable = false;
+    mastodon.dropStreams();
+    await tick();
+
+    assert.equal(tagConnector.stream, null);
+    assert.equal(tagConnector.polling, true);
+    assert.ok(tagConnector.reconnectTimeout);
+
+    assert.equal(await ctx.sourceHealth('md-tag', 'degraded'), 'degraded');
+
+    const missed = mastodon.post({ content: '<p>Audit came back clean</p>', account: alice, tags: ['salt'] });
+    await tagConnector.poll();
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/fedi-tag/messages');
+    assert.ok(body.messages.some(msg => msg.id === missed.id));
+  });
+
+  it('pages through every status missed since the cursor', async () => {
+    const missed = [...Array(45).keys()].map(i => mastodon.post({ content: `<p>Backlog post ${i}</p>`, account: alice, tags: ['salt'] }));
+    const requests = mastodon.requests.length;
+
+    await tagConnector.poll();
+
+    assert.deepEqual(tagConnector.messageQueue.map(msg => msg.id), missed.map(status => status.id));
+    assert.equal(mastodon.requests.length - requests, 2);
+    assert.equal(tagConnector.sinceId, missed[44].id);
+    await ctx.processQueue();
+  });
+});
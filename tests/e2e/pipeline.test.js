@@ -0,0 +1,413 @@
+/**
+ * End-to-end pipeline test
+ * Messages from fake Telegram, Discord and Twitter clients go through the
+ * connectors, the batch processor (against the mock LLM server) and the
+ * aggregation engine, and are read back through the API
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+
+const CONFIG = `
+[llm]
+retry_delay_seconds = 0
+
+[llm.cache]
+enabled = false
+
+[[trackers]]
+id = "community"
+name = "Community"
+enabled = true
+enabled_tags = ["optimism", "fear", "FUD"]
+time_buckets = ["1min", "1hour"]
+
+[[sources]]
+id = "tg-main"
+tracker_id = "community"
+platform = "telegram"
+target = "@saltchat"
+
+[[sources]]
+id = "dc-general"
+tracker_id = "community"
+platform = "discord"
+target = "server:Test/channel:general"
+
+[sources.config]
+channel_id = "chan-1"
+
+[[sources]]
+id = "tw-search"
+tracker_id = "community"
+platform = "twitter"
+target = "search:salt"
+
+[sources.config]
+mode = "stream"
+query = "salt"
+`;
+
+// All messages are sent in the same 1min bucket (the middle of the previous minute)
+const SENT_AT = new Date(Math.floor(Date.now() / 60000) * 60000 - 30000);
+
+describe('end-to-end pipeline', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestApp({ toml: CONFIG, discordChannels: [{ id: 'chan-1', name: 'general' }] });
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('connects every source through the fake platform clients', async () => {
+    const { status, body } = await ctx.get('/api/sources');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.sources.map(s => s.id).sort(), ['dc-general', 'tg-main', 'tw-search']);
+    assert.ok(body.sources.every(s => s.health_status === 'healthy'));
+  });
+
+  it('scores messages from all platforms and aggregates them', async () => {
+    const { telegram, discord, twitter } = ctx.platforms;
+
+    telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 1, username: 'alice', first_name: 'Alice' },
+      messageId: 10,
+      date: SENT_AT,
+      text: 'The new release is looking great'
+    });
+    telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 2, username: 'bob', first_name: 'Bob' },
+      messageId: 11,
+      date: SENT_AT,
+      text: 'Worried the token unlock will dump the price'
+    });
+    telegram.bot.post({
+      chat: { id: -200, username: 'otherchat', title: 'Other Chat' },
+      from: { id: 3, username: 'mallory', first_name: 'Mallory' },
+      messageId: 12,
+      date: SENT_AT,
+      text: 'Not a monitored chat'
+    });
+    discord.client.send({
+      channelId: 'chan-1',
+      id: 'd-1',
+      createdAt: SENT_AT,
+      content: 'Shipping on schedule, nice work team',
+      author: { id: '42', username: 'carol' }
+    });
+    discord.client.send({
+      channelId: 'chan-1',
+      id: 'd-2',
+      createdAt: SENT_AT,
+      content: 'Automated announcement',
+      author: { id: '43', username: 'announcer', bot: true }
+    });
+    twitter.client.tweet({
+      id: 't-1',
+      date: SENT_AT,
+      createdAt: SENT_AT,
+      text: 'Salt looks like a rug to me',
+      author: { id: '99', username: 'dave', name: 'Dave' }
+    });
+
+    ctx.mock.enqueue({
+      content: {
+        messages: [
+          { id: '-100:10', user_id: 'telegram:1', sentiment: 60, tags: ['optimism'] },
+          { id: '-100:11', user_id: 'telegram:2', sentiment: -40, tags: ['fear'] },
+          { id: 'd-1', user_id: 'discord:42', sentiment: 80, tags: ['optimism'] },
+          { id: 't-1', user_id: 'twitter:99', sentiment: -60, tags: ['FUD'] }
+        ]
+      }
+    });
+
+    await ctx.processQueue();
+
+    assert.equal(ctx.mock.requests, 1);
+    const prompt = ctx.mock.received[0].messages.find(m => m.role === 'user').content;
+    assert.match(prompt, /The new release is looking great/);
+    assert.doesNotMatch(prompt, /Not a monitored chat|Automated announcement/);
+
+    const { status, body } = await ctx.get('/api/trackers/community/snapshot?bucket=1min');
+    assert.equal(status, 200);
+    assert.equal(body.metrics.volume.message_count, 4);
+    assert.equal(body.metrics.volume.author_count, 4);
+    assert.equal(body.metrics.sentiment.score, 10);
+    assert.equal(body.metrics.tags.optimism, 2);
+    assert.equal(body.metrics.tags.fear, 1);
+    assert.equal(body.metrics.tags.FUD, 1);
+    assert.deepEqual(body.metrics.sources.map(s => s.source_id).sort(), ['dc-general', 'tg-main', 'tw-search']);
+  });
+
+  it('stores per-message results', async () => {
+    const { status, body } = await ctx.get('/api/trackers/community/messages?source_id=tg-main');
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+    assert.equal(byId['-100:10'].author.id, 'telegram:1');
+    assert.equal(byId['-100:10'].sentiment, 60);
+    assert.deepEqual(byId['-100:10'].tags, ['optimism']);
+    assert.equal(byId['-100:11'].sentiment, -40);
+  });
+
+  it('counts every matching message and filters by exact tag', async () => {
+    const { body: page } = await ctx.get('/api/trackers/community/messages?limit=1');
+    assert.equal(page.messages.length, 1);
+    assert.equal(page.total, 4);
+
+    const { body: tagged } = await ctx.get('/api/trackers/community/messages?tag=optimism');
+    assert.equal(tagged.total, 2);
+    assert.ok(tagged.messages.every(msg => msg.tags.includes('optimism')));
+
+    const { body: wildcard } = await ctx.get('/api/trackers/community/messages?tag=%25');
+    assert.equal(wildcard.total, 0);
+  });
+
+  it('retries a failed batch and aggregates it on the next attempt', async () => {
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 1, username: 'alice', first_name: 'Alice' },
+      messageId: 13,
+      date: SENT_AT,
+      text: 'Great community call today, very bullish'
+    });
+
+    ctx.mock.enqueue({ status: 500, body: { error: { message: 'upstream unavailable' } } });
+    await ctx.processQueue();
+
+    const failed = await ctx.db.queryOne('SELECT * FROM llm_batch_log WHERE success = 0');
+    assert.match(failed.error_message, /upstream unavailable/);
+    assert.equal(ctx.app.batchProcessor.retryQueue.length, 1);
+
+    ctx.mock.enqueue({
+      content: {
+        messages: [{ id: '-100:13', user_id: 'telegram:1', sentiment: 70, tags: ['optimism'] }]
+      }
+    });
+    await ctx.processQueue();
+
+    assert.equal(ctx.app.batchProcessor.retryQueue.length, 0);
+    const { body } = await ctx.get('/api/trackers/community/snapshot?bucket=1min');
+    assert.equal(body.metrics.volume.message_count, 5);
+    // Tag counts of the bucket's batches add up
+    assert.equal(body.metrics.tags.optimism, 3);
+    assert.equal(body.metrics.tags.fear, 1);
+    assert.equal(body.metrics.tags.FUD, 1);
+
+    const { body: messages } = await ctx.get('/api/trackers/community/messages?author=telegram:1');
+    const retried = messages.messages.find(msg => msg.id === '-100:13');
+    assert.ok(retried.sentiment > 0);
+  });
+
+  it('reports the processed batches on the dashboard', async () => {
+    const { status, body } = await ctx.get('/api/dashboard');
+
+    assert.equal(status, 200);
+    assert.equal(body.system.connected, 3);
+    assert.deepEqual(body.recent_batches.map(batch => batch.success), [true, true]);
+    assert.ok(body.recent_batches.every(batch => batch.provider === 'openrouter' && batch.model === 'mock-model'));
+
+    // The retry updated the failed attempt's log entry rather than adding one
+    const log = await ctx.db.query('SELECT success, retry_count FROM llm_batch_log ORDER BY id');
+    assert.deepEqual(log.map(row => [row.success, row.retry_count]), [[1, 0], [1, 1]]);
+  });
+
+  it('rejects requests without an API key', async () => {
+    const res = await fetch(`http://127.0.0.1:${process.env.PORT}/api/trackers`);
+    assert.equal(res.status, 401);
+  });
+
+  it('dead-letters batches of trackers that no longer exist', async () => {
+    await ctx.app.batchProcessor.processBatch('removed', [{
+      id: 'r-1',
+      trackerId: 'removed',
+      sourceId: 'tg-main',
+      platform: 'telegram',
+      author: { id: '1', username: 'alice' },
+      text: 'Orphaned message',
+      timestamp: SENT_AT.toISOString()
+    }]);
+
+    const deadLetter = await ctx.db.queryOne('SELECT * FROM dead_letters WHERE tracker_id = ?', ['removed']);
+    assert.equal(deadLetter.message_count, 1);
+    assert.match(deadLetter.error_message, /Tracker not found/);
+  });
+
+  it('dead-letters a scored batch that fails to aggregate instead of retrying it', async () => {
+    const aggregationEngine = require('../../src/aggregation/AggregationEngine');
+    const processLLMResult = aggregationEngine.processLLMResult;
+    aggregationEngine.processLLMResult = async () => { throw new Error('database is locked'); };
+
+    const batches = await ctx.db.queryOne('SELECT COUNT(*) AS count FROM llm_batch_log');
+
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 2, username: 'bob', first_name: 'Bob' },
+      messageId: 15,
+      date: SENT_AT,
+      text: 'Roadmap update was solid'
+    });
+    ctx.mock.enqueue({
+      content: {
+        messages: [{ id: '-100:15', user_id: 'telegram:2', sentiment: 50, tags: ['optimism'] }]
+      }
+    });
+
+    try {
+      await ctx.processQueue();
+    } finally {
+      aggregationEngine.processLLMResult = processLLMResult;
+    }
+
+    assert.equal(ctx.app.batchProcessor.retryQueue.length, 0);
+
+    // Logged once, as the successful analysis it was
+    const after = await ctx.db.queryOne('SELECT COUNT(*) AS count FROM llm_batch_log');
+    assert.equal(after.count, batches.count + 1);
+    const stored = await ctx.db.queryOne('SELECT * FROM messages WHERE message_id = ?', ['-100:15']);
+    assert.equal(stored.sentiment_score, 50);
+
+    const deadLetter = await ctx.db.queryOne('SELECT * FROM dead_letters WHERE batch_id = ?', [stored.batch_id]);
+    assert.match(deadLetter.error_message, /database is locked/);
+    const queued = await ctx.db.queryOne('SELECT COUNT(*) AS count FROM message_queue');
+    assert.equal(queued.count, 0);
+  });
+
+  it('hands collected messages back to their connector when queueing fails', async () => {
+    const { batchProcessor, connectorManager } = ctx.app;
+    const queueMessages = batchProcessor.queueMessages;
+    batchProcessor.queueMessages = async () => { throw new Error('queue unavailable'); };
+
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 2, username: 'bob', first_name: 'Bob' },
+      messageId: 14,
+      date: SENT_AT,
+      text: 'Still here after the outage'
+    });
+
+    try {
+      await new Promise(resolve => setImmediate(resolve));
+      await ctx.app.collectMessages();
+    } finally {
+      batchProcessor.queueMessages = queueMessages;
+    }
+
+    assert.deepEqual(connectorManager.getConnector('tg-main').messageQueue.map(msg => msg.id), ['-100:14']);
+
+    await ctx.processQueue();
+
+    const stored = await ctx.db.queryOne('SELECT * FROM messages WHERE message_id = ?', ['-100:14']);
+    assert.ok(stored);
+  });
+
+  it('counts the tokens of failed requests in the batch log and the costs', async () => {
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 1, username: 'alice', first_name: 'Alice' },
+      messageId: 16,
+      date: SENT_AT,
+      text: 'Mainnet date confirmed'
+    });
+
+    // Invalid response and invalid repair, then a valid retry
+    const usage = { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110, cost: 0.001 };
+    ctx.mock.enqueue({ content: 'not json', usage }, { content: 'still not json', usage });
+    await ctx.processQueue();
+
+    const failed = await ctx.db.queryOne('SELECT * FROM llm_batch_log ORDER BY id DESC LIMIT 1');
+    assert.equal(failed.success, 0);
+    assert.equal(failed.prompt_tokens, 200);
+    assert.equal(failed.completion_tokens, 20);
+
+    ctx.mock.enqueue({
+      content: { messages: [{ id: '-100:16', user_id: 'telegram:1', sentiment: 40, tags: [] }] },
+      usage: { prompt_tokens: 50, completion_tokens: 5, total_tokens: 55, cost: 0.0005 }
+    });
+    await ctx.processQueue();
+
+    const retried = await ctx.db.queryOne('SELECT * FROM llm_batch_log WHERE id = ?', [failed.id]);
+    assert.equal(retried.success, 1);
+    assert.equal(retried.tokens_used, 275);
+    assert.ok(Math.abs(retried.cost_usd - 0.0025) < 1e-9);
+
+    // The costs endpoint agrees with the spend budgets are checked against
+    const budgetManager = require('../../src/llm/BudgetManager');
+    const spend = await budgetManager.getUsage('community');
+    const { status, body } = await ctx.get('/api/admin/costs');
+    assert.equal(status, 200);
+    assert.equal(body.total.prompt_tokens + body.total.completion_tokens, spend.monthly_tokens);
+    assert.ok(Math.abs(body.total.cost_usd - spend.monthly_usd) < 1e-6);
+  });
+
+  it('counts the tokens of failed shadow requests in the costs', async () => {
+    await ctx.db.run('UPDATE trackers SET shadow_config = ? WHERE id = ?', [JSON.stringify({ model: 'shadow-model', sample_rate: 1 }), 'community']);
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 1, username: 'alice', first_name: 'Alice' },
+      messageId: 18,
+      date: SENT_AT,
+      text: 'Audit report looks clean'
+    });
+
+    // Valid primary response; invalid shadow response and repair
+    const usage = { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110, cost: 0.001 };
+    ctx.mock.enqueue(
+      { content: { messages: [{ id: '-100:18', user_id: 'telegram:1', sentiment: 30, tags: [] }] }, usage },
+      { content: 'not json', usage },
+      { content: 'still not json', usage }
+    );
+    try {
+      await ctx.processQueue();
+    } finally {
+      await ctx.db.run('UPDATE trackers SET shadow_config = NULL WHERE id = ?', ['community']);
+    }
+
+    const shadow = await ctx.db.queryOne('SELECT * FROM shadow_comparisons ORDER BY id DESC LIMIT 1');
+    assert.equal(shadow.success, 0);
+    assert.equal(shadow.prompt_tokens, 200);
+    assert.equal(shadow.completion_tokens, 20);
+    assert.ok(Math.abs(shadow.cost_usd - 0.002) < 1e-9);
+
+    const budgetManager = require('../../src/llm/BudgetManager');
+    const spend = await budgetManager.getUsage('community');
+    const { body } = await ctx.get('/api/admin/costs');
+    assert.equal(body.total.shadow_requests, 1);
+    assert.ok(Math.abs(body.total.shadow_cost_usd - 0.002) < 1e-9);
+    assert.equal(body.total.prompt_tokens + body.total.completion_tokens, spend.monthly_tokens);
+    assert.ok(Math.abs(body.total.cost_usd - spend.monthly_usd) < 1e-6);
+  });
+
+  it('counts the first request when the repair request fails', async () => {
+    ctx.platforms.telegram.bot.post({
+      chat: { id: -100, username: 'saltchat', title: 'Salt Chat' },
+      from: { id: 1, username: 'alice', first_name: 'Alice' },
+      messageId: 17,
+      date: SENT_AT,
+      text: 'Testnet is down again'
+    });
+
+    ctx.mock.enqueue(
+      { content: 'not json', usage: { prompt_tokens: 100, completion_tokens: 10, total_tokens: 110, cost: 0.001 } },
+      { status: 500, body: { error: { message: 'upstream unavailable' } } }
+    );
+    await ctx.processQueue();
+
+    const failed = await ctx.db.queryOne('SELECT * FROM llm_batch_log ORDER BY id DESC LIMIT 1');
+    assert.equal(failed.success, 0);
+    assert.equal(failed.prompt_tokens, 100);
+    assert.equal(failed.completion_tokens, 10);
+    assert.ok(Math.abs(failed.cost_usd - 0.001) < 1e-9);
+
+    ctx.mock.enqueue({ content: { messages: [{ id: '-100:17', user_id: 'telegram:1', sentiment: -30, tags: [] }] } });
+    await ctx.processQueue();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Reddit connector end-to-end test
+ * Subreddit posts and comments are polled from the fake Reddit client,
+ * scored by the mock LLM server and stored under reddit:<id> users
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+
+const CONFIG = `
+[[trackers]]
+id = "reddit-watch"
+name = "Reddit Watch"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "rd-salt"
+tracker_id = "reddit-watch"
+platform = "reddit"
+target = "r/salt"
+
+[sources.config]
+poll_interval = 3600
+`;
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+describe('reddit connector', () => {
+  let ctx;
+  let reddit;
+  let connector;
+
+  before(async () => {
+    // Items that exist before startup are picked up by the initial poll
+    const seed = ({ reddit: { client } }) => {
+      client.addPost({ id: 'p1', subreddit: 'salt', title: 'Mainnet launch today', selftext: 'Great news for everyone', author: { id: 'u1', username: 'alice' }, createdAt: minutesAgo(5) });
+      client.addComment({ id: 'c1', postId: 'p1', subreddit: 'salt', body: 'Love this, congrats', author: { id: 'u2', username: 'bob' }, createdAt: minutesAgo(4) });
+      client.addComment({ id: 'c2', postId: 'p1', subreddit: 'salt', body: '[removed]', author: { id: 'u3', username: 'carol' }, createdAt: minutesAgo(3) });
+    };
+
+    ctx = await startTestApp({ toml: CONFIG, beforeStart: seed });
+    reddit = ctx.platforms.reddit.client;
+    connector = ctx.app.connectorManager.getConnector('rd-salt');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('polls posts and comments and maps authors to reddit users', async () => {
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/reddit-watch/messages');
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+
+    assert.deepEqual(Object.keys(byId).sort(), ['t1_c1', 't3_p1']);
+    assert.equal(byId.t3_p1.author.id, 'reddit:u1');
+    assert.equal(byId.t3_p1.text, 'Mainnet launch today\n\nGreat news for everyone');
+    assert.equal(byId.t1_c1.author.id, 'reddit:u2');
+    assert.equal(byId.t1_c1.metadata.threadKey, 't3_p1');
+    assert.equal(byId.t1_c1.metadata.replyTo.text, 'Mainnet launch today\n\nGreat news for everyone');
+
+    const { status, body: user } = await ctx.get('/api/users/reddit:u2');
+    assert.equal(status, 200);
+    assert.equal(user.username, 'bob');
+  });
+
+  it('only picks up items newer than the cursor', async () => {
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['rd-salt']);
+    assert.equal(cursor.last_message_id, 't1_c2');
+
+    reddit.addComment({ id: 'c3', postId: 'p1', subreddit: 'salt', body: 'Worried about the unlock next week', author: { id: 'u4', username: 'dave' } });
+    await connector.poll();
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/reddit-watch/messages');
+    assert.deepEqual(body.messages.map(msg => msg.id).sort(), ['t1_c1', 't1_c3', 't3_p1']);
+  });
+
+  it('picks up items sharing the cursor second without repeating seen ones', async () => {
+    const { cursor_value: cursor } = await ctx.db.queryOne('SELECT cursor_value FROM cursors WHERE source_id = ?', ['rd-salt']);
+    const { created_utc: createdUtc, names } = JSON.parse(cursor);
+    assert.deepEqual(names, ['t1_c3']);
+
+    // After a restart only the stored cursor is left
+    connector.seenMessages.clear();
+    connector.restoreCursor(cursor);
+    reddit.addComment({ id: 'c4', postId: 'p1', subreddit: 'salt', body: 'Same second as the last one', author: { id: 'u5', username: 'erin' }, createdAt: new Date(createdUtc * 1000) });
+    await connector.poll();
+
+    assert.deepEqual(connector.messageQueue.map(msg => msg.id), ['t1_c4']);
+    await ctx.processQueue();
+  });
+
+  it('pages through listings until it reaches the cursor', async () => {
+    for (let i = 1; i <= 150; i++) {
+      reddit.addComment({ id: `burst${i}`, postId: 'p1', subreddit: 'salt', body: `Burst comment ${i}`, author: { id: 'u6', username: 'frank' }, createdAt: new Date(Date.now() + i * 1000) });
+    }
+    const requests = reddit.requests.length;
+    await connector.poll();
+
+    const pages = reddit.requests.slice(requests).filter(r => r.url.endsWith('/comments.json'));
+    assert.equal(pages.length, 2);
+    assert.equal(pages[1].params.after, 't1_burst51');
+
+    const messages = await connector.getMessages();
+    assert.equal(messages.length, 150);
+    assert.equal(messages[0].id, 't1_burst1');
+  });
+
+  it('backs off when rate limited', async () => {
+    reddit.fail(429, { 'retry-after': '120' });
+    await connector.poll();
+
+    assert.ok(connector.rateLimitedUntil > Date.now() + 100000);
+    assert.equal(await ctx.sourceHealth('rd-salt', 'degraded'), 'degraded');
+
+    // Skipped without a request until the limit resets
+    const requests = reddit.requests.length;
+    await connector.poll();
+    assert.equal(reddit.requests.length, requests);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * RSS connector end-to-end test
+ * Feeds are served by a local HTTP server with ETags; entries are scored
+ * by the mock LLM server and deduplicated by GUID across polls and restarts
+ */
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+const RssConnector = require('../../src/connectors/RssConnector');
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600000);
+
+/**
+ * Local feed server: path -> { items, version }; answers 304 when the
+ * request's If-None-Match matches the feed's current ETag
+ */
+function startFeedServer(feeds) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const feed = feeds[req.url];
+    requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+
+    if (!feed) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const etag = `"v${feed.version}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag }).end();
+      return;
+    }
+
+    const items = feed.items.map(item => `
+      <item>
+        <title>${item.title}</title>
+        <guid>${item.guid}</guid>
+        <link>https://blog.example.com/${item.guid}</link>
+        ${item.author ? `<author>${item.author}</author>` : ''}
+        <pubDate>${item.date.toUTCString()}</pubDate>
+        <description>&lt;p&gt;${item.summary}&lt;/p&gt;</description>
+      </item>`).join('');
+
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: etag });
+    res.end(`<?xml version="1.0"?><rss version="2.0"><channel><title>${feed.title}</title>${items}</channel></rss>`);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      stop: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+describe('rss connector', () => {
+  let ctx;
+  let server;
+  let connector;
+
+  const feeds = {
+    '/blog.xml': {
+      title: 'Salt Blog',
+      version: 1,
+      items: [
+        { guid: 'b2', title: 'Mainnet is live', summary: 'Great news for everyone', author: 'jane', date: hoursAgo(2) },
+        { guid: 'b1', title: 'Old announcement', summary: 'From last month', author: 'jane', date: hoursAgo(24 * 30) }
+      ]
+    },
+    '/forum.xml': {
+      title: 'Salt Forum',
+      version: 1,
+      items: [
+        { guid: 'f1', title: 'Unlock worries', summary: 'Worried about next week', date: hoursAgo(1) }
+      ]
+    }
+  };
+
+  before(async () => {
+    server = await startFeedServer(feeds);
+
+    ctx = await startTestApp({
+      toml: `
+[[trackers]]
+id = "feeds"
+name = "Feeds"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "rss-salt"
+tracker_id = "feeds"
+platform = "rss"
+target = "${server.url}/blog.xml"
+
+[sources.config]
+urls = ["${server.url}/forum.xml"]
+poll_interval = 3600
+`
+    });
+    connector = ctx.app.connectorManager.getConnector('rss-salt');
+  });
+
+  after(async () => {
+    await ctx.stop();
+    await server.stop();
+  });
+
+  it('ingests recent entries from every feed of the source', async () => {
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/feeds/messages');
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+
+    // b1 is older than max_age_hours
+    assert.deepEqual(Object.keys(byId).sort(), ['b2', 'f1']);
+    assert.equal(byId.b2.text, 'Mainnet is live\n\nGreat news for everyone');
+    assert.equal(byId.b2.author.id, `rss:${new URL(server.url).host}/jane`);
+    assert.equal(byId.b2.metadata.link, 'https://blog.example.com/b2');
+    // Entries without an author are attributed to the feed
+    assert.equal(byId.f1.author.username, 'Salt Forum');
+  });
+
+  it('sends conditional requests and skips unchanged feeds', async () => {
+    const before = server.requests.length;
+    await connector.poll();
+
+    const conditional = server.requests.slice(before);
+    assert.deepEqual(conditional.map(r => r.ifNoneMatch), ['"v1"', '"v1"']);
+    assert.equal((await connector.getMessages()).length, 0);
+  });
+
+  it('only queues entries with new GUIDs', async () => {
+    feeds['/blog.xml'].items.unshift({ guid: 'b3', title: 'Audit results', summary: 'No issues found', author: 'jane', date: new Date() });
+    feeds['/blog.xml'].version = 2;
+
+    await connector.poll();
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/feeds/messages');
+    assert.deepEqual(body.messages.map(msg => msg.id).sort(), ['b2', 'b3', 'f1']);
+
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['rss-salt']);
+    const state = JSON.parse(cursor.cursor_value);
+    assert.equal(cursor.last_message_id, 'b3');
+    assert.equal(state[`${server.url}/blog.xml`].etag, '"v2"');
+    assert.deepEqual(state[`${server.url}/blog.xml`].guids, ['b3', 'b2', 'b1']);
+  });
+
+  it('resumes from the stored cursor after a restart', async () => {
+    const restarted = new RssConnector(connector.source, ctx.app.config.env);
+    const before = server.requests.length;
+
+    await restarted.connect();
+    await restarted.disconnect();
+
+    assert.deepEqual(server.requests.slice(before).map(r => r.ifNoneMatch), ['"v2"', '"v1"']);
+    assert.equal((await restarted.getMessages()).length, 0);
+  });
+
+  it('marks the source degraded when a feed fails', async () => {
+    delete feeds['/forum.xml'];
+    await connector.poll();
+
+    assert.equal(await ctx.sourceHealth('rss-salt', 'degraded'), 'degraded');
+  });
+});
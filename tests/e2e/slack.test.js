@@ -0,0 +1,213 @@
+/**
+ * Slack connector end-to-end test
+ * Signed Events API requests are posted to /api/slack/events; users are
+ * resolved through the fake Web API client and cached
+ */
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+const SlackConnector = require('../../src/connectors/SlackConnector');
+
+const SIGNING_SECRET = 'slack-signing-secret';
+
+const CONFIG = `
+[[trackers]]
+id = "community"
+name = "Community"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "sl-general"
+tracker_id = "community"
+platform = "slack"
+target = "workspace:Test/channel:general"
+
+[sources.config]
+channel_id = "C0GENERAL"
+
+[[sources]]
+id = "sl-team"
+tracker_id = "community"
+platform = "slack"
+target = "workspace:Test/channel:team"
+
+[sources.config]
+channel_id = "C0TEAM"
+`;
+
+const slackTs = (date = new Date()) => `${Math.floor(date.getTime() / 1000)}.${String(date.getMilliseconds()).padStart(3, '0')}100`;
+
+describe('slack connector', () => {
+  let ctx;
+  let slack;
+
+  /**
+   * POST an Events API request; signed with SIGNING_SECRET unless a signature is given
+   */
+  const post = async (payload, { timestamp = Math.floor(Date.now() / 1000), signature = null } = {}) => {
+    const body = JSON.stringify(payload);
+    const hmac = crypto.createHmac('sha256', SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+
+    const res = await fetch(`${ctx.baseUrl}/api/slack/events`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Slack-Request-Timestamp': String(timestamp),
+        'X-Slack-Signature': signature ?? `v0=${hmac}`
+      },
+      body
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const sendMessage = message => post({
+    type: 'event_callback',
+    team_id: 'T0TEST',
+    event_id: `Ev${message.ts}`,
+    event: { type: 'message', channel: 'C0GENERAL', ...message }
+  });
+
+  const storedMessages = async () => {
+    const { body } = await ctx.get('/api/trackers/community/messages');
+    return Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+  };
+
+  before(async () => {
+    const seed = ({ slack: { client } }) => {
+      client.addChannel({ id: 'C0GENERAL', name: 'general' });
+      client.addChannel({ id: 'C0TEAM', name: 'team', isMember: false });
+      client.addUser({ id: 'U0ALICE', name: 'alice', displayName: 'Alice A' });
+      client.addUser({ id: 'U0BOB', name: 'bob', realName: 'Bob Builder' });
+    };
+
+    ctx = await startTestApp({
+      toml: CONFIG,
+      env: { SLACK_BOT_TOKEN: 'xoxb-test', SLACK_SIGNING_SECRET: SIGNING_SECRET },
+      beforeStart: seed
+    });
+    slack = ctx.platforms.slack.client;
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('answers the url verification challenge and rejects bad signatures', async () => {
+    const verified = await post({ type: 'url_verification', challenge: 'abc123' });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.challenge, 'abc123');
+
+    const forged = await post({ type: 'url_verification', challenge: 'abc123' }, { signature: 'v0=deadbeef' });
+    assert.equal(forged.status, 401);
+
+    const stale = await post({ type: 'url_verification', challenge: 'abc123' }, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    assert.equal(stale.status, 401);
+  });
+
+  it('reports channels the bot is not a member of as degraded', async () => {
+    const { body: general } = await ctx.get('/api/sources/sl-general');
+    const { body: team } = await ctx.get('/api/sources/sl-team');
+
+    assert.equal(general.health_status, 'healthy');
+    assert.equal(team.health_status, 'degraded');
+  });
+
+  it('queues channel messages and thread replies with resolved names', async () => {
+    const parentTs = slackTs(new Date(Date.now() - 2000));
+    const replyTs = slackTs(new Date(Date.now() - 1000));
+
+    const { status } = await sendMessage({ ts: parentTs, user: 'U0ALICE', text: 'Mainnet launch today &amp; it looks great <https://salt.example/launch|announcement>' });
+    assert.equal(status, 200);
+    await sendMessage({ ts: replyTs, thread_ts: parentTs, user: 'U0BOB', text: '<@U0ALICE> worried about the unlock in <#C0TEAM|team>' });
+    // Retried delivery, a bot post, a join and another channel are ignored
+    await sendMessage({ ts: replyTs, thread_ts: parentTs, user: 'U0BOB', text: '<@U0ALICE> worried about the unlock in <#C0TEAM|team>' });
+    await sendMessage({ ts: slackTs(), bot_id: 'B0BOT', user: 'U0BOT', text: 'Deploy finished' });
+    await sendMessage({ ts: slackTs(), subtype: 'channel_join', user: 'U0BOB', text: '<@U0BOB> has joined the channel' });
+    await post({ type: 'event_callback', event: { type: 'message', channel: 'C0OTHER', ts: slackTs(), user: 'U0BOB', text: 'Elsewhere' } });
+    await ctx.processQueue();
+
+    const stored = await storedMessages();
+    assert.deepEqual(Object.keys(stored).sort(), [parentTs, replyTs].sort());
+
+    assert.equal(stored[parentTs].text, 'Mainnet launch today & it looks great announcement');
+    assert.equal(stored[parentTs].author.id, 'slack:U0ALICE');
+    assert.equal(stored[parentTs].metadata.channelName, 'general');
+
+    assert.equal(stored[replyTs].text, '@Alice A worried about the unlock in #team');
+    assert.equal(stored[replyTs].metadata.threadKey, parentTs);
+    assert.equal(stored[replyTs].metadata.replyTo.text, 'Mainnet launch today & it looks great announcement');
+
+    const { body: user } = await ctx.get('/api/users/slack:U0BOB');
+    assert.equal(user.username, 'bob');
+
+    // Alice was resolved once for her message and her mention
+    const lookups = slack.calls.filter(call => call.method === 'users.info' && call.params.user === 'U0ALICE');
+    assert.equal(lookups.length, 1);
+  });
+
+  it('persists messages before acknowledging the event', async () => {
+    const ts = slackTs();
+    const { status } = await sendMessage({ ts, user: 'U0ALICE', text: 'Validator set is growing' });
+
+    assert.equal(status, 200);
+    const queued = await ctx.db.query("SELECT json_extract(payload, '$.id') as id FROM message_queue WHERE source_id = 'sl-general'");
+    assert.deepEqual(queued.map(row => row.id), [ts]);
+  });
+
+  it('fails an event whose message could not be persisted, so Slack retries it', async () => {
+    const batchProcessor = ctx.app.batchProcessor;
+    const persistMessages = batchProcessor.persistMessages;
+    const message = { ts: slackTs(), user: 'U0BOB', text: 'Fees are too high again' };
+
+    // Persisting logs and skips messages it can't write
+    batchProcessor.persistMessages = async () => {};
+    try {
+      assert.equal((await sendMessage(message)).status, 500);
+    } finally {
+      batchProcessor.persistMessages = persistMessages;
+    }
+
+    assert.equal((await sendMessage(message)).status, 200);
+    await ctx.processQueue();
+
+    const stored = await storedMessages();
+    assert.equal(stored[message.ts].text, 'Fees are too high again');
+  });
+
+  it('catches up on messages missed while disconnected', async () => {
+    const connector = ctx.app.connectorManager.getConnector('sl-general');
+    const missedTs = slackTs(new Date(Date.now() + 1000));
+
+    slack.channels.get('C0GENERAL').messages = [
+      { type: 'message', ts: missedTs, user: 'U0BOB', text: 'Audit came back clean' },
+      { type: 'message', ts: connector.lastTs, user: 'U0BOB', text: 'Already stored' }
+    ];
+
+    const restarted = new SlackConnector(connector.source, ctx.app.config.env);
+    await restarted.connect();
+
+    const messages = await restarted.getMessages();
+    assert.deepEqual(messages.map(msg => msg.id), [missedTs]);
+    assert.equal(messages[0].author.displayName, 'Bob Builder');
+  });
+
+  it('pages through the history missed while disconnected, oldest first', async () => {
+    const connector = ctx.app.connectorManager.getConnector('sl-general');
+    const start = Date.now() + 5000;
+    const missed = [...Array(250).keys()].map(i => slackTs(new Date(start + i * 10)));
+
+    slack.channels.get('C0GENERAL').messages = [...missed].reverse()
+      .map(ts => ({ type: 'message', ts, user: 'U0BOB', text: `Backlog message ${ts}` }));
+    const requests = slack.callCount('conversations.history');
+
+    const restarted = new SlackConnector(connector.source, ctx.app.config.env);
+    await restarted.connect();
+
+    assert.equal(slack.callCount('conversations.history') - requests, 2);
+    assert.deepEqual((await restarted.getMessages()).map(msg => msg.id), missed);
+    assert.equal(restarted.lastTs, missed[249]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Webhook connector end-to-end test
+ * Signed deliveries are pushed to /api/ingest/:sourceId, scored by the
+ * mock LLM server and deduplicated by message ID and idempotency key
+ */
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+
+const SECRET = 'whsec_test';
+
+const CONFIG = `
+[[trackers]]
+id = "support"
+name = "Support"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "desk"
+tracker_id = "support"
+platform = "webhook"
+target = "support desk tickets"
+
+[sources.config]
+secret_env = "DESK_WEBHOOK_SECRET"
+
+[[sources]]
+id = "reviews"
+tracker_id = "support"
+platform = "webhook"
+target = "app store reviews"
+
+[sources.config]
+secret_env = "DESK_WEBHOOK_SECRET"
+`;
+
+describe('webhook connector', () => {
+  let ctx;
+
+  /**
+   * POST a delivery; signed with SECRET unless a signature is given
+   */
+  const deliver = async (payload, { sourceId = 'desk', headers = {}, timestamp = Math.floor(Date.now() / 1000), signature = null } = {}) => {
+    const body = JSON.stringify(payload);
+    const hmac = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+    const res = await fetch(`${ctx.baseUrl}/api/ingest/${sourceId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Salt-Timestamp': String(timestamp),
+        'X-Salt-Signature': signature ?? `sha256=${hmac}`,
+        ...headers
+      },
+      body
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const storedIds = async () => {
+    const { body } = await ctx.get('/api/trackers/support/messages');
+    return body.messages.map(msg => msg.id).sort();
+  };
+
+  before(async () => {
+    ctx = await startTestApp({ toml: CONFIG, env: { DESK_WEBHOOK_SECRET: SECRET } });
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('accepts signed bulk deliveries and reports invalid messages', async () => {
+    const { status, body } = await deliver({
+      messages: [
+        { id: 't-1', text: 'Love the new release, great work', author: { id: 'cust-1', username: 'jdoe' }, timestamp: '2026-10-19T10:00:00Z', thread_id: 't-1' },
+        { id: 't-2', text: 'Worried my data is lost', author: { id: 'cust-2' }, reply_to: { id: 't-1', text: 'Love the new release' } },
+        { id: 't-3', text: '', author: { id: 'cust-3' } }
+      ]
+    });
+
+    assert.equal(status, 202);
+    assert.deepEqual(body, { received: 3, accepted: 2, duplicates: 0, rejected: [{ index: 2, id: 't-3', error: 'text is required' }] });
+
+    await ctx.processQueue();
+
+    const { body: messages } = await ctx.get('/api/trackers/support/messages');
+    const byId = Object.fromEntries(messages.messages.map(msg => [msg.id, msg]));
+    assert.deepEqual(Object.keys(byId).sort(), ['desk:t-1', 'desk:t-2']);
+    assert.equal(byId['desk:t-1'].author.id, 'webhook:cust-1');
+    assert.equal(byId['desk:t-1'].metadata.messageId, 't-1');
+    assert.equal(byId['desk:t-1'].metadata.threadKey, 't-1');
+    assert.equal(byId['desk:t-2'].metadata.replyTo.id, 'desk:t-1');
+    assert.equal(byId['desk:t-2'].metadata.replyTo.text, 'Love the new release');
+  });
+
+  it('rejects unsigned, wrongly signed and stale deliveries', async () => {
+    const message = { id: 't-9', text: 'Should not get in', author: { id: 'x' } };
+
+    assert.equal((await deliver(message, { signature: '' })).status, 401);
+    assert.equal((await deliver(message, { signature: `sha256=${'0'.repeat(64)}` })).status, 401);
+    assert.equal((await deliver(message, { timestamp: Math.floor(Date.now() / 1000) - 3600 })).status, 401);
+    assert.equal((await deliver(message, { sourceId: 'missing' })).status, 404);
+
+    await ctx.processQueue();
+    assert.deepEqual(await storedIds(), ['desk:t-1', 'desk:t-2']);
+  });
+
+  it('does not double-count retried messages', async () => {
+    const retry = { id: 't-1', text: 'Love the new release, great work', author: { id: 'cust-1' } };
+    const { status, body } = await deliver(retry);
+
+    assert.equal(status, 202);
+    assert.equal(body.accepted, 0);
+    assert.equal(body.duplicates, 1);
+
+    // After a restart the stored messages still count
+    ctx.app.connectorManager.getConnector('desk').seenMessages.clear();
+    assert.equal((await deliver(retry)).body.duplicates, 1);
+  });
+
+  it('persists accepted messages before acknowledging the delivery', async () => {
+    const { status } = await deliver({ id: 't-5', text: 'Still waiting on my refund', author: { id: 'cust-5' } });
+
+    assert.equal(status, 202);
+    const queued = await ctx.db.query("SELECT json_extract(payload, '$.id') as id FROM message_queue WHERE source_id = 'desk'");
+    assert.deepEqual(queued.map(row => row.id), ['desk:t-5']);
+  });
+
+  it('fails a delivery whose messages could not be persisted, so the sender retries', async () => {
+    const batchProcessor = ctx.app.batchProcessor;
+    const persistMessages = batchProcessor.persistMessages;
+    const delivery = { messages: [{ id: 't-6', text: 'Cannot log in since the update', author: { id: 'cust-6' } }] };
+    const headers = { 'Idempotency-Key': 'delivery-2' };
+
+    // Persisting logs and skips messages it can't write
+    batchProcessor.persistMessages = async () => {};
+    try {
+      assert.equal((await deliver(delivery, { headers })).status, 500);
+    } finally {
+      batchProcessor.persistMessages = persistMessages;
+    }
+
+    const retry = await deliver(delivery, { headers });
+    assert.equal(retry.status, 202);
+    assert.equal(retry.body.accepted, 1);
+  });
+
+  it('replays the first response for a repeated idempotency key', async () => {
+    const delivery = { messages: [{ id: 't-4', text: 'Refund arrived, thanks', author: { id: 'cust-4' } }] };
+    const headers = { 'Idempotency-Key': 'delivery-1' };
+
+    const first = await deliver(delivery, { headers });
+    const retry = await deliver(delivery, { headers });
+
+    assert.equal(first.status, 202);
+    assert.equal(retry.status, 200);
+    assert.deepEqual(retry.body, { ...first.body, replayed: true });
+
+    await ctx.processQueue();
+    assert.deepEqual(await storedIds(), ['desk:t-1', 'desk:t-2', 'desk:t-4', 'desk:t-5', 'desk:t-6']);
+  });
+
+  it('scores messages with the same ID from two sources separately', async () => {
+    assert.equal((await deliver({ id: '1', text: 'Great support, fixed in minutes', author: { id: 'cust-7' } })).status, 202);
+    assert.equal((await deliver({ id: '1', text: 'Terrible app, crashes constantly', author: { id: 'cust-8' } }, { sourceId: 'reviews' })).status, 202);
+
+    // Both land in the same batch
+    await ctx.processQueue();
+
+    const { body } = await ctx.get('/api/trackers/support/messages');
+    const byId = Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+    assert.equal(byId['desk:1'].author.id, 'webhook:cust-7');
+    assert.equal(byId['reviews:1'].author.id, 'webhook:cust-8');
+    assert.ok(byId['desk:1'].sentiment > 0);
+    assert.ok(byId['reviews:1'].sentiment < 0);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * YouTube connector end-to-end test
+ * Comment threads of two videos are polled from the fake Data API client,
+ * scored by the mock LLM server and stored under youtube:<channel id> users
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('../helpers/testApp');
+const YouTubeConnector = require('../../src/connectors/YouTubeConnector');
+
+const CONFIG = `
+[[trackers]]
+id = "product"
+name = "Product Feedback"
+enabled = true
+enabled_tags = ["optimism", "fear"]
+time_buckets = ["1hour"]
+
+[[sources]]
+id = "yt-launch"
+tracker_id = "product"
+platform = "youtube"
+target = "https://www.youtube.com/watch?v=launchVid01"
+
+[sources.config]
+video_ids = ["https://youtu.be/demoVideo02"]
+poll_interval = 3600
+`;
+
+const alice = { channelId: 'UCalice', name: '@alice' };
+const bob = { channelId: 'UCbob', name: '@bob' };
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+
+describe('youtube connector', () => {
+  let ctx;
+  let youtube;
+  let connector;
+
+  const storedMessages = async () => {
+    const { body } = await ctx.get('/api/trackers/product/messages');
+    return Object.fromEntries(body.messages.map(msg => [msg.id, msg]));
+  };
+
+  before(async () => {
+    const seed = ({ youtube: { client } }) => {
+      client.addComment({ id: 'c-old', videoId: 'launchVid01', text: 'From last month', author: bob, publishedAt: new Date(Date.now() - 30 * 86400000) });
+      client.addComment({ id: 'c1', videoId: 'launchVid01', text: 'Love the new dashboard', author: alice, publishedAt: minutesAgo(30) });
+      for (let i = 1; i <= 3; i++) {
+        client.addReply({ id: `r${i}`, parentId: 'c1', text: `Agreed ${i}`, author: bob, publishedAt: minutesAgo(30 - i) });
+      }
+      client.addComment({ id: 'c2', videoId: 'demoVideo02', text: 'Worried about the pricing change', author: bob, publishedAt: minutesAgo(10) });
+      client.addComment({ id: 'c3', videoId: 'demoVideo02', text: 'Deleted account', author: { name: '' }, publishedAt: minutesAgo(9) });
+    };
+
+    ctx = await startTestApp({ toml: CONFIG, env: { YOUTUBE_API_KEY: 'youtube-test-key' }, beforeStart: seed });
+    youtube = ctx.platforms.youtube.client;
+    connector = ctx.app.connectorManager.getConnector('yt-launch');
+  });
+
+  after(async () => {
+    await ctx.stop();
+  });
+
+  it('polls comments and all replies of every video', async () => {
+    await ctx.processQueue();
+
+    const stored = await storedMessages();
+    // c-old is older than max_age_hours; c3 has no author channel
+    assert.deepEqual(Object.keys(stored).sort(), ['c1', 'c1.r1', 'c1.r2', 'c1.r3', 'c2']);
+    assert.equal(stored.c1.author.id, 'youtube:UCalice');
+    assert.equal(stored.c1.metadata.videoId, 'launchVid01');
+    assert.equal(stored['c1.r1'].metadata.threadKey, 'c1');
+    assert.equal(stored['c1.r1'].metadata.replyTo.text, 'Love the new dashboard');
+
+    // The thread only includes 2 of its 3 replies; the rest were fetched
+    assert.ok(youtube.requests.some(r => r.url === '/comments' && r.params.parentId === 'c1'));
+
+    const { body: user } = await ctx.get('/api/users/youtube:UCbob');
+    assert.equal(user.username, '@bob');
+  });
+
+  it('only queues comments newer than the per-video cursor', async () => {
+    const cursor = await ctx.db.queryOne('SELECT * FROM cursors WHERE source_id = ?', ['yt-launch']);
+    const state = JSON.parse(cursor.cursor_value);
+    assert.ok(state.launchVid01 && state.demoVideo02);
+    // Skipped comments move the cursor too
+    assert.equal(cursor.last_message_id, 'c3');
+
+    youtube.addReply({ id: 'r4', parentId: 'c1', text: 'Still great a day later', author: alice });
+    await connector.poll();
+
+    const messages = await connector.getMessages();
+    assert.deepEqual(messages.map(msg => msg.id), ['c1.r4']);
+
+    // Unchanged threads don't refetch their replies
+    const requests = youtube.requests.length;
+    await connector.poll();
+    assert.ok(!youtube.requests.slice(requests).some(r => r.url === '/comments'));
+  });
+
+  it('resumes from the stored cursor after a restart', async () => {
+    youtube.addComment({ id: 'c4', videoId: 'demoVideo02', text: 'Any update on the roadmap?', author: alice });
+    await connector.poll();
+    await ctx.processQueue();
+
+    const restarted = new YouTubeConnector(connector.source, ctx.app.config.env);
+    await restarted.connect();
+    await restarted.disconnect();
+
+    assert.equal((await restarted.getMessages()).length, 0);
+  });
+
+  it('picks up comments sharing the cursor second without repeating seen ones', async () => {
+    const { cursor_value: cursor } = await ctx.db.queryOne('SELECT cursor_value FROM cursors WHERE source_id = ?', ['yt-launch']);
+    const { published_at: publishedAt, ids } = JSON.parse(cursor).demoVideo02;
+    assert.deepEqual(ids, ['c4']);
+
+    // After a restart only the stored cursor is left
+    connector.seenMessages.clear();
+    connector.restoreCursor(cursor);
+    youtube.addComment({ id: 'c5', videoId: 'demoVideo02', text: 'Same second as the last one', author: bob, publishedAt: new Date(publishedAt) });
+    await connector.poll();
+
+    assert.deepEqual(connector.messageQueue.map(msg => msg.id), ['c5']);
+    await ctx.processQueue();
+  });
+
+  it('pauses polling when the quota is exceeded', async () => {
+    youtube.fail('quotaExceeded');
+    await connector.poll();
+
+    assert.ok(connector.rateLimitedUntil > Date.now());
+    assert.equal(await ctx.sourceHealth('yt-launch', 'degraded'), 'degraded');
+
+    const requests = youtube.requests.length;
+    await connector.poll();
+    assert.equal(youtube.requests.length, requests);
+  });
+});
@@ -0,0 +1,663 @@
+/**
+ * Fake Platform Clients
+ * Replace the Telegram bot, Discord, Twitter, Reddit, Mastodon, Slack, YouTube and GitHub client factories
+ * with in-memory fakes, so connectors run their real message handling
+ * without network access
+ */
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const TelegramBotManager = require('../../src/connectors/TelegramBotManager');
+const DiscordConnector = require('../../src/connectors/DiscordConnector');
+const TwitterConnector = require('../../src/connectors/TwitterConnector');
+const RedditConnector = require('../../src/connectors/RedditConnector');
+const MastodonConnector = require('../../src/connectors/MastodonConnector');
+const SlackConnector = require('../../src/connectors/SlackConnector');
+const YouTubeConnector = require('../../src/connectors/YouTubeConnector');
+const GitHubConnector = require('../../src/connectors/GitHubConnector');
+
+/**
+ * Fake node-telegram-bot-api bot
+ */
+class FakeTelegramBot extends EventEmitter {
+  constructor(token) {
+    super();
+    this.token = token;
+    this.polling = true;
+  }
+
+  async stopPolling() {
+    this.polling = false;
+  }
+
+  /**
+   * Emit a group message
+   * `chat` is { id, username, title }, `from` is { id, username, first_name }
+   */
+  post({ chat, from, text, messageId, threadId = null, date = new Date(), replyTo = null }) {
+    this.emit('message', {
+      message_id: messageId,
+      message_thread_id: threadId || undefined,
+      chat: { type: 'supergroup', ...chat },
+      from,
+      text,
+      date: Math.floor(date.getTime() / 1000),
+      reply_to_message: replyTo || undefined
+    });
+  }
+}
+
+/**
+ * Fake discord.js client
+ */
+class FakeDiscordClient extends EventEmitter {
+  constructor(channels) {
+    super();
+    this.user = { tag: 'salt-index-test#0001' };
+    this.channels = { cache: new Map(channels.map(channel => [channel.id, { ...channel, messages: { cache: new Map() } }])) };
+    this.destroyed = false;
+  }
+
+  async login() {
+    setImmediate(() => this.emit('ready'));
+  }
+
+  async destroy() {
+    this.destroyed = true;
+  }
+
+  /**
+   * Emit a message in a channel
+   * `author` is { id, username, bot }
+   */
+  send({ channelId, id, content, author, createdAt = new Date(), replyTo = null }) {
+    const channel = this.channels.cache.get(channelId) || { id: channelId, name: channelId, messages: { cache: new Map() } };
+    const message = {
+      id,
+      content,
+      author: { bot: false, ...author },
+      channel,
+      guild: { id: 'guild-1', name: 'Test Server' },
+      createdAt,
+      reference: replyTo ? { messageId: replyTo } : null
+    };
+
+    channel.messages.cache.set(id, message);
+    this.emit('messageCreate', message);
+  }
+}
+
+/**
+ * Fake twitter-api-v2 client
+ * Search returns tweets posted since the last poll; the filtered stream
+ * is an emitter fed by tweet()
+ */
+class FakeTwitterClient {
+  constructor() {
+    this.pending = [];
+    this.stream = null;
+    this.v2 = {
+      search: async () => this.drain(),
+      streamRules: async () => ({ data: [] }),
+      updateStreamRules: async () => ({}),
+      searchStream: async () => {
+        this.stream = new EventEmitter();
+        this.stream.destroy = () => {};
+        return this.stream;
+      }
+    };
+  }
+
+  /**
+   * Post a tweet (streamed immediately, or returned by the next search)
+   * `author` is { id, username, name }
+   */
+  tweet({ id, text, author, createdAt = new Date(), conversationId = null }) {
+    const payload = {
+      data: { id, text, author_id: author.id, created_at: createdAt.toISOString(), conversation_id: conversationId || id },
+      includes: { users: [author], tweets: [] }
+    };
+
+    if (this.stream) {
+      this.stream.emit('data', payload);
+    } else {
+      this.pending.unshift(payload);
+    }
+  }
+
+  drain() {
+    const payloads = this.pending;
+    this.pending = [];
+
+    return {
+      data: { data: payloads.map(p => p.data) },
+      includes: { users: payloads.flatMap(p => p.includes.users), tweets: [] }
+    };
+  }
+}
+
+/**
+ * Fake Reddit HTTP client (axios-like)
+ * Listings return pages of `limit` posts/comments (newest first) after the
+ * `after` fullname; fail() makes the next request fail with an HTTP error
+ */
+class FakeRedditClient {
+  constructor() {
+    this.posts = [];
+    this.comments = [];
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Add a post; `author` is { id, username }
+   */
+  addPost({ id, subreddit = 'test', title, selftext = '', author, createdAt = new Date() }) {
+    this.posts.unshift({
+      kind: 't3',
+      data: { name: `t3_${id}`, subreddit, title, selftext, ...this.authorFields(author), created_utc: createdAt.getTime() / 1000, permalink: `/r/${subreddit}/comments/${id}/` }
+    });
+  }
+
+  /**
+   * Add a comment on a post (parentId defaults to the post)
+   */
+  addComment({ id, postId, parentId = null, subreddit = 'test', body, author, createdAt = new Date() }) {
+    this.comments.unshift({
+      kind: 't1',
+      data: { name: `t1_${id}`, subreddit, body, link_id: `t3_${postId}`, parent_id: parentId || `t3_${postId}`, ...this.authorFields(author), created_utc: createdAt.getTime() / 1000 }
+    });
+  }
+
+  /**
+   * Fail the next request with an HTTP status
+   */
+  fail(status, headers = {}) {
+    this.failures.push({ status, headers });
+  }
+
+  authorFields(author) {
+    return { author: author.username, author_fullname: `t2_${author.id}` };
+  }
+
+  async get(url, { params } = {}) {
+    this.requests.push({ url, params });
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(`Request failed with status code ${failure.status}`);
+      error.response = { status: failure.status, headers: failure.headers, data: {} };
+      throw error;
+    }
+
+    const headers = { 'x-ratelimit-remaining': '99', 'x-ratelimit-reset': '60' };
+    const listing = items => {
+      const start = params?.after ? items.findIndex(item => item.data.name === params.after) + 1 : 0;
+      const children = items.slice(start, start + (params?.limit || 25));
+      const more = start + children.length < items.length;
+      return { kind: 'Listing', data: { children, after: more ? children[children.length - 1].data.name : null } };
+    };
+
+    if (url.endsWith('/new.json')) return { data: listing(this.posts), headers };
+    if (url.endsWith('/comments.json')) return { data: listing(this.comments), headers };
+    return { data: {}, headers };
+  }
+
+  // OAuth token request
+  async post() {
+    return { data: { access_token: 'reddit-test-token', expires_in: 3600 } };
+  }
+}
+
+/**
+ * Fake Mastodon HTTP client (axios-like)
+ * Timelines return statuses newer than since_id, or the page right after
+ * min_id; open streams receive
+ * posted statuses as server-sent events
+ */
+class FakeMastodonClient {
+  constructor() {
+    this.statuses = []; // Newest first
+    this.accounts = new Map(); // acct -> account
+    this.streams = [];
+    this.streamingAvailable = true;
+    this.requests = [];
+    this.nextId = 110000000000000000n;
+  }
+
+  /**
+   * Post a status; `account` is { id, acct, display_name }
+   * Returns the status (IDs increase like Mastodon's).
+   */
+  post({ content, account, tags = [], inReplyTo = null, createdAt = new Date(), spoiler = '' }) {
+    const id = String(this.nextId++);
+    const status = {
+      id,
+      created_at: createdAt.toISOString(),
+      content,
+      spoiler_text: spoiler,
+      in_reply_to_id: inReplyTo,
+      url: `https://fedi.test/@${account.acct}/${id}`,
+      language: 'en',
+      reblog: null,
+      account: { username: account.acct.split('@')[0], display_name: '', ...account },
+      tags: tags.map(name => ({ name }))
+    };
+
+    this.accounts.set(account.acct, status.account);
+    this.statuses.unshift(status);
+
+    for (const { stream, tag } of this.streams) {
+      if (!tag || tags.includes(tag)) {
+        stream.write(`event: update\ndata: ${JSON.stringify(status)}\n\n`);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * End all open streams (the connector falls back to polling)
+   */
+  dropStreams() {
+    const streams = this.streams;
+    this.streams = [];
+    streams.forEach(({ stream }) => stream.end());
+  }
+
+  async get(url, { params = {}, responseType } = {}) {
+    this.requests.push({ url, params });
+
+    if (url === '/api/v1/streaming') {
+      if (!this.streamingAvailable) {
+        const error = new Error('Request failed with status code 401');
+        error.response = { status: 401, headers: {}, data: {} };
+        throw error;
+      }
+      const stream = new PassThrough();
+      stream.write(':)\n\n');
+      this.streams.push({ stream, tag: params.tag || null, responseType });
+      return { data: stream, headers: {} };
+    }
+
+    if (url === '/api/v1/accounts/lookup') {
+      const account = this.accounts.get(params.acct);
+      if (!account) {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, headers: {}, data: {} };
+        throw error;
+      }
+      return { data: account, headers: {} };
+    }
+
+    const after = params.min_id || params.since_id;
+    const newer = status => !after || BigInt(status.id) > BigInt(after);
+    const tag = url.match(/^\/api\/v1\/timelines\/tag\/(.+)$/);
+    const account = url.match(/^\/api\/v1\/accounts\/(.+)\/statuses$/);
+
+    const statuses = this.statuses.filter(status => newer(status)
+      && (!tag || status.tags.some(t => t.name === decodeURIComponent(tag[1])))
+      && (!account || status.account.id === account[1]));
+
+    const limit = params.limit || 20;
+    return { data: params.min_id ? statuses.slice(-limit) : statuses.slice(0, limit), headers: {} };
+  }
+}
+
+/**
+ * Fake Slack Web API client (axios-like)
+ * Events are delivered through the real /api/slack/events route; this
+ * only answers the Web API calls the connector makes
+ */
+class FakeSlackClient {
+  constructor() {
+    this.team = { id: 'T0TEST', name: 'Test Workspace' };
+    this.channels = new Map(); // channel ID -> { id, name, is_member, messages }
+    this.users = new Map(); // user ID -> users.info user
+    this.calls = [];
+  }
+
+  /**
+   * Add a channel; `messages` (newest first) are returned by conversations.history,
+   * in pages of `limit` with a cursor
+   */
+  addChannel({ id, name, isMember = true, messages = [] }) {
+    this.channels.set(id, { id, name, is_member: isMember, messages });
+  }
+
+  addUser({ id, name, displayName = '', realName = '' }) {
+    this.users.set(id, { id, name, real_name: realName, profile: { display_name: displayName } });
+  }
+
+  /**
+   * Number of calls of a Web API method
+   */
+  callCount(method) {
+    return this.calls.filter(call => call.method === method).length;
+  }
+
+  async get(url, { params = {} } = {}) {
+    const method = url.replace(/^\//, '');
+    this.calls.push({ method, params });
+
+    switch (method) {
+      case 'auth.test':
+        return { data: { ok: true, team_id: this.team.id, team: this.team.name, user_id: 'UBOT' } };
+
+      case 'conversations.info': {
+        const channel = this.channels.get(params.channel);
+        return { data: channel ? { ok: true, channel: { id: channel.id, name: channel.name, is_member: channel.is_member } } : { ok: false, error: 'channel_not_found' } };
+      }
+
+      case 'conversations.history': {
+        const channel = this.channels.get(params.channel);
+        const messages = (channel?.messages || []).filter(msg => !params.oldest || msg.ts > params.oldest);
+        const offset = params.cursor ? parseInt(params.cursor) : 0;
+        const end = offset + (params.limit || 100);
+        return {
+          data: {
+            ok: true,
+            messages: messages.slice(offset, end),
+            has_more: end < messages.length,
+            response_metadata: { next_cursor: end < messages.length ? String(end) : '' }
+          }
+        };
+      }
+
+      case 'users.info': {
+        const user = this.users.get(params.user);
+        return { data: user ? { ok: true, user } : { ok: false, error: 'user_not_found' } };
+      }
+
+      default:
+        return { data: { ok: false, error: 'unknown_method' } };
+    }
+  }
+}
+
+/**
+ * Fake YouTube Data API client (axios-like)
+ * Comment threads are returned newest first in one page, with their
+ * first replies included like the real API
+ */
+class FakeYouTubeClient {
+  constructor() {
+    this.threads = []; // Newest first
+    this.replies = new Map(); // top-level comment ID -> replies, oldest first
+    this.requests = [];
+    this.failures = [];
+  }
+
+  /**
+   * Add a top-level comment; `author` is { channelId, name }
+   */
+  addComment({ id, videoId, text, author, publishedAt = new Date() }) {
+    this.threads.unshift({ id, videoId, comment: this.comment(id, text, author, publishedAt) });
+    this.replies.set(id, []);
+  }
+
+  /**
+   * Add a reply to a top-level comment
+   */
+  addReply({ id, parentId, text, author, publishedAt = new Date() }) {
+    this.replies.get(parentId).push({ ...this.comment(`${parentId}.${id}`, text, author, publishedAt), parentId });
+  }
+
+  /**
+   * Fail the next request with a Data API error reason (quotaExceeded, commentsDisabled)
+   */
+  fail(reason, status = 403) {
+    this.failures.push({ reason, status });
+  }
+
+  comment(id, text, author, publishedAt) {
+    return {
+      id,
+      snippet: {
+        textDisplay: text,
+        textOriginal: text,
+        authorDisplayName: author.name,
+        authorChannelId: author.channelId ? { value: author.channelId } : undefined,
+        likeCount: 0,
+        publishedAt: publishedAt.toISOString()
+      }
+    };
+  }
+
+  async get(url, { params = {} } = {}) {
+    this.requests.push({ url, params });
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(`Request failed with status code ${failure.status}`);
+      error.response = { status: failure.status, headers: {}, data: { error: { errors: [{ reason: failure.reason }] } } };
+      throw error;
+    }
+
+    if (url === '/commentThreads') {
+      const items = this.threads.filter(thread => thread.videoId === params.videoId).map(thread => {
+        const replies = this.replies.get(thread.id);
+        return {
+          id: thread.id,
+          snippet: { videoId: thread.videoId, topLevelComment: thread.comment, totalReplyCount: replies.length },
+          // Only a few replies are included
+          ...(replies.length ? { replies: { comments: replies.slice(-2) } } : {})
+        };
+      });
+      return { data: { items } };
+    }
+
+    if (url === '/comments') {
+      return { data: { items: this.replies.get(params.parentId) || [] } };
+    }
+
+    return { data: { items: [] } };
+  }
+}
+
+/**
+ * Fake GitHub REST/GraphQL client (axios-like)
+ * Users are { id, login, type }
+ */
+class FakeGitHubClient {
+  constructor() {
+    this.issues = []; // Newest first
+    this.comments = []; // Newest first
+    this.discussions = [];
+    this.requests = [];
+    this.failures = [];
+    this.nextId = 1000;
+  }
+
+  addIssue({ repo, number, title, body = '', user, createdAt = new Date(), pullRequest = false }) {
+    const issue = {
+      repo,
+      id: this.nextId++,
+      node_id: `I_${repo}_${number}`,
+      number,
+      title,
+      body,
+      user,
+      created_at: createdAt.toISOString(),
+      html_url: `https://github.com/${repo}/${pullRequest ? 'pull' : 'issues'}/${number}`,
+      ...(pullRequest ? { pull_request: {} } : {})
+    };
+    this.issues.unshift(issue);
+    return issue;
+  }
+
+  addComment({ repo, number, body, user, createdAt = new Date() }) {
+    const id = this.nextId++;
+    const issue = this.issues.find(i => i.repo === repo && i.number === number);
+    const comment = {
+      repo,
+      id,
+      node_id: `IC_${id}`,
+      body,
+      user,
+      created_at: createdAt.toISOString(),
+      issue_url: `https://api.github.com/repos/${repo}/issues/${number}`,
+      html_url: `https://github.com/${repo}/${issue?.pull_request ? 'pull' : 'issues'}/${number}#issuecomment-${id}`
+    };
+    this.comments.unshift(comment);
+    return comment;
+  }
+
+  /**
+   * Add a discussion; comments are [{ body, user, createdAt, replies: [...] }]
+   */
+  addDiscussion({ repo, number, title, body = '', user, createdAt = new Date(), comments = [] }) {
+    const node = (text, author, date) => ({
+      id: `DC_${this.nextId++}`,
+      body: text,
+      createdAt: date.toISOString(),
+      url: `https://github.com/${repo}/discussions/${number}`,
+      author: author.type === 'Bot'
+        ? { __typename: 'Bot', login: author.login }
+        : { __typename: 'User', login: author.login, databaseId: author.id }
+    });
+
+    const discussion = {
+      repo,
+      ...node(body, user, createdAt),
+      id: `D_${repo}_${number}`,
+      number,
+      title,
+      comments: {
+        nodes: comments.map(comment => ({
+          ...node(comment.body, comment.user, comment.createdAt || new Date()),
+          replies: { nodes: (comment.replies || []).map(reply => node(reply.body, reply.user, reply.createdAt || new Date())) }
+        }))
+      }
+    };
+    this.discussions.unshift(discussion);
+    return discussion;
+  }
+
+  /**
+   * Fail the next request with an HTTP status
+   */
+  fail(status, headers = {}) {
+    this.failures.push({ status, headers });
+  }
+
+  async request({ method = 'get', url, params = {}, data }) {
+    this.requests.push({ method, url, params, data });
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(`Request failed with status code ${failure.status}`);
+      error.response = { status: failure.status, headers: failure.headers, data: {} };
+      throw error;
+    }
+
+    const headers = { 'x-ratelimit-remaining': '4999', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) };
+    const path = url.replace('https://api.github.com', '');
+    let match;
+
+    if (method === 'post' && path === '/graphql') {
+      const repo = `${data.variables.owner}/${data.variables.name}`;
+      const nodes = this.discussions.filter(d => d.repo === repo);
+      return { data: { data: { repository: { discussions: { nodes } } } }, headers };
+    }
+
+    if ((match = path.match(/^\/repos\/([^/]+\/[^/]+)\/issues\/comments$/))) {
+      const since = params.since ? Date.parse(params.since) : 0;
+      return { data: this.comments.filter(c => c.repo === match[1] && Date.parse(c.created_at) >= since), headers };
+    }
+
+    if ((match = path.match(/^\/repos\/([^/]+\/[^/]+)\/issues\/(\d+)$/))) {
+      const issue = this.issues.find(i => i.repo === match[1] && i.number === Number(match[2]));
+      if (!issue) {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, headers, data: {} };
+        throw error;
+      }
+      return { data: issue, headers };
+    }
+
+    if ((match = path.match(/^\/repos\/([^/]+\/[^/]+)\/issues$/))) {
+      return { data: this.issues.filter(i => i.repo === match[1]), headers };
+    }
+
+    return { data: [], headers };
+  }
+}
+
+/**
+ * Install the fakes; returns the fake clients and a restore function
+ * Discord channels are known to the fake client up front ({ id, name }).
+ */
+function installFakePlatforms({ discordChannels = [] } = {}) {
+  const telegram = { bot: null };
+  const discord = { client: null };
+  const twitter = { client: new FakeTwitterClient() };
+  const reddit = { client: new FakeRedditClient() };
+  const mastodon = { client: new FakeMastodonClient() };
+  const slack = { client: new FakeSlackClient() };
+  const youtube = { client: new FakeYouTubeClient() };
+  const github = { client: new FakeGitHubClient() };
+
+  const originals = {
+    createBot: TelegramBotManager.prototype.createBot,
+    discordClient: DiscordConnector.prototype.createClient,
+    twitterClient: TwitterConnector.prototype.createClient,
+    redditClient: RedditConnector.prototype.createClient,
+    mastodonClient: MastodonConnector.prototype.createClient,
+    slackClient: SlackConnector.prototype.createClient,
+    youtubeClient: YouTubeConnector.prototype.createClient,
+    githubClient: GitHubConnector.prototype.createClient
+  };
+
+  TelegramBotManager.prototype.createBot = function (token) {
+    telegram.bot = new FakeTelegramBot(token);
+    return telegram.bot;
+  };
+  DiscordConnector.prototype.createClient = function () {
+    // One bot client is shared by all Discord sources in tests
+    discord.client = discord.client || new FakeDiscordClient(discordChannels);
+    return discord.client;
+  };
+  TwitterConnector.prototype.createClient = function () {
+    return twitter.client;
+  };
+  RedditConnector.prototype.createClient = function () {
+    return reddit.client;
+  };
+  MastodonConnector.prototype.createClient = function () {
+    return mastodon.client;
+  };
+  SlackConnector.prototype.createClient = function () {
+    return slack.client;
+  };
+  YouTubeConnector.prototype.createClient = function () {
+    return youtube.client;
+  };
+  GitHubConnector.prototype.createClient = function () {
+    return github.client;
+  };
+
+  const restore = () => {
+    TelegramBotManager.prototype.createBot = originals.createBot;
+    DiscordConnector.prototype.createClient = originals.discordClient;
+    TwitterConnector.prototype.createClient = originals.twitterClient;
+    RedditConnector.prototype.createClient = originals.redditClient;
+    MastodonConnector.prototype.createClient = originals.mastodonClient;
+    SlackConnector.prototype.createClient = originals.slackClient;
+    YouTubeConnector.prototype.createClient = originals.youtubeClient;
+    GitHubConnector.prototype.createClient = originals.githubClient;
+  };
+
+  return { telegram, discord, twitter, reddit, mastodon, slack, youtube, github, restore };
+}
+
+module.exports = {
+  installFakePlatforms,
+  FakeTelegramBot,
+  FakeDiscordClient,
+  FakeTwitterClient,
+  FakeRedditClient,
+  FakeMastodonClient,
+  FakeSlackClient,
+  FakeYouTubeClient,
+  FakeGitHubClient
+};
@@ -0,0 +1,130 @@
+/**
+ * Test App
+ * Boots SaltIndex in-process against a temporary directory (config.toml,
+ * SQLite file, logs), the mock LLM server and the fake platform clients
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const MockProvider = require('../../src/eval/MockProvider');
+const { installFakePlatforms } = require('./fakePlatforms');
+
+const ADMIN_API_KEY = 'sk_admin_test';
+
+/**
+ * Find a free local port (the API server doesn't accept port 0)
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Boot the app with the given config.toml contents
+ * `beforeStart(platforms)` can seed the fake platform clients before the
+ * connectors connect. Returns { app, mock, platforms, db, dir, baseUrl,
+ * get, sourceHealth, processQueue, stop }.
+ */
+async function startTestApp({ toml, env = {}, discordChannels = [], beforeStart = null }) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-test-'));
+  fs.mkdirSync(path.join(dir, 'config'));
+  fs.writeFileSync(path.join(dir, 'config', 'config.toml'), toml);
+
+  const mock = new MockProvider({ model: 'mock-model' });
+  const mockUrl = await mock.start();
+  const port = await getFreePort();
+
+  Object.assign(process.env, {
+    OPENROUTER_API_KEY: 'test-key',
+    OPENROUTER_BASE_URL: mockUrl,
+    OPENROUTER_MODEL: 'mock-model',
+    ADMIN_API_KEY,
+    DATABASE_PATH: path.join(dir, 'data', 'salt_index.db'),
+    PORT: String(port),
+    TELEGRAM_BOT_TOKEN: 'telegram-test-token',
+    DISCORD_BOT_TOKEN: 'discord-test-token',
+    TWITTER_BEARER_TOKEN: 'twitter-test-token',
+    ...env
+  });
+
+  // Config, logs and the database are resolved against the working directory
+  const cwd = process.cwd();
+  process.chdir(dir);
+
+  const platforms = installFakePlatforms({ discordChannels });
+  if (beforeStart) {
+    beforeStart(platforms);
+  }
+
+  const SaltIndex = require('../../src/index');
+  const db = require('../../src/db');
+  const app = new SaltIndex();
+
+  await app.initialize();
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  /**
+   * GET an API path with the admin key; resolves with { status, body }
+   */
+  const get = async (apiPath) => {
+    const res = await fetch(`${baseUrl}${apiPath}`, {
+      headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  /**
+   * Health status of a source once it is `expected`, or after a second
+   * (connectors don't wait for their health updates to be written)
+   */
+  const sourceHealth = async (sourceId, expected) => {
+    const deadline = Date.now() + 1000;
+    let source = await db.queryOne('SELECT health_status FROM sources WHERE id = ?', [sourceId]);
+
+    while (source?.health_status !== expected && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      source = await db.queryOne('SELECT health_status FROM sources WHERE id = ?', [sourceId]);
+    }
+
+    return source?.health_status;
+  };
+
+  /**
+   * Collect connector messages and process every queued batch now
+   * instead of waiting for the collection loop and batch timeout
+   */
+  const processQueue = async () => {
+    await new Promise(resolve => setImmediate(resolve)); // Let connector handlers finish
+    await app.collectMessages();
+    app.batchProcessor.batchTimeout = 0;
+    await app.batchProcessor.processBatches();
+    await app.batchProcessor.drain();
+  };
+
+  const stop = async () => {
+    await app.stop();
+    await mock.stop();
+    platforms.restore();
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { app, mock, platforms, db, dir, baseUrl, get, sourceHealth, processQueue, stop };
+}
+
+module.exports = {
+  startTestApp,
+  ADMIN_API_KEY
+};
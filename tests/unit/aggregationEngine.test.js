@@ -0,0 +1,158 @@
+// Before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const aggregationEngine = require('../../src/aggregation/AggregationEngine');
+
+const message = (id, authorId, timestamp, sourceId = 'tg-main') => ({
+  id,
+  sourceId,
+  trackerId: 'community',
+  platform: 'telegram',
+  author: { id: authorId, username: `user${authorId}` },
+  timestamp
+});
+
+/**
+ * LLM result scoring every message of a batch alike
+ */
+const result = (messages, score = { sentiment: 20, tags: [] }) => ({
+  perMessage: Object.fromEntries(messages.map(msg => [msg.id, score]))
+});
+
+const aggregate = messages => aggregationEngine.processLLMResult('community', messages, result(messages));
+
+describe('AggregationEngine', () => {
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-aggregation-'));
+    await db.initialize(path.join(dir, 'salt_index.db'));
+    await db.run(
+      `INSERT INTO trackers (id, name, enabled_tags, excluded_from_sentiment, time_buckets)
+       VALUES ('community', 'Community', '[]', '[]', '["1hour"]')`
+    );
+    await db.run(
+      `INSERT INTO sources (id, tracker_id, platform, target, config)
+       VALUES ('tg-main', 'community', 'telegram', '@saltchat', '{}')`
+    );
+    await db.run(
+      `INSERT INTO sources (id, tracker_id, platform, target, config)
+       VALUES ('tg-news', 'community', 'telegram', '@saltnews', '{}')`
+    );
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('buckets messages by their own timestamp', async () => {
+    await aggregate([
+      message('m1', '1', '2024-01-01T10:15:00.000Z'),
+      message('m2', '1', '2024-01-01T10:45:00.000Z'),
+      message('m3', '1', '2024-01-01T11:05:00.000Z')
+    ]);
+
+    const buckets = await db.query(
+      `SELECT bucket_start, message_count FROM tracker_aggregates
+       WHERE bucket_start < '2024-01-02' ORDER BY bucket_start`
+    );
+    assert.deepEqual(buckets.map(row => ({ ...row })), [
+      { bucket_start: '2024-01-01T10:00:00.000Z', message_count: 2 },
+      { bucket_start: '2024-01-01T11:00:00.000Z', message_count: 1 }
+    ]);
+  });
+
+  it('adds up the tag counts of every batch in a bucket', async () => {
+    const first = [message('t1', '2', '2024-01-05T10:00:00.000Z')];
+    const second = [message('t2', '2', '2024-01-05T10:30:00.000Z')];
+    await aggregationEngine.processLLMResult('community', first, result(first, { sentiment: 20, tags: ['optimism'] }));
+    await aggregationEngine.processLLMResult('community', second, result(second, { sentiment: 20, tags: ['optimism', 'fear'] }));
+
+    const bucket = await db.queryOne(
+      "SELECT tag_counts FROM tracker_aggregates WHERE bucket_start = '2024-01-05T10:00:00.000Z'"
+    );
+    assert.deepEqual(JSON.parse(bucket.tag_counts), { optimism: 2, fear: 1 });
+  });
+
+  it('keeps sentiment when a batch has only excluded messages', async () => {
+    const scored = [message('s1', '3', '2024-01-10T10:00:00.000Z')];
+    const spam = [message('spam-1', '3', '2024-01-10T10:30:00.000Z')];
+    await aggregationEngine.processLLMResult('community', scored, result(scored, { sentiment: 40, tags: [] }));
+    await aggregationEngine.processLLMResult('community', spam, result(spam, { sentiment: -100, tags: ['spam'], excluded: true }));
+
+    const bucket = await db.queryOne(
+      "SELECT * FROM source_aggregates WHERE bucket_start = '2024-01-10T10:00:00.000Z'"
+    );
+    assert.equal(bucket.message_count, 2);
+    assert.equal(bucket.sentiment_count, 1);
+    assert.equal(bucket.sentiment_score, 40);
+    assert.deepEqual(JSON.parse(bucket.tag_counts), { spam: 1 });
+
+    const user = await db.queryOne('SELECT * FROM user_aggregates WHERE user_id = ?', ['telegram:3']);
+    assert.equal(user.total_messages, 2);
+    assert.equal(user.sentiment_count, 1);
+    assert.equal(user.avg_sentiment, 40);
+  });
+
+  it('spans user activity by message time, whatever the batch order', async () => {
+    await aggregate([
+      message('late-2', '4', '2024-03-02T12:00:00.000Z'),
+      message('late-1', '4', '2024-03-01T12:00:00.000Z')
+    ]);
+    // A replayed backlog arrives after the newer messages
+    await aggregate([message('early-1', '4', '2024-02-01T12:00:00.000Z')]);
+
+    const user = await db.queryOne('SELECT * FROM user_aggregates WHERE user_id = ?', ['telegram:4']);
+    assert.equal(user.total_messages, 3);
+    assert.equal(user.first_message_at, '2024-02-01T12:00:00.000Z');
+    assert.equal(user.last_message_at, '2024-03-02T12:00:00.000Z');
+  });
+
+  it('adds up batches aggregated concurrently', async () => {
+    await Promise.all([...Array(10).keys()].map(i => {
+      const batch = [message(`c${i}`, '5', '2024-04-01T10:00:00.000Z')];
+      return aggregationEngine.processLLMResult('community', batch, result(batch, { sentiment: i * 10, tags: ['optimism'] }));
+    }));
+
+    const bucket = await db.queryOne(
+      "SELECT * FROM tracker_aggregates WHERE bucket_start = '2024-04-01T10:00:00.000Z'"
+    );
+    assert.equal(bucket.message_count, 10);
+    assert.equal(bucket.sentiment_count, 10);
+    assert.equal(bucket.sentiment_score, 45);
+    assert.deepEqual(JSON.parse(bucket.tag_counts), { optimism: 10 });
+
+    const user = await db.queryOne('SELECT * FROM user_aggregates WHERE user_id = ?', ['telegram:5']);
+    assert.equal(user.total_messages, 10);
+    assert.equal(user.sentiment_count, 10);
+    // The stored average is rounded on every merge, so it can drift by one
+    assert.ok(Math.abs(user.avg_sentiment - 45) <= 1);
+    assert.deepEqual(JSON.parse(user.tag_counts), { optimism: 10 });
+  });
+
+  it('merges the source contributions of every batch in a bucket', async () => {
+    const main = [message('main-1', '6', '2024-05-01T10:00:00.000Z'), message('main-2', '6', '2024-05-01T10:10:00.000Z')];
+    const news = [message('news-1', '6', '2024-05-01T10:20:00.000Z', 'tg-news')];
+    await aggregationEngine.processLLMResult('community', main, result(main, { sentiment: 40, tags: [] }));
+    await aggregationEngine.processLLMResult('community', news, result(news, { sentiment: -20, tags: [] }));
+
+    const bucket = await db.queryOne(
+      "SELECT * FROM tracker_aggregates WHERE bucket_start = '2024-05-01T10:00:00.000Z'"
+    );
+    const sources = Object.fromEntries(JSON.parse(bucket.source_contributions).map(s => [s.source_id, s]));
+
+    assert.deepEqual(Object.keys(sources).sort(), ['tg-main', 'tg-news']);
+    assert.equal(sources['tg-main'].message_count, 2);
+    assert.equal(sources['tg-main'].sentiment, 40);
+    assert.equal(sources['tg-news'].message_count, 1);
+    assert.equal(sources['tg-news'].sentiment, -20);
+    assert.ok(Math.abs(sources['tg-news'].contribution - 1 / 3) < 1e-9);
+  });
+});
@@ -0,0 +1,152 @@
+// Before the logger is loaded (chunked analysis is logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { packBatches, splitText, combineChunkScores } = require('../../src/llm/batchPacker');
+const BatchProcessor = require('../../src/llm/BatchProcessor');
+
+// Room for 200 prompt tokens (~750 characters of text) and 10 messages per batch
+const LIMITS = { batchSize: 10, maxPromptTokens: 1000, reservedTokens: 800, maxOutputTokens: 1000, outputTokensPerMessage: 100 };
+
+const message = (id, text) => ({
+  id,
+  text,
+  platform: 'telegram',
+  author: { id: '1', username: 'user1' }
+});
+
+const sizes = batches => batches.map(batch => batch.length);
+
+describe('packBatches', () => {
+  it('closes a batch when the next message would exceed the prompt tokens', () => {
+    const messages = [...Array(7).keys()].map(i => message(`m${i}`, 'x'.repeat(200)));
+
+    assert.deepEqual(sizes(packBatches(messages, LIMITS)), [3, 3, 1]);
+  });
+
+  it('closes a batch at the message limit', () => {
+    const messages = [...Array(10).keys()].map(i => message(`m${i}`, 'short'));
+
+    assert.deepEqual(sizes(packBatches(messages, { ...LIMITS, outputTokensPerMessage: 250 })), [4, 4, 2]);
+    assert.deepEqual(sizes(packBatches(messages, { ...LIMITS, batchSize: 3 })), [3, 3, 3, 1]);
+  });
+
+  it('sends a message too long to share a batch on its own', () => {
+    const batches = packBatches([message('a', 'short'), message('long', 'x'.repeat(700)), message('b', 'short')], LIMITS);
+
+    assert.deepEqual(batches.map(batch => batch.map(m => m.id)), [['a'], ['long'], ['b']]);
+    assert.equal(batches[1][0].chunks, undefined);
+  });
+
+  it('splits a message that does not fit alone into chunks', () => {
+    const text = 'The launch went well. '.repeat(100).trim();
+    const batches = packBatches([message('a', 'short'), message('long', text), message('b', 'short')], LIMITS);
+
+    assert.deepEqual(batches.map(batch => batch.map(m => m.id)), [['a'], ['long'], ['b']]);
+
+    const [long] = batches[1];
+    assert.equal(long.text, text);
+    assert.ok(long.chunks.length > 1);
+    assert.ok(long.chunks.every(chunk => chunk.length <= 750 && chunk.endsWith('well.')));
+    assert.equal(long.chunks.join(' '), text);
+  });
+
+  it('truncates only text beyond the chunk limit', () => {
+    const text = 'word '.repeat(2000).trim();
+    const [[long]] = packBatches([message('long', text)], LIMITS);
+
+    assert.equal(long.chunks.length, 8);
+    assert.ok(long.chunks[7].endsWith(' [...truncated]'));
+    assert.equal(long.text, text);
+  });
+});
+
+describe('splitText', () => {
+  it('prefers paragraph breaks over sentence and word breaks', () => {
+    const text = `${'a'.repeat(30)}. ${'b'.repeat(10)}\n\n${'c'.repeat(10)} ${'d'.repeat(30)}`;
+
+    assert.deepEqual(splitText(text, 60), [`${'a'.repeat(30)}. ${'b'.repeat(10)}`, `${'c'.repeat(10)} ${'d'.repeat(30)}`]);
+  });
+
+  it('cuts text without breaks at the chunk size', () => {
+    assert.deepEqual(splitText('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+});
+
+describe('combineChunkScores', () => {
+  it('weights sentiment by chunk length and merges tags', () => {
+    const score = combineChunkScores(
+      [{ sentiment: 60, tags: ['optimism'] }, { sentiment: -30, tags: ['fear', 'optimism'] }],
+      ['x'.repeat(100), 'x'.repeat(50)]
+    );
+
+    assert.deepEqual(score, { userId: undefined, sentiment: 30, tags: ['optimism', 'fear'], excluded: false });
+  });
+
+  it('skips unscored chunks and excludes by the merged tags', () => {
+    const score = combineChunkScores([null, { sentiment: -80, tags: ['spam'] }], ['x', 'y'], ['spam']);
+
+    assert.equal(score.sentiment, -80);
+    assert.equal(score.excluded, true);
+    assert.equal(combineChunkScores([null, undefined], ['x', 'y']), null);
+  });
+});
+
+describe('chunked analysis', () => {
+  const CONFIG = { env: { batch: { size: 30, timeout: 60 } }, toml: { llm: { default_provider: 'lexicon' } } };
+  const tracker = { id: 'community', enabledTags: ['optimism', 'fear'], excludedFromSentiment: [] };
+
+  // Scores each chunk by its first word and reports 10 prompt tokens per request
+  const client = (failOn = null) => ({
+    requests: [],
+    async analyzeBatch(messages) {
+      this.requests.push(messages);
+      const target = messages.find(m => !m.isContext);
+
+      if (target.text === failOn) {
+        const error = new Error('LLM response failed validation');
+        error.usage = { promptTokens: 10, completionTokens: 0, reportedCostUsd: 0.01, provider: 'fake', model: 'm' };
+        throw error;
+      }
+
+      return {
+        perMessage: { [target.id]: { sentiment: target.text.startsWith('good') ? 50 : -50, tags: ['optimism'] } },
+        promptTokens: 10,
+        completionTokens: 5,
+        tokensUsed: 15,
+        reportedCostUsd: 0.01,
+        provider: 'fake',
+        model: 'm',
+        promptVersion: 'v1'
+      };
+    }
+  });
+
+  it('sends each chunk with the context and combines the results', async () => {
+    const processor = new BatchProcessor(CONFIG);
+    const fake = client();
+    const context = { ...message('ctx', 'earlier'), isContext: true };
+    const target = { ...message('long', 'good news bad news'), chunks: ['good news', 'bad news'] };
+
+    const result = await processor.analyzeWith(fake, tracker, [context, target], {});
+
+    assert.deepEqual(fake.requests.map(batch => batch.map(m => m.text)), [['earlier', 'good news'], ['earlier', 'bad news']]);
+    assert.equal(result.chunks, 2);
+    assert.equal(result.perMessage.long.sentiment, 3);
+    assert.equal(result.messageCount, 1);
+    assert.equal(result.promptTokens, 20);
+    assert.equal(result.tokensUsed, 30);
+    assert.equal(result.reportedCostUsd, 0.02);
+  });
+
+  it('reports the usage of analyzed chunks when a later chunk fails', async () => {
+    const processor = new BatchProcessor(CONFIG);
+    const target = { ...message('long', 'good news bad news'), chunks: ['good news', 'bad news'] };
+
+    await assert.rejects(processor.analyzeWith(client('bad news'), tracker, [target], {}), error => {
+      assert.deepEqual(error.failedUsage.map(usage => usage.promptTokens), [10, 10]);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// Before the logger is loaded (failed batches are logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const BatchProcessor = require('../../src/llm/BatchProcessor');
+
+const CONFIG = {
+  env: { batch: { size: 30, timeout: 60 } },
+  toml: { llm: { default_provider: 'lexicon', max_retries: 2, retry_delay_seconds: 10 } }
+};
+
+const message = id => ({
+  id,
+  sourceId: 'tg-main',
+  trackerId: 'community',
+  platform: 'telegram',
+  author: { id: '1', username: 'user1' },
+  text: `message ${id}`,
+  timestamp: new Date().toISOString()
+});
+
+const count = async (table, where = '1 = 1') => (await db.queryOne(`SELECT COUNT(*) as count FROM ${table} WHERE ${where}`)).count;
+
+describe('batch retries and dead letters', () => {
+  let dir;
+  let processor;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-retries-'));
+    await db.initialize(path.join(dir, 'salt_index.db'));
+    await db.run(
+      `INSERT INTO trackers (id, name, enabled_tags, excluded_from_sentiment, time_buckets)
+       VALUES ('community', 'Community', '[]', '[]', '["1hour"]')`
+    );
+    await db.run(
+      `INSERT INTO sources (id, tracker_id, platform, target, config)
+       VALUES ('tg-main', 'community', 'telegram', '@saltchat', '{}')`
+    );
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    for (const table of ['dead_letters', 'messages', 'message_queue', 'llm_batch_log']) {
+      await db.run(`DELETE FROM ${table}`);
+    }
+    processor = new BatchProcessor(CONFIG);
+  });
+
+  it('retries a failed analysis with exponential backoff, then dead-letters it', async () => {
+    processor.analyze = async () => { throw new Error('provider down'); };
+    const messages = [message('a'), message('b')];
+    await processor.persistMessages(messages);
+
+    const started = Date.now();
+    await processor.processBatch('community', messages);
+
+    const [retry] = processor.retryQueue;
+    assert.equal(retry.retryCount, 1);
+    assert.ok(retry.nextAttemptAt >= started + 10000);
+
+    await processor.processBatch('community', messages, processor.retryQueue.shift());
+    assert.equal(processor.retryQueue[0].retryCount, 2);
+    assert.ok(processor.retryQueue[0].nextAttemptAt >= started + 20000);
+
+    await processor.processBatch('community', messages, processor.retryQueue.shift());
+    assert.equal(processor.retryQueue.length, 0);
+
+    // One log entry, updated in place by every attempt
+    const log = await db.query('SELECT id, success, retry_count, error_message FROM llm_batch_log');
+    assert.deepEqual(log.map(row => [row.success, row.retry_count, row.error_message]), [[0, 2, 'provider down']]);
+
+    const deadLetter = await db.queryOne('SELECT * FROM dead_letters');
+    assert.equal(deadLetter.batch_id, log[0].id);
+    assert.equal(deadLetter.retry_count, 2);
+    assert.deepEqual(JSON.parse(deadLetter.messages).map(msg => msg.id), ['a', 'b']);
+    assert.equal(await count('message_queue'), 0);
+  });
+
+  it('defers rate-limited batches without using up a retry', async () => {
+    processor.analyze = async () => { throw processor.rateLimitError('openrouter', 5000); };
+
+    await processor.processBatch('community', [message('a')]);
+
+    assert.equal(processor.retryQueue[0].retryCount, 0);
+    assert.equal(await count('llm_batch_log'), 0);
+  });
+
+  it('adds the spend of every failed attempt to the batch log', async () => {
+    processor.providerManager.getClient = () => ({
+      analyzeBatch: async () => {
+        const error = new Error('LLM response failed validation');
+        error.usage = { promptTokens: 100, completionTokens: 20, reportedCostUsd: 0.01, provider: 'openrouter', model: 'test-model' };
+        throw error;
+      }
+    });
+    const messages = [message('a')];
+    await processor.persistMessages(messages);
+
+    await processor.processBatch('community', messages);
+    await processor.processBatch('community', messages, processor.retryQueue.shift());
+
+    const log = await db.queryOne('SELECT * FROM llm_batch_log');
+    assert.equal(log.prompt_tokens, 200);
+    assert.equal(log.completion_tokens, 40);
+    assert.equal(log.tokens_used, 240);
+    assert.equal(log.cost_usd, 0.02);
+    assert.equal(log.model, 'test-model');
+  });
+
+  it('dead-letters a scored batch that fails to record instead of retrying it', async () => {
+    processor.analyze = async () => ({
+      perMessage: {}, perUser: [], tagCounts: {}, contextMessages: [], validationErrors: [], provider: 'lexicon', model: null
+    });
+    processor.storeMessages = async () => { throw new Error('disk full'); };
+    const messages = [message('a')];
+    await processor.persistMessages(messages);
+
+    await processor.processBatch('community', messages);
+
+    assert.equal(processor.retryQueue.length, 0);
+    assert.equal((await db.queryOne('SELECT error_message FROM dead_letters')).error_message, 'Failed to record results: disk full');
+    assert.equal(await count('message_queue'), 0);
+  });
+
+  it('dead-letters batches of unknown trackers', async () => {
+    const messages = [{ ...message('a'), trackerId: 'deleted' }];
+    await processor.persistMessages(messages);
+
+    await processor.processBatch('deleted', messages);
+
+    assert.equal(processor.retryQueue.length, 0);
+    assert.equal(await count('dead_letters', "tracker_id = 'deleted'"), 1);
+    assert.equal(await count('message_queue'), 0);
+  });
+});
@@ -0,0 +1,100 @@
+// Before the logger is loaded (budget state changes are logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const budgetManager = require('../../src/llm/BudgetManager');
+const BatchProcessor = require('../../src/llm/BatchProcessor');
+
+const CONFIG = { env: { batch: { size: 30, timeout: 60 } }, toml: { llm: { default_provider: 'lexicon' } } };
+
+const tracker = (budget, provider = null) => ({ id: 'community', provider, model: null, budget });
+
+describe('budget downgrade', () => {
+  const getUsage = budgetManager.getUsage;
+
+  beforeEach(() => {
+    budgetManager.exhausted.clear();
+    budgetManager.getUsage = async () => ({ daily_usd: 2, daily_tokens: 0, monthly_usd: 2, monthly_tokens: 0 });
+  });
+
+  afterEach(() => {
+    budgetManager.getUsage = getUsage;
+  });
+
+  it('switches only the model when no downgrade provider is set', async () => {
+    const budget = await budgetManager.check(tracker({ daily_usd: 1, on_exhausted: 'downgrade', downgrade_model: 'small' }));
+
+    assert.deepEqual(budget, { action: 'downgrade', provider: null, model: 'small' });
+
+    const processor = new BatchProcessor(CONFIG);
+    const downgraded = processor.applyBudget(tracker({}), budget);
+    assert.equal(downgraded.provider, 'lexicon');
+    assert.equal(downgraded.model, 'small');
+  });
+
+  it('keeps the tracker provider for a model-only downgrade', async () => {
+    const processor = new BatchProcessor(CONFIG);
+    const downgraded = processor.applyBudget(tracker({}, 'local'), { action: 'downgrade', provider: null, model: 'small' });
+
+    assert.equal(downgraded.provider, 'local');
+    assert.equal(downgraded.model, 'small');
+  });
+
+  it('leaves the tracker unchanged within budget', async () => {
+    const processor = new BatchProcessor(CONFIG);
+    const config = tracker({ daily_usd: 5, on_exhausted: 'downgrade', downgrade_model: 'small' });
+
+    const budget = await budgetManager.check(config);
+    assert.deepEqual(budget, { action: null });
+    assert.equal(processor.applyBudget(config, budget), config);
+  });
+});
+
+describe('budget checks', () => {
+  const getUsage = budgetManager.getUsage;
+
+  beforeEach(() => {
+    budgetManager.exhausted.clear();
+    budgetManager.getUsage = async () => ({ daily_usd: 2, daily_tokens: 50000, monthly_usd: 30, monthly_tokens: 900000 });
+  });
+
+  afterEach(() => {
+    budgetManager.getUsage = getUsage;
+  });
+
+  it('reports the exceeded limits', async () => {
+    const status = await budgetManager.getStatus('community', { daily_usd: 5, monthly_usd: 25, daily_tokens: 50000 });
+
+    assert.deepEqual(status.limits, { daily_usd: 5, monthly_usd: 25, daily_tokens: 50000 });
+    assert.deepEqual(status.exceeded, ['monthly_usd', 'daily_tokens']);
+    assert.equal(status.on_exhausted, 'offline');
+    assert.equal(status.action, 'offline');
+    assert.equal(await budgetManager.getStatus('community', null), null);
+  });
+
+  it('returns the on_exhausted action', async () => {
+    const check = budget => budgetManager.check(tracker({ daily_usd: 1, ...budget }, 'openrouter'));
+
+    assert.deepEqual(await check({ on_exhausted: 'sample' }), { action: 'sample', sampleRate: 0.1 });
+    assert.deepEqual(await check({ on_exhausted: 'sample', sample_rate: 0.5 }), { action: 'sample', sampleRate: 0.5 });
+    assert.deepEqual(await check({}), { action: 'offline', provider: 'lexicon', model: null });
+    assert.deepEqual(await check({ on_exhausted: 'pause' }), { action: 'pause' });
+    assert.deepEqual(await check({ on_exhausted: 'downgrade', downgrade_provider: 'local' }), { action: 'downgrade', provider: 'local', model: null });
+    assert.deepEqual(await budgetManager.check(tracker(null)), { action: null });
+  });
+
+  it('validates [trackers.budget]', () => {
+    assert.deepEqual(budgetManager.validateConfig({ daily_usd: 5, on_exhausted: 'sample', sample_rate: 0.2 }), []);
+    assert.deepEqual(budgetManager.validateConfig({ daily_usd: -1, on_exhausted: 'downgrade', sample_rate: 0, limit: 1 }), [
+      'budget.daily_usd must be a non-negative number',
+      'budget.sample_rate must be a number between 0 (exclusive) and 1',
+      'budget.on_exhausted = "downgrade" requires downgrade_provider or downgrade_model',
+      'budget has unknown keys: limit'
+    ]);
+    assert.deepEqual(budgetManager.validateConfig({ on_exhausted: 'stop' }), [
+      'budget needs at least one limit (daily_usd, monthly_usd, daily_tokens, monthly_tokens)',
+      'budget.on_exhausted must be one of: sample, downgrade, offline, pause'
+    ]);
+  });
+});
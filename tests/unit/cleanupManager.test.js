@@ -0,0 +1,51 @@
+// Before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const CleanupManager = require('../../src/utils/CleanupManager');
+
+const YEAR_AGO = new Date(Date.now() - 365 * 86400000).toISOString();
+
+const insertMessage = (messageId, createdAt) => db.run(
+  `INSERT INTO messages (message_id, source_id, tracker_id, platform, author_id, text, timestamp, created_at)
+   VALUES (?, 'tg-main', 'community', 'telegram', 'telegram:1', 'hello', ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+  [messageId, YEAR_AGO, createdAt]
+);
+
+describe('CleanupManager', () => {
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-cleanup-'));
+    await db.initialize(path.join(dir, 'salt_index.db'));
+    await db.run(
+      `INSERT INTO trackers (id, name, enabled_tags, excluded_from_sentiment, time_buckets)
+       VALUES ('community', 'Community', '[]', '[]', '["1hour"]')`
+    );
+    await db.run(
+      `INSERT INTO sources (id, tracker_id, platform, target, config)
+       VALUES ('tg-main', 'community', 'telegram', '@saltchat', '{}')`
+    );
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('retains messages by when they were stored, not their event time', async () => {
+    await insertMessage('backfilled', null);
+    await insertMessage('expired', '2000-01-01 00:00:00');
+
+    const cleanup = new CleanupManager({ env: {}, toml: { retention: { messages_days: 30 } } });
+    await cleanup.cleanupOldMessages();
+
+    const rows = await db.query('SELECT message_id FROM messages ORDER BY message_id');
+    assert.deepEqual(rows.map(row => row.message_id), ['backfilled']);
+  });
+});
@@ -0,0 +1,109 @@
+// Before the logger is loaded
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const ContextAssembler = require('../../src/llm/ContextAssembler');
+
+const TRACKER = { id: 'community' };
+
+const message = (id, minute, extra = {}) => ({
+  id,
+  sourceId: 'tg-main',
+  trackerId: 'community',
+  platform: 'telegram',
+  author: { id: '1', username: 'user1' },
+  text: `message ${id}`,
+  timestamp: `2026-01-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+  metadata: { threadKey: 'chat' },
+  ...extra
+});
+
+const ids = messages => messages.map(msg => `${msg.id}${msg.isContext ? '*' : ''}`);
+
+describe('ContextAssembler', () => {
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-context-'));
+    await db.initialize(path.join(dir, 'salt_index.db'));
+    await db.run(
+      `INSERT INTO trackers (id, name, enabled_tags, excluded_from_sentiment, time_buckets)
+       VALUES ('community', 'Community', '[]', '[]', '["1hour"]')`
+    );
+    await db.run(
+      `INSERT INTO sources (id, tracker_id, platform, target, config)
+       VALUES ('tg-main', 'community', 'telegram', '@saltchat', '{}')`
+    );
+    for (const [id, minute, threadKey] of [['s1', 1, 'chat'], ['s2', 2, 'chat'], ['s3', 3, 'other']]) {
+      await db.run(
+        `INSERT INTO messages (message_id, source_id, tracker_id, platform, author_id, author_username, text, timestamp, metadata)
+         VALUES (?, 'tg-main', 'community', 'telegram', 'telegram:9', 'stored', ?, ?, ?)`,
+        [id, `stored ${id}`, message(id, minute).timestamp, JSON.stringify({ threadKey })]
+      );
+    }
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads the preceding messages of a thread from the messages table', async () => {
+    const assembler = new ContextAssembler({ toml: {} });
+    const batch = await assembler.assemble(TRACKER, [message('m10', 10)]);
+
+    assert.deepEqual(ids(batch), ['s1*', 's2*', 'm10']);
+    assert.deepEqual(batch[0].author, { id: '9', username: 'stored' });
+  });
+
+  it('uses earlier batches as history, newest first within the limit', async () => {
+    const assembler = new ContextAssembler({ toml: { llm: { context: { history_messages: 2 } } } });
+    await assembler.assemble(TRACKER, [message('m10', 10), message('m11', 11), message('m12', 12)]);
+
+    const batch = await assembler.assemble(TRACKER, [message('m13', 13)]);
+    assert.deepEqual(ids(batch), ['m11*', 'm12*', 'm13']);
+  });
+
+  it('adds replied-to messages before history and skips targets', async () => {
+    const assembler = new ContextAssembler({ toml: { llm: { context: { history_messages: 0 } } } });
+    const batch = await assembler.assemble(TRACKER, [
+      message('m20', 20, { metadata: { replyTo: { id: 's3' } } }),
+      message('m21', 21, { metadata: { replyTo: { id: 'm20' } } }),
+      message('m22', 22, { metadata: { replyTo: { id: 'gone', text: 'quoted text' } } })
+    ]);
+
+    assert.deepEqual(ids(batch), ['gone*', 's3*', 'm20', 'm21', 'm22']);
+  });
+
+  it('keeps context within max_tokens and truncates long messages', async () => {
+    const assembler = new ContextAssembler({ toml: {} });
+    await assembler.assemble(TRACKER, [message('long', 30, { text: 'x'.repeat(2000) }), message('m31', 31)]);
+
+    const limited = await assembler.assemble({ ...TRACKER, context: { max_tokens: 20 } }, [message('m32', 32)]);
+    assert.deepEqual(ids(limited), ['m31*', 'm32']);
+
+    const batch = await assembler.assemble(TRACKER, [message('m33', 33)]);
+    assert.equal(batch.find(msg => msg.id === 'long').text, `${'x'.repeat(500)}...`);
+  });
+
+  it('returns the batch unchanged when disabled', async () => {
+    const assembler = new ContextAssembler({ toml: { llm: { context: { enabled: false } } } });
+    const messages = [message('m40', 40)];
+
+    assert.equal(await assembler.assemble(TRACKER, messages), messages);
+  });
+
+  it('validates context settings', () => {
+    assert.deepEqual(ContextAssembler.validateConfig({ history_messages: 3, max_tokens: 500 }), []);
+    assert.deepEqual(ContextAssembler.validateConfig({ enabled: 1, history_messages: -1, depth: 2 }), [
+      'context.enabled must be true or false',
+      'context.history_messages must be a non-negative integer',
+      'context has unknown keys: depth'
+    ]);
+  });
+});
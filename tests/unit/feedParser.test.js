@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed } = require('../../src/connectors/feedParser');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Salt Blog</title>
+    <link>https://blog.example.com/</link>
+    <item>
+      <title>Launch &amp; roadmap</title>
+      <link>https://blog.example.com/launch</link>
+      <guid isPermaLink="false">post-2</guid>
+      <dc:creator><![CDATA[Jane Doe]]></dc:creator>
+      <pubDate>Mon, 05 Oct 2026 10:00:00 GMT</pubDate>
+      <description>&lt;p&gt;We &lt;b&gt;shipped&lt;/b&gt; it.&lt;/p&gt;&lt;p&gt;More soon&amp;#8230;&lt;/p&gt;</description>
+    </item>
+    <item>
+      <title>No guid here</title>
+      <link>https://blog.example.com/no-guid</link>
+      <description><![CDATA[<p>Plain <i>CDATA</i> body</p>]]></description>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Salt Forum</title>
+  <link rel="self" href="https://forum.example.com/feed.atom"/>
+  <link href="https://forum.example.com/"/>
+  <author><name>Forum Team</name></author>
+  <entry>
+    <title type="html">Is the unlock a risk?</title>
+    <link rel="alternate" href="https://forum.example.com/t/1"/>
+    <id>tag:forum.example.com,2026:t1</id>
+    <updated>2026-10-05T12:00:00Z</updated>
+    <author><name>bob</name></author>
+    <content type="html">&lt;p&gt;Worried about next week&lt;/p&gt;</content>
+  </entry>
+  <entry>
+    <title>Weekly digest</title>
+    <id>tag:forum.example.com,2026:digest</id>
+    <published>2026-10-04T08:00:00+02:00</published>
+    <summary>All quiet</summary>
+  </entry>
+</feed>`;
+
+describe('parseFeed', () => {
+  it('parses RSS items with HTML summaries as plain text', () => {
+    const feed = parseFeed(RSS);
+
+    assert.equal(feed.title, 'Salt Blog');
+    assert.equal(feed.link, 'https://blog.example.com/');
+    assert.deepEqual(feed.entries[0], {
+      guid: 'post-2',
+      title: 'Launch & roadmap',
+      summary: 'We shipped it.\nMore soon…',
+      link: 'https://blog.example.com/launch',
+      author: 'Jane Doe',
+      published: '2026-10-05T10:00:00.000Z'
+    });
+  });
+
+  it('falls back to the link as GUID', () => {
+    const [, entry] = parseFeed(RSS).entries;
+
+    assert.equal(entry.guid, 'https://blog.example.com/no-guid');
+    assert.equal(entry.summary, 'Plain CDATA body');
+    assert.equal(entry.author, null);
+    assert.equal(entry.published, null);
+  });
+
+  it('parses Atom entries with the feed author as fallback', () => {
+    const feed = parseFeed(ATOM);
+
+    assert.equal(feed.title, 'Salt Forum');
+    assert.equal(feed.link, 'https://forum.example.com/');
+    assert.deepEqual(feed.entries.map(e => [e.guid, e.author, e.link, e.published]), [
+      ['tag:forum.example.com,2026:t1', 'bob', 'https://forum.example.com/t/1', '2026-10-05T12:00:00.000Z'],
+      ['tag:forum.example.com,2026:digest', 'Forum Team', null, '2026-10-04T06:00:00.000Z']
+    ]);
+    assert.equal(feed.entries[0].summary, 'Worried about next week');
+  });
+
+  it('keeps numeric entities outside the Unicode range as written', () => {
+    const feed = parseFeed(`<rss><channel><item>
+      <guid>bad-entity</guid>
+      <title>Odd &amp;#99999999; and &amp;#xD800; text</title>
+      <description>&lt;p&gt;Still &amp;#x110000; parsed&lt;/p&gt;</description>
+    </item></channel></rss>`);
+
+    assert.equal(feed.entries[0].title, 'Odd &#99999999; and &#xD800; text');
+    assert.equal(feed.entries[0].summary, 'Still &#x110000; parsed');
+  });
+});
@@ -0,0 +1,84 @@
+// Before the logger is loaded (invalid lines are logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, readRecords } = require('../../src/connectors/fileFormats');
+
+const collect = async records => {
+  const all = [];
+  for await (const record of records) all.push(record);
+  return all;
+};
+
+describe('fileFormats', () => {
+  let dir;
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-formats-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads CSV with quoted fields, CRLF line endings and a BOM', async () => {
+    const file = write('export.csv', '\uFEFFid,text,user\r\n1,"Hello, ""world""",alice\r\n\r\n2,"multi\nline",bob');
+
+    assert.deepEqual(await collect(readRecords(file, 'csv')), [
+      { id: '1', text: 'Hello, "world"', user: 'alice' },
+      { id: '2', text: 'multi\nline', user: 'bob' }
+    ]);
+  });
+
+  it('skips invalid JSONL lines', async () => {
+    const file = write('export.jsonl', '{"id":1}\nnot json\n\n{"id":2}\n');
+
+    assert.deepEqual(await collect(readRecords(file, 'jsonl')), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it('maps Telegram Desktop exports and skips service messages', async () => {
+    const file = write('result.json', JSON.stringify({
+      name: 'Salt Chat',
+      id: 777,
+      messages: [
+        { id: 1, type: 'service', date_unixtime: '1760000000', actor: 'Alice', action: 'join_group_by_link' },
+        { id: 2, type: 'message', date_unixtime: '1760000060', from: 'Alice', from_id: 'user42', text: ['Launch ', { type: 'bold', text: 'today' }] },
+        { id: 3, type: 'message', date_unixtime: '1760000120', from: 'Bob', from_id: 'user43', text: 'Great!', reply_to_message_id: 2 }
+      ]
+    }));
+
+    assert.equal(detectFormat(file), 'telegram');
+    assert.deepEqual(await collect(readRecords(file, 'telegram')), [
+      { id: 2, text: 'Launch today', author_id: '42', author_username: 'Alice', timestamp: 1760000060, thread_id: '777:0', reply_to_id: null },
+      { id: 3, text: 'Great!', author_id: '43', author_username: 'Bob', timestamp: 1760000120, thread_id: '777:0', reply_to_id: 2 }
+    ]);
+  });
+
+  it('maps DiscordChatExporter exports and skips bots', async () => {
+    const file = write('channel.json', JSON.stringify({
+      guild: { id: '1', name: 'Salt' },
+      channel: { id: '99', name: 'general' },
+      messages: [
+        { id: '10', type: 'Default', timestamp: '2026-10-01T10:00:00+00:00', content: 'gm', author: { id: '5', name: 'carol', nickname: 'Carol' } },
+        { id: '11', type: 'Default', timestamp: '2026-10-01T10:01:00+00:00', content: 'beep', author: { id: '6', name: 'bot', isBot: true } },
+        { id: '12', type: 'Reply', timestamp: '2026-10-01T10:02:00+00:00', content: 'gm!', author: { id: '7', name: 'dave' }, reference: { messageId: '10' } }
+      ]
+    }));
+
+    assert.equal(detectFormat(file), 'discord');
+    const records = await collect(readRecords(file, 'discord'));
+    assert.deepEqual(records.map(r => [r.id, r.author_username, r.thread_id, r.reply_to_id]), [
+      ['10', 'carol', '99', null],
+      ['12', 'dave', '99', '10']
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, parseAndValidate } = require('../../src/llm/responseSchema');
+
+const batch = [
+  { id: '1', platform: 'discord', author: { id: 'a' } },
+  { id: '2', platform: 'discord', author: { id: 'b' } },
+  { id: '0', platform: 'discord', author: { id: 'c' }, isContext: true }
+];
+
+describe('extractJson', () => {
+  it('unwraps code fences and surrounding text', () => {
+    assert.equal(extractJson('```json\n{"messages":[]}\n```'), '{"messages":[]}');
+    assert.equal(extractJson('Here you go: {"a":"}"} thanks'), '{"a":"}"}');
+  });
+});
+
+describe('parseAndValidate', () => {
+  it('accepts one entry per target message', () => {
+    const { entries, errors } = parseAndValidate(JSON.stringify({
+      messages: [
+        { id: '1', user_id: 'discord:a', sentiment: 20, tags: [] },
+        { id: 2, user_id: 'discord:b', sentiment: -5, tags: ['fear'] }
+      ]
+    }), batch);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(entries.map(e => e.target.id), ['1', '2']);
+  });
+
+  it('reports context ids, foreign users and missing targets', () => {
+    const { entries, errors } = parseAndValidate(JSON.stringify({
+      messages: [
+        { id: '0', user_id: 'discord:c', sentiment: 0, tags: [] },
+        { id: '1', user_id: 'discord:z', sentiment: 0, tags: [] }
+      ]
+    }), batch);
+
+    assert.equal(entries.length, 0);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /unknown id "0"/);
+    assert.match(errors[1], /user_id "discord:z"/);
+    assert.match(errors[2], /missing ids: 1, 2/);
+  });
+
+  it('rejects invalid JSON', () => {
+    const { errors } = parseAndValidate('not json', batch);
+    assert.match(errors[0], /not valid JSON/);
+  });
+});
@@ -0,0 +1,110 @@
+// Before the logger is loaded (cache hits are logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../../src/db');
+const ResultCache = require('../../src/llm/ResultCache');
+
+const CLIENT = { name: 'openrouter', model: 'mock-model', outputTokensPerMessage: 20 };
+const TRACKER = { id: 'community', enabledTags: ['optimism', 'spam'], excludedFromSentiment: ['spam'] };
+
+const RAID = 'Buy now, this token is going to the moon!!';
+
+const message = (id, text) => ({ id, text, platform: 'telegram', author: { id: id.toUpperCase() } });
+
+const cacheWith = settings => new ResultCache({ toml: { llm: { cache: settings } } });
+
+/**
+ * Result the provider would return for the messages sent
+ */
+const analyzed = (messages, client = CLIENT) => ({
+  perMessage: Object.fromEntries(messages.map(msg => [msg.id, { sentiment: 40, tags: ['spam'] }])),
+  provider: client.name,
+  model: client.model,
+  promptVersion: 'v1'
+});
+
+describe('ResultCache', () => {
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'salt-index-cache-'));
+    await db.initialize(path.join(dir, 'salt_index.db'));
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sends repeated texts of a batch once and reuses the score', async () => {
+    const cache = cacheWith({});
+    const messages = [message('a', RAID), message('b', RAID), message('c', 'gm')];
+
+    const lookup = await cache.lookup(CLIENT, TRACKER, messages);
+    assert.deepEqual(lookup.misses.map(msg => msg.id), ['a', 'c']);
+
+    const result = cache.applyHits(CLIENT, TRACKER, messages, lookup, analyzed(lookup.misses));
+    assert.deepEqual(result.perMessage.b, { userId: 'telegram:B', sentiment: 40, tags: ['spam'], excluded: true });
+    assert.equal(result.cacheHits, 1);
+    assert.equal(result.messageCount, 3);
+  });
+
+  it('reuses stored scores for normalised repeats in later batches', async () => {
+    const cache = cacheWith({});
+    const first = [message('a', RAID)];
+    const lookup = await cache.lookup(CLIENT, TRACKER, first);
+    await cache.store(CLIENT, lookup, analyzed(lookup.misses));
+
+    const repeat = [message('d', `  ${RAID.toUpperCase()}\n`)];
+    const hit = await cache.lookup(CLIENT, TRACKER, repeat);
+    assert.equal(hit.misses.length, 0);
+
+    const result = cache.applyHits(CLIENT, TRACKER, repeat, hit, null);
+    assert.equal(result.fromCache, true);
+    assert.equal(result.perMessage.d.sentiment, 40);
+    assert.equal(result.tokensUsed, 0);
+  });
+
+  it('does not reuse scores across models or from fallback results', async () => {
+    const cache = cacheWith({});
+    const other = { ...CLIENT, model: 'other-model' };
+    const text = 'A fresh message nobody has analyzed yet';
+
+    assert.equal((await cache.lookup(other, TRACKER, [message('a', RAID)])).misses.length, 1);
+
+    const lookup = await cache.lookup(CLIENT, TRACKER, [message('e', text)]);
+    await cache.store(CLIENT, lookup, analyzed(lookup.misses, { name: 'fallback', model: 'fallback-model' }));
+    assert.equal((await cache.lookup(CLIENT, TRACKER, [message('f', text)])).misses.length, 1);
+  });
+
+  it('matches near-duplicates only when enabled', async () => {
+    const cache = cacheWith({ near_duplicates: true });
+    const text = 'The devs just shipped the new staking dashboard and it looks great so far';
+    const lookup = await cache.lookup(CLIENT, TRACKER, [message('g', text)]);
+    await cache.store(CLIENT, lookup, analyzed(lookup.misses));
+
+    const variant = [message('h', `${text}!`)];
+    assert.equal((await cache.lookup(CLIENT, TRACKER, variant)).misses.length, 0);
+    assert.equal((await cacheWith({}).lookup(CLIENT, TRACKER, variant)).misses.length, 1);
+  });
+
+  it('ignores expired entries and offline clients', async () => {
+    assert.equal((await cacheWith({ ttl_hours: 0 }).lookup(CLIENT, TRACKER, [message('a', RAID)])).misses.length, 1);
+    assert.equal((await cacheWith({}).lookup({ ...CLIENT, offline: true }, TRACKER, [message('a', RAID)])).misses.length, 1);
+  });
+
+  it('validates [llm.cache]', () => {
+    assert.deepEqual(ResultCache.validateConfig({ enabled: true, ttl_hours: 24, similarity: 0.8 }), []);
+    assert.deepEqual(ResultCache.validateConfig({ enabled: 'yes', ttl_hours: -1, similarity: 2, size: 10 }), [
+      'cache.enabled must be true or false',
+      'cache.ttl_hours must be a non-negative number',
+      'cache.similarity must be a number between 0 (exclusive) and 1',
+      'cache has unknown keys: size'
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeMessages, polarity } = require('../../src/llm/resultSummary');
+
+const message = (id, authorId) => ({
+  id,
+  platform: 'telegram',
+  author: { id: authorId, username: `user${authorId}`, displayName: `User ${authorId}` }
+});
+
+describe('summarizeMessages', () => {
+  it('averages sentiment per batch and per user', () => {
+    const summary = summarizeMessages(
+      [message('a', '1'), message('b', '1'), message('c', '2')],
+      {
+        a: { sentiment: 50, tags: ['optimism'] },
+        b: { sentiment: 10, tags: [] },
+        c: { sentiment: -30, tags: ['fear', 'optimism'] }
+      }
+    );
+
+    assert.equal(summary.sentimentScore, 10);
+    assert.equal(summary.messageCount, 3);
+    assert.equal(summary.authorCount, 2);
+    assert.deepEqual(summary.tagCounts, { optimism: 2, fear: 1 });
+    assert.deepEqual(summary.perUser.map(u => [u.user_id, u.message_count, u.sentiment_avg]), [
+      ['telegram:1', 2, 30],
+      ['telegram:2', 1, -30]
+    ]);
+  });
+
+  it('counts excluded messages for volume and tags only', () => {
+    const summary = summarizeMessages(
+      [message('a', '1'), message('b', '2')],
+      {
+        a: { sentiment: 40, tags: [] },
+        b: { sentiment: -100, tags: ['spam'], excluded: true }
+      }
+    );
+
+    assert.equal(summary.sentimentScore, 40);
+    assert.equal(summary.sentimentCount, 1);
+    assert.equal(summary.messageCount, 2);
+    assert.deepEqual(summary.tagCounts, { spam: 1 });
+
+    const excludedUser = summary.perUser.find(u => u.user_id === 'telegram:2');
+    assert.equal(excludedUser.sentiment_avg, 0);
+    assert.equal(excludedUser.sentiment_count, 0);
+  });
+
+  it('has no sentiment count when every message is excluded', () => {
+    const summary = summarizeMessages(
+      [message('a', '1')],
+      { a: { sentiment: -80, tags: ['spam'], excluded: true } }
+    );
+
+    assert.equal(summary.sentimentScore, 0);
+    assert.equal(summary.sentimentCount, 0);
+    assert.equal(summary.messageCount, 1);
+  });
+
+  it('skips messages without a result', () => {
+    const summary = summarizeMessages([message('a', '1'), message('b', '2')], { a: { sentiment: 20, tags: [] } });
+
+    assert.equal(summary.messageCount, 1);
+    assert.equal(summary.authorCount, 1);
+  });
+});
+
+describe('polarity', () => {
+  it('treats scores within ±10 as neutral', () => {
+    assert.deepEqual([-50, -11, -10, 0, 10, 11, 50].map(polarity), [-1, -1, 0, 0, 0, 1, 1]);
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimestamp } = require('../../src/utils/time');
+
+describe('parseTimestamp', () => {
+  it('parses ISO 8601 dates', () => {
+    assert.equal(parseTimestamp('2026-10-19T11:58:03Z'), '2026-10-19T11:58:03.000Z');
+  });
+
+  it('parses Unix seconds and milliseconds, as numbers or strings', () => {
+    const iso = new Date(1759313100 * 1000).toISOString();
+
+    assert.equal(parseTimestamp(1759313100), iso);
+    assert.equal(parseTimestamp(1759313100000), iso);
+    assert.equal(parseTimestamp(' 1759313100 '), iso);
+    assert.equal(parseTimestamp('1759313100.5'), new Date(1759313100500).toISOString());
+  });
+
+  it('returns null for anything else', () => {
+    for (const value of ['', 'yesterday', null, undefined, true, {}, NaN]) {
+      assert.equal(parseTimestamp(value), null);
+    }
+  });
+});
@@ -0,0 +1,100 @@
+// Before the logger is loaded (failed jobs are logged)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkerPool = require('../../src/llm/WorkerPool');
+
+/**
+ * A job that only finishes when released, recording when it started
+ */
+function gate(started, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const job = async () => {
+    started.push(name);
+    await done;
+    return name;
+  };
+  return { job, release: () => release() };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WorkerPool', () => {
+  it('runs at most maxConcurrency jobs at once', async () => {
+    const pool = new WorkerPool({ maxConcurrency: 2, perTrackerConcurrency: 5 });
+    const started = [];
+    const jobs = ['a', 'b', 'c'].map(name => gate(started, name));
+
+    const results = jobs.map(({ job }) => pool.submit('t1', job));
+    await tick();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(pool.getStats().pending, 1);
+
+    jobs[0].release();
+    await tick();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    jobs.slice(1).forEach(({ release }) => release());
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.ok(pool.isIdle());
+  });
+
+  it('keeps a tracker to its own limit and in order', async () => {
+    const pool = new WorkerPool({ maxConcurrency: 4, perTrackerConcurrency: 1 });
+    const started = [];
+    const first = gate(started, 'first');
+    const second = gate(started, 'second');
+
+    pool.submit('t1', first.job);
+    const last = pool.submit('t1', second.job);
+    await tick();
+    assert.deepEqual(started, ['first']);
+    assert.deepEqual(pool.getStats().by_tracker, { t1: { active: 1, pending: 1 } });
+
+    first.release();
+    await tick();
+    assert.deepEqual(started, ['first', 'second']);
+
+    second.release();
+    await last;
+  });
+
+  it('lets trackers take turns', async () => {
+    const pool = new WorkerPool({ maxConcurrency: 1, perTrackerConcurrency: 1 });
+    const started = [];
+    const blocker = gate(started, 'busy-0');
+
+    pool.submit('busy', blocker.job);
+    for (let i = 1; i <= 3; i++) {
+      pool.submit('busy', async () => { started.push(`busy-${i}`); });
+    }
+    pool.submit('quiet', async () => { started.push('quiet-1'); });
+
+    blocker.release();
+    await pool.drain();
+
+    assert.deepEqual(started, ['busy-0', 'quiet-1', 'busy-1', 'busy-2', 'busy-3']);
+  });
+
+  it('rejects with the job error and keeps running other jobs', async () => {
+    const pool = new WorkerPool({ maxConcurrency: 1 });
+
+    const failing = pool.submit('t1', async () => { throw new Error('boom'); });
+    const next = pool.submit('t2', async () => 'ok');
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'ok');
+    await pool.drain();
+
+    const stats = pool.getStats();
+    assert.equal(stats.completed, 1);
+    assert.equal(stats.failed, 1);
+    assert.equal(stats.active, 0);
+  });
+
+  it('drains immediately when idle', async () => {
+    await new WorkerPool().drain();
+  });
+});